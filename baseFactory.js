@@ -10,6 +10,7 @@ const Mutex = require('mutex');
 const Crypto = require('./crypto/crypto');
 const SerializerWrapper = require('./network/serializer');
 const MessageAssemblerWrapper = require('./network/messageAssembler');
+const SecureChannelWrapper = require('./network/secureChannel');
 const PeerWrapper = require('./network/peer');
 const PeerManagerWrapper = require('./network/peerManager');
 
@@ -21,6 +22,7 @@ const BftWrapper = require('./node/bftConsensus');
 const NodeWrapper = require('./node/node');
 const MempoolWrapper = require('./node/mempool');
 const WitnessWrapper = require('./node/witness');
+const LightNodeWrapper = require('./node/lightNode');
 const RpcWrapper = require('./node/rpc');
 const AppWrapper = require('./node/app');
 
@@ -32,6 +34,7 @@ const RequestCacheWrapper = require('./node/requestsCache');
 
 const TransactionWrapper = require('./structures/transaction');
 const BlockWrapper = require('./structures/block');
+const CompactBlockWrapper = require('./structures/compactBlock');
 const InventoryWrapper = require('./structures/inventory');
 const UtxoWrapper = require('./structures/utxo');
 const CoinsWrapper = require('./structures/coins');
@@ -42,6 +45,7 @@ const ConciliumPoS = require('./conciliums/conciliumPoS');
 
 const BlockInfoWrapper = require('./structures/blockInfo');
 const ArrayOfWrapper = require('./structures/arrayOf');
+const BloomFilterWrapper = require('./structures/bloomFilter');
 const ContractWrapper = require('./structures/contract');
 const TxReceiptWrapper = require('./structures/txReceipt');
 
@@ -64,13 +68,15 @@ class BaseFactory {
                         ...prototypes.enumServices.values,
                         ...prototypes.enumRejectCodes.values,
                         ...prototypes.enumInventory.values,
-                        ...prototypes.enumTxStatus.values
+                        ...prototypes.enumTxStatus.values,
+                        ...prototypes.enumClaimHashMethod.values
                     };
 
                     // prototypes
                     this._coinsImplementation = CoinsWrapper(this);
                     this._transactionImplementation = TransactionWrapper(this, prototypes);
                     this._blockImplementation = BlockWrapper(this, prototypes);
+                    this._compactBlockImplementation = CompactBlockWrapper(this, prototypes);
                     this._inventoryImplementation = InventoryWrapper(this, prototypes);
                     this._utxoImplementation = UtxoWrapper(this, prototypes);
 
@@ -81,6 +87,7 @@ class BaseFactory {
                     this._blockInfo = BlockInfoWrapper(this, prototypes);
                     this._arrayOfHashes = ArrayOfWrapper(32);
                     this._arrayOfAddresses = ArrayOfWrapper(20);
+                    this._bloomFilter = BloomFilterWrapper(this);
                     this._contract = ContractWrapper(this, prototypes);
                     this._txReceipt = TxReceiptWrapper(this, prototypes);
 
@@ -89,6 +96,7 @@ class BaseFactory {
                     //
                     this._serializerImplementation = SerializerWrapper(this.Messages);
                     this._messageAssemblerImplementation = MessageAssemblerWrapper(this.Serializer);
+                    this._secureChannelImplementation = SecureChannelWrapper(this);
 
                     this._storedWalletImplementation = StoredWalletWrapper(this);
 
@@ -111,6 +119,7 @@ class BaseFactory {
                     // all componenst should be declared above
                     this._nodeImplementation = NodeWrapper(this, options);
                     this._witnessImplementation = WitnessWrapper(this, options);
+                    this._lightNodeImplementation = LightNodeWrapper(this, options);
                 })
                 .then(resolve)
                 .catch(err => {
@@ -166,6 +175,10 @@ class BaseFactory {
         return this._arrayOfAddresses;
     }
 
+    get BloomFilter() {
+        return this._bloomFilter;
+    }
+
     get MainDag() {
         return this._mainDagImplementation;
     }
@@ -250,6 +263,10 @@ class BaseFactory {
         return this._witnessImplementation;
     }
 
+    get LightNode() {
+        return this._lightNodeImplementation;
+    }
+
     get Peer() {
         return this._peerImplementation;
     }
@@ -266,6 +283,10 @@ class BaseFactory {
         return this._messageAssemblerImplementation;
     }
 
+    get SecureChannel() {
+        return this._secureChannelImplementation;
+    }
+
     get Transaction() {
         return this._transactionImplementation;
     }
@@ -274,6 +295,10 @@ class BaseFactory {
         return this._blockImplementation;
     }
 
+    get CompactBlock() {
+        return this._compactBlockImplementation;
+    }
+
     get BlockInfo() {
         return this._blockInfo;
     }
@@ -320,6 +345,16 @@ class BaseFactory {
             addrPayloadProto: protoNetwork.lookupType("network.AddrPayload"),
             rejectPayloadProto: protoNetwork.lookupType("network.RejectPayload"),
             getBlocksPayloadProto: protoNetwork.lookupType("network.GetBlocksPayload"),
+            headersPayloadProto: protoNetwork.lookupType("network.HeadersPayload"),
+            getTxProofsPayloadProto: protoNetwork.lookupType("network.GetTxProofsPayload"),
+            txProofsPayloadProto: protoNetwork.lookupType("network.TxProofsPayload"),
+            filterLoadPayloadProto: protoNetwork.lookupType("network.FilterLoadPayload"),
+            filterAddPayloadProto: protoNetwork.lookupType("network.FilterAddPayload"),
+            merkleBlockPayloadProto: protoNetwork.lookupType("network.MerkleBlockPayload"),
+            getBlockTxnPayloadProto: protoNetwork.lookupType("network.GetBlockTxnPayload"),
+            blockTxnPayloadProto: protoNetwork.lookupType("network.BlockTxnPayload"),
+            keyExchangePayloadProto: protoNetwork.lookupType("network.KeyExchangePayload"),
+            pingPayloadProto: protoNetwork.lookupType("network.PingPayload"),
 
             // part of messages
             peerInfoProto: protoNetwork.lookupType("network.PeerInfo"),
@@ -333,13 +368,16 @@ class BaseFactory {
             enumRejectCodes: protoNetwork.lookup("network.RejectCodes"),
             enumInventory: protoStructures.lookup("structures.InventoryTypes"),
             enumTxStatus: protoStructures.lookup("structures.TxStatuses"),
+            enumClaimHashMethod: protoStructures.lookup("structures.ClaimHashMethod"),
 
             // Structures
             transactionProto: protoStructures.lookupType("structures.Transaction"),
             transactionPayloadProto: protoStructures.lookupType("structures.TransactionPayload"),
+            multisigScriptProto: protoStructures.lookupType("structures.MultisigScript"),
 
             blockProto: protoStructures.lookupType("structures.Block"),
             blockHeaderProto: protoStructures.lookupType("structures.BlockHeader"),
+            compactBlockProto: protoStructures.lookupType("structures.CompactBlock"),
             blockInfoProto: protoStructures.lookupType("structures.BlockInfo"),
 
             inventoryProto: protoStructures.lookupType("structures.Inventory"),
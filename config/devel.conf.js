@@ -53,7 +53,19 @@ module.exports = {
             HEIGHT_FORK_SERIALIZER: 8970,
             HEIGHT_FORK_CHANGE: 8992,
             HEIGHT_FORK_SERIALIZER_FIX2: 9145,
-            HEIGHT_FORK_SERIALIZER_FIX3: 55700
+            HEIGHT_FORK_SERIALIZER_FIX3: 55700,
+
+            // M-of-N multisig claims (Transaction.multisigClaims)
+            HEIGHT_FORK_MULTISIG: 1500000,
+
+            // claims with hash method other than SIGHASH_ALL (66 bytes: signature + method)
+            HEIGHT_FORK_SIGHASH: 1500000,
+
+            // TX lockHeight/lockTime & output locks
+            HEIGHT_FORK_TIMELOCK: 1500000,
+
+            // contract logs (emit), their size charged as contract data
+            HEIGHT_FORK_LOGS: 1500000
         },
 
         WITNESS_UTXOS_JOIN: 5,
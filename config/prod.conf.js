@@ -31,6 +31,23 @@ module.exports = {
         // minimum connected peers
         MIN_PEERS: 3,
 
+        // inbound connections. when all slots are busy - worst inbound peer will be evicted
+        MAX_INBOUND_PEERS: 20,
+
+        // inbound peers with lowest latency & most useful deliveries are protected from eviction
+        EVICTION_PROTECT_LATENCY: 4,
+        EVICTION_PROTECT_USEFUL: 4,
+
+        // every this msec of latency costs one point of peer score
+        PEER_LATENCY_SCORE_STEP: 1000,
+
+        // address book (like bitcoin's addrman). "new" - heard of, "tried" - connected at least once
+        ADDRBOOK_NEW_BUCKETS: 256,
+        ADDRBOOK_TRIED_BUCKETS: 64,
+        ADDRBOOK_BUCKET_SIZE: 64,
+        ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP: 32,
+        ADDRBOOK_TRIED_BUCKETS_PER_GROUP: 8,
+
         // milliseconds
         PEER_QUERY_TIMEOUT: 30000,
         CONNECTION_TIMEOUT: 60000,
@@ -52,6 +69,26 @@ module.exports = {
         PEER_HEARTBEAT_TIMEOUT: 2 * 60 * 1000,
         PEER_DEAD_TIME: 6 * 60 * 1000,
 
+        // peer should answer our MSG_PING within this period
+        PEER_PING_TIMEOUT: 1 * 60 * 1000,
+
+        // token bucket for bytes peer sends us (refill rate & burst). should fit some MAX_BLOCK_SIZE messages
+        PEER_RATE_BYTES_PER_SEC: 2 * 1024 * 1024,
+        PEER_RATE_BYTES_BURST: 16 * 1024 * 1024,
+
+        // token buckets for messages peer sends us (by message type). exceeding it - is a flood
+        PEER_RATE_MESSAGES: {
+            inv: {nPerSec: 10, nBurst: 200},
+            tx: {nPerSec: 50, nBurst: 500},
+            getdata: {nPerSec: 10, nBurst: 200}
+        },
+        PEER_FLOOD_MISBEHAVE_SCORE: 1,
+
+        // global upload cap (all peers) for serving blocks older than HISTORICAL_BLOCK_AGE
+        UPLOAD_HISTORICAL_BYTES_PER_SEC: 1024 * 1024,
+        UPLOAD_HISTORICAL_BYTES_BURST: 10 * 1024 * 1024,
+        HISTORICAL_BLOCK_AGE: 24 * 60 * 60 * 1000,
+
         PEER_RECONNECT_INTERVAL: 2 * 60 * 1000,
 
         PEERMANAGER_BACKUP_TIMEOUT: 10 * 60 * 1000,
@@ -62,6 +99,18 @@ module.exports = {
         // we expect that peer will respond with requested INV within this period
         INV_REQUEST_HOLDOFF: 1 * 60 * 1000,
 
+        // peer should answer our MSG_GET_BLOCK_TXN within this period, otherwise we forget compact block
+        COMPACT_BLOCK_TXN_TIMEOUT: 30000,
+
+        // BIP37 limits for filters loaded by peers
+        BLOOM_MAX_FILTER_SIZE: 36000,
+        BLOOM_MAX_HASH_FUNCS: 50,
+        BLOOM_MAX_ADD_SIZE: 520,
+
+        // filterload flags: whether to add outpoints of matched outputs to filter
+        BLOOM_UPDATE_NONE: 0,
+        BLOOM_UPDATE_ALL: 1,
+
         messageTypes: {
             MSG_VERSION: 'version',
             MSG_VERACK: 'verack',
@@ -72,8 +121,21 @@ module.exports = {
             MSG_TX: 'tx',
             MSG_INV: 'inv',
             MSG_GET_DATA: 'getdata',
+            MSG_NOT_FOUND: 'notfound',
             MSG_GET_BLOCKS: 'getblocks',
             MSG_GET_MEMPOOL: 'getmempool',
+            MSG_GET_HEADERS: 'getheaders',
+            MSG_HEADERS: 'headers',
+            MSG_GET_TX_PROOFS: 'gettxproofs',
+            MSG_TX_PROOFS: 'txproofs',
+            MSG_FILTER_LOAD: 'filterload',
+            MSG_FILTER_ADD: 'filteradd',
+            MSG_FILTER_CLEAR: 'filterclear',
+            MSG_MERKLE_BLOCK: 'merkleblock',
+            MSG_COMPACT_BLOCK: 'cmpctblock',
+            MSG_GET_BLOCK_TXN: 'getblocktxn',
+            MSG_BLOCK_TXN: 'blocktxn',
+            MSG_KEY_EXCHANGE: 'keyexchange',
             MSG_PING: 'ping',
             MSG_PONG: 'pong',
 
@@ -127,12 +189,29 @@ module.exports = {
         MEMPOOL_TX_LIFETIME: 24 * 60 * 60 * 1000,
         MEMPOOL_BAD_TX_CACHE: 10 * 60 * 1000,
 
+        // estimateFee: mempool occupancy (part of MEMPOOL_TX_QTY) thresholds & suggested fee multipliers
+        FEE_PRIORITY_OCCUPANCY_MEDIUM: 0.5,
+        FEE_PRIORITY_OCCUPANCY_HIGH: 0.8,
+        FEE_PRIORITY_MULTIPLIER_MEDIUM: 1.5,
+        FEE_PRIORITY_MULTIPLIER_HIGH: 2,
+
         // TODO: review it. Heavy code will be terminated on slow nodes. And node become unsynced
         TIMEOUT_CODE: 10000,
 
+        // name + JSON payload of one contract log. it's charged as contract data (storage fee)
+        CONTRACT_LOG_MAX_SIZE: 1024,
+
+        // max records returned by getLogs per call
+        LOGS_MAX_RESULTS: 1000,
+
+        // max log filters per websocket connection (@see RPC.subscribeLogs)
+        LOGS_MAX_SUBSCRIPTIONS: 100,
+
         TX_STATUS_OK: 1,
         TX_STATUS_FAILED: 0,
 
+        // 'leveldb' | 'memory' | 'rocksdb' (requires optional "rocksdb" package)
+        STORAGE_BACKEND: 'leveldb',
         DB_PATH_PREFIX: './db',
         DB_CHAINSTATE_DIR: 'chainstate',
         DB_BLOCKSTATE_DIR: 'blockstate',
@@ -140,6 +219,33 @@ module.exports = {
 
         DB_TXINDEX_DIR: 'txindex',
         DB_WALLET_DIR: 'wallet',
+        DB_ADDRINDEX_DIR: 'addrindex',
+
+        // pruning mode: block bodies are deleted when at least this number of heights became prunable
+        PRUNE_BATCH_HEIGHTS: 100,
+
+        // bootstrap from chainstate snapshot: trusted content hash (could be overridden with --snapshotHash)
+        SNAPSHOT_HASH: undefined,
+        SNAPSHOT_BATCH_SIZE: 1000,
+
+        // undo records kept for rollbackTo (one per applied patch)
+        UNDO_RECORDS_MAX: 1000,
+
+        // verifyDb: records per batch when repairing damaged keys
+        DB_REPAIR_BATCH_SIZE: 1000,
+
+        // max records returned by getAddressHistory per call
+        ADDRESS_HISTORY_MAX_LIMIT: 1000,
+
+        // max addresses in single MSG_GET_TX_PROOFS (light node splits wallet addresses)
+        TX_PROOFS_MAX_ADDRESSES: 100,
+
+        // HD wallet accounts: BIP44 path m/44'/<coin type>'/<account>'/<change> (address index appended)
+        // & unused addresses to stop rescan.
+        // Own coin type: with Bitcoin's 0 same seed derives same keys for both chains.
+        // Changing it makes existing HD accounts derive other addresses!
+        HD_BASE_PATH: "m/44'/8138'/0'/0",
+        HD_GAP_LIMIT: 20,
 
         concilium: {
             HEIGHT_TO_RELEASE_ADD_ON: 1000,
@@ -150,7 +256,19 @@ module.exports = {
             HEIGHT_FORK_SERIALIZER: 3775,
             HEIGHT_FORK_CHANGE: 3775,
             HEIGHT_FORK_SERIALIZER_FIX2: 6100,
-            HEIGHT_FORK_SERIALIZER_FIX3: 48000
+            HEIGHT_FORK_SERIALIZER_FIX3: 48000,
+
+            // M-of-N multisig claims (Transaction.multisigClaims)
+            HEIGHT_FORK_MULTISIG: 1500000,
+
+            // claims with hash method other than SIGHASH_ALL (66 bytes: signature + method)
+            HEIGHT_FORK_SIGHASH: 1500000,
+
+            // TX lockHeight/lockTime & output locks
+            HEIGHT_FORK_TIMELOCK: 1500000,
+
+            // contract logs (emit), their size charged as contract data
+            HEIGHT_FORK_LOGS: 1500000
         },
 
         BLOCK_CREATION_TIME_LIMIT: 1500,
@@ -162,6 +280,9 @@ module.exports = {
         CONTRACT_V_V8: 0,
 
         WITNESS_UTXOS_JOIN: 30,
-        MAX_UTXO_PER_TX: 1000
+        MAX_UTXO_PER_TX: 1000,
+
+        // N in M-of-N multisig address
+        MULTISIG_MAX_KEYS: 15
     }
 };
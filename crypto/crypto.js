@@ -7,6 +7,7 @@ const elliptic = require('elliptic');
 const EC = elliptic.ec;
 const sha3 = require('js-sha3');
 const BN = require('bn.js');
+const bip39 = require('bip39');
 
 const ec = new EC('secp256k1');
 
@@ -69,6 +70,14 @@ const LENGTH = 16;
 const SCRYPT_OPTIONS = {N: 131072, p: 1, r: 8};
 const PBKDF2_OPTIONS = {iterations: 1e5};
 
+// BIP32
+const HD_MASTER_SECRET = 'Bitcoin seed';
+const HD_HARDENED_OFFSET = 0x80000000;
+
+// AEAD used by encrypted transport
+const AEAD_ALGO = 'aes-256-gcm';
+const AEAD_TAG_LENGTH = 16;
+
 class CryptoLib {
 
     /**
@@ -362,6 +371,139 @@ class CryptoLib {
     static randomBytes(length) {
         return crypto.randomBytes(length);
     }
+
+    /**
+     * BIP39 mnemonic
+     *
+     * @param {Number} nStrength - entropy bits (128 -> 12 words, 256 -> 24 words)
+     * @return {String}
+     */
+    static mnemonicGenerate(nStrength = 128) {
+        return bip39.generateMnemonic(nStrength, this.randomBytes.bind(this));
+    }
+
+    static mnemonicValidate(strMnemonic) {
+        return bip39.validateMnemonic(strMnemonic);
+    }
+
+    /**
+     *
+     * @param {String} strMnemonic
+     * @param {String} strPassphrase - optional BIP39 passphrase
+     * @return {Buffer} - 64 bytes seed
+     */
+    static mnemonicToSeed(strMnemonic, strPassphrase = '') {
+        if (!this.mnemonicValidate(strMnemonic)) throw new Error('Bad mnemonic');
+        return bip39.mnemonicToSeedSync(strMnemonic, strPassphrase);
+    }
+
+    /**
+     * BIP32 derivation of private key
+     *
+     * @param {Buffer} buffSeed - @see mnemonicToSeed
+     * @param {String} strPath - like "m/44'/0'/0'/0/1"
+     * @return {KeyPair}
+     */
+    static deriveKeyPair(buffSeed, strPath) {
+        const arrSegments = strPath.split('/');
+        if (arrSegments.shift() !== 'm') throw new Error(`Bad derivation path ${strPath}`);
+
+        const buffI = crypto.createHmac('sha512', HD_MASTER_SECRET).update(buffSeed).digest();
+        let key = new BN(buffI.slice(0, 32));
+        let buffChainCode = buffI.slice(32);
+
+        // BIP32: master key should be in [1, n-1], such seed is invalid
+        if (key.isZero() || key.cmp(ec.curve.n) >= 0) throw new Error('Invalid master key for seed');
+
+        for (let strSegment of arrSegments) {
+            const bHardened = strSegment.endsWith('\'');
+            const nIndex = parseInt(bHardened ? strSegment.slice(0, -1) : strSegment, 10);
+            if (!Number.isInteger(nIndex) || nIndex < 0 || nIndex >= HD_HARDENED_OFFSET) {
+                throw new Error(`Bad derivation path ${strPath}`);
+            }
+
+            const buffIndex = Buffer.alloc(4);
+            buffIndex.writeUInt32BE(bHardened ? nIndex + HD_HARDENED_OFFSET : nIndex);
+
+            const buffData = bHardened
+                ? Buffer.concat([Buffer.alloc(1), key.toArrayLike(Buffer, 'be', 32), buffIndex])
+                : Buffer.concat([Buffer.from(ec.keyFromPrivate(key).getPublic(true, 'hex'), 'hex'), buffIndex]);
+
+            const buffChild = crypto.createHmac('sha512', buffChainCode).update(buffData).digest();
+            const bnTweak = new BN(buffChild.slice(0, 32));
+            key = bnTweak.add(key).umod(ec.curve.n);
+
+            // probability is lower than 1 in 2^127, BIP32 says to skip such index
+            if (bnTweak.cmp(ec.curve.n) >= 0 || key.isZero()) throw new Error(`Invalid child key for ${strPath}`);
+            buffChainCode = buffChild.slice(32);
+        }
+
+        return this.keyPairFromPrivate(key.toArrayLike(Buffer, 'be', 32).toString('hex'));
+    }
+
+    /**
+     * ECDH shared secret (X coordinate of shared point)
+     *
+     * @param {String} privateKey - hex
+     * @param {String} publicKey - hex
+     * @return {Buffer} 32 bytes
+     */
+    static ecdh(privateKey, publicKey) {
+        const bnShared = ec.keyFromPrivate(privateKey, 'hex').derive(ec.keyFromPublic(publicKey, 'hex').getPublic());
+        return bnShared.toArrayLike(Buffer, 'be', 32);
+    }
+
+    /**
+     * RFC 5869 (HMAC-SHA256)
+     *
+     * @param {Buffer} buffKeyMaterial
+     * @param {Buffer} buffSalt
+     * @param {String} strInfo
+     * @param {Number} nLength - in BYTES!
+     * @return {Buffer}
+     */
+    static hkdf(buffKeyMaterial, buffSalt, strInfo, nLength = 32) {
+        const buffPrk = crypto.createHmac('sha256', buffSalt).update(buffKeyMaterial).digest();
+
+        let buffBlock = Buffer.alloc(0);
+        const arrBlocks = [];
+        for (let i = 1; arrBlocks.length * 32 < nLength; i++) {
+            buffBlock = crypto.createHmac('sha256', buffPrk)
+                .update(Buffer.concat([buffBlock, Buffer.from(strInfo), Buffer.from([i])]))
+                .digest();
+            arrBlocks.push(buffBlock);
+        }
+        return Buffer.concat(arrBlocks).slice(0, nLength);
+    }
+
+    /**
+     * Authenticated encryption. Never reuse nonce with same key!
+     *
+     * @param {Buffer} buffKey - 32 bytes
+     * @param {Buffer} buffNonce - 12 bytes
+     * @param {Buffer} buffData
+     * @return {Buffer} - ciphertext with auth tag appended
+     */
+    static aeadEncrypt(buffKey, buffNonce, buffData) {
+        const cipher = crypto.createCipheriv(AEAD_ALGO, buffKey, buffNonce, {authTagLength: AEAD_TAG_LENGTH});
+        return Buffer.concat([cipher.update(buffData), cipher.final(), cipher.getAuthTag()]);
+    }
+
+    /**
+     * Throws if data was tampered
+     *
+     * @param {Buffer} buffKey - 32 bytes
+     * @param {Buffer} buffNonce - 12 bytes
+     * @param {Buffer} buffEncrypted - @see aeadEncrypt
+     * @return {Buffer}
+     */
+    static aeadDecrypt(buffKey, buffNonce, buffEncrypted) {
+        if (buffEncrypted.length < AEAD_TAG_LENGTH) throw new Error('Encrypted data too short');
+
+        const decipher = crypto.createDecipheriv(AEAD_ALGO, buffKey, buffNonce, {authTagLength: AEAD_TAG_LENGTH});
+        decipher.setAuthTag(buffEncrypted.slice(-AEAD_TAG_LENGTH));
+        return Buffer.concat([decipher.update(buffEncrypted.slice(0, -AEAD_TAG_LENGTH)), decipher.final()]);
+    }
 }
 
 module.exports = CryptoLib;
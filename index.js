@@ -1,4 +1,7 @@
+const fs = require('fs');
+const path = require('path');
 const factory = require('./factory');
+const {getBackend} = require('./storage/backends');
 
 const {
     readCmdLineOptions,
@@ -42,9 +45,21 @@ process.on('warning', e => console.warn(e.stack));
     // if there is rebuild task - program will terminate after completion!
     await rebuildDb(commonOptions);
 
+    // if there is verify task - program will terminate after completion!
+    await verifyDb(commonOptions);
+
+    // if there is rollback task - program will terminate after completion!
+    await rollbackTo(commonOptions);
+
+    // if there is snapshot export task - program will terminate after completion!
+    await exportSnapshot(commonOptions);
+
     // this will completely erase DB, and resync it from neighbors
     await clearDb(commonOptions);
 
+    // load chainstate from snapshot into empty DB. Node will sync from snapshot tips
+    await bootstrapSnapshot(commonOptions);
+
     let node;
     if (objUserParams.privateKey) {
         const decryptedPk = await readPrivateKeyFromFile(factory.Crypto, objUserParams.privateKey);
@@ -54,6 +69,13 @@ process.on('warning', e => console.warn(e.stack));
             ...commonOptions,
             wallet: witnessWallet
         });
+    } else if (objUserParams.lightMode) {
+        node = new factory.LightNode({
+            ...commonOptions,
+            arrConciliumDefinitions: objUserParams.conciliumDefinitions
+                ? JSON.parse(fs.readFileSync(objUserParams.conciliumDefinitions, 'utf8'))
+                : undefined
+        });
     } else {
         node = new factory.Node({
             ...commonOptions
@@ -97,6 +119,111 @@ async function rebuildDb(objCmdLineParams) {
     }
 }
 
+/**
+ * Chainstate & TX index are rebuilt in RAM from stored blocks and compared with ones on disk
+ * Report (JSON) printed to stdout
+ */
+async function verifyDb(objCmdLineParams) {
+    const {verifyDb, repairDb, storageBackend} = objCmdLineParams;
+    if (!verifyDb) return;
+
+    try {
+        const backend = getBackend(storageBackend || factory.Constants.STORAGE_BACKEND);
+        const memory = getBackend('memory');
+        const isBlockState = strPath => path.basename(strPath) === factory.Constants.DB_BLOCKSTATE_DIR;
+
+        // blocks will be read by reference node only
+        const storage = new factory.Storage({
+            ...objCmdLineParams,
+            mutex: new factory.Mutex(),
+            storageBackend: {open: strPath => (isBlockState(strPath) ? memory : backend).open(strPath)}
+        });
+
+        // complete interrupted patch first
+        await storage.ready();
+
+        const node = new factory.Node({
+            ...objCmdLineParams,
+            workerSuspended: true,
+            networkSuspended: true,
+            storageBackend: {open: strPath => (isBlockState(strPath) ? backend : memory).open(strPath)}
+        });
+        await node.ensureLoaded();
+
+        const arrInconsistencies = await node.verifyDb(storage, !!repairDb);
+        console.log(JSON.stringify({
+            ok: !arrInconsistencies.length,
+            repaired: !!repairDb && arrInconsistencies.length > 0,
+            inconsistencies: arrInconsistencies
+        }, null, 2));
+
+        process.exit(arrInconsistencies.length && !repairDb ? 1 : 0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+}
+
+/**
+ * Rewind stable state. Node will re-execute blocks above it on next start
+ */
+async function rollbackTo(objCmdLineParams) {
+    const {rollbackTo: strBlockHash} = objCmdLineParams;
+    if (!strBlockHash) return;
+
+    try {
+        const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
+        await storage.ready();
+
+        const arrToExec = await storage.rollbackTo(strBlockHash, await storage.getPendingBlockHashes());
+        await storage.close();
+
+        console.log(`Rolled back to ${strBlockHash}. ${arrToExec.length} blocks will be re-executed on start`);
+        process.exit(0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+}
+
+async function exportSnapshot(objCmdLineParams) {
+    const {exportSnapshot: strFileName} = objCmdLineParams;
+    if (!strFileName) return;
+
+    try {
+        const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
+        await storage.ready();
+        const strHash = await storage.exportSnapshot(strFileName);
+        await storage.close();
+
+        console.log(`Snapshot exported to "${strFileName}". Content hash: ${strHash}`);
+        process.exit(0);
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+}
+
+async function bootstrapSnapshot(objCmdLineParams) {
+    const {bootstrapSnapshot: strFileName, snapshotHash} = objCmdLineParams;
+    if (!strFileName) return;
+
+    try {
+        const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
+        await storage.ready();
+        if ((await storage.getLastAppliedBlockHashes()).length) {
+            console.log('Chainstate is not empty. Snapshot bootstrap skipped');
+        } else {
+            await storage.importSnapshot(strFileName, snapshotHash || factory.Constants.SNAPSHOT_HASH);
+            console.log(`Snapshot "${strFileName}" loaded`);
+        }
+        await storage.close();
+    } catch (e) {
+        console.error(e);
+        process.exit(1);
+    }
+}
+
 async function clearDb(objCmdLineParams) {
     try {
         const storage = new factory.Storage({...objCmdLineParams, mutex: new factory.Mutex()});
@@ -1,3 +1,6 @@
+// Tor v3 hidden service
+const ONION_PUBKEY_LENGTH = 32;
+
 /**
  *
  * @param {Object} Constants
@@ -75,7 +78,7 @@ module.exports = (Constants, PeerInfoProto) =>
         }
 
         get lifetimeMisbehaveScore() {
-            return this._data.lifetimeMisbehaveScore;
+            return this._data.lifetimeMisbehaveScore || 0;
         }
 
         set lifetimeMisbehaveScore(score) {
@@ -97,12 +100,39 @@ module.exports = (Constants, PeerInfoProto) =>
         set lifetimeReceivedBytes(bytesCount) {
             this._data.lifetimeReceivedBytes = bytesCount;
         }
+
+        get lifetimeUsefulItems() {
+            return this._data.lifetimeUsefulItems || 0;
+        }
+
+        set lifetimeUsefulItems(nCount) {
+            this._data.lifetimeUsefulItems = nCount;
+        }
+
+        get tried() {
+            return !!this._data.tried;
+        }
+
+        set tried(bTried) {
+            this._data.tried = bTried;
+        }
+
+        get sourceGroup() {
+            return this._data.sourceGroup;
+        }
+
+        set sourceGroup(strGroup) {
+            this._data.sourceGroup = strGroup;
+        }
+
         /**
          *
-         * @param {Object} objAddress - {addr0, addr1, addr2, addr3}
-         * @return {Buffer}
+         * @param {Object} objAddress - {addr0, addr1, addr2, addr3} or {onion}
+         * @return {Buffer} - 16 bytes of IPv6 or 32 bytes of onion public key
          */
         static toAddress(objAddress) {
+            if (objAddress.onion && objAddress.onion.length) return Buffer.from(objAddress.onion);
+
             const buffer = Buffer.alloc(16);
             buffer.writeUInt32BE(objAddress.addr0, 0);
             buffer.writeUInt32BE(objAddress.addr1, 4);
@@ -114,9 +144,11 @@ module.exports = (Constants, PeerInfoProto) =>
         /**
          *
          * @param {Buffer} buff
-         * @return {Object} {addr0, addr1, addr2, addr3}
+         * @return {Object} {addr0, addr1, addr2, addr3} or {onion}
          */
         static fromAddress(buff) {
+            if (buff.length === ONION_PUBKEY_LENGTH) return {addr0: 0, addr1: 0, addr2: 0, addr3: 0, onion: buff};
+
             const objAddress = {};
             objAddress.addr0 = buff.readUInt32BE(0);
             objAddress.addr1 = buff.readUInt32BE(4);
@@ -7,7 +7,21 @@ const MsgBlockWrapper = require('./node/msgBlock');
 const MsgTxWrapper = require('./node/msgTx');
 const MsgInvWrapper = require('./node/msgInv');
 const MsgGetDataWrapper = require('./node/msgGetData');
+const MsgNotFoundWrapper = require('./node/msgNotFound');
 const MsgGetBlocksWrapper = require('./node/msgGetBlocks');
+const MsgGetHeadersWrapper = require('./node/msgGetHeaders');
+const MsgHeadersWrapper = require('./node/msgHeaders');
+const MsgGetTxProofsWrapper = require('./node/msgGetTxProofs');
+const MsgTxProofsWrapper = require('./node/msgTxProofs');
+const MsgFilterLoadWrapper = require('./node/msgFilterLoad');
+const MsgFilterAddWrapper = require('./node/msgFilterAdd');
+const MsgMerkleBlockWrapper = require('./node/msgMerkleBlock');
+const MsgCompactBlockWrapper = require('./node/msgCompactBlock');
+const MsgGetBlockTxnWrapper = require('./node/msgGetBlockTxn');
+const MsgBlockTxnWrapper = require('./node/msgBlockTxn');
+const MsgKeyExchangeWrapper = require('./node/msgKeyExchange');
+const MsgPingWrapper = require('./node/msgPing');
+const MsgPongWrapper = require('./node/msgPong');
 
 const PeerInfoWrapper = require('./includes/peerInfo');
 
@@ -19,13 +33,26 @@ const MsgWitnessBlockVoteWrapper = require('./witness/msgWitnessBlockVote.js');
 
 module.exports = (factory, objPrototypes) => {
 
-    const {Constants, Crypto, Block, Transaction, Inventory, ArrayOfHashes} = factory;
+    const {
+        Constants, Crypto, Block, CompactBlock, BlockInfo, Transaction, Inventory, ArrayOfHashes, BloomFilter
+    } = factory;
     const {
         messageProto,
         versionPayloadProto,
         addrPayloadProto,
         rejectPayloadProto,
-        getBlocksPayloadProto
+        getBlocksPayloadProto,
+        headersPayloadProto,
+        getTxProofsPayloadProto,
+        txProofsPayloadProto,
+        filterLoadPayloadProto,
+        filterAddPayloadProto,
+        merkleBlockPayloadProto,
+        getBlockTxnPayloadProto,
+        blockTxnPayloadProto,
+        keyExchangePayloadProto,
+        pingPayloadProto,
+        blockHeaderProto
     } = objPrototypes;
     const {witnessMessageProto, witnessNextRoundProto, witnessBlockVoteProto} = objPrototypes;
     const {peerInfoProto} = objPrototypes;
@@ -34,6 +61,7 @@ module.exports = (factory, objPrototypes) => {
     const MsgWitnessCommon = MsgWitnessCommonWrapper(Constants, Crypto, MsgCommon, witnessMessageProto);
     const MsgBlock = MsgBlockWrapper(Constants, Crypto, MsgCommon, Block);
     const MsgInv = MsgInvWrapper(Constants, Crypto, MsgCommon, Inventory);
+    const MsgGetBlocks = MsgGetBlocksWrapper(Constants, ArrayOfHashes, MsgCommon, getBlocksPayloadProto);
 
     return {
         MsgCommon,
@@ -44,14 +72,29 @@ module.exports = (factory, objPrototypes) => {
         MsgTx: MsgTxWrapper(Constants, Crypto, MsgCommon, Transaction),
         MsgInv,
         MsgGetData: MsgGetDataWrapper(Constants, Crypto, MsgInv),
-        MsgGetBlocks: MsgGetBlocksWrapper(Constants, ArrayOfHashes, MsgCommon, getBlocksPayloadProto),
+        MsgNotFound: MsgNotFoundWrapper(Constants, MsgInv),
+        MsgGetBlocks,
+        MsgGetHeaders: MsgGetHeadersWrapper(Constants, MsgGetBlocks),
+        MsgHeaders: MsgHeadersWrapper(Constants, MsgCommon, BlockInfo, headersPayloadProto, blockHeaderProto),
+        MsgGetTxProofs: MsgGetTxProofsWrapper(Constants, MsgCommon, getTxProofsPayloadProto),
+        MsgTxProofs: MsgTxProofsWrapper(Constants, MsgCommon, Transaction, txProofsPayloadProto),
+        MsgFilterLoad: MsgFilterLoadWrapper(Constants, MsgCommon, BloomFilter, filterLoadPayloadProto),
+        MsgFilterAdd: MsgFilterAddWrapper(Constants, MsgCommon, filterAddPayloadProto),
+        MsgMerkleBlock: MsgMerkleBlockWrapper(
+            Constants, MsgCommon, BlockInfo, Transaction, merkleBlockPayloadProto, blockHeaderProto),
+        MsgCompactBlock: MsgCompactBlockWrapper(Constants, MsgCommon, Block, CompactBlock),
+        MsgGetBlockTxn: MsgGetBlockTxnWrapper(Constants, MsgCommon, getBlockTxnPayloadProto),
+        MsgBlockTxn: MsgBlockTxnWrapper(Constants, MsgCommon, Transaction, blockTxnPayloadProto),
+        MsgKeyExchange: MsgKeyExchangeWrapper(Constants, MsgCommon, keyExchangePayloadProto),
+        MsgPing: MsgPingWrapper(Constants, MsgCommon, pingPayloadProto),
+        MsgPong: MsgPongWrapper(Constants, MsgCommon, pingPayloadProto),
 
         PeerInfo: PeerInfoWrapper(Constants, peerInfoProto),
 
         MsgWitnessCommon,
         MsgWitnessNextRound: MsgWitnessNextRoundWrapper(Constants, Crypto, MsgWitnessCommon, witnessNextRoundProto),
         MsgWitnessWitnessExpose: MsgWitnessExposeWrapper(Constants, Crypto, MsgWitnessCommon),
-        MsgWitnessBlock: MsgWitnessBlockWrapper(Constants, MsgWitnessCommon, Block),
+        MsgWitnessBlock: MsgWitnessBlockWrapper(Constants, MsgWitnessCommon, Block, CompactBlock),
         MsgWitnessBlockVote: MsgWitnessBlockVoteWrapper(Constants, Crypto, MsgWitnessCommon, witnessBlockVoteProto)
     };
 };
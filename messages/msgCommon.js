@@ -16,8 +16,21 @@ module.exports = (Constants, Crypto, MessageProto) => {
         MSG_TX,
         MSG_INV,
         MSG_GET_DATA,
+        MSG_NOT_FOUND,
         MSG_GET_BLOCKS,
         MSG_GET_MEMPOOL,
+        MSG_GET_HEADERS,
+        MSG_HEADERS,
+        MSG_GET_TX_PROOFS,
+        MSG_TX_PROOFS,
+        MSG_FILTER_LOAD,
+        MSG_FILTER_ADD,
+        MSG_FILTER_CLEAR,
+        MSG_MERKLE_BLOCK,
+        MSG_COMPACT_BLOCK,
+        MSG_GET_BLOCK_TXN,
+        MSG_BLOCK_TXN,
+        MSG_KEY_EXCHANGE,
         MSG_PING,
         MSG_PONG
     } = Constants.messageTypes;
@@ -114,6 +127,13 @@ module.exports = (Constants, Crypto, MessageProto) => {
             this.message = MSG_GET_MEMPOOL;
         }
 
+        /**
+         * MSG_FILTER_CLEAR just message w/o payload
+         */
+        set filterClearMessage(unused) {
+            this.message = MSG_FILTER_CLEAR;
+        }
+
         /**
          * ATTENTION! encodeDelimited will prefix buffer with length!
          *
@@ -192,6 +212,10 @@ module.exports = (Constants, Crypto, MessageProto) => {
             return this.message === MSG_GET_DATA;
         }
 
+        isNotFound() {
+            return this.message === MSG_NOT_FOUND;
+        }
+
         isGetBlocks() {
             return this.message === MSG_GET_BLOCKS;
         }
@@ -200,6 +224,54 @@ module.exports = (Constants, Crypto, MessageProto) => {
             return this.message === MSG_GET_MEMPOOL;
         }
 
+        isGetHeaders() {
+            return this.message === MSG_GET_HEADERS;
+        }
+
+        isHeaders() {
+            return this.message === MSG_HEADERS;
+        }
+
+        isGetTxProofs() {
+            return this.message === MSG_GET_TX_PROOFS;
+        }
+
+        isTxProofs() {
+            return this.message === MSG_TX_PROOFS;
+        }
+
+        isFilterLoad() {
+            return this.message === MSG_FILTER_LOAD;
+        }
+
+        isFilterAdd() {
+            return this.message === MSG_FILTER_ADD;
+        }
+
+        isFilterClear() {
+            return this.message === MSG_FILTER_CLEAR;
+        }
+
+        isMerkleBlock() {
+            return this.message === MSG_MERKLE_BLOCK;
+        }
+
+        isCompactBlock() {
+            return this.message === MSG_COMPACT_BLOCK;
+        }
+
+        isGetBlockTxn() {
+            return this.message === MSG_GET_BLOCK_TXN;
+        }
+
+        isBlockTxn() {
+            return this.message === MSG_BLOCK_TXN;
+        }
+
+        isKeyExchange() {
+            return this.message === MSG_KEY_EXCHANGE;
+        }
+
         isPing() {
             return this.message === MSG_PING;
         }
@@ -0,0 +1,77 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Transaction} Transaction
+ * @param {Object} BlockTxnPayloadProto - protobuf compiled BlockTxnPayload prototype
+ * @return {{new(*): MessageBlockTxn}}
+ */
+module.exports = (Constants, MessageCommon, Transaction, BlockTxnPayloadProto) => {
+    const {MSG_BLOCK_TXN} = Constants.messageTypes;
+
+    return class MessageBlockTxn extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Buffer} data.blockHash
+         * @param {Array} data.txns - of encoded Transactions
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isBlockTxn()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_BLOCK_TXN}" got "${this.message}"`);
+                }
+
+                this._data = {...BlockTxnPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {txns: []};
+
+                if (typeof data === 'object') {
+                    const errMsg = BlockTxnPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageBlockTxn: ${errMsg}`);
+
+                    this._data = BlockTxnPayloadProto.create(data);
+                }
+                this.message = MSG_BLOCK_TXN;
+            }
+        }
+
+        /**
+         *
+         * @return {String}
+         */
+        get strBlockHash() {
+            return Buffer.from(this._data.blockHash).toString('hex');
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         */
+        addTx(tx) {
+            this._data.txns.push(tx.encode());
+        }
+
+        /**
+         *
+         * @return {Array} of Transactions
+         */
+        get arrTxns() {
+            return this._data.txns.map(buffTx => new Transaction(Buffer.from(buffTx)));
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = BlockTxnPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
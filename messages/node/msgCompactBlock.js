@@ -0,0 +1,52 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Block} Block
+ * @param {CompactBlock} CompactBlock
+ * @return {{new(*): MessageCompactBlock}}
+ */
+module.exports = (Constants, MessageCommon, Block, CompactBlock) => {
+    const {MSG_COMPACT_BLOCK} = Constants.messageTypes;
+
+    return class MessageCompactBlock extends MessageCommon {
+
+        /**
+         *
+         * @param {Block | MessageCommon | Buffer} data
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isCompactBlock()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_COMPACT_BLOCK}" got "${this.message}"`);
+                }
+            } else {
+                super();
+                if (data instanceof Block) this.compactBlock = new CompactBlock(data);
+                this.message = MSG_COMPACT_BLOCK;
+            }
+        }
+
+        /**
+         *
+         * @return {CompactBlock}
+         */
+        get compactBlock() {
+            if (!this.payload) throw TypeError(`Message payload is empty!`);
+            return new CompactBlock(this.payload);
+        }
+
+        /**
+         *
+         * @param {CompactBlock} compactBlock
+         */
+        set compactBlock(compactBlock) {
+            if (!(compactBlock instanceof CompactBlock)) {
+                throw TypeError(`Bad block. Expected instance of CompactBlock, got ${compactBlock}`);
+            }
+            this.payload = compactBlock.encode();
+        }
+    };
+};
@@ -0,0 +1,59 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} FilterAddPayloadProto - protobuf compiled FilterAddPayload prototype
+ * @return {{new(*): MessageFilterAdd}}
+ */
+module.exports = (Constants, MessageCommon, FilterAddPayloadProto) => {
+    const {MSG_FILTER_ADD} = Constants.messageTypes;
+
+    return class MessageFilterAdd extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Buffer} data.data - element to add into loaded filter (address, TX hash, outpoint)
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isFilterAdd()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_FILTER_ADD}" got "${this.message}"`);
+                }
+
+                this._data = {...FilterAddPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {};
+
+                if (typeof data === 'object') {
+                    const errMsg = FilterAddPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageFilterAdd: ${errMsg}`);
+
+                    this._data = FilterAddPayloadProto.create(data);
+                }
+                this.message = MSG_FILTER_ADD;
+            }
+        }
+
+        /**
+         *
+         * @return {Buffer}
+         */
+        get data() {
+            return Buffer.from(this._data.data || []);
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = FilterAddPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
@@ -0,0 +1,68 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {BloomFilter} BloomFilter
+ * @param {Object} FilterLoadPayloadProto - protobuf compiled FilterLoadPayload prototype
+ * @return {{new(*): MessageFilterLoad}}
+ */
+module.exports = (Constants, MessageCommon, BloomFilter, FilterLoadPayloadProto) => {
+    const {MSG_FILTER_LOAD} = Constants.messageTypes;
+
+    return class MessageFilterLoad extends MessageCommon {
+
+        /**
+         *
+         * @param {BloomFilter|MessageCommon|Buffer} data
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isFilterLoad()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_FILTER_LOAD}" got "${this.message}"`);
+                }
+
+                this._data = {...FilterLoadPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {};
+
+                if (data instanceof BloomFilter) this.bloomFilter = data;
+                this.message = MSG_FILTER_LOAD;
+            }
+        }
+
+        /**
+         *
+         * @return {BloomFilter}
+         */
+        get bloomFilter() {
+            const {filter, nHashFuncs, nTweak, nFlags} = this._data;
+            return new BloomFilter({filter: Buffer.from(filter || []), nHashFuncs: nHashFuncs || 0, nTweak, nFlags});
+        }
+
+        /**
+         *
+         * @param {BloomFilter} filter
+         */
+        set bloomFilter(filter) {
+            this._data = {
+                filter: filter.filter,
+                nHashFuncs: filter.nHashFuncs,
+                nTweak: filter.nTweak,
+                nFlags: filter.nFlags
+            };
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = FilterLoadPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
@@ -0,0 +1,68 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} GetBlockTxnPayloadProto - protobuf compiled GetBlockTxnPayload prototype
+ * @return {{new(*): MessageGetBlockTxn}}
+ */
+module.exports = (Constants, MessageCommon, GetBlockTxnPayloadProto) => {
+    const {MSG_GET_BLOCK_TXN} = Constants.messageTypes;
+
+    return class MessageGetBlockTxn extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Buffer} data.blockHash
+         * @param {Array} data.indexes - of Numbers
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isGetBlockTxn()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_GET_BLOCK_TXN}" got "${this.message}"`);
+                }
+
+                this._data = {...GetBlockTxnPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {indexes: []};
+
+                if (typeof data === 'object') {
+                    const errMsg = GetBlockTxnPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageGetBlockTxn: ${errMsg}`);
+
+                    this._data = GetBlockTxnPayloadProto.create(data);
+                }
+                this.message = MSG_GET_BLOCK_TXN;
+            }
+        }
+
+        /**
+         *
+         * @return {String}
+         */
+        get strBlockHash() {
+            return Buffer.from(this._data.blockHash).toString('hex');
+        }
+
+        /**
+         *
+         * @return {Array} of Numbers
+         */
+        get arrIndexes() {
+            return this._data.indexes;
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = GetBlockTxnPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
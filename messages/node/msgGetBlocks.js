@@ -7,7 +7,7 @@
  * @return {{new(*): MessageAddr}}
  */
 module.exports = (Constants, ArrayOfHashes, MessageCommon, GetBlocksPayloadProto) => {
-    const {MSG_GET_BLOCKS} = Constants.messageTypes;
+    const {MSG_GET_BLOCKS, MSG_GET_HEADERS} = Constants.messageTypes;
 
     return class MessageGetBlocks extends MessageCommon {
 
@@ -19,8 +19,9 @@ module.exports = (Constants, ArrayOfHashes, MessageCommon, GetBlocksPayloadProto
 
             if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
                 super(data);
-                if (!this.isGetBlocks()) {
-                    throw new Error(`Wrong message type. Expected "${MSG_GET_BLOCKS}" got "${this.message}"`);
+                if (!(this.isGetBlocks() || this.isGetHeaders())) {
+                    throw new Error(
+                        `Wrong message type. Expected "${MSG_GET_BLOCKS} | ${MSG_GET_HEADERS}" got "${this.message}"`);
                 }
 
                 this._data = {...GetBlocksPayloadProto.decode(this.payload)};
@@ -0,0 +1,24 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {MessageGetBlocks} MessageGetBlocks
+ * @return {{new(*): MessageGetHeaders}}
+ */
+module.exports = (Constants, MessageGetBlocks) => {
+    const {MSG_GET_HEADERS} = Constants.messageTypes;
+
+    /**
+     * Same locator as MSG_GET_BLOCKS, but response is MSG_HEADERS (used by light nodes)
+     */
+    return class MessageGetHeaders extends MessageGetBlocks {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         */
+        constructor(data) {
+            super(data);
+            this.message = MSG_GET_HEADERS;
+        }
+    };
+};
@@ -0,0 +1,72 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} GetTxProofsPayloadProto - protobuf compiled GetTxProofsPayload prototype
+ * @return {{new(*): MessageGetTxProofs}}
+ */
+module.exports = (Constants, MessageCommon, GetTxProofsPayloadProto) => {
+    const {MSG_GET_TX_PROOFS} = Constants.messageTypes;
+
+    return class MessageGetTxProofs extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Array} data.addresses - of Buffers
+         * @param {Number} data.fromHeight
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isGetTxProofs()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_GET_TX_PROOFS}" got "${this.message}"`);
+                }
+
+                this._data = {...GetTxProofsPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {addresses: []};
+
+                if (typeof data === 'object') {
+                    const errMsg = GetTxProofsPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageGetTxProofs: ${errMsg}`);
+
+                    this._data = GetTxProofsPayloadProto.create(data);
+                }
+                this.message = MSG_GET_TX_PROOFS;
+            }
+        }
+
+        /**
+         *
+         * @returns {Array} of strings!
+         */
+        get arrAddresses() {
+            return this._data.addresses.map(addr => Buffer.from(addr).toString('hex'));
+        }
+
+        set arrAddresses(arrAddresses) {
+            this._data.addresses = arrAddresses.map(strAddr => Buffer.from(strAddr, 'hex'));
+        }
+
+        get fromHeight() {
+            return this._data.fromHeight || 0;
+        }
+
+        set fromHeight(nHeight) {
+            this._data.fromHeight = nHeight;
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = GetTxProofsPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
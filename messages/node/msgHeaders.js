@@ -0,0 +1,72 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {BlockInfo} BlockInfo
+ * @param {Object} HeadersPayloadProto - protobuf compiled HeadersPayload prototype
+ * @param {Object} BlockHeaderProto - protobuf compiled BlockHeader prototype
+ * @return {{new(*): MessageHeaders}}
+ */
+module.exports = (Constants, MessageCommon, BlockInfo, HeadersPayloadProto, BlockHeaderProto) => {
+    const {MSG_HEADERS} = Constants.messageTypes;
+
+    return class MessageHeaders extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Array} data.headers - of {header: Buffer, signatures: Array of Buffers}
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isHeaders()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_HEADERS}" got "${this.message}"`);
+                }
+
+                this._data = {...HeadersPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {headers: []};
+
+                if (typeof data === 'object') {
+                    const errMsg = HeadersPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageHeaders: ${errMsg}`);
+
+                    this._data = HeadersPayloadProto.create(data);
+                }
+                this.message = MSG_HEADERS;
+            }
+        }
+
+        /**
+         *
+         * @param {Block} block - header will be sent with witnesses signatures
+         */
+        addBlock(block) {
+            this._data.headers.push({header: block.encodeHeader(), signatures: block.signatures});
+        }
+
+        /**
+         *
+         * @return {Array} of {blockInfo: BlockInfo, arrSignatures: Array of Buffers}
+         */
+        get arrSignedHeaders() {
+            return this._data.headers.map(({header, signatures}) => ({
+                blockInfo: new BlockInfo(BlockHeaderProto.decode(header)),
+                arrSignatures: signatures.map(sig => Buffer.from(sig))
+            }));
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = HeadersPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
@@ -7,7 +7,7 @@
  * @return {{new(*): MessageInv}}
  */
 module.exports = (Constants, Crypto, MessageCommon, Inventory) => {
-    const {MSG_INV, MSG_GET_DATA} = Constants.messageTypes;
+    const {MSG_INV, MSG_GET_DATA, MSG_NOT_FOUND} = Constants.messageTypes;
 
     return class MessageInv extends MessageCommon {
 
@@ -19,8 +19,9 @@ module.exports = (Constants, Crypto, MessageCommon, Inventory) => {
             super(data);
 
             if ((data instanceof MessageCommon || Buffer.isBuffer(data)) &&
-                !(this.isInv() || this.isGetData())) {
-                throw new Error(`Wrong message type. Expected "${MSG_INV} | ${MSG_GET_DATA}" got "${this.message}"`);
+                !(this.isInv() || this.isGetData() || this.isNotFound())) {
+                throw new Error(`Wrong message type. Expected "${MSG_INV} | ${MSG_GET_DATA} | ${MSG_NOT_FOUND}" got "${
+                    this.message}"`);
             } else {
                 if (data instanceof Inventory) this.inventory = data;
                 this.message = MSG_INV;
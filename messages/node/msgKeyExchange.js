@@ -0,0 +1,69 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} KeyExchangePayloadProto - protobuf compiled KeyExchangePayload prototype
+ * @return {{new(*): MessageKeyExchange}}
+ */
+module.exports = (Constants, MessageCommon, KeyExchangePayloadProto) => {
+    const {MSG_KEY_EXCHANGE} = Constants.messageTypes;
+
+    /**
+     * Handshake of encrypted transport. It's always sent in plain, all messages after it - encrypted
+     * @see network/secureChannel.js
+     */
+    return class MessageKeyExchange extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Buffer} data.identityKey - compressed public key
+         * @param {Buffer} data.ephemeralKey - compressed public key
+         */
+        constructor(data) {
+            if (!data) throw new Error('You should pass data to constructor');
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isKeyExchange()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_KEY_EXCHANGE}" got "${this.message}"`);
+                }
+
+                this._data = {...KeyExchangePayloadProto.decode(this.payload)};
+            } else {
+                super();
+                const errMsg = KeyExchangePayloadProto.verify(data);
+                if (errMsg) throw new Error(`MessageKeyExchange: ${errMsg}`);
+
+                this._data = KeyExchangePayloadProto.create(data);
+                this.message = MSG_KEY_EXCHANGE;
+            }
+        }
+
+        /**
+         *
+         * @return {String} hex
+         */
+        get identityKey() {
+            return Buffer.from(this._data.identityKey).toString('hex');
+        }
+
+        /**
+         *
+         * @return {String} hex
+         */
+        get ephemeralKey() {
+            return Buffer.from(this._data.ephemeralKey).toString('hex');
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = KeyExchangePayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
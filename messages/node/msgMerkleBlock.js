@@ -0,0 +1,93 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {BlockInfo} BlockInfo
+ * @param {Transaction} Transaction
+ * @param {Object} MerkleBlockPayloadProto - protobuf compiled MerkleBlockPayload prototype
+ * @param {Object} BlockHeaderProto - protobuf compiled BlockHeader prototype
+ * @return {{new(*): MessageMerkleBlock}}
+ */
+module.exports = (Constants, MessageCommon, BlockInfo, Transaction, MerkleBlockPayloadProto, BlockHeaderProto) => {
+    const {MSG_MERKLE_BLOCK} = Constants.messageTypes;
+
+    return class MessageMerkleBlock extends MessageCommon {
+
+        /**
+         *
+         * @param {Block|MessageCommon|Buffer} data - Block: header & signatures will be sent, add TXns with addTx
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isMerkleBlock()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_MERKLE_BLOCK}" got "${this.message}"`);
+                }
+
+                this._data = {...MerkleBlockPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {txns: []};
+
+                if (data) this._data.block = {header: data.encodeHeader(), signatures: data.signatures};
+                this.message = MSG_MERKLE_BLOCK;
+            }
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {Array} arrBranch - @see Block.getTxProof
+         */
+        addTx(tx, arrBranch) {
+            this._data.txns.push({
+                tx: tx.encode(),
+                branch: arrBranch.map(({position, hash}) => ({
+                    left: position === 'left',
+                    hash: Buffer.from(hash, 'hex')
+                }))
+            });
+        }
+
+        /**
+         *
+         * @return {BlockInfo}
+         */
+        get blockInfo() {
+            return new BlockInfo(BlockHeaderProto.decode(this._data.block.header));
+        }
+
+        /**
+         *
+         * @return {Array} of Buffers
+         */
+        get arrSignatures() {
+            return this._data.block.signatures.map(sig => Buffer.from(sig));
+        }
+
+        /**
+         *
+         * @return {Array} of {tx: Transaction, arrBranch: Array}. arrBranch @see Block.getTxProof
+         */
+        get arrMatchedTxns() {
+            return this._data.txns.map(({tx, branch}) => ({
+                tx: new Transaction(Buffer.from(tx)),
+                arrBranch: branch.map(({left, hash}) => ({
+                    position: left ? 'left' : 'right',
+                    hash: Buffer.from(hash).toString('hex')
+                }))
+            }));
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = MerkleBlockPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
@@ -0,0 +1,24 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {MessageInv} MessageInv
+ * @return {{new(*): MessageNotFound}}
+ */
+module.exports = (Constants, MessageInv) => {
+    const {MSG_NOT_FOUND} = Constants.messageTypes;
+
+    /**
+     * Answer to MSG_GET_DATA for vectors we can't (or don't want to) serve now, so requester could ask other peer
+     */
+    return class MessageNotFound extends MessageInv {
+
+        /**
+         *
+         * @param {Inventory | Buffer} data
+         */
+        constructor(data) {
+            super(data);
+            this.message = MSG_NOT_FOUND;
+        }
+    };
+};
@@ -0,0 +1,63 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} PingPayloadProto - protobuf compiled PingPayload prototype
+ * @return {{new(*): MessagePing}}
+ */
+module.exports = (Constants, MessageCommon, PingPayloadProto) => {
+    const {MSG_PING} = Constants.messageTypes;
+
+    /**
+     * Heartbeat. Peer should answer with MSG_PONG with same nonce
+     */
+    return class MessagePing extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Number} data.nonce - to match MSG_PONG
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isPing()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_PING}" got "${this.message}"`);
+                }
+
+                // old nodes send it w/o payload
+                this._data = {...PingPayloadProto.decode(this.payload || Buffer.alloc(0))};
+            } else {
+                super();
+                this._data = {};
+
+                if (typeof data === 'object') {
+                    const errMsg = PingPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessagePing: ${errMsg}`);
+
+                    this._data = PingPayloadProto.create(data);
+                }
+                this.message = MSG_PING;
+            }
+        }
+
+        /**
+         *
+         * @return {Number}
+         */
+        get nonce() {
+            return this._data.nonce || 0;
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = PingPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
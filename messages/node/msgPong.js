@@ -0,0 +1,63 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Object} PingPayloadProto - protobuf compiled PingPayload prototype
+ * @return {{new(*): MessagePong}}
+ */
+module.exports = (Constants, MessageCommon, PingPayloadProto) => {
+    const {MSG_PONG} = Constants.messageTypes;
+
+    /**
+     * Answer to MSG_PING, nonce copied from it
+     */
+    return class MessagePong extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Number} data.nonce - of MSG_PING we answer
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isPong()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_PONG}" got "${this.message}"`);
+                }
+
+                // old nodes send it w/o payload
+                this._data = {...PingPayloadProto.decode(this.payload || Buffer.alloc(0))};
+            } else {
+                super();
+                this._data = {};
+
+                if (typeof data === 'object') {
+                    const errMsg = PingPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessagePong: ${errMsg}`);
+
+                    this._data = PingPayloadProto.create(data);
+                }
+                this.message = MSG_PONG;
+            }
+        }
+
+        /**
+         *
+         * @return {Number}
+         */
+        get nonce() {
+            return this._data.nonce || 0;
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = PingPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
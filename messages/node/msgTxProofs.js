@@ -0,0 +1,84 @@
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} MessageCommon
+ * @param {Transaction} Transaction
+ * @param {Object} TxProofsPayloadProto - protobuf compiled TxProofsPayload prototype
+ * @return {{new(*): MessageTxProofs}}
+ */
+module.exports = (Constants, MessageCommon, Transaction, TxProofsPayloadProto) => {
+    const {MSG_TX_PROOFS} = Constants.messageTypes;
+
+    return class MessageTxProofs extends MessageCommon {
+
+        /**
+         *
+         * @param {Object|Buffer} data
+         * @param {Array} data.proofs - of {tx: Buffer, blockHash: Buffer, branch: Array of {left, hash}}
+         */
+        constructor(data) {
+
+            if (data instanceof MessageCommon || Buffer.isBuffer(data)) {
+                super(data);
+                if (!this.isTxProofs()) {
+                    throw new Error(`Wrong message type. Expected "${MSG_TX_PROOFS}" got "${this.message}"`);
+                }
+
+                this._data = {...TxProofsPayloadProto.decode(this.payload)};
+            } else {
+                super();
+                this._data = {proofs: []};
+
+                if (typeof data === 'object') {
+                    const errMsg = TxProofsPayloadProto.verify(data);
+                    if (errMsg) throw new Error(`MessageTxProofs: ${errMsg}`);
+
+                    this._data = TxProofsPayloadProto.create(data);
+                }
+                this.message = MSG_TX_PROOFS;
+            }
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {String} strBlockHash
+         * @param {Array} arrBranch - @see Block.getTxProof
+         */
+        addProof(tx, strBlockHash, arrBranch) {
+            this._data.proofs.push({
+                tx: tx.encode(),
+                blockHash: Buffer.from(strBlockHash, 'hex'),
+                branch: arrBranch.map(({position, hash}) => ({
+                    left: position === 'left',
+                    hash: Buffer.from(hash, 'hex')
+                }))
+            });
+        }
+
+        /**
+         *
+         * @return {Array} of {tx: Transaction, strBlockHash: String, arrBranch: Array}. arrBranch @see Block.getTxProof
+         */
+        get arrProofs() {
+            return this._data.proofs.map(({tx, blockHash, branch}) => ({
+                tx: new Transaction(Buffer.from(tx)),
+                strBlockHash: Buffer.from(blockHash).toString('hex'),
+                arrBranch: branch.map(({left, hash}) => ({
+                    position: left ? 'left' : 'right',
+                    hash: Buffer.from(hash).toString('hex')
+                }))
+            }));
+        }
+
+        /**
+         * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
+         *
+         * @return {Uint8Array}
+         */
+        encode() {
+            this.payload = TxProofsPayloadProto.encode(this._data).finish();
+            return super.encode();
+        }
+    };
+};
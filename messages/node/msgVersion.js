@@ -16,6 +16,7 @@ module.exports = (Constants, MessageCommon, VersionPayloadProto) => {
          * @param {Number} data.protocolVersion - current protocol version
          * @param {Object} data.peerInfo - @see network.proto.PeerInfo
          * @param {Number} data.height - curent DB height (length of MainChain)
+         * @param {Number} data.prunedHeight - blocks below this height aren't served (0 - archival node)
          */
         constructor(data) {
             if (!data) throw new Error('You should pass data to constructor');
@@ -65,6 +66,14 @@ module.exports = (Constants, MessageCommon, VersionPayloadProto) => {
         get msecTime() {
             return 1000 * this._data.timeStamp;
         }
+
+        get prunedHeight() {
+            return this._data.prunedHeight || 0;
+        }
+
+        isPruned() {
+            return !!this.prunedHeight;
+        }
         /**
          * ATTENTION! for payload we'll use encode NOT encodeDelimited as for entire Message
          *
@@ -3,11 +3,16 @@
  * @param {Object} Constants
  * @param {WitnessMessageCommon} WitnessMessageCommon
  * @param {Block} Block
+ * @param {CompactBlock} CompactBlock
  * @return {{new(*): WitnessMessageBlock}}
  */
-module.exports = (Constants, WitnessMessageCommon, Block) => {
+module.exports = (Constants, WitnessMessageCommon, Block, CompactBlock) => {
     const {MSG_WITNESS_BLOCK} = Constants.messageTypes;
 
+    /**
+     * Content is full block, or compact one (@see CompactBlock) for witnesses that advertised
+     * Constants.COMPACT_BLOCKS: they already have most of TXns in mempool
+     */
     return class WitnessMessageBlock extends WitnessMessageCommon {
         constructor(data) {
             super(data);
@@ -40,5 +45,25 @@ module.exports = (Constants, WitnessMessageCommon, Block) => {
             }
             this.content = cBlock.encode();
         }
+
+        /**
+         *
+         * @return {CompactBlock}
+         */
+        get compactBlock() {
+            if (!this.content) throw TypeError(`Message content is empty!`);
+            return new CompactBlock(this.content);
+        }
+
+        /**
+         *
+         * @param {Block} cBlock
+         */
+        set compactBlock(cBlock) {
+            if (!(cBlock instanceof Block)) {
+                throw TypeError(`Bad block. Expected instance of Block, got ${cBlock}`);
+            }
+            this.content = new CompactBlock(cBlock).encode();
+        }
     };
 };
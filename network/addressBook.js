@@ -0,0 +1,188 @@
+const net = require('net');
+const ipaddr = require('ipaddr.js');
+const assert = require('assert');
+
+/**
+ *
+ * @param {Object} Constants
+ * @param {Object} Crypto
+ * @return {{new(*): AddressBook}}
+ */
+module.exports = ({Constants, Crypto}) =>
+
+    /**
+     * Bitcoin's addrman like tables of known peers (keys of PeerManager).
+     * "new" - addresses we heard of, bucket depends on network group of address & of source told us about it.
+     * "tried" - addresses we connected at least once, bucket depends on address & its network group.
+     * Buckets are selected by secret key, so attacker couldn't predict them; one source (or subnet)
+     * could fill only limited amount of buckets, so it couldn't eclipse us.
+     */
+    class AddressBook {
+
+        /**
+         *
+         * @param {Function} fnGetPeer - (strKey) => Peer | undefined
+         * @param {Buffer} buffKey - secret for bucket selection
+         */
+        constructor(fnGetPeer, buffKey = Crypto.randomBytes(32)) {
+            this._fnGetPeer = fnGetPeer;
+            this._buffKey = buffKey;
+
+            this._arrNewBuckets = Array.from({length: Constants.ADDRBOOK_NEW_BUCKETS}, () => new Set());
+            this._arrTriedBuckets = Array.from({length: Constants.ADDRBOOK_TRIED_BUCKETS}, () => new Set());
+
+            // keys - @see PeerManager._createKey, values - {nBucket, bTried, strGroup, strSourceGroup}
+            this._mapEntries = new Map();
+        }
+
+        /**
+         *
+         * @return {Buffer}
+         */
+        get key() {
+            return this._buffKey;
+        }
+
+        /**
+         * /16 for IPv4, /32 for IPv6. Addresses of one group are most probably controlled by one party
+         *
+         * @param {String} strAddress
+         * @return {String}
+         */
+        static getGroup(strAddress) {
+            if (strAddress.endsWith('.onion')) return `onion:${strAddress[0]}`;
+
+            // not an IP (test transport)
+            if (!net.isIP(strAddress)) return strAddress;
+
+            let addr = ipaddr.parse(strAddress);
+            if (addr.kind() === 'ipv6' && addr.isIPv4MappedAddress()) addr = addr.toIPv4Address();
+
+            return addr.kind() === 'ipv4'
+                ? `${addr.octets.slice(0, 2).join('.')}/16`
+                : `${addr.parts.slice(0, 2).map(nPart => nPart.toString(16)).join(':')}/32`;
+        }
+
+        has(strKey) {
+            return this._mapEntries.has(strKey);
+        }
+
+        isTried(strKey) {
+            return this.has(strKey) && this._mapEntries.get(strKey).bTried;
+        }
+
+        getSourceGroup(strKey) {
+            return this.has(strKey) ? this._mapEntries.get(strKey).strSourceGroup : undefined;
+        }
+
+        get size() {
+            return this._mapEntries.size;
+        }
+
+        /**
+         * Put address into "new" table.
+         * If bucket is full - we'll replace terrible entry, or reject new address
+         *
+         * @param {String} strKey
+         * @param {String} strGroup - of address
+         * @param {String} strSourceGroup - of peer that told us about address
+         * @return {{bAdded: Boolean, strEvictedKey: String | undefined}}
+         */
+        add(strKey, strGroup, strSourceGroup) {
+            if (this.has(strKey)) return {bAdded: true};
+
+            const nHash = this._hash([strGroup, strSourceGroup], Constants.ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP);
+            const nBucket = this._hash(['new', strSourceGroup, nHash], Constants.ADDRBOOK_NEW_BUCKETS);
+            const setBucket = this._arrNewBuckets[nBucket];
+
+            let strEvictedKey;
+            if (setBucket.size >= Constants.ADDRBOOK_BUCKET_SIZE) {
+                strEvictedKey = Array.from(setBucket).find(strBucketKey => this._isTerrible(strBucketKey));
+                if (!strEvictedKey) return {bAdded: false};
+                this.remove(strEvictedKey);
+            }
+
+            setBucket.add(strKey);
+            this._mapEntries.set(strKey, {nBucket, bTried: false, strGroup, strSourceGroup});
+            return {bAdded: true, strEvictedKey};
+        }
+
+        /**
+         * We connected to address, move it to "tried" table.
+         * If bucket is full - worst scored entry of it will be moved back to "new" table
+         *
+         * @param {String} strKey
+         * @param {String} strGroup
+         * @return {Array} - keys of entries that lost their places in both tables
+         */
+        markTried(strKey, strGroup) {
+            assert(this.has(strKey), `Key ${strKey} not found in address book`);
+            if (this.isTried(strKey)) return [];
+
+            const {strSourceGroup} = this._mapEntries.get(strKey);
+            this.remove(strKey);
+
+            const nHash = this._hash([strKey], Constants.ADDRBOOK_TRIED_BUCKETS_PER_GROUP);
+            const nBucket = this._hash(['tried', strGroup, nHash], Constants.ADDRBOOK_TRIED_BUCKETS);
+            const setBucket = this._arrTriedBuckets[nBucket];
+
+            const arrDroppedKeys = [];
+            if (setBucket.size >= Constants.ADDRBOOK_BUCKET_SIZE) {
+                const strWorstKey = this._findWorst(setBucket);
+                const worstEntry = this._mapEntries.get(strWorstKey);
+                this.remove(strWorstKey);
+
+                const {bAdded, strEvictedKey} = this.add(strWorstKey, worstEntry.strGroup, worstEntry.strSourceGroup);
+                if (!bAdded) arrDroppedKeys.push(strWorstKey);
+                if (strEvictedKey) arrDroppedKeys.push(strEvictedKey);
+            }
+
+            setBucket.add(strKey);
+            this._mapEntries.set(strKey, {nBucket, bTried: true, strGroup, strSourceGroup});
+            return arrDroppedKeys;
+        }
+
+        remove(strKey) {
+            const entry = this._mapEntries.get(strKey);
+            if (!entry) return;
+
+            const arrBuckets = entry.bTried ? this._arrTriedBuckets : this._arrNewBuckets;
+            arrBuckets[entry.nBucket].delete(strKey);
+            this._mapEntries.delete(strKey);
+        }
+
+        _isTerrible(strKey) {
+            const peer = this._fnGetPeer(strKey);
+            return !peer || peer.isTerrible();
+        }
+
+        /**
+         * Connected peers are the last candidates
+         *
+         * @param {Set} setBucket
+         * @return {String}
+         * @private
+         */
+        _findWorst(setBucket) {
+            const fnRank = (strKey) => {
+                const peer = this._fnGetPeer(strKey);
+                if (!peer) return -Infinity;
+                return peer.disconnected ? peer.score : Infinity;
+            };
+
+            return Array.from(setBucket)
+                .reduce((strWorst, strKey) => fnRank(strKey) < fnRank(strWorst) ? strKey : strWorst);
+        }
+
+        /**
+         *
+         * @param {Array} arrParts
+         * @param {Number} nModulo
+         * @return {Number}
+         * @private
+         */
+        _hash(arrParts, nModulo) {
+            const buffHash = Crypto.createHashBuffer(Buffer.concat([this._buffKey, Buffer.from(arrParts.join('|'))]));
+            return buffHash.readUInt32BE(0) % nModulo;
+        }
+    };
@@ -8,13 +8,22 @@ const {sleep} = require('../utils');
  */
 
 
-module.exports = (Serializer, MessageAssembler, Transport, Constants) =>
+module.exports = (Serializer, MessageAssembler, Constants, SecureChannel) =>
     class Connection extends EventEmitter {
+
+        /**
+         *
+         * @param {Object} options
+         * @param {Socket} options.socket
+         * @param {Number} options.timeout
+         * @param {KeyPair | undefined} options.identityKeyPair - without it encryption is unavailable
+         */
         constructor(options) {
             super();
 
             this._timeout = options.timeout || Constants.CONNECTION_TIMEOUT;
             this._socket = options.socket;
+            this._identityKeyPair = options.identityKeyPair;
 
             if (!this._socket) throw new Error('No socket!');
             //            this._socket.write = util.promisify(this._socket.write);
@@ -43,13 +52,94 @@ module.exports = (Serializer, MessageAssembler, Transport, Constants) =>
             return this._socket.remotePort;
         }
 
+        /**
+         *
+         * @return {boolean}
+         */
+        get encrypted() {
+            return !!this._secureChannel && this._secureChannel.isEstablished() && !this._socket.destroyed;
+        }
+
+        /**
+         *
+         * @return {String | undefined} - hex
+         */
+        get remoteIdentityKey() {
+            return this._secureChannel ? this._secureChannel.remoteIdentityKey : undefined;
+        }
+
+        /**
+         * Send our handshake. All messages after it will be encrypted (they wait for remote handshake).
+         * Remote side (if it didn't start encryption itself) will respond with own handshake
+         *
+         * @param {String | undefined} strRemoteIdentityKey - expected (advertised in MSG_VERSION) identity of remote
+         * @return {Promise<void>} - resolved when channel established (or connection closed)
+         */
+        startEncryption(strRemoteIdentityKey) {
+            if (!this._identityKeyPair) throw new Error('Encryption unavailable: no identity key');
+
+            this._strExpectedIdentityKey = strRemoteIdentityKey;
+            if (!this._secureChannel) {
+                this._sendHandshake();
+            } else if (this.encrypted) {
+                this._checkRemoteIdentity();
+            }
+
+            return this._channelReadyPromise;
+        }
+
         /**
          *
          * @param {MsgCommon} message - message to send to peer
          */
         async sendMessage(message) {
             debug(`(Nonce: ${this._nonce}) sendMessage "${message.message}"`);
-            return this._socket.write(Serializer.serialize(message));
+            if (!this._secureChannel) return this._socket.write(Serializer.serialize(message));
+
+            await this._channelReadyPromise;
+
+            // connection closed before remote handshake
+            if (!this.encrypted) return false;
+            return this._socket.write(this._secureChannel.encryptFrame(Serializer.serialize(message)));
+        }
+
+        _sendHandshake() {
+            this._secureChannel = new SecureChannel(this._identityKeyPair);
+            this._channelReadyPromise = new Promise(resolve => this._fnChannelReady = resolve);
+            this._handshakeTimer = setTimeout(() => {
+                if (!this.encrypted) {
+                    logger.error(`Encryption handshake with ${this.remoteAddress} timed out`);
+                    this.close();
+                }
+            }, this._timeout);
+
+            debug(`(Nonce: ${this._nonce}) sending handshake`);
+            this._socket.write(Serializer.serialize(this._secureChannel.createHandshakeMessage()));
+        }
+
+        /**
+         *
+         * @param {MsgCommon} msg - MSG_KEY_EXCHANGE
+         * @private
+         */
+        _handleHandshake(msg) {
+            if (!this._identityKeyPair) throw new Error('Unexpected handshake: no identity key');
+
+            // remote initiated encryption
+            if (!this._secureChannel) this._sendHandshake();
+
+            this._secureChannel.establish(msg);
+            if (this._strExpectedIdentityKey) this._checkRemoteIdentity();
+
+            clearTimeout(this._handshakeTimer);
+            debug(`(Nonce: ${this._nonce}) channel encrypted`);
+            this._fnChannelReady();
+        }
+
+        _checkRemoteIdentity() {
+            if (this._secureChannel.remoteIdentityKey !== this._strExpectedIdentityKey) {
+                throw new Error(`Identity key of ${this.remoteAddress} mismatch advertised one`);
+            }
         }
 
         async _incomingMessage(data) {
@@ -60,8 +150,30 @@ module.exports = (Serializer, MessageAssembler, Transport, Constants) =>
 
             let msgBuffer;
             while ((msgBuffer = arrMessages.shift())) {
+
+                // stream couldn't be recovered after decryption (or handshake) failure
+                let msg;
+                try {
+                    const bEncrypted = this.encrypted;
+                    if (bEncrypted) msgBuffer = this._secureChannel.decryptFrame(msgBuffer);
+                    msg = Serializer.deSerialize(msgBuffer);
+                    if (msg.isKeyExchange()) {
+                        this._handleHandshake(msg);
+                        continue;
+                    }
+
+                    // both sides advertised encryption, so remote should send nothing but handshake in plain
+                    if (this._secureChannel && !bEncrypted) {
+                        throw new Error(
+                            `Plaintext "${msg.message}" from ${this.remoteAddress} on encrypted connection`);
+                    }
+                } catch (err) {
+                    logger.error(err);
+                    this.close();
+                    return;
+                }
+
                 try {
-                    const msg = Serializer.deSerialize(msgBuffer);
                     debug(`(Nonce: ${this._nonce}) incomingMessage: "${msg.message}". Done`);
                     this.emit('message', msg);
 
@@ -87,6 +199,11 @@ module.exports = (Serializer, MessageAssembler, Transport, Constants) =>
         }
 
         close() {
+            clearTimeout(this._handshakeTimer);
+
+            // release messages waiting for handshake
+            if (this._fnChannelReady) this._fnChannelReady();
+
             this._socket.destroy();
             this.emit('close');
         }
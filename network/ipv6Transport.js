@@ -10,13 +10,53 @@ const natUpnp = require('nat-upnp');
 const {sleep} = require('../utils');
 const ConnectionWrapper = require('./ipv6Connection');
 const publicAddressesRange = require('./publicAddresses');
+const socks5Connect = require('./socks5');
 
 const dnsResolve4 = util.promisify(dns.resolve4);
 const dnsResolve6 = util.promisify(dns.resolve6);
 
+// Tor v3 hidden service: base32(pubKey(32) + checksum(2) + version(1)) + ".onion"
+const ONION_SUFFIX = '.onion';
+const ONION_VERSION = 3;
+const ONION_PUBKEY_LENGTH = 32;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const base32Encode = (buff) => {
+    let strResult = '';
+    let nBits = 0;
+    let nValue = 0;
+    for (let byte of buff) {
+        nValue = (nValue << 8) | byte;
+        nBits += 8;
+        while (nBits >= 5) {
+            strResult += BASE32_ALPHABET[(nValue >>> (nBits - 5)) & 31];
+            nBits -= 5;
+        }
+    }
+    if (nBits > 0) strResult += BASE32_ALPHABET[(nValue << (5 - nBits)) & 31];
+    return strResult;
+};
+
+const base32Decode = (str) => {
+    const arrBytes = [];
+    let nBits = 0;
+    let nValue = 0;
+    for (let char of str) {
+        const nIdx = BASE32_ALPHABET.indexOf(char);
+        if (!~nIdx) throw new Error(`Bad base32 character "${char}"`);
+        nValue = (nValue << 5) | nIdx;
+        nBits += 5;
+        if (nBits >= 8) {
+            arrBytes.push((nValue >>> (nBits - 8)) & 255);
+            nBits -= 8;
+        }
+    }
+    return Buffer.from(arrBytes);
+};
+
 module.exports = (factory) => {
-    const {Serializer, MessageAssembler, Constants} = factory;
-    const Ipv6Connection = ConnectionWrapper(Serializer, MessageAssembler, Constants);
+    const {Serializer, MessageAssembler, Constants, Crypto, SecureChannel} = factory;
+    const Ipv6Connection = ConnectionWrapper(Serializer, MessageAssembler, Constants, SecureChannel);
 
     return class Ipv6Transport extends EventEmitter {
 
@@ -34,6 +74,17 @@ module.exports = (factory) => {
             this._port = options.listenPort || Constants.port;
 
             this._useNatTraversal = options.hasOwnProperty('useNatTraversal') ? options.useNatTraversal : true;
+
+            // identity of node for encrypted transport. Without persistent key it's new on every start
+            const {identityKey, encryptTransport} = options;
+            if (identityKey) {
+                this._identityKeyPair = Crypto.keyPairFromPrivate(identityKey);
+            } else if (encryptTransport) {
+                this._identityKeyPair = Crypto.createKeyPair();
+            }
+
+            // all outbound connections will go through it (Tor: "127.0.0.1:9050")
+            if (options.socksProxy) this._socksProxy = this.constructor.parseProxyAddress(options.socksProxy);
         }
 
         get listenAddress() {
@@ -49,19 +100,105 @@ module.exports = (factory) => {
         }
 
         /**
-         * @param {String} address
-         * @return {Buffer}
+         *
+         * @return {String | undefined} - hex. undefined - encryption disabled
+         */
+        get identityKey() {
+            return this._identityKeyPair ? this._identityKeyPair.publicKey : undefined;
+        }
+
+        /**
+         * Replace generated identity with persisted one (@see Node._loadIdentityKey). Call it before listen
+         *
+         * @param {String} strPrivateKey - hex
+         */
+        setIdentityKey(strPrivateKey) {
+            this._identityKeyPair = Crypto.keyPairFromPrivate(strPrivateKey);
+        }
+
+        /**
+         * @param {String} address - IP or onion
+         * @return {Buffer} - 16 bytes of IPv6 or 32 bytes of onion public key
          */
         static strToAddress(address) {
+            if (this.isOnionAddress(address)) return this.onionToPubKey(address);
+
             const addr = this.toIpV6Address(address);
             return Buffer.from(ipaddr.parse(addr).toByteArray());
         }
 
         static addressToString(buffer) {
+            if (buffer.length === ONION_PUBKEY_LENGTH) return this.pubKeyToOnion(buffer);
+
             const addr = ipaddr.fromByteArray(new Uint8Array(buffer));
             return (addr.isIPv4MappedAddress() ? addr.toIPv4Address() : addr).toString();
         }
 
+        /**
+         *
+         * @param {String} strAddr
+         * @return {boolean}
+         */
+        static isOnionAddress(strAddr) {
+            return typeof strAddr === 'string' && strAddr.toLowerCase().endsWith(ONION_SUFFIX);
+        }
+
+        /**
+         *
+         * @param {String} strOnion - "<56 base32 chars>.onion"
+         * @return {Buffer} - 32 bytes public key of hidden service
+         */
+        static onionToPubKey(strOnion) {
+            const buffDecoded = base32Decode(strOnion.toLowerCase().slice(0, -ONION_SUFFIX.length));
+            const [nVersion] = buffDecoded.slice(ONION_PUBKEY_LENGTH + 2);
+            if (buffDecoded.length !== ONION_PUBKEY_LENGTH + 3 || nVersion !== ONION_VERSION) {
+                throw new Error(`Unsupported onion address ${strOnion}`);
+            }
+
+            const buffPubKey = buffDecoded.slice(0, ONION_PUBKEY_LENGTH);
+            const buffChecksum = buffDecoded.slice(ONION_PUBKEY_LENGTH, ONION_PUBKEY_LENGTH + 2);
+            if (!buffChecksum.equals(this._onionChecksum(buffPubKey))) {
+                throw new Error(`Bad checksum of onion address ${strOnion}`);
+            }
+
+            return buffPubKey;
+        }
+
+        /**
+         *
+         * @param {Buffer} buffPubKey
+         * @return {String}
+         */
+        static pubKeyToOnion(buffPubKey) {
+            return base32Encode(Buffer.concat([
+                buffPubKey,
+                this._onionChecksum(buffPubKey),
+                Buffer.from([ONION_VERSION])
+            ])) + ONION_SUFFIX;
+        }
+
+        static _onionChecksum(buffPubKey) {
+            const buffToHash = Buffer.concat([
+                Buffer.from('.onion checksum'),
+                buffPubKey,
+                Buffer.from([ONION_VERSION])
+            ]);
+            return Buffer.from(Crypto.sha3(buffToHash), 'hex').slice(0, 2);
+        }
+
+        /**
+         *
+         * @param {String} strProxy - "host:port" or "[IPv6]:port"
+         * @return {{proxyHost: String, proxyPort: Number}}
+         */
+        static parseProxyAddress(strProxy) {
+            const nPos = strProxy.lastIndexOf(':');
+            const proxyPort = parseInt(strProxy.slice(nPos + 1));
+            if (!~nPos || !proxyPort) throw new Error(`Bad proxy address "${strProxy}". Use "host:port"`);
+
+            return {proxyHost: strProxy.slice(0, nPos).replace(/^\[|\]$/g, ''), proxyPort};
+        }
+
         /**
          * Get local IPv6 addresses of interfaces
          * @return {string[]}
@@ -148,6 +285,8 @@ module.exports = (factory) => {
          * @returns {boolean}
          */
         static isRoutableAddress(strAddr) {
+            if (this.isOnionAddress(strAddr)) return true;
+
             const addr = ipaddr.parse(strAddr);
             return this.isRoutableIpV6Address(addr) || this.isRoutableIpV4Address(addr);
         };
@@ -157,6 +296,7 @@ module.exports = (factory) => {
          * @param {string} ip
          */
         static toIpV6Address(ip) {
+            if (this.isOnionAddress(ip)) return ip;
             if (!ipaddr.isValid(ip)) throw new Error('IP address is not valid');
             const address = ipaddr.parse(ip);
             if (address.kind() === 'ipv6') {
@@ -195,24 +335,50 @@ module.exports = (factory) => {
         }
 
         /**
-         * @param {String} address - IP address
+         * Onion addresses are reachable only through proxy
+         *
+         * @param {String} strAddress
+         * @return {boolean}
+         */
+        isReachable(strAddress) {
+            return !!this._socksProxy || !this.constructor.isOnionAddress(strAddress);
+        }
+
+        /**
+         * @param {String} address - IP address or onion
          * @param {Number} port
-         * @param {String | undefined} localAddress - address connect from
+         * @param {String | undefined} localAddress - address connect from (ignored for proxy)
          * @return {Promise<Ipv6Connection>} new connection
          */
         connect(address, port, localAddress) {
+            if (this._socksProxy) return this._connectThroughProxy(address, port);
+            if (!this.isReachable(address)) return Promise.reject(new Error(`No proxy to connect ${address}`));
+
             return new Promise((resolve, reject) => {
                 const socket = net.createConnection(
                     {port, host: address, localAddress},
                     async (err) => {
                         if (err) return reject(err);
-                        resolve(new Ipv6Connection({socket, timeout: this._timeout}));
+                        resolve(this._createConnection(socket));
                     }
                 );
                 socket.on('error', err => reject(err));
             });
         }
 
+        async _connectThroughProxy(address, port) {
+            const socket = await socks5Connect({...this._socksProxy, host: address, port, timeout: this._timeout});
+            const connection = this._createConnection(socket);
+
+            // socket was paused after proxy handshake, since it could already contain data of peer
+            socket.resume();
+            return connection;
+        }
+
+        _createConnection(socket) {
+            return new Ipv6Connection({socket, timeout: this._timeout, identityKeyPair: this._identityKeyPair});
+        }
+
         /**
          * Emit 'connect' with new Connection
          *
@@ -282,9 +448,7 @@ module.exports = (factory) => {
             debug(`Listen on ${this._address}:${this._port}`);
             return new Promise((resolve, reject) => {
                 const server = net.createServer(async (socket) => {
-                    this.emit('connect',
-                        new Ipv6Connection({socket, timeout: this._timeout})
-                    );
+                    this.emit('connect', this._createConnection(socket));
                 });
 
                 server.on('error', e => reject(e));
@@ -3,6 +3,7 @@ const assert = require('assert');
 const debug = require('debug')('peer:');
 const {sleep, createPeerTag} = require('../utils');
 const Tick = require('tick-tock');
+const TokenBucket = require('./tokenBucket');
 
 const PEER_HEARTBEAT_TIMER_NAME = 'peerHeartbeatTimer';
 
@@ -17,6 +18,8 @@ module.exports = (factory) => {
     const {Messages, Transport, Constants, FactoryOptions} = factory;
     const {
         MsgCommon,
+        MsgPing,
+        MsgPong,
         PeerInfo
     } = Messages;
     //const {PeerInfo} = Messages;
@@ -112,6 +115,16 @@ module.exports = (factory) => {
                    this._peerInfo.capabilities.find(cap => cap.service === Constants.WITNESS);
         }
 
+        /**
+         * Advertised in MSG_VERSION. Old peers understand only full blocks
+         *
+         * @return {Boolean}
+         */
+        get supportsCompactBlocks() {
+            return Array.isArray(this._peerInfo.capabilities) &&
+                   !!this._peerInfo.capabilities.find(cap => cap.service === Constants.COMPACT_BLOCKS);
+        }
+
         get lastActionTimestamp() {
             return this._lastActionTimestamp;
         }
@@ -132,6 +145,19 @@ module.exports = (factory) => {
             this._version = ver;
         }
 
+        /**
+         * @see MsgVersion.prunedHeight
+         *
+         * @return {Number}
+         */
+        get prunedHeight() {
+            return this._nPrunedHeight || 0;
+        }
+
+        set prunedHeight(nHeight) {
+            this._nPrunedHeight = nHeight;
+        }
+
         get fullyConnected() {
             return !this.disconnected && this._handshakeDone;
         }
@@ -159,6 +185,27 @@ module.exports = (factory) => {
             return witnessCap.data.toString('hex');
         }
 
+        /**
+         * Advertised in MSG_VERSION. Undefined - peer doesn't support encrypted transport
+         *
+         * @return {String | undefined} - hex
+         */
+        get identityKey() {
+            if (!Array.isArray(this._peerInfo.capabilities)) return undefined;
+            const encryptedCap = this._peerInfo.capabilities.find(cap => cap.service === Constants.ENCRYPTED);
+            return encryptedCap ? Buffer.from(encryptedCap.data).toString('hex') : undefined;
+        }
+
+        /**
+         * Unlike advertised identityKey, it's proved by encryption handshake
+         *
+         * @return {String | undefined} - hex. Undefined - connection isn't encrypted
+         */
+        get verifiedIdentityKey() {
+            if (!this._connection || !this._connection.encrypted) return undefined;
+            return this._connection.remoteIdentityKey;
+        }
+
         get offsetDelta() {
             return this._msecOffsetDelta;
         }
@@ -167,11 +214,64 @@ module.exports = (factory) => {
             this._msecOffsetDelta = delta;
         }
 
+        /**
+         * Loaded by MSG_FILTER_LOAD. Undefined - peer wants all TXns
+         *
+         * @return {BloomFilter | undefined}
+         */
+        get bloomFilter() {
+            return this._bloomFilter;
+        }
+
+        set bloomFilter(filter) {
+            this._bloomFilter = filter;
+        }
+
+        /**
+         * Should we relay this TX to peer? Filter will be updated with matched outpoints (BLOOM_UPDATE_ALL)
+         *
+         * @param {Transaction} tx
+         * @return {boolean}
+         */
+        isTxRelevant(tx) {
+            return !this._bloomFilter || this._bloomFilter.isRelevantAndUpdate(tx);
+        }
+
         get quality() {
             return (this._peerInfo.lifetimeReceivedBytes + this._peerInfo.lifetimeTransmittedBytes + this.amountBytes)
                    / (this._peerInfo.lifetimeMisbehaveScore + this.misbehaveScore + 1);
         }
 
+        /**
+         * RTT of last heartbeat ping
+         *
+         * @return {Number | undefined} - msec. undefined - not measured yet
+         */
+        get latency() {
+            return this._msecLatency;
+        }
+
+        /**
+         * Blocks & TXns that we didn't have before
+         *
+         * @return {Number}
+         */
+        get usefulItems() {
+            return this._peerInfo.lifetimeUsefulItems;
+        }
+
+        /**
+         * Useful deliveries raise it, misbehaviour & high latency lower it
+         *
+         * @return {Number}
+         */
+        get score() {
+            const nLatencyPenalty = this._msecLatency
+                ? Math.floor(this._msecLatency / Constants.PEER_LATENCY_SCORE_STEP)
+                : 0;
+            return this.usefulItems - this._peerInfo.lifetimeMisbehaveScore - nLatencyPenalty;
+        }
+
         get bannedTill() {
             return this._bannedTill;
         }
@@ -218,6 +318,23 @@ module.exports = (factory) => {
             return this._bannedTill > Date.now();
         }
 
+        /**
+         * Address book could replace such peer with new address
+         *
+         * @returns {boolean}
+         */
+        isTerrible() {
+            return this.isBanned() || this._peerInfo.lifetimeMisbehaveScore > this.usefulItems;
+        }
+
+        isPersistent() {
+            return this._persistent;
+        }
+
+        usefulItemDelivered() {
+            this._peerInfo.lifetimeUsefulItems++;
+        }
+
         /**
          * witness peers shouldn't be disconnected
          */
@@ -280,6 +397,17 @@ module.exports = (factory) => {
             this._heartBeatTimer.setInterval(this._timerName, this._tick, Constants.PEER_HEARTBEAT_TIMEOUT);
         }
 
+        /**
+         * Messages pushed after it will be encrypted
+         * Throws if remote already proved identity other than advertised
+         *
+         * @return {Promise<void>} - resolved when channel established
+         */
+        startEncryption() {
+            assert(this.identityKey, `Peer ${this.address} doesn't support encryption`);
+            return this._connection.startEncryption(this.identityKey);
+        }
+
         _setConnectionHandlers() {
             if (this._connection.listenerCount('message')) return;
 
@@ -305,6 +433,8 @@ module.exports = (factory) => {
             }
             this._lastActionTimestamp = Date.now();
 
+            if (!this._persistent && !this._isWithinRateLimits(msg)) return;
+
             if (msg.signature) {
 
                 // if message signed: check signature
@@ -314,9 +444,11 @@ module.exports = (factory) => {
                     this.emit('witnessMessage', this, undefined);
                 }
             } else if (new MsgCommon(msg).isPing()) {
-                const msgPong = new MsgCommon();
-                msgPong.pongMessage = true;
-                await this.pushMessage(msgPong);
+                const msgPing = new MsgPing(msg);
+                await this.pushMessage(new MsgPong({nonce: msgPing.nonce}));
+            } else if (new MsgCommon(msg).isPong()) {
+                this._handlePong(new MsgPong(msg));
+                this.emit('message', this, msg);
             } else {
                 this.emit('message', this, msg);
             }
@@ -326,7 +458,7 @@ module.exports = (factory) => {
         async pushMessage(msg) {
 
             // part of node bootstrap mechanism
-            if (msg.isGetBlocks()) this.getBlocksSent();
+            if (msg.isGetBlocks() || msg.isGetHeaders()) this.getBlocksSent();
 
             // we have pending messages
             if (Array.isArray(this._queue)) {
@@ -401,6 +533,7 @@ module.exports = (factory) => {
 
             this._handshakeDone = false;
             this._version = undefined;
+            this._nPrunedHeight = undefined;
 
 //            this._bannedTill = Date.now();
 //            this._restrictedTill = Date.now();
@@ -419,6 +552,63 @@ module.exports = (factory) => {
             this._loadDone = false;
 
             this._nCountSingleBlocks = 0;
+
+            this._bloomFilter = undefined;
+
+            this._msecPingSent = undefined;
+            this._nPingNonce = undefined;
+
+            this._bytesBucket = new TokenBucket(Constants.PEER_RATE_BYTES_BURST, Constants.PEER_RATE_BYTES_PER_SEC);
+            this._mapMessageBuckets = new Map();
+        }
+
+        /**
+         * Messages above limits are dropped. Flood of limited message types raises misbehave score
+         *
+         * @param {MessageCommon} msg
+         * @return {boolean}
+         * @private
+         */
+        _isWithinRateLimits(msg) {
+            const objLimit = Constants.PEER_RATE_MESSAGES[msg.message];
+            if (objLimit) {
+                if (!this._mapMessageBuckets.has(msg.message)) {
+                    this._mapMessageBuckets.set(msg.message, new TokenBucket(objLimit.nBurst, objLimit.nPerSec));
+                }
+                if (!this._mapMessageBuckets.get(msg.message).consume()) {
+                    debug(`Peer "${this.address}" floods with "${msg.message}". Message dropped`);
+                    this.misbehave(Constants.PEER_FLOOD_MISBEHAVE_SCORE);
+                    return false;
+                }
+            }
+
+            const nBytes = msg.payload && Buffer.isBuffer(msg.payload) ? msg.payload.length : 0;
+            if (!this._bytesBucket.consume(nBytes)) {
+                debug(`Peer "${this.address}" exceeded bandwidth limit. Message "${msg.message}" dropped`);
+                return false;
+            }
+
+            return true;
+        }
+
+        /**
+         * Measure RTT if it's an answer for our last ping
+         *
+         * @param {MessagePong} msgPong
+         * @private
+         */
+        _handlePong(msgPong) {
+            if (!this._msecPingSent) return;
+
+            // old nodes answer w/o nonce
+            if (msgPong.nonce && msgPong.nonce !== this._nPingNonce) {
+                debug(`Unexpected pong nonce ${msgPong.nonce} from "${this.address}"`);
+                return;
+            }
+
+            this._msecLatency = Date.now() - this._msecPingSent;
+            this._msecPingSent = undefined;
+            this._nPingNonce = undefined;
         }
 
         async _tick() {
@@ -441,23 +631,37 @@ module.exports = (factory) => {
                 return;
             }
 
-            const msgPing = new MsgCommon();
-            msgPing.pingMessage = true;
-            await this.pushMessage(msgPing);
+            if (this._msecPingSent) {
+                if (this._msecPingSent + Constants.PEER_PING_TIMEOUT < Date.now()) {
+                    this.disconnect('Peer not answering pings');
+                }
+
+                // still waiting for pong
+                return;
+            }
+
+            // non zero, to distinguish from pongs of old nodes
+            this._nPingNonce = 1 + parseInt(Math.random() * 0xFFFFFFFE);
+            this._msecPingSent = Date.now();
+            await this.pushMessage(new MsgPing({nonce: this._nPingNonce}));
         }
 
         /**
          *
-         * @returns {peerInfo} with zero counters
+         * @returns {peerInfo} with zero counters (and our local latency measure, it wouldn't be encoded)
          */
         toObject() {
 
             // TODO: create separate definition for peerInfo & peerAddressBookEntry
             return {
                 ...this.peerInfo.data,
+                latency: this.latency,
                 lifetimeMisbehaveScore: 0,
                 lifetimeTransmittedBytes: 0,
-                lifetimeReceivedBytes: 0
+                lifetimeReceivedBytes: 0,
+                lifetimeUsefulItems: 0,
+                tried: false,
+                sourceGroup: ''
             };
         }
 
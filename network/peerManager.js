@@ -4,6 +4,7 @@ const assert = require('assert');
 const Tick = require('tick-tock');
 
 const debug = require('debug')('peerManager:');
+const AddressBookWrapper = require('./addressBook');
 
 const PEERMANAGER_BACKUP_TIMER_NAME = 'peerManagerBackupTimer';
 
@@ -18,6 +19,7 @@ module.exports = (factory) => {
     const {Constants, Messages, Peer, Transport} = factory;
 
     const {PeerInfo} = Messages;
+    const AddressBook = AddressBookWrapper(factory);
 
     return class PeerManager extends EventEmitter {
         constructor(options = {}) {
@@ -42,6 +44,9 @@ module.exports = (factory) => {
             // keys - @see _createKey, values - Peers
             this._mapAllPeers = new Map();
 
+            // new/tried buckets of keys from _mapAllPeers. connected peers could stay out of it
+            this._addressBook = new AddressBook(strKey => this._mapAllPeers.get(strKey));
+
             // peers that were build from incoming connection. when we receive handshake with canonical peerInfo
             // we'll associate it. it will allow us remove duplicates (because outbound connections are made from random
             // addresses, but peer has one inbound port)
@@ -50,6 +55,9 @@ module.exports = (factory) => {
             // keys - addresses, values - date banned till
             this._mapBannedAddresses = new Map();
 
+            // keys - @see _createKey, values - identity keys (hex) proved by encrypted handshake
+            this._mapPinnedKeys = new Map();
+
             this._backupTimer = new Tick(this);
             this._backupTimer.setInterval(PEERMANAGER_BACKUP_TIMER_NAME, this._backupTick.bind(this),
                 Constants.PEERMANAGER_BACKUP_TIMEOUT
@@ -81,9 +89,10 @@ module.exports = (factory) => {
          *
          * @param {Object | PeerInfo | Peer} peer
          * @param {Boolean} bForceRewrite - if we already have this peer, will we rewrite it or no?
-         * @return {Peer | undefined} undefined if peer already connected
+         * @param {String | undefined} strSourceAddress - address of peer that told us about this one
+         * @return {Peer | Number | undefined} undefined - no room in address book
          */
-        addPeer(peer, bForceRewrite) {
+        addPeer(peer, bForceRewrite, strSourceAddress) {
             if (!(peer instanceof Peer)) peer = new Peer({peerInfo: peer, transport: this._transport});
 
             // it's senseless to store peer with private addresses. we couldn't connect them anyway
@@ -103,6 +112,12 @@ module.exports = (factory) => {
             // we'll keep existing info (only for disconnected existing peers)
             if (existingPeer && !bForceRewrite) return existingPeer;
 
+            // new address should find a room in address book (connected peers are kept anyway)
+            if (!this._addressBook.has(key) && !this._addToAddressBook(key, peer, strSourceAddress) &&
+                peer.disconnected) {
+                return undefined;
+            }
+
             if (existingPeer) existingPeer.removeAllListeners();
             this.updateHandlers(peer);
             if (this.isWhitelisted(peer.address)) peer.markAsWhitelisted();
@@ -123,6 +138,12 @@ module.exports = (factory) => {
                 `Incoming connection from ${connection.remoteAddress} dropped. Peer is banned`
             );
 
+            if (this._getInboundPeers().length >= Constants.MAX_INBOUND_PEERS) {
+                assert(this.evictInboundPeer(),
+                    `Incoming connection from ${connection.remoteAddress} dropped. No free inbound slots`
+                );
+            }
+
             const newPeer = new Peer({connection, transport: this._transport});
             const key = this._createKey(newPeer.address, newPeer.port);
 
@@ -154,6 +175,72 @@ module.exports = (factory) => {
             return this.addPeer(peer, true);
         }
 
+        /**
+         * Handshake done, so address is good. Move it to "tried" table
+         *
+         * @param {Peer} peer
+         */
+        markTried(peer) {
+            const key = this._createKey(peer.address, peer.port);
+            if (!this._addressBook.has(key)) return;
+
+            this._dropPeers(this._addressBook.markTried(key, AddressBook.getGroup(peer.address)));
+        }
+
+        /**
+         * Like bitcoin's AttemptToEvictConnection: protect inbound peers that attacker couldn't easily imitate
+         * (lowest latency, most useful deliveries), then disconnect worst peer of most populated network group
+         *
+         * @return {Peer | undefined} - undefined if nobody could be evicted
+         */
+        evictInboundPeer() {
+            const fnLatency = peer => peer.latency === undefined ? Infinity : peer.latency;
+            const arrCandidates = this._getInboundPeers()
+                .filter(peer => !peer.isWhitelisted() && !peer.isPersistent())
+                .sort((peerA, peerB) => fnLatency(peerA) - fnLatency(peerB))
+                .slice(Constants.EVICTION_PROTECT_LATENCY)
+                .sort((peerA, peerB) => peerB.usefulItems - peerA.usefulItems)
+                .slice(Constants.EVICTION_PROTECT_USEFUL);
+            if (!arrCandidates.length) return undefined;
+
+            const mapGroupSizes = new Map();
+            for (let peer of arrCandidates) {
+                const strGroup = AddressBook.getGroup(peer.address);
+                mapGroupSizes.set(strGroup, (mapGroupSizes.get(strGroup) || 0) + 1);
+            }
+            const fnGroupSize = peer => mapGroupSizes.get(AddressBook.getGroup(peer.address));
+
+            const peerToEvict = arrCandidates.reduce((peerWorst, peer) => {
+                const nSizeDiff = fnGroupSize(peer) - fnGroupSize(peerWorst);
+                return nSizeDiff > 0 || !nSizeDiff && peer.score < peerWorst.score ? peer : peerWorst;
+            });
+
+            peerToEvict.disconnect('Evicted to free inbound slot');
+            return peerToEvict;
+        }
+
+        /**
+         * Trust on first use: MSG_VERSION is plain, so advertised identity key could be forged by MITM.
+         * Key proved once by encrypted handshake will be required for all next connections
+         *
+         * @param {Peer} peer - encrypted connection established
+         */
+        pinIdentityKey(peer) {
+            const strIdentityKey = peer.verifiedIdentityKey;
+            if (!strIdentityKey) return;
+
+            this._mapPinnedKeys.set(this._createKey(peer.address, peer.port), strIdentityKey);
+        }
+
+        /**
+         *
+         * @param {Peer} peer
+         * @return {String | undefined} - hex
+         */
+        getPinnedIdentityKey(peer) {
+            return this._mapPinnedKeys.get(this._createKey(peer.address, peer.port));
+        }
+
         storeOutboundPeer(peer, peerInfo) {
             peer.peerInfo.port = peerInfo.port;
             peer.capabilities = peerInfo.port;
@@ -178,6 +265,7 @@ module.exports = (factory) => {
                 if (!peer.disconnected) foundPeer.disconnect();
             }
             this._mapAllPeers.delete(key);
+            this._addressBook.remove(key);
         }
 
         hasPeer(peer) {
@@ -244,10 +332,31 @@ module.exports = (factory) => {
             return arrResult;
         }
 
+        /**
+         * Candidates for connection: "tried" addresses first, then by score.
+         * Peers of network groups not yet present in result go ahead, so one subnet couldn't eclipse us
+         *
+         * @return {Array} of Peers
+         */
         findBestPeers() {
-            return Array.from(this._mapAllPeers.values())
-                .sort((a, b) => b.quality - a.quality)
-                .slice(0, Constants.MAX_PEERS);
+            const arrSorted = Array.from(this._mapAllPeers.entries())
+                .filter(([, peer]) => !peer.isBanned())
+                .sort(([strKeyA, peerA], [strKeyB, peerB]) =>
+                    this._addressBook.isTried(strKeyB) - this._addressBook.isTried(strKeyA) ||
+                    peerB.score - peerA.score
+                )
+                .map(([, peer]) => peer);
+
+            const setGroups = new Set();
+            const arrDiverse = [];
+            const arrRest = [];
+            for (let peer of arrSorted) {
+                const strGroup = AddressBook.getGroup(peer.address);
+                (setGroups.has(strGroup) ? arrRest : arrDiverse).push(peer);
+                setGroups.add(strGroup);
+            }
+
+            return arrDiverse.concat(arrRest).slice(0, Constants.MAX_PEERS);
         }
 
         /**
@@ -256,9 +365,10 @@ module.exports = (factory) => {
          * @param {Messages} message
          * @param {Peer | undefined} peerToExclude - received from (to exclude)
          * @param {Number| undefined} nCount - we'll send at most to nCount neighbours
+         * @param {Function | undefined} fnFilter - (peer) => Boolean. Only peers passed it will be considered
          */
-        broadcastToConnected(tag, message, peerToExclude, nCount) {
-            const arrPeers = this.getConnectedPeers(tag);
+        broadcastToConnected(tag, message, peerToExclude, nCount, fnFilter) {
+            const arrPeers = fnFilter ? this.getConnectedPeers(tag).filter(fnFilter) : this.getConnectedPeers(tag);
             if (!arrPeers.length) return;
 
             debug(`Found ${arrPeers.length} connected peers for tag "${tag}"`);
@@ -296,13 +406,29 @@ module.exports = (factory) => {
         }
 
         async loadPeers() {
+
+            // same buckets as before restart
+            const buffKey = await this._storage.getAddressBookKey();
+            if (buffKey && !this._addressBook.size) {
+                this._addressBook = new AddressBook(strKey => this._mapAllPeers.get(strKey), buffKey);
+            }
+
+            this._mapPinnedKeys = await this._storage.getPinnedKeys();
+
             const arrPeers = await this._storage.loadPeers();
             arrPeers.forEach(peer => this.addPeer(peer, true));
             return arrPeers;
         }
 
         async savePeers(arrPeers) {
-            return await this._storage.savePeers(arrPeers);
+
+            // address book tables will be restored from it
+            for (let peer of arrPeers) {
+                const key = this._createKey(peer.address, peer.port);
+                peer.peerInfo.tried = this._addressBook.isTried(key);
+                peer.peerInfo.sourceGroup = this._addressBook.getSourceGroup(key) || '';
+            }
+            return await this._storage.savePeers(arrPeers, this._addressBook.key, this._mapPinnedKeys);
         }
 
         async saveAllPeers() {
@@ -326,6 +452,52 @@ module.exports = (factory) => {
             return address + port.toString();
         }
 
+        /**
+         *
+         * @param {String} strKey
+         * @param {Peer} peer
+         * @param {String | undefined} strSourceAddress
+         * @return {boolean} - whether address found a room in address book
+         * @private
+         */
+        _addToAddressBook(strKey, peer, strSourceAddress) {
+            const strGroup = AddressBook.getGroup(peer.address);
+
+            // peer restored from storage has its sourceGroup
+            const strSourceGroup = strSourceAddress
+                ? AddressBook.getGroup(strSourceAddress)
+                : peer.peerInfo.sourceGroup || strGroup;
+
+            const {bAdded, strEvictedKey} = this._addressBook.add(strKey, strGroup, strSourceGroup);
+            if (strEvictedKey) this._dropPeers([strEvictedKey]);
+            if (bAdded && peer.peerInfo.tried) this._dropPeers(this._addressBook.markTried(strKey, strGroup));
+
+            return bAdded;
+        }
+
+        /**
+         * Forget peers that lost their places in address book. Connected ones are kept
+         *
+         * @param {Array} arrKeys
+         * @private
+         */
+        _dropPeers(arrKeys) {
+            for (let strKey of arrKeys) {
+                const peer = this._mapAllPeers.get(strKey);
+                if (!peer || !peer.disconnected) continue;
+
+                peer.removeAllListeners();
+                this._mapAllPeers.delete(strKey);
+                this._mapPinnedKeys.delete(strKey);
+            }
+        }
+
+        _getInboundPeers() {
+            return Array.from(this._mapCandidatePeers.values())
+                .concat(Array.from(this._mapAllPeers.values()))
+                .filter(peer => peer.inbound && !peer.disconnected);
+        }
+
         _backupTick() {
             this.saveAllPeers();
         }
@@ -355,6 +527,9 @@ module.exports = (factory) => {
             // tests contain no whitelist, but non ip addresses, so next line will throw
             if (!this._arrWhitelistedNets.length) return false;
 
+            // onion addresses couldn't be whitelisted
+            if (!ipaddr.isValid(strIpAddress)) return false;
+
             const ipAddr = ipaddr.parse(strIpAddress);
             const ipV6ToMatch = ipAddr.kind() === 'ipv4' ? ipAddr.toIPv4MappedAddress() : ipAddr;
             return !!this._arrWhitelistedNets.find(arrNetRecord => ipV6ToMatch.match(arrNetRecord));
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const {Reader, Writer} = require('protobufjs');
+
+// 4 zero bytes + LE counter of messages
+const NONCE_LENGTH = 12;
+
+// domain separation for derived session keys
+const KEYS_INFO = 'cil-transport-v1';
+
+module.exports = ({Crypto, Messages}) => {
+    const {MsgKeyExchange} = Messages;
+
+    /**
+     * Noise like handshake: both sides send identity & fresh ephemeral keys (MSG_KEY_EXCHANGE).
+     * Session keys are derived from ECDH(ephemeral, ephemeral), ECDH(identity, ephemeral) & ECDH(ephemeral, identity),
+     * so only owners of identity private keys could get them (implicit authentication)
+     * and leaked identity key doesn't reveal past sessions (forward secrecy).
+     * Every direction has own key, nonces are counters of sent/received messages
+     */
+    return class SecureChannel {
+
+        /**
+         *
+         * @param {KeyPair} identityKeyPair - long term key of node
+         */
+        constructor(identityKeyPair) {
+            assert(identityKeyPair, 'Identity key required for encrypted transport');
+
+            this._identityKeyPair = identityKeyPair;
+            this._ephemeralKeyPair = Crypto.createKeyPair();
+
+            this._nSendCounter = 0;
+            this._nReceiveCounter = 0;
+        }
+
+        /**
+         *
+         * @return {String | undefined} - hex. Known only after establish()
+         */
+        get remoteIdentityKey() {
+            return this._strRemoteIdentityKey;
+        }
+
+        isEstablished() {
+            return !!this._buffSendKey;
+        }
+
+        /**
+         *
+         * @return {MessageKeyExchange}
+         */
+        createHandshakeMessage() {
+            return new MsgKeyExchange({
+                identityKey: Buffer.from(this._identityKeyPair.publicKey, 'hex'),
+                ephemeralKey: Buffer.from(this._ephemeralKeyPair.publicKey, 'hex')
+            });
+        }
+
+        /**
+         * Derive session keys from remote handshake
+         *
+         * @param {MessageCommon | MessageKeyExchange} message
+         */
+        establish(message) {
+            assert(!this.isEstablished(), 'Secure channel already established');
+
+            const msgKeyExchange = message instanceof MsgKeyExchange ? message : new MsgKeyExchange(message);
+
+            const strRemoteIdentityKey = msgKeyExchange.identityKey;
+            const strRemoteEphemeralKey = msgKeyExchange.ephemeralKey;
+            const strEphemeralKey = this._ephemeralKeyPair.publicKey;
+            assert(strRemoteEphemeralKey !== strEphemeralKey, 'Reflected handshake');
+
+            // both sides should concatenate secrets in same order, so order them by ephemeral keys
+            const bLower = strEphemeralKey < strRemoteEphemeralKey;
+
+            const buffDhEphemeral = Crypto.ecdh(this._ephemeralKeyPair.privateKey, strRemoteEphemeralKey);
+            const buffDhLocalIdentity = Crypto.ecdh(this._identityKeyPair.privateKey, strRemoteEphemeralKey);
+            const buffDhRemoteIdentity = Crypto.ecdh(this._ephemeralKeyPair.privateKey, strRemoteIdentityKey);
+
+            const arrSecrets = bLower
+                ? [buffDhEphemeral, buffDhLocalIdentity, buffDhRemoteIdentity]
+                : [buffDhEphemeral, buffDhRemoteIdentity, buffDhLocalIdentity];
+            const arrEphemeralKeys = bLower
+                ? [strEphemeralKey, strRemoteEphemeralKey]
+                : [strRemoteEphemeralKey, strEphemeralKey];
+
+            const buffKeys = Crypto.hkdf(
+                Buffer.concat(arrSecrets),
+                Buffer.from(arrEphemeralKeys.join(''), 'hex'),
+                KEYS_INFO,
+                64
+            );
+
+            // first key - for messages from "lower" side
+            this._buffSendKey = bLower ? buffKeys.slice(0, 32) : buffKeys.slice(32);
+            this._buffReceiveKey = bLower ? buffKeys.slice(32) : buffKeys.slice(0, 32);
+            this._strRemoteIdentityKey = strRemoteIdentityKey;
+
+            // we don't need it anymore
+            this._ephemeralKeyPair = undefined;
+        }
+
+        /**
+         *
+         * @param {Buffer} buffData - serialized message
+         * @return {Buffer} - length delimited, so MessageAssembler could extract it
+         */
+        encryptFrame(buffData) {
+            assert(this.isEstablished(), 'Secure channel is not established');
+
+            const buffEncrypted = Crypto.aeadEncrypt(
+                this._buffSendKey,
+                this._createNonce(this._nSendCounter++),
+                buffData
+            );
+            return Buffer.from(Writer.create().bytes(buffEncrypted).finish());
+        }
+
+        /**
+         * Throws if frame was tampered (or reordered)
+         *
+         * @param {Buffer} buffFrame - @see encryptFrame
+         * @return {Buffer} - serialized message
+         */
+        decryptFrame(buffFrame) {
+            assert(this.isEstablished(), 'Secure channel is not established');
+
+            return Crypto.aeadDecrypt(
+                this._buffReceiveKey,
+                this._createNonce(this._nReceiveCounter++),
+                Buffer.from(Reader.create(buffFrame).bytes())
+            );
+        }
+
+        _createNonce(nCounter) {
+            const buffNonce = Buffer.alloc(NONCE_LENGTH);
+            buffNonce.writeUIntLE(nCounter, 4, 6);
+            return buffNonce;
+        }
+    };
+};
@@ -0,0 +1,129 @@
+const net = require('net');
+const ipaddr = require('ipaddr.js');
+const debug = require('debug')('transport:socks5');
+
+// RFC 1928
+const SOCKS_VERSION = 5;
+const AUTH_NONE = 0;
+const CMD_CONNECT = 1;
+const ATYP_IPV4 = 1;
+const ATYP_DOMAIN = 3;
+const ATYP_IPV6 = 4;
+
+const REPLY_ERRORS = {
+    1: 'general SOCKS server failure',
+    2: 'connection not allowed by ruleset',
+    3: 'network unreachable',
+    4: 'host unreachable',
+    5: 'connection refused',
+    6: 'TTL expired',
+    7: 'command not supported',
+    8: 'address type not supported'
+};
+
+/**
+ * Hostnames (onion too) are passed as is, so they will be resolved by proxy
+ *
+ * @param {String} strHost
+ * @param {Number} nPort
+ * @return {Buffer}
+ */
+const createConnectRequest = (strHost, nPort) => {
+    let buffAddress;
+    if (net.isIPv4(strHost)) {
+        buffAddress = Buffer.concat([Buffer.from([ATYP_IPV4]), Buffer.from(ipaddr.parse(strHost).toByteArray())]);
+    } else if (net.isIPv6(strHost)) {
+        buffAddress = Buffer.concat([Buffer.from([ATYP_IPV6]), Buffer.from(ipaddr.parse(strHost).toByteArray())]);
+    } else {
+        buffAddress = Buffer.concat([Buffer.from([ATYP_DOMAIN, strHost.length]), Buffer.from(strHost)]);
+    }
+
+    const buffPort = Buffer.alloc(2);
+    buffPort.writeUInt16BE(nPort, 0);
+
+    return Buffer.concat([Buffer.from([SOCKS_VERSION, CMD_CONNECT, 0]), buffAddress, buffPort]);
+};
+
+/**
+ *
+ * @param {Buffer} buffReply
+ * @return {Number | undefined} - undefined if we need more data to get it
+ */
+const getReplyLength = (buffReply) => {
+    if (buffReply.length < 5) return undefined;
+
+    switch (buffReply[3]) {
+        case ATYP_IPV4:
+            return 10;
+        case ATYP_IPV6:
+            return 22;
+        case ATYP_DOMAIN:
+            return 7 + buffReply[4];
+        default:
+            throw new Error(`SOCKS5: unknown address type ${buffReply[3]}`);
+    }
+};
+
+/**
+ * Open tunnel to host:port through SOCKS5 proxy (no authentication, like Tor)
+ * Resolved socket is PAUSED, since it could already contain beginning of tunneled stream
+ *
+ * @param {Object} options
+ * @param {String} options.proxyHost
+ * @param {Number} options.proxyPort
+ * @param {String} options.host - IP or hostname (.onion) to connect through proxy
+ * @param {Number} options.port
+ * @param {Number} options.timeout - msec
+ * @return {Promise<Socket>}
+ */
+module.exports = ({proxyHost, proxyPort, host, port, timeout}) => new Promise((resolve, reject) => {
+    debug(`Connecting ${host}:${port} through ${proxyHost}:${proxyPort}`);
+
+    const socket = net.createConnection({host: proxyHost, port: proxyPort});
+    let buffReceived = Buffer.alloc(0);
+    let bAuthDone = false;
+
+    const cleanup = () => {
+        clearTimeout(timer);
+        socket.removeListener('data', onData);
+        socket.removeListener('error', fail);
+    };
+    const fail = (err) => {
+        cleanup();
+        socket.destroy();
+        reject(err);
+    };
+    const timer = setTimeout(() => fail(new Error(`SOCKS5: timeout connecting ${host}:${port}`)), timeout);
+
+    const onData = (data) => {
+        buffReceived = Buffer.concat([buffReceived, data]);
+        try {
+            if (!bAuthDone) {
+                if (buffReceived.length < 2) return;
+                if (buffReceived[0] !== SOCKS_VERSION || buffReceived[1] !== AUTH_NONE) {
+                    throw new Error('SOCKS5: proxy requires unsupported authentication');
+                }
+                buffReceived = buffReceived.slice(2);
+                bAuthDone = true;
+                socket.write(createConnectRequest(host, port));
+            }
+
+            const nReplyLength = getReplyLength(buffReceived);
+            if (!nReplyLength || buffReceived.length < nReplyLength) return;
+            if (buffReceived[1] !== 0) {
+                throw new Error(`SOCKS5: ${REPLY_ERRORS[buffReceived[1]] || 'unknown error'} (${host}:${port})`);
+            }
+
+            socket.pause();
+            cleanup();
+            if (buffReceived.length > nReplyLength) socket.unshift(buffReceived.slice(nReplyLength));
+            resolve(socket);
+        } catch (err) {
+            fail(err);
+        }
+    };
+
+    socket.on('error', fail);
+    socket.on('data', onData);
+    socket.on('connect', () => socket.write(Buffer.from([SOCKS_VERSION, 1, AUTH_NONE])));
+});
@@ -116,6 +116,15 @@ module.exports = (factory) => {
             return address;
         }
 
+        /**
+         * Dummy
+         *
+         * @returns {boolean}
+         */
+        isReachable() {
+            return true;
+        }
+
         static isPrivateAddress(address) {
             return false;
         }
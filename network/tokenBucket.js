@@ -0,0 +1,49 @@
+/**
+ * Classic token bucket: holds up to nCapacity tokens, refilled with nRatePerSec.
+ * Used to limit bandwidth & message rates
+ */
+module.exports = class TokenBucket {
+
+    /**
+     *
+     * @param {Number} nCapacity - max tokens (burst)
+     * @param {Number} nRatePerSec - tokens added per second
+     */
+    constructor(nCapacity, nRatePerSec) {
+        this._nCapacity = nCapacity;
+        this._nRatePerSec = nRatePerSec;
+
+        this._nTokens = nCapacity;
+        this._msecLastRefill = Date.now();
+    }
+
+    /**
+     *
+     * @return {Number}
+     */
+    get tokens() {
+        this._refill();
+        return this._nTokens;
+    }
+
+    /**
+     *
+     * @param {Number} nTokens
+     * @return {boolean} - false if there are not enough tokens (nothing consumed)
+     */
+    consume(nTokens = 1) {
+        this._refill();
+        if (this._nTokens < nTokens) return false;
+
+        this._nTokens -= nTokens;
+        return true;
+    }
+
+    _refill() {
+        const msecNow = Date.now();
+        const nAdded = (msecNow - this._msecLastRefill) * this._nRatePerSec / 1000;
+
+        this._nTokens = Math.min(this._nCapacity, this._nTokens + nAdded);
+        this._msecLastRefill = msecNow;
+    }
+};
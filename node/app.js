@@ -51,9 +51,6 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             if (!patchForBlock) patchForBlock || new PatchDB();
 
             for (let i = 0; i < txInputs.length; i++) {
-
-                // now it's equals txHash, but if you plan to implement SIGHASH_SINGLE & SIGHASH_NONE it will be different
-                const buffInputHash = Buffer.from(tx.hash(i), 'hex');
                 const input = txInputs[i];
 
                 // input.txHash - UTXO
@@ -67,7 +64,18 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                 const claimProof = Array.isArray(claimProofs) && claimProofs.length
                     ? claimProofs[i]
                     : tx.getTxSignature();
-                this._verifyPayToAddr(coins.getReceiverAddr(), claimProof, buffInputHash);
+                const objMultisigClaim = tx.getMultisigClaim(i);
+                if (objMultisigClaim) {
+                    this._verifyPayToMultisig(
+                        coins.getReceiverAddr(), objMultisigClaim, Buffer.from(tx.hash(i), 'hex')
+                    );
+                } else {
+
+                    // for SIGHASH_ALL (and txSignature) it equals txHash
+                    const {buffSignature, nHashType} = Transaction.parseClaimProof(claimProof);
+                    const buffInputHash = Buffer.from(tx.hash(i, nHashType), 'hex');
+                    this._verifyPayToAddr(coins.getReceiverAddr(), buffSignature, buffInputHash);
+                }
 
                 // spend it
                 patch.spendCoins(utxo, input.nTxOutput, txHash);
@@ -83,9 +91,10 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
          * @param {Transaction} tx
          * @param {PatchDB} patch - to create new coins
          * @param {Number} nStartFromIdx - if we want to skip some outputs, for contract for example
+         * @param {Object | undefined} objBlockContext - {nHeight, nTimestamp} of block with TX (resolve relative locks)
          * @returns {Number} - to send (used to calculate fee)
          */
-        processPayments(tx, patch, nStartFromIdx = 0) {
+        processPayments(tx, patch, nStartFromIdx = 0, objBlockContext) {
             const txHash = tx.hash();
 
             // TODO: change "amount" from Numbers to BN or uint64 to avoid floating point issues!
@@ -93,8 +102,11 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             const txCoins = tx.getOutCoins();
 
             for (let i = nStartFromIdx; i < txCoins.length; i++) {
-                if (txCoins[i].getAmount() !== 0) patch.createCoins(txHash, i, txCoins[i]);
-                totalSent += txCoins[i].getAmount();
+                const coins = objBlockContext
+                    ? txCoins[i].resolveLock(objBlockContext.nHeight, objBlockContext.nTimestamp)
+                    : txCoins[i];
+                if (coins.getAmount() !== 0) patch.createCoins(txHash, i, coins);
+                totalSent += coins.getAmount();
             }
 
             return totalSent;
@@ -115,11 +127,14 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
 
             this._execStarted();
 
+            const sandbox = {...environment};
+            if (this._bLogsAllowed) {
+                sandbox.emit = (strName, payload) => this._emit(environment.contractAddr, strName, payload);
+            }
+
             const vm = new VM({
                 timeout: Constants.TIMEOUT_CODE,
-                sandbox: {
-                    ...environment
-                }
+                sandbox
             });
 
             this._nCoinsLimit = _spendCoins(this._nCoinsLimit, this._objFees.nFeeContractCreation);
@@ -157,16 +172,20 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
         /**
          *
          * @param objVariables
+         * @param {Boolean} objVariables.bLogsAllowed - inject emit() into contract (after HEIGHT_FORK_LOGS)
          */
         setupVariables(objVariables) {
-            const {coinsLimit, objFees} = objVariables;
+            const {coinsLimit, objFees, bLogsAllowed = false} = objVariables;
 
             this._objFees = objFees;
             this._nInitialCoins = this._nCoinsLimit = coinsLimit;
+            this._bLogsAllowed = bLogsAllowed;
 
             this._nDataDelta = 0;
+            this._nInternalTxns = 0;
             this._arrContractDataSize = [];
             this._arrContracts = [];
+            this._arrLogs = [];
         }
 
         /**
@@ -245,6 +264,11 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                     )
                 };
 
+                // delegatecall uses caller's context (already has it)
+                if (!context && this._bLogsAllowed) {
+                    thisContext.emit = (strName, payload) => this._emit(environment.contractAddr, strName, payload);
+                }
+
                 const vm = new VM({
                     timeout: Constants.TIMEOUT_CODE,
                     sandbox: thisContext
@@ -293,6 +317,20 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             if (!address.equals(Crypto.getAddress(pubKey, true))) throw new Error('Claim failed!');
         }
 
+        /**
+         *
+         * @param {Buffer} address - multisig address (hash of redeem script)
+         * @param {Object} objClaim - @see Transaction.getMultisigClaim
+         * @param {Buffer} buffSignedData
+         * @private
+         */
+        _verifyPayToMultisig(address, objClaim, buffSignedData) {
+            typeforce(typeforce.tuple(types.Address, typeforce.Object, types.Hash256bit), arguments);
+
+            const {buffAddress, nRequired, arrSignedKeys} = Transaction.verifyMultisigClaim(objClaim, buffSignedData);
+            if (!address.equals(buffAddress) || arrSignedKeys.length < nRequired) throw new Error('Claim failed!');
+        }
+
         /**
          *
          * @param {Object} objFuncCode - keys - method names, values - code, like "{this._data++}"
@@ -353,9 +391,47 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
 
             // if it will throw (not enough) - no assignment will be made
             this._nCoinsLimit = _spendCoins(this._nCoinsLimit, this._objFees.nFeeInternalTx);
+            this._nInternalTxns++;
             this._objCallbacks.sendCoins(strAddress, amount, this._getCurrentContract());
         }
 
+        /**
+         * Store log. For delegatecall it will be logged on behalf of caller (we use caller's context)
+         * Size of log is charged same way as contract data
+         *
+         * @param {String} strContractAddr - contract that emits
+         * @param {String} strName - event name
+         * @param {*} payload - anything that could be JSON.stringified
+         * @private
+         */
+        _emit(strContractAddr, strName, payload) {
+            if (typeof strName !== 'string' || !strName.length) throw new Error('emit: event name should be string');
+
+            const strPayload = JSON.stringify(payload === undefined ? null : payload);
+            const nSize = this.constructor._getLogSize(strName, strPayload);
+            if (nSize > Constants.CONTRACT_LOG_MAX_SIZE) {
+                throw new Error(`emit: log exceed ${Constants.CONTRACT_LOG_MAX_SIZE} bytes`);
+            }
+
+            this._nDataDelta += nSize;
+            this._arrLogs.push({
+                contractAddress: Buffer.from(strContractAddr, 'hex'),
+                name: strName,
+                payload: strPayload
+            });
+        }
+
+        /**
+         *
+         * @param {String} strName
+         * @param {String} strPayload - JSON
+         * @return {Number} bytes
+         * @private
+         */
+        static _getLogSize(strName, strPayload) {
+            return Buffer.byteLength(strName) + Buffer.byteLength(strPayload);
+        }
+
         async _callWithContext(
             strAddress,
             {method, arrArguments, coinsLimit: coinsToPass},
@@ -367,19 +443,29 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
                 if (coinsToPass > this._nCoinsLimit) throw new Error('Trying to pass more coins than have');
             }
 
-            const result = await this._objCallbacks.invokeContract(
-                strAddress,
-                {
-                    method,
-                    arrArguments,
-                    coinsLimit: coinsToPass ? coinsToPass : this._nCoinsLimit,
-                    environment,
-
-                    // important!
-                    context: callContext
-                },
-                this._getCurrentContract()
-            );
+            // nested call could fail, but caller could catch it. changes of nested contract are dropped, logs too
+            const nLogsBefore = this._arrLogs.length;
+            let result;
+            try {
+                result = await this._objCallbacks.invokeContract(
+                    strAddress,
+                    {
+                        method,
+                        arrArguments,
+                        coinsLimit: coinsToPass ? coinsToPass : this._nCoinsLimit,
+                        environment,
+
+                        // important!
+                        context: callContext
+                    },
+                    this._getCurrentContract()
+                );
+            } catch (e) {
+                for (let {name, payload} of this._arrLogs.splice(nLogsBefore)) {
+                    this._nDataDelta -= this.constructor._getLogSize(name, payload);
+                }
+                throw e;
+            }
 
             // all fees for nested contract will be handled by it
             return result;
@@ -393,6 +479,22 @@ module.exports = ({Constants, Transaction, Crypto, PatchDB, Coins, TxReceipt, Co
             return this._nDataDelta;
         }
 
+        /**
+         *
+         * @return {Number} internal TXns (charged with nFeeInternalTx) created by contract since setupVariables
+         */
+        getInternalTxnsCount() {
+            return this._nInternalTxns;
+        }
+
+        /**
+         *
+         * @return {Array} of logs, emitted by contract (and nested calls) since setupVariables
+         */
+        getLogs() {
+            return this._arrLogs;
+        }
+
         _execStarted(contract) {
             if (!this._arrContractDataSize) throw new Error('App. Uninitialized variables, or recursion error');
 
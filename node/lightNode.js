@@ -0,0 +1,279 @@
+const assert = require('assert');
+const debugLib = require('debug');
+
+const debugLight = debugLib('light:app');
+const debugLightMsg = debugLib('light:messages');
+
+module.exports = (factory, factoryOptions) => {
+    const {Node, Messages, Constants, Block, PendingBlocksManager} = factory;
+    const {MsgInv, MsgGetHeaders, MsgHeaders, MsgGetTxProofs, MsgTxProofs} = Messages;
+
+    /**
+     * SPV node. Syncs only block headers (verified by signatures of concilium witnesses)
+     * and TXns of watched (wallet) addresses (verified by merkle branches).
+     * It doesn't execute blocks, so there is no UTXOs & contracts state
+     */
+    return class LightNode extends Node {
+        constructor(options) {
+
+            // mix in factory (common for all instance) options
+            options = {
+                ...factoryOptions,
+                ...options,
+
+                // watched addresses are stored in wallet
+                walletSupport: true
+            };
+
+            super(options);
+
+            // strTxHash => {tx, strBlockHash}
+            this._mapWatchedTxns = new Map();
+
+            // proofs from blocks below it are already received
+            this._nTxProofsHeight = 0;
+        }
+
+        /**
+         * Verified TXns of watched addresses
+         *
+         * @return {Array} of {tx: Transaction, strBlockHash: String, bFinal: Boolean}
+         */
+        getWatchedTxns() {
+            return [...this._mapWatchedTxns.values()].map(({tx, strBlockHash}) => ({
+                tx,
+                strBlockHash,
+                bFinal: this._mainDag.getBlockInfo(strBlockHash).isFinal()
+            }));
+        }
+
+        /**
+         * There are no blocks to execute, pending are just headers
+         *
+         * @return {Promise<void>}
+         * @private
+         */
+        async _rebuildBlockDb() {
+            await this._storage.ready();
+
+            const arrPendingBlocksHashes = await this._storage.getPendingBlockHashes();
+            const arrLastStableHashes = await this._storage.getLastAppliedBlockHashes();
+
+            await this._buildMainDag(arrLastStableHashes, arrPendingBlocksHashes);
+
+            this._pendingBlocks = new PendingBlocksManager({
+                mutex: this._mutex,
+                arrTopStable: arrLastStableHashes
+            });
+
+            const arrPendingInfos = arrPendingBlocksHashes
+                .map(hash => this._mainDag.getBlockInfo(hash.toString('hex')))
+                .sort((biA, biB) => biA.getHeight() - biB.getHeight());
+            for (let blockInfo of arrPendingInfos) {
+                await this._pendingBlocks.addBlockInfo(blockInfo);
+            }
+        }
+
+        /**
+         * We have no block bodies (and signatures) to serve
+         *
+         * @return {Promise<Boolean>}
+         * @private
+         */
+        async _isBlockRetained() {
+            return false;
+        }
+
+        async _requestBlocksFromPeer(peer) {
+            const msg = await this._createGetBlocksMsg();
+            debugLightMsg(`(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
+            await peer.pushMessage(msg);
+        }
+
+        /**
+         * Empty locator (we have no GENESIS yet) means: send headers starting from GENESIS
+         *
+         * @return {Promise<MessageGetHeaders>}
+         * @private
+         */
+        async _createGetBlocksMsg() {
+            const msg = new MsgGetHeaders();
+            const arrLastApplied = await this._storage.getLastAppliedBlockHashes();
+            msg.arrHashes = [...new Set([...arrLastApplied, ...this._pendingBlocks.getTips()])];
+            return msg;
+        }
+
+        /**
+         * Request headers if peer announced unknown block. TXns we'll get with proofs
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleInvMessage(peer, message) {
+            const invMsg = new MsgInv(message);
+
+            const bUnknownBlock = invMsg.inventory.vector.some(({type, hash}) =>
+                type === Constants.INV_BLOCK &&
+                !this._storage.isBlockBanned(hash) &&
+                !this._mainDag.getBlockInfo(hash.toString('hex'))
+            );
+            if (!bUnknownBlock || peer.isGetBlocksSent()) return;
+
+            await this._requestBlocksFromPeer(peer);
+        }
+
+        /**
+         * Handler for MSG_HEADERS message
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleHeadersMessage(peer, message) {
+            if (!peer.isGetBlocksSent()) {
+                logger.log(`Peer ${peer.address} pushed unrequested headers to us`);
+                peer.misbehave(1);
+                return;
+            }
+
+            const msg = new MsgHeaders(message);
+            const arrSignedHeaders = msg.arrSignedHeaders;
+            debugLightMsg(`(address: "${this._debugAddress}") received ${arrSignedHeaders.length} headers`);
+
+            let nAccepted = 0;
+            const lock = await this._mutex.acquire(['blockExec']);
+            try {
+                for (let {blockInfo, arrSignatures} of arrSignedHeaders) {
+                    if (await this._acceptHeader(blockInfo, arrSignatures)) nAccepted++;
+                }
+            } finally {
+                this._mutex.release(lock);
+                peer.doneGetBlocks();
+            }
+
+            // full batch (@see Node._getBlocksFromLastKnown), so peer have more
+            if (arrSignedHeaders.length >= Constants.MAX_BLOCKS_INV) {
+                peer.markAsPossiblyAhead();
+            } else {
+                peer.markAsEven();
+            }
+
+            if (nAccepted) await this._requestTxProofs(peer);
+        }
+
+        /**
+         * Throws if header is invalid
+         *
+         * @param {BlockInfo} blockInfo
+         * @param {Array} arrSignatures - of Buffers
+         * @return {Promise<Boolean>} false - known or orphan header (we'll get it with next request)
+         * @private
+         */
+        async _acceptHeader(blockInfo, arrSignatures) {
+            const strHash = blockInfo.getHash();
+            if (this._mainDag.getBlockInfo(strHash) || this._storage.isBlockBanned(strHash)) return false;
+
+            // we trust GENESIS by its hash (it's unsigned)
+            if (strHash !== Constants.GENESIS_BLOCK) {
+                if (blockInfo.parentHashes.some(hash => !this._mainDag.getBlockInfo(hash))) {
+                    debugLight(`Header ${strHash} has unknown parents. Skipping`);
+                    return false;
+                }
+                assert(blockInfo.getHeight() === this._calcHeight(blockInfo.parentHashes),
+                    `Incorrect height "${blockInfo.getHeight()}" for header ${strHash}`
+                );
+                await this._verifySignaturesQuorum(strHash, blockInfo.getConciliumId(), arrSignatures);
+            }
+
+            await this._storage.saveBlockInfo(blockInfo);
+            await this._mainDag.addBlock(blockInfo);
+            await this._pendingBlocks.addBlockInfo(blockInfo);
+
+            await this._processFinalityResults(
+                await this._pendingBlocks.checkFinality(strHash, await this._storage.getConciliumsCount())
+            );
+            await this._storage.updatePendingBlocks(this._pendingBlocks.getAllHashes());
+
+            return true;
+        }
+
+        /**
+         * Headers have no state, so there is nothing to apply, and no conflicting branches
+         *
+         * @param {Object | undefined} result - @see PendingBlocksManager.checkFinality
+         * @return {Promise<void>}
+         * @private
+         */
+        async _processFinalityResults(result) {
+            if (!result) return;
+            const {setStableBlocks, arrTopStable} = result;
+
+            debugLight(`Headers ${Array.from(setStableBlocks.keys())} are stable now`);
+
+            await this._updateLastAppliedBlocks(arrTopStable);
+
+            for (let hash of setStableBlocks) {
+                const bi = this._mainDag.getBlockInfo(hash);
+                bi.markAsFinal();
+                this._mainDag.setBlockInfo(bi);
+                await this._storage.saveBlockInfo(bi);
+            }
+        }
+
+        /**
+         * Request proofs for TXns of watched addresses, that are above last stable height of previous request
+         *
+         * @param {Peer} peer
+         * @return {Promise<void>}
+         * @private
+         */
+        async _requestTxProofs(peer) {
+            const arrAddresses = await this._storage.getWalletsAddresses();
+            if (!arrAddresses.length) return;
+
+            const nFromHeight = this._nTxProofsHeight;
+            this._nTxProofsHeight = (await this._storage.getLastAppliedBlockHashes())
+                .map(hash => this._mainDag.getBlockInfo(hash))
+                .reduce((nMax, bi) => bi && bi.getHeight() > nMax ? bi.getHeight() : nMax, this._nTxProofsHeight);
+
+            // peer will penalize us for more addresses in single message
+            for (let i = 0; i < arrAddresses.length; i += Constants.TX_PROOFS_MAX_ADDRESSES) {
+                const msg = new MsgGetTxProofs();
+                msg.arrAddresses = arrAddresses.slice(i, i + Constants.TX_PROOFS_MAX_ADDRESSES);
+                msg.fromHeight = nFromHeight;
+
+                debugLightMsg(`(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
+                await peer.pushMessage(msg);
+            }
+        }
+
+        /**
+         * Handler for MSG_TX_PROOFS message
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleTxProofsMessage(peer, message) {
+            const msg = new MsgTxProofs(message);
+
+            for (let {tx, strBlockHash, arrBranch} of msg.arrProofs) {
+                const strTxHash = tx.getHash();
+
+                // header not synced yet. we'll request proofs again after it
+                const blockInfo = this._mainDag.getBlockInfo(strBlockHash);
+                if (!blockInfo || blockInfo.isBad()) continue;
+
+                assert(
+                    Block.verifyMerkleBranch(strTxHash, arrBranch, Buffer.from(blockInfo.getHeader().merkleRoot)),
+                    `Bad merkle branch for TX ${strTxHash}`
+                );
+                this._mapWatchedTxns.set(strTxHash, {tx, strBlockHash});
+            }
+        }
+    };
+};
@@ -21,15 +21,18 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             this._tock = new Tick(this);
             this._tock.setInterval(MEMPOOL_TIMER_NAME, this.purgeOutdated.bind(this), MEMPOOL_TIMER_INTERVAL);
 
-            const {dbPath, testStorage} = {...factoryOptions, ...options};
+            const {dbPath, testStorage, storageBackend} = {...factoryOptions, ...options};
 
-            this._fileName = testStorage ? undefined : path.resolve(dbPath || Constants.DB_PATH_PREFIX,
+            this._fileName = testStorage || storageBackend === 'memory' ? undefined : path.resolve(dbPath || Constants.DB_PATH_PREFIX,
                 Constants.LOCAL_TX_FILE_NAME
             );
 
             this._mapConcilimTxns = new Map();
             this._mapLocalTxns = new Map();
 
+            // nConciliumId => [strHash] ordered by feerate (desc). Could contain removed hashes, @see _getPriorityIndex
+            this._mapPriorityIndex = new Map();
+
             this._mapBadTxnsHash = new Map();
             this._setPreferredConciliums = new Set();
         }
@@ -90,18 +93,16 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
                 if (nPrefferedSize < Constants.MEMPOOL_TX_QTY) {
 
                     // trim other, and keep maximum of preferred
-                    const arrMaps = [...this._mapConcilimTxns.keys()]
-                        .filter(nConciliumId => !this._setPreferredConciliums.has(nConciliumId))
-                        .map(nConciliumId => this._mapConcilimTxns.get(nConciliumId));
+                    const arrConciliumIds = [...this._mapConcilimTxns.keys()]
+                        .filter(nConciliumId => !this._setPreferredConciliums.has(nConciliumId));
 
-                    this._purgeMaps(arrMaps, Constants.MEMPOOL_TX_QTY - nPrefferedSize);
+                    this._purgeMaps(arrConciliumIds, Constants.MEMPOOL_TX_QTY - nPrefferedSize);
                 } else {
 
                     // trim preffered
-                    const arrMaps = [...this._mapConcilimTxns.keys()]
-                        .filter(nConciliumId => this._setPreferredConciliums.has(nConciliumId))
-                        .map(nConciliumId => this._mapConcilimTxns.get(nConciliumId));
-                    this._purgeMaps(arrMaps, nTrimmedSize);
+                    const arrConciliumIds = [...this._mapConcilimTxns.keys()]
+                        .filter(nConciliumId => this._setPreferredConciliums.has(nConciliumId));
+                    this._purgeMaps(arrConciliumIds, nTrimmedSize);
 
                     // COMPLETELY remove OTHER
                     [...this._mapConcilimTxns.keys()]
@@ -109,9 +110,7 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
                         .forEach(nConciliumId => this._mapConcilimTxns.get(nConciliumId).clear());
                 }
             } else {
-                const arrMaps = [...this._mapConcilimTxns.keys()]
-                    .map(nConciliumId => this._mapConcilimTxns.get(nConciliumId));
-                this._purgeMaps(arrMaps, nTrimmedSize);
+                this._purgeMaps([...this._mapConcilimTxns.keys()], nTrimmedSize);
             }
         }
 
@@ -127,10 +126,13 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
         /**
          * throws error!
          * used for wire tx (it's already validated)
+         * if tx conflicts with replaceable txns (and pays enough) - they'll be evicted with descendants
          *
          * @param {Transaction} tx - transaction to add
+         * @param {Number} nFee - paid by tx
+         * @return {Array} of evicted hashes
          */
-        addTx(tx) {
+        addTx(tx, nFee = 0) {
             const nConciliumId = tx.conciliumId;
             this._ensureConciliumTxns(nConciliumId);
 
@@ -139,10 +141,19 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             const strHash = tx.getHash();
             if (this.hasTx(strHash)) throw new Error(`tx ${strHash} already in mempool`);
 
+            const arrEvicted = this.findReplacedTxns(tx, nFee);
+            if (arrEvicted.length) {
+                debug(`TX ${strHash} replaces ${arrEvicted}`);
+                this.removeTxns(arrEvicted);
+            }
+
             const mapTxns = this._mapConcilimTxns.get(nConciliumId);
-            mapTxns.set(strHash, {tx, arrived: Date.now()});
+            mapTxns.set(strHash, {tx, arrived: Date.now(), nFee, nSize: tx.getSize()});
+            this._addToPriorityIndex(nConciliumId, strHash);
 
             debug(`TX ${strHash} added`);
+
+            return arrEvicted;
         }
 
         /**
@@ -151,19 +162,56 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
          * @param {Transaction} tx - transaction to add
          * @param {PatchDB} patchTx - patch for this tx (result of tx exec)
          * @param {Boolean} suppressDump - @see loadLocalTxnsFromDisk
+         * @param {Number} nFee - paid by tx (unknown for loaded from disk)
          */
-        addLocalTx(tx, patchTx, suppressDump = false) {
+        addLocalTx(tx, patchTx, suppressDump = false, nFee = 0) {
             typeforce(types.Transaction, tx);
 
             const strHash = tx.getHash();
             const prevSize = this._mapLocalTxns.size;
 
-            this._mapLocalTxns.set(strHash, {tx, patchTx});
+            this._mapLocalTxns.set(strHash, {tx, patchTx, nFee, nSize: tx.getSize()});
             debug(`Local TX ${strHash} added`);
 
             if (!suppressDump && prevSize !== this._mapLocalTxns.size) this._dumpToDisk();
         }
 
+        /**
+         * Opt-in replace-by-fee (throws error!)
+         * All txns conflicting with tx (spending same outputs) should be replaceable.
+         * tx should pay more than all evicted txns (conflicting & their descendants) + relay fee for own size,
+         * and its feerate should be higher than feerate of every conflicting tx
+         *
+         * @param {Transaction} tx - replacement
+         * @param {Number} nFee - paid by tx
+         * @return {Array} of hashes to evict (empty if no conflicts)
+         */
+        findReplacedTxns(tx, nFee) {
+            const arrConflicts = this._findConflicts(tx);
+            if (!arrConflicts.length) return [];
+
+            const nSize = tx.getSize();
+            for (let strHash of arrConflicts) {
+                const {tx: txConflict, nFee: nConflictFee, nSize: nConflictSize} = this._getRecord(strHash);
+                if (!txConflict.replaceable) throw new Error(`Tx conflicts with non replaceable tx ${strHash}`);
+                if (nFee / nSize <= nConflictFee / nConflictSize) {
+                    throw new Error(`Feerate of replacement should be higher than of tx ${strHash}`);
+                }
+            }
+
+            const arrEvicted = this._findDescendants(arrConflicts);
+            const setEvicted = new Set(arrEvicted);
+            if (tx.utxos.some(buffHash => setEvicted.has(buffHash.toString('hex')))) {
+                throw new Error('Replacement spends outputs of tx it replaces');
+            }
+
+            const nEvictedFee = arrEvicted.reduce((nSum, strHash) => nSum + this._getRecord(strHash).nFee, 0);
+            const nMinFee = nEvictedFee + parseInt(Constants.fees.TX_FEE * nSize / 1024);
+            if (nFee < nMinFee) throw new Error(`Replacement should pay at least ${nMinFee}`);
+
+            return arrEvicted;
+        }
+
         /**
          *
          * @param {Buffer | String} txHash
@@ -181,23 +229,31 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
         }
 
         /**
+         * Locked txns (lockHeight/lockTime) are held back until block height/timestamp reach lock
+         * Wire txns are selected by packages (tx with its unconfirmed ancestors) with best combined feerate,
+         * so parent always precedes child. Txns with ancestors that couldn't be selected are held back.
+         * Local txns follow wire ones
          *
          * @param {Number} nConciliumId - witness nConciliumId
-         * @returns {IterableIterator<any>} {tx, arrived ...}
+         * @param {Number} nHeight - of block to create (omit to get all)
+         * @param {Number} nTimestamp - of block to create
+         * @returns {Array} of Transactions
          */
-        getFinalTxns(nConciliumId) {
-
-            // TODO: implement lock_time
-            const arrResult = [];
-
+        getFinalTxns(nConciliumId, nHeight = Number.MAX_SAFE_INTEGER, nTimestamp = Number.MAX_SAFE_INTEGER) {
             this._ensureConciliumTxns(nConciliumId);
             const mapTxns = this._mapConcilimTxns.get(nConciliumId);
-            for (let [, r] of mapTxns) {
-                arrResult.push(r.tx);
+
+            // candidates with equal feerate will keep order of index
+            const mapCandidates = new Map();
+            for (let strHash of this._getPriorityIndex(nConciliumId)) {
+                const r = mapTxns.get(strHash);
+                if (r.tx.isFinal(nHeight, nTimestamp)) mapCandidates.set(strHash, r);
             }
 
+            const arrResult = this._selectByPackages(mapCandidates).map(strHash => mapCandidates.get(strHash).tx);
+
             for (let r of this._mapLocalTxns.values()) {
-                if (r.tx.conciliumId === nConciliumId) arrResult.push(r.tx);
+                if (r.tx.conciliumId === nConciliumId && r.tx.isFinal(nHeight, nTimestamp)) arrResult.push(r.tx);
             }
             return arrResult;
         }
@@ -265,6 +321,201 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             arrIds.forEach(nConciliumId => this._setPreferredConciliums.add(nConciliumId));
         }
 
+        /**
+         *
+         * @param {Map} mapCandidates - strHash => record
+         * @return {Array} of hashes, ordered by package feerate (ancestors first)
+         * @private
+         */
+        _selectByPackages(mapCandidates) {
+
+            // ancestors of each candidate (within mempool), candidates with missing ancestors are dropped
+            const mapAncestors = new Map();
+            const getAncestors = (strHash) => {
+                if (mapAncestors.has(strHash)) return mapAncestors.get(strHash);
+
+                // prevent loop
+                mapAncestors.set(strHash, undefined);
+
+                let setAncestors = new Set();
+                for (let strParent of this._getMempoolParents(mapCandidates.get(strHash).tx)) {
+                    const setParentAncestors = mapCandidates.has(strParent) ? getAncestors(strParent) : undefined;
+                    if (!setParentAncestors) {
+                        setAncestors = undefined;
+                        break;
+                    }
+                    setAncestors.add(strParent);
+                    setParentAncestors.forEach(strAncestor => setAncestors.add(strAncestor));
+                }
+                mapAncestors.set(strHash, setAncestors);
+                return setAncestors;
+            };
+
+            const setRemaining = new Set();
+            for (let strHash of mapCandidates.keys()) {
+                if (getAncestors(strHash)) setRemaining.add(strHash);
+            }
+
+            const arrResult = [];
+            while (setRemaining.size) {
+                let arrBestPackage;
+                let nBestFeerate = -1;
+                for (let strHash of setRemaining) {
+                    const arrPackage = [...mapAncestors.get(strHash)]
+                        .filter(strAncestor => setRemaining.has(strAncestor));
+                    arrPackage.push(strHash);
+
+                    let nFee = 0;
+                    let nSize = 0;
+                    for (let strMember of arrPackage) {
+                        const r = mapCandidates.get(strMember);
+                        nFee += r.nFee || 0;
+                        nSize += r.nSize || r.tx.getSize();
+                    }
+                    if (nFee / nSize > nBestFeerate) {
+                        nBestFeerate = nFee / nSize;
+                        arrBestPackage = arrPackage;
+                    }
+                }
+
+                // ancestors first
+                arrBestPackage.sort((strA, strB) => mapAncestors.get(strA).size - mapAncestors.get(strB).size);
+                for (let strHash of arrBestPackage) {
+                    arrResult.push(strHash);
+                    setRemaining.delete(strHash);
+                }
+            }
+
+            return arrResult;
+        }
+
+        /**
+         *
+         * @param {Object} record - {nFee, nSize}
+         * @return {Number}
+         * @private
+         */
+        _getFeerate({nFee, nSize}) {
+            return nFee / nSize;
+        }
+
+        /**
+         * Removed txns are dropped from index here (lazily), so any code could just delete tx from map
+         *
+         * @param {Number} nConciliumId
+         * @return {Array} of hashes ordered by feerate (desc), equal feerate - by arrival
+         * @private
+         */
+        _getPriorityIndex(nConciliumId) {
+            const mapTxns = this._mapConcilimTxns.get(nConciliumId);
+            const arrIndex = (this._mapPriorityIndex.get(nConciliumId) || [])
+                .filter(strHash => mapTxns && mapTxns.has(strHash));
+
+            this._mapPriorityIndex.set(nConciliumId, arrIndex);
+            return arrIndex;
+        }
+
+        /**
+         * Insert (keeping order) tx that already stored in concilium map
+         *
+         * @param {Number} nConciliumId
+         * @param {String} strHash
+         * @private
+         */
+        _addToPriorityIndex(nConciliumId, strHash) {
+            const mapTxns = this._mapConcilimTxns.get(nConciliumId);
+            const arrIndex = this._getPriorityIndex(nConciliumId);
+            const nFeerate = this._getFeerate(mapTxns.get(strHash));
+
+            // binary search: first position with lower feerate
+            let nLow = 0;
+            let nHigh = arrIndex.length;
+            while (nLow < nHigh) {
+                const nMid = (nLow + nHigh) >>> 1;
+                if (this._getFeerate(mapTxns.get(arrIndex[nMid])) >= nFeerate) {
+                    nLow = nMid + 1;
+                } else {
+                    nHigh = nMid;
+                }
+            }
+            arrIndex.splice(nLow, 0, strHash);
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @return {Array} of hashes of txns (in mempool) spent by tx
+         * @private
+         */
+        _getMempoolParents(tx) {
+            const setParents = new Set(tx.utxos.map(buffHash => buffHash.toString('hex')));
+            return [...setParents].filter(strHash => !!this._getRecord(strHash));
+        }
+
+        /**
+         *
+         * @param {Transaction} tx
+         * @return {Array} of hashes of txns (in mempool) that spend same outputs as tx
+         * @private
+         */
+        _findConflicts(tx) {
+            const strOutpoint = ({txHash, nTxOutput}) => `${txHash.toString('hex')}:${nTxOutput}`;
+            const setOutpoints = new Set(tx.inputs.map(strOutpoint));
+
+            const arrConflicts = [];
+            for (let [strHash, {tx: txMempool}] of this._getAllRecords()) {
+                if (txMempool.inputs.some(input => setOutpoints.has(strOutpoint(input)))) arrConflicts.push(strHash);
+            }
+            return arrConflicts;
+        }
+
+        /**
+         *
+         * @param {Array} arrHashes
+         * @return {Array} of arrHashes with all their descendants in mempool
+         * @private
+         */
+        _findDescendants(arrHashes) {
+            const setResult = new Set(arrHashes);
+
+            let nPrevSize;
+            do {
+                nPrevSize = setResult.size;
+                for (let [strHash, {tx}] of this._getAllRecords()) {
+                    if (setResult.has(strHash)) continue;
+                    if (tx.utxos.some(buffHash => setResult.has(buffHash.toString('hex')))) setResult.add(strHash);
+                }
+            } while (nPrevSize !== setResult.size);
+
+            return [...setResult];
+        }
+
+        /**
+         *
+         * @return {Array} [strHash, record] of wire & local txns
+         * @private
+         */
+        _getAllRecords() {
+            const arrRecords = [...this._mapLocalTxns];
+            for (let [, mapTxns] of this._mapConcilimTxns) {
+                arrRecords.push(...mapTxns);
+            }
+            return arrRecords;
+        }
+
+        /**
+         *
+         * @param {String} strHash
+         * @return {Object | undefined} {tx, nFee, nSize, ...}
+         * @private
+         */
+        _getRecord(strHash) {
+            if (this._mapLocalTxns.has(strHash)) return this._mapLocalTxns.get(strHash);
+
+            const mapTxns = this._searchMapByHash(strHash);
+            return mapTxns ? mapTxns.get(strHash) : undefined;
+        }
+
         _ensureConciliumTxns(nConciliumId) {
             if (!this._mapConcilimTxns.has(nConciliumId)) this._mapConcilimTxns.set(nConciliumId, new Map());
         }
@@ -294,6 +545,15 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
             return nTotalSize;
         }
 
+        /**
+         * Used to suggest fee priority
+         *
+         * @return {Number} part of MEMPOOL_TX_QTY already used (local TXns excluded)
+         */
+        getOccupancy() {
+            return this._calcSize() / Constants.MEMPOOL_TX_QTY;
+        }
+
         _calcPrefferedSize() {
             let nSize = 0;
             for (let nConciliumId of this._setPreferredConciliums) {
@@ -305,25 +565,45 @@ module.exports = ({Constants, Transaction}, factoryOptions) =>
         }
 
         /**
-         * Now it will proportionally remove most old txns in selected maps
-         * TODO: keep most profitable txns, now
+         * Proportionally remove txns of selected conciliums.
+         * Eviction order is reverse of block selection (@see _selectByPackages): lowest package feerate first,
+         * children before parents (parent paid by child stays with it), equal feerate - oldest first.
+         * Txns held back (ancestors missed) evicted before all others. Descendants evicted along
          *
-         * @param arrMaps
-         * @param nDesiredSize
+         * @param {Array} arrConciliumIds
+         * @param {Number} nDesiredSize
          * @private
          */
-        _purgeMaps(arrMaps, nDesiredSize) {
+        _purgeMaps(arrConciliumIds, nDesiredSize) {
+            const arrMaps = arrConciliumIds.map(nConciliumId => this._mapConcilimTxns.get(nConciliumId));
 
             const nCurrentSize = arrMaps.reduce((nSum, mapCurrent) => nSum + mapCurrent.size, 0);
             const nToRemove = nCurrentSize - nDesiredSize;
 
-            for (let map of arrMaps) {
-                let i = 0;
+            arrConciliumIds.forEach((nConciliumId, i) => {
+                const map = arrMaps[i];
                 const nThisMapRemove = Math.round(nToRemove * map.size / nCurrentSize);
-                map.forEach((val, key) => {
-                    if (i++ < nThisMapRemove) map.delete(key);
-                });
-            }
+
+                // no sorting here: equal package feerate resolved by order of candidates (first one selected).
+                // Priority index holds equal feerate txns in order of arrival, reversed - oldest selected last
+                const arrSelected = this._selectByPackages(new Map(
+                    [...this._getPriorityIndex(nConciliumId)].reverse().map(strHash => [strHash, map.get(strHash)])
+                ));
+                const setSelected = new Set(arrSelected);
+                const arrEvictionOrder = [...map.keys()]
+                    .filter(strHash => !setSelected.has(strHash))
+                    .concat(arrSelected.reverse());
+
+                let nRemoved = 0;
+                for (let strHash of arrEvictionOrder) {
+                    if (nRemoved >= nThisMapRemove) break;
+                    if (!map.has(strHash)) continue;
+
+                    const arrEvicted = this._findDescendants([strHash]);
+                    nRemoved += arrEvicted.filter(strEvicted => map.has(strEvicted)).length;
+                    this.removeTxns(arrEvicted);
+                }
+            });
         }
 
         /**
@@ -7,6 +7,7 @@ const debugLib = require('debug');
 const {sleep, arrayEquals} = require('../utils');
 const types = require('../types');
 const Tick = require('tick-tock');
+const TokenBucket = require('../network/tokenBucket');
 
 const debugNode = debugLib('node:app');
 const debugBlock = debugLib('node:block');
@@ -15,6 +16,10 @@ const debugMsgFull = debugLib('node:messages:full');
 
 const PEER_RECONNECT_TIMER_NAME = 'peerReconnectTimer';
 
+// Used to estimate size of unsigned TX. Claim is a protobuf bytes field:
+// 1 byte (field tag) + 1 byte (varint length < 128) + 65 bytes (signature: r, s, recovery id)
+const CLAIM_PROOF_SIZE = 1 + 1 + 65;
+
 function createPeerKey(peer) {
     return peer.address + peer.port;
 }
@@ -35,6 +40,7 @@ module.exports = (factory, factoryOptions) => {
         Application,
         Transaction,
         Block,
+        CompactBlock,
         PatchDB,
         Coins,
         PendingBlocksManager,
@@ -55,7 +61,18 @@ module.exports = (factory, factoryOptions) => {
         MsgBlock,
         MsgInv,
         MsgGetData,
-        MsgGetBlocks
+        MsgNotFound,
+        MsgGetBlocks,
+        MsgGetHeaders,
+        MsgHeaders,
+        MsgGetTxProofs,
+        MsgTxProofs,
+        MsgFilterLoad,
+        MsgFilterAdd,
+        MsgMerkleBlock,
+        MsgCompactBlock,
+        MsgGetBlockTxn,
+        MsgBlockTxn
     } = Messages;
     const {MSG_VERSION, MSG_VERACK, MSG_GET_ADDR, MSG_ADDR, MSG_REJECT, MSG_GET_MEMPOOL} = Constants.messageTypes;
 
@@ -82,6 +99,12 @@ module.exports = (factory, factoryOptions) => {
             // nonce for MsgVersion to detect connection to self (use crypto.randomBytes + readIn32LE) ?
             this._nonce = parseInt(Math.random() * 100000);
 
+            // one syncing peer shouldn't saturate our upload
+            this._historicalUploadBucket = new TokenBucket(
+                Constants.UPLOAD_HISTORICAL_BYTES_BURST,
+                Constants.UPLOAD_HISTORICAL_BYTES_PER_SEC
+            );
+
             this._arrSeedAddresses = arrSeedAddresses || [];
             this._arrDnsSeeds = arrDnsSeeds || Constants.DNS_SEED;
 
@@ -93,6 +116,9 @@ module.exports = (factory, factoryOptions) => {
             this._mapBlocksToExec = new Map();
             this._mapUnknownBlocks = new Map();
             this._mapBlocksToExec = new Map();
+
+            // strBlockHash => {compactBlock, strPeerAddress, nRequestedAt}, waiting for missing TXns (MSG_BLOCK_TXN)
+            this._mapCompactBlocks = new Map();
             this._app = new Application(options);
 
             this._rebuildPromise = this._rebuildBlockDb();
@@ -111,17 +137,25 @@ module.exports = (factory, factoryOptions) => {
                 // we'll init network after all local tasks are done
                 await Promise.all([this._rebuildPromise]);
 
+                // peers pinned our identity (@see PeerManager.pinIdentityKey), so generated one should persist
+                if (options.encryptTransport && !options.identityKey) await this._loadIdentityKey();
+
                 await this._transport.listen();
 
                 const {announceAddr} = options;
                 const address = Transport.strToAddress(announceAddr ? announceAddr : this._transport.myAddress);
                 this._myPeerInfo = new PeerInfo({
                     capabilities: [
-                        {service: Constants.NODE}
+                        {service: Constants.NODE},
+                        {service: Constants.COMPACT_BLOCKS}
                     ],
                     address,
                     port: this._transport.port
                 });
+                if (this._transport.identityKey) {
+                    this._myPeerInfo.addCapability(
+                        {service: Constants.ENCRYPTED, data: Buffer.from(this._transport.identityKey, 'hex')});
+                }
 
                 this._debugAddress = this._transport.myAddress;
 
@@ -194,7 +228,7 @@ module.exports = (factory, factoryOptions) => {
             for (let peer of peers) {
                 try {
                     if (peer.disconnected) await this._connectToPeer(peer);
-                    await peer.pushMessage(this._createMsgVersion());
+                    await peer.pushMessage(await this._createMsgVersion());
                     await peer.loaded();
                 } catch (e) {
                     debugNode(e.message);
@@ -253,7 +287,7 @@ module.exports = (factory, factoryOptions) => {
         async _incomingConnection(connection) {
             try {
 
-                // TODO: disconnect this peer if we already have Constant.MAX_PEERS (CIL-124)
+                // it throws if all inbound slots are busy & nobody could be evicted
                 this._peerManager.addCandidateConnection(connection);
             } catch (err) {
                 debugNode(err);
@@ -270,7 +304,8 @@ module.exports = (factory, factoryOptions) => {
 
             this._bReconnectInProgress = true;
             try {
-                let bestPeers = this._peerManager.findBestPeers().filter(p => p.disconnected);
+                let bestPeers = this._peerManager.findBestPeers()
+                    .filter(p => p.disconnected && this._transport.isReachable(p.address));
                 let peers = bestPeers.splice(0, this._nMinConnections - this._peerManager.getConnectedPeers().length);
                 await this._connectToPeers(peers);
             } catch (e) {
@@ -337,12 +372,45 @@ module.exports = (factory, factoryOptions) => {
                 if (message.isGetData()) {
                     return await this._handleGetDataMessage(peer, message);
                 }
+                if (message.isNotFound()) {
+                    return await this._handleNotFoundMessage(peer, message);
+                }
                 if (message.isTx()) {
                     return await this._handleTxMessage(peer, message);
                 }
-                if (message.isBlock()) {
+                if (message.isBlock() || message.isCompactBlock()) {
                     return await this._handleBlockMessage(peer, message);
                 }
+                if (message.isGetBlockTxn()) {
+                    return await this._handleGetBlockTxnMessage(peer, message);
+                }
+                if (message.isBlockTxn()) {
+                    return await this._handleBlockTxnMessage(peer, message);
+                }
+                if (message.isGetHeaders()) {
+                    return await this._handleGetHeadersMessage(peer, message);
+                }
+                if (message.isHeaders()) {
+                    return await this._handleHeadersMessage(peer, message);
+                }
+                if (message.isGetTxProofs()) {
+                    return await this._handleGetTxProofsMessage(peer, message);
+                }
+                if (message.isTxProofs()) {
+                    return await this._handleTxProofsMessage(peer, message);
+                }
+                if (message.isFilterLoad()) {
+                    return await this._handleFilterLoadMessage(peer, message);
+                }
+                if (message.isFilterAdd()) {
+                    return await this._handleFilterAddMessage(peer, message);
+                }
+                if (message.isFilterClear()) {
+                    return await this._handleFilterClearMessage(peer);
+                }
+                if (message.isMerkleBlock()) {
+                    return await this._handleMerkleBlockMessage(peer);
+                }
 
                 throw new Error(`Unhandled message type "${message.message}"`);
             } catch (err) {
@@ -376,6 +444,7 @@ module.exports = (factory, factoryOptions) => {
 
             try {
                 await this._processReceivedTx(tx);
+                peer.usefulItemDelivered();
                 await this._informNeighbors(tx, peer);
             } catch (e) {
                 logger.error(e, `Bad TX received. Peer ${peer.address}`);
@@ -385,7 +454,7 @@ module.exports = (factory, factoryOptions) => {
         }
 
         /**
-         * Handler for MSG_BLOCK message
+         * Handler for MSG_BLOCK & MSG_COMPACT_BLOCK messages
          *
          * @param {Peer} peer - peer that send message
          * @param {MessageCommon} message
@@ -393,29 +462,63 @@ module.exports = (factory, factoryOptions) => {
          * @private
          */
         async _handleBlockMessage(peer, message) {
+            let block;
+            if (message.isCompactBlock()) {
+                const compactBlock = new MsgCompactBlock(message).compactBlock;
+                if (!await this._shouldProcessReceivedBlock(peer, compactBlock.getHash())) return;
+
+                // undefined - we requested missing TXns, block will be processed in _handleBlockTxnMessage
+                block = await this._rebuildCompactBlock(peer, compactBlock);
+                if (!block) return;
+            } else {
+                block = new MsgBlock(message).block;
+                if (!await this._shouldProcessReceivedBlock(peer, block.getHash())) return;
+            }
 
-            const msg = new MsgBlock(message);
-            const block = msg.block;
-            debugNode(`Received block ${block.getHash()}`);
+            await this._processReceivedBlock(peer, block);
+        }
 
-            if (!this._requestCache.isRequested(block.getHash())) {
-                logger.log(`Peer ${peer.address} pushed unrequested Block ${block.getHash()} to us`);
+        /**
+         *
+         * @param {Peer} peer - peer that send block
+         * @param {String} strBlockHash
+         * @return {Promise<boolean>}
+         * @private
+         */
+        async _shouldProcessReceivedBlock(peer, strBlockHash) {
+            debugNode(`Received block ${strBlockHash}`);
+
+            if (!this._requestCache.isRequested(strBlockHash)) {
+                logger.log(`Peer ${peer.address} pushed unrequested Block ${strBlockHash} to us`);
                 peer.misbehave(5);
-                return;
+                return false;
             }
 
-            if (this._storage.isBlockBanned(block.hash())) {
-                debugNode(`Block ${block.hash()} was banned! Discarding`);
-                return;
+            if (this._storage.isBlockBanned(strBlockHash)) {
+                debugNode(`Block ${strBlockHash} was banned! Discarding`);
+                return false;
             }
 
             // since we building DAG, it's faster than check storage
-            if (await this._isBlockKnown(block.hash())) {
-                debugNode(`Block ${block.hash()} already known!`);
-                return;
+            if (await this._isBlockKnown(strBlockHash)) {
+                debugNode(`Block ${strBlockHash} already known!`);
+                return false;
             }
+
+            return true;
+        }
+
+        /**
+         *
+         * @param {Peer} peer - peer that send block
+         * @param {Block} block
+         * @return {Promise<void>}
+         * @private
+         */
+        async _processReceivedBlock(peer, block) {
             try {
                 await this._handleArrivedBlock(block, peer);
+                if (peer) peer.usefulItemDelivered();
             } catch (e) {
                 await this._blockBad(block);
                 logger.error(e);
@@ -424,6 +527,149 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Take TXns from mempool, request missing ones
+         *
+         * @param {Peer} peer - peer that send compact block
+         * @param {CompactBlock} compactBlock
+         * @return {Promise<Block | undefined>} undefined - block isn't complete yet
+         * @private
+         */
+        async _rebuildCompactBlock(peer, compactBlock) {
+            const arrMissedIndexes = compactBlock.rebuild(
+                this._mempool.getContent(),
+                strTxHash => this._mempool.getTx(strTxHash)
+            );
+            if (!arrMissedIndexes.length) return await this._compactToBlock(peer, compactBlock);
+
+            const strBlockHash = compactBlock.getHash();
+
+            // peers could leave us without response, so keep it bounded
+            this._purgeStaleCompactBlocks();
+            if (this._mapCompactBlocks.size >= Constants.MAX_BLOCKS_INV) {
+                this._mapCompactBlocks.delete(this._mapCompactBlocks.keys().next().value);
+            }
+            this._mapCompactBlocks.set(strBlockHash,
+                {compactBlock, strPeerAddress: peer.address, nRequestedAt: Date.now()}
+            );
+
+            const msg = new MsgGetBlockTxn({blockHash: Buffer.from(strBlockHash, 'hex'), indexes: arrMissedIndexes});
+            debugMsg(`(address: "${this._debugAddress}") requesting ${arrMissedIndexes.length} missing TXns of block ${
+                strBlockHash} from "${peer.address}"`);
+            await peer.pushMessage(msg);
+        }
+
+        /**
+         * Forget compact blocks, which TXns weren't sent to us within Constants.COMPACT_BLOCK_TXN_TIMEOUT
+         *
+         * @private
+         */
+        _purgeStaleCompactBlocks() {
+            const nNow = Date.now();
+            for (let [strBlockHash, {nRequestedAt}] of this._mapCompactBlocks) {
+                if (nNow - nRequestedAt > Constants.COMPACT_BLOCK_TXN_TIMEOUT) {
+                    this._mapCompactBlocks.delete(strBlockHash);
+                }
+            }
+        }
+
+        /**
+         * Short ids collision gives us wrong TXns, so we'll request full block
+         *
+         * @param {Peer} peer - peer that send compact block
+         * @param {CompactBlock} compactBlock
+         * @return {Promise<Block | undefined>}
+         * @private
+         */
+        async _compactToBlock(peer, compactBlock) {
+            try {
+                return compactBlock.toBlock();
+            } catch (e) {
+                logger.error(e);
+
+                const inv = new Inventory();
+                inv.addBlockHash(compactBlock.getHash());
+                const msgGetData = new MsgGetData();
+                msgGetData.inventory = inv;
+                debugMsg(`(address: "${this._debugAddress}") requesting full block ${
+                    compactBlock.getHash()} from "${peer.address}"`);
+                await peer.pushMessage(msgGetData);
+            }
+        }
+
+        /**
+         * Handler for MSG_GET_BLOCK_TXN message
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleGetBlockTxnMessage(peer, message) {
+            const msg = new MsgGetBlockTxn(message);
+            const strBlockHash = msg.strBlockHash;
+
+            const block = await this._getBlockForTxnRequest(strBlockHash);
+            if (!block) {
+                debugMsg(
+                    `(address: "${this._debugAddress}") block ${strBlockHash} unavailable. Skipping "${peer.address}"`);
+                return;
+            }
+
+            const msgBlockTxn = new MsgBlockTxn({blockHash: Buffer.from(strBlockHash, 'hex')});
+            for (let nIdx of msg.arrIndexes) {
+                assert(nIdx < block.txns.length, `Bad TX index ${nIdx} for block ${strBlockHash}`);
+                msgBlockTxn.addTx(new Transaction(block.txns[nIdx]));
+            }
+
+            debugMsg(`(address: "${this._debugAddress}") sending "${msgBlockTxn.message}" to "${peer.address}"`);
+            await peer.pushMessage(msgBlockTxn);
+        }
+
+        /**
+         *
+         * @param {String} strBlockHash
+         * @return {Promise<Block | undefined>}
+         * @private
+         */
+        async _getBlockForTxnRequest(strBlockHash) {
+            if (!await this._isBlockRetained(strBlockHash)) return undefined;
+            return await this._storage.getBlock(strBlockHash);
+        }
+
+        /**
+         * Handler for MSG_BLOCK_TXN message (missing TXns of compact block)
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleBlockTxnMessage(peer, message) {
+            const msg = new MsgBlockTxn(message);
+            const strBlockHash = msg.strBlockHash;
+
+            this._purgeStaleCompactBlocks();
+            const objPending = this._mapCompactBlocks.get(strBlockHash);
+            if (!objPending || objPending.strPeerAddress !== peer.address) {
+                logger.log(`Peer ${peer.address} pushed unrequested TXns of block ${strBlockHash} to us`);
+                peer.misbehave(5);
+                return;
+            }
+            this._mapCompactBlocks.delete(strBlockHash);
+
+            const {compactBlock} = objPending;
+
+            compactBlock.fillMissing(msg.arrTxns);
+            const block = await this._compactToBlock(peer, compactBlock);
+            if (!block) return;
+
+            // it could arrive from another peer meanwhile
+            if (await this._isBlockKnown(strBlockHash)) return;
+
+            await this._processReceivedBlock(peer, block);
+        }
+
         async _handleArrivedBlock(block, peer) {
             const lock = await this._mutex.acquire(['blockReceived', 'inventory']);
 
@@ -481,6 +727,12 @@ module.exports = (factory, factoryOptions) => {
                                          !this._requestCache.isRequested(objVector.hash) &&
                                          !await this._isBlockKnown(objVector.hash.toString('hex'));
                         if (bShouldRequest) nBlockToRequest++;
+
+                        // it's announce of fresh block, so most of its TXns should be in our mempool
+                        if (bShouldRequest && peer.supportsCompactBlocks && !peer.isGetBlocksSent() &&
+                            !this._isInitialBlockLoading()) {
+                            objVector = {type: Constants.INV_COMPACT_BLOCK, hash: objVector.hash};
+                        }
                     }
 
                     if (bShouldRequest) {
@@ -547,7 +799,9 @@ module.exports = (factory, factoryOptions) => {
             const inventory = new Inventory();
 
             for (let hash of this._getBlocksFromLastKnown(msg.arrHashes)) {
-                inventory.addBlockHash(hash);
+
+                // advertise only blocks we could serve
+                if (await this._isBlockRetained(hash)) inventory.addBlockHash(hash);
             }
             debugMsg(
                 `(address: "${this._debugAddress}") sending ${inventory.vector.length} blocks to "${peer.address}"`);
@@ -558,10 +812,190 @@ module.exports = (factory, factoryOptions) => {
             await peer.pushMessage(msgInv);
         }
 
+        /**
+         * Handler for MSG_GET_HEADERS message (from light node).
+         * Send MSG_HEADERS with witnesses signatures for further blocks (if we have it)
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message - it contains hashes of blocks known to peer
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleGetHeadersMessage(peer, message) {
+
+            // we'r empty. we have nothing to share with party
+            if (!this._mainDag.order) return;
+
+            const msg = new MsgGetHeaders(message);
+            const msgHeaders = new MsgHeaders();
+
+            for (let hash of this._getBlocksFromLastKnown(msg.arrHashes)) {
+
+                // signatures are stored only with block
+                if (!await this._isBlockRetained(hash)) continue;
+                const block = await this._storage.getBlock(hash).catch(err => debugMsg(err));
+                if (block) msgHeaders.addBlock(block);
+            }
+            debugMsg(`(address: "${this._debugAddress}") sending "${msgHeaders.message}" to "${peer.address}"`);
+            await peer.pushMessage(msgHeaders);
+        }
+
+        /**
+         * Handler for MSG_GET_TX_PROOFS message (from light node).
+         * Send MSG_TX_PROOFS with merkle branches for TXns of requested addresses. Requires address index
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleGetTxProofsMessage(peer, message) {
+            const msg = new MsgGetTxProofs(message);
+            if (msg.arrAddresses.length > Constants.TX_PROOFS_MAX_ADDRESSES) {
+                logger.log(`Peer ${peer.address} requested TX proofs for too many addresses`);
+                peer.misbehave(10);
+                return;
+            }
+            const msgTxProofs = new MsgTxProofs();
+
+            const setTxHashes = new Set();
+            for (let strAddress of msg.arrAddresses) {
+                let arrRecords;
+                try {
+                    arrRecords = await this._getFullAddressHistory(strAddress);
+                } catch (e) {
+                    debugMsg(`(address: "${this._debugAddress}") no TX proofs for ${strAddress}: ${e.message}`);
+                    continue;
+                }
+
+                // internal TXns aren't in blocks
+                arrRecords
+                    .filter(({strSourceTxHash}) => !strSourceTxHash)
+                    .forEach(({strTxHash}) => setTxHashes.add(strTxHash));
+            }
+
+            for (let strTxHash of setTxHashes) {
+                const block = await this._storage.findBlockByTxHash(strTxHash);
+                if (!block || block.getHeight() < msg.fromHeight) continue;
+
+                const objTx = block.txns.find(objTx => new Transaction(objTx).getHash() === strTxHash);
+                msgTxProofs.addProof(new Transaction(objTx), block.getHash(), block.getTxProof(strTxHash));
+            }
+            debugMsg(`(address: "${this._debugAddress}") sending "${msgTxProofs.message}" to "${peer.address}"`);
+            await peer.pushMessage(msgTxProofs);
+        }
+
+        /**
+         * All pages of storage.getAddressHistory
+         *
+         * @param {String} strAddress
+         * @return {Promise<Array>} @see storage.getAddressHistory
+         * @private
+         */
+        async _getFullAddressHistory(strAddress) {
+            const arrRecords = [];
+            let nCursor;
+            do {
+                const objPage = await this._storage.getAddressHistory(strAddress, nCursor);
+                arrRecords.push(...objPage.arrRecords);
+                nCursor = objPage.nNextCursor;
+            } while (nCursor !== undefined);
+
+            return arrRecords;
+        }
+
+        /**
+         * Regular node requests blocks, not headers (@see LightNode)
+         *
+         * @param {Peer} peer - peer that send message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleHeadersMessage(peer) {
+            logger.log(`Peer ${peer.address} pushed unrequested headers to us`);
+            peer.misbehave(1);
+        }
+
+        /**
+         * Regular node has TXns from blocks, not TX proofs (@see LightNode)
+         *
+         * @param {Peer} peer - peer that send message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleTxProofsMessage(peer) {
+            logger.log(`Peer ${peer.address} pushed unrequested TX proofs to us`);
+            peer.misbehave(1);
+        }
+
+        /**
+         * Handler for MSG_FILTER_LOAD message. From now we'll relay to peer only TXns matched by filter
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleFilterLoadMessage(peer, message) {
+            const bloomFilter = new MsgFilterLoad(message).bloomFilter;
+            if (!bloomFilter.isWithinSizeConstraints()) {
+                logger.log(`Peer ${peer.address} loaded too big bloom filter`);
+                peer.misbehave(10);
+                return;
+            }
+
+            peer.bloomFilter = bloomFilter;
+        }
+
+        /**
+         * Handler for MSG_FILTER_ADD message
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleFilterAddMessage(peer, message) {
+            const buffData = new MsgFilterAdd(message).data;
+            if (!peer.bloomFilter || buffData.length > Constants.BLOOM_MAX_ADD_SIZE) {
+                logger.log(`Peer ${peer.address} sent bad "filteradd"`);
+                peer.misbehave(10);
+                return;
+            }
+
+            peer.bloomFilter.insert(buffData);
+        }
+
+        /**
+         * Handler for MSG_FILTER_CLEAR message. Peer wants all TXns again
+         *
+         * @param {Peer} peer - peer that send message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleFilterClearMessage(peer) {
+            peer.bloomFilter = undefined;
+        }
+
+        /**
+         * We never request filtered blocks
+         *
+         * @param {Peer} peer - peer that send message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleMerkleBlockMessage(peer) {
+            logger.log(`Peer ${peer.address} pushed unrequested merkle block to us`);
+            peer.misbehave(1);
+        }
+
         async _handleGetMempool(peer) {
             const inventory = new Inventory();
 
-            const arrLocalTxHashes = this._mempool.getLocalTxnHashes();
+            let arrLocalTxHashes = this._mempool.getLocalTxnHashes();
+            if (peer.bloomFilter) {
+                arrLocalTxHashes = arrLocalTxHashes.filter(hash => peer.isTxRelevant(this._mempool.getTx(hash)));
+            }
             arrLocalTxHashes.forEach(hash => inventory.addTxHash(hash));
             debugMsg(
                 `(address: "${this._debugAddress}") sending ${arrLocalTxHashes.length} mempool TXns to "${peer.address}"`);
@@ -648,9 +1082,10 @@ module.exports = (factory, factoryOptions) => {
          * @private
          */
         async _handleGetDataMessage(peer, message) {
-
-            // TODO: think about rate limiting here + use bloom filter to prevent leeching?
             const msgGetData = new MsgGetData(message);
+
+            // vectors we refused to serve. requester could ask them from other peer
+            const invNotFound = new Inventory();
             for (let objVector of msgGetData.inventory.vector) {
                 try {
                     let msg;
@@ -659,9 +1094,36 @@ module.exports = (factory, factoryOptions) => {
                         // we allow to request txns only from mempool!
                         const tx = this._mempool.getTx(objVector.hash);
                         msg = new MsgTx(tx);
-                    } else if (objVector.type === Constants.INV_BLOCK) {
+                    } else if ([Constants.INV_BLOCK, Constants.INV_COMPACT_BLOCK].includes(objVector.type)) {
+                        if (!await this._isBlockRetained(objVector.hash.toString('hex'))) {
+                            debugMsg(`(address: "${this._debugAddress}") block ${objVector.hash.toString(
+                                'hex')} is pruned. Skipping request of "${peer.address}"`);
+                            invNotFound.addVector(objVector);
+                            continue;
+                        }
+                        const block = await this._storage.getBlock(objVector.hash);
+                        if (!this._canUploadBlock(block)) {
+                            debugMsg(`(address: "${this._debugAddress}") upload limit reached. Skipping request of "${
+                                peer.address}"`);
+                            invNotFound.addVector(objVector);
+                            continue;
+                        }
+                        msg = objVector.type === Constants.INV_BLOCK ? new MsgBlock(block) : new MsgCompactBlock(block);
+                    } else if (objVector.type === Constants.INV_FILTERED_BLOCK) {
+                        if (!peer.bloomFilter || !await this._isBlockRetained(objVector.hash.toString('hex'))) {
+                            debugMsg(`(address: "${this._debugAddress}") can't serve filtered block ${objVector.hash
+                                .toString('hex')}. Skipping request of "${peer.address}"`);
+                            invNotFound.addVector(objVector);
+                            continue;
+                        }
                         const block = await this._storage.getBlock(objVector.hash);
-                        msg = new MsgBlock(block);
+                        if (!this._canUploadBlock(block)) {
+                            debugMsg(`(address: "${this._debugAddress}") upload limit reached. Skipping request of "${
+                                peer.address}"`);
+                            invNotFound.addVector(objVector);
+                            continue;
+                        }
+                        msg = this._createMerkleBlockMsg(block, peer.bloomFilter);
                     } else {
 
                         throw new Error(`Unknown inventory type: ${objVector.type}`);
@@ -678,6 +1140,29 @@ module.exports = (factory, factoryOptions) => {
                     if (peer.isBanned()) return;
                 }
             }
+
+            if (invNotFound.vector.length) {
+                const msgNotFound = new MsgNotFound(invNotFound);
+                debugMsg(`(address: "${this._debugAddress}") sending "${msgNotFound.message}" to "${peer.address}"`);
+                await peer.pushMessage(msgNotFound);
+            }
+        }
+
+        /**
+         * Handler for MSG_NOT_FOUND message (answer to our MSG_GET_DATA).
+         * Forget requests, so we could ask other peers (next INV or block processor)
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleNotFoundMessage(peer, message) {
+            const msgNotFound = new MsgNotFound(message);
+            for (let {hash} of msgNotFound.inventory.vector) {
+                debugMsg(`(address: "${this._debugAddress}") "${peer.address}" can't serve ${hash.toString('hex')}`);
+                this._requestCache.done(hash);
+            }
         }
 
         /**
@@ -722,6 +1207,7 @@ module.exports = (factory, factoryOptions) => {
 
                 if (!peer.version) {
                     peer.version = message.protocolVersion;
+                    peer.prunedHeight = message.prunedHeight;
                 } else {
 
                     // we are already have it's version
@@ -740,7 +1226,7 @@ module.exports = (factory, factoryOptions) => {
                         // send own version
                         debugMsg(
                             `(address: "${this._debugAddress}") sending own "${MSG_VERSION}" to "${peer.address}"`);
-                        await peer.pushMessage(this._createMsgVersion());
+                        await peer.pushMessage(await this._createMsgVersion());
                     } else {
 
                         // we got an error
@@ -775,6 +1261,26 @@ module.exports = (factory, factoryOptions) => {
                 this._adjustNetworkTime(_offset);
                 peer.offsetDelta = _offset / 2;
 
+                // MSG_VERSION is plain, so MITM could replace advertised key or strip ENCRYPTED capability
+                const strPinnedKey = this._transport.identityKey && this._peerManager.getPinnedIdentityKey(peer);
+                if (strPinnedKey && strPinnedKey !== peer.identityKey) {
+                    const reason = 'Identity key differs from pinned one';
+                    logger.error(`Peer ${peer.address}: ${reason}`);
+                    peer.disconnect(reason);
+                    return;
+                }
+
+                // both support it, so messages starting from verack will be encrypted
+                if (this._transport.identityKey && peer.identityKey) {
+                    try {
+                        peer.startEncryption();
+                    } catch (e) {
+                        logger.error(e);
+                        peer.disconnect(e.message);
+                        return;
+                    }
+                }
+
                 const msgVerack = new MsgCommon();
                 msgVerack.verAckMessage = true;
                 debugMsg(`(address: "${this._debugAddress}") sending "${MSG_VERACK}" to "${peer.address}"`);
@@ -787,6 +1293,21 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Use stored identity of encrypted transport, or store new one
+         *
+         * @return {Promise<void>}
+         * @private
+         */
+        async _loadIdentityKey() {
+            let buffPrivateKey = await this._storage.getNodeIdentityKey();
+            if (!buffPrivateKey) {
+                buffPrivateKey = Buffer.from(Crypto.createKeyPair().privateKey, 'hex');
+                await this._storage.saveNodeIdentityKey(buffPrivateKey);
+            }
+            this._transport.setIdentityKey(buffPrivateKey.toString('hex'));
+        }
+
         _adjustNetworkTime(offset) {
             this._msecOffset += offset / 2;
         }
@@ -801,6 +1322,8 @@ module.exports = (factory, factoryOptions) => {
         async _handleVerackMessage(peer) {
             if (peer.version) {
                 peer.fullyConnected = true;
+                this._peerManager.markTried(peer);
+                this._peerManager.pinIdentityKey(peer);
 
                 // next stage
                 const msgGetAddr = this._createGetAddrMessage();
@@ -844,22 +1367,43 @@ module.exports = (factory, factoryOptions) => {
          * @return {Promise<void>}
          * @private
          */
-        async _handlePeerList(peer, message) {
-            message = new MsgAddr(message);
-            for (let peerInfo of message.peers) {
-
-                // don't add own address
-                if (this._myPeerInfo.address.equals(PeerInfo.toAddress(peerInfo.address))) continue;
-
-                const newPeer = await this._peerManager.addPeer(peerInfo, false);
-                if (newPeer instanceof Peer) {
-                    debugNode(`(address: "${this._debugAddress}") added peer "${newPeer.address}" to peerManager`);
-                }
-            }
-
-            // next stage: request unknown blocks or just GENESIS, if we are at very beginning
+        async _handlePeerList(peer, message) {
+            message = new MsgAddr(message);
+            for (let peerInfo of message.peers) {
+
+                // don't add own address
+                if (this._myPeerInfo.address.equals(PeerInfo.toAddress(peerInfo.address))) continue;
+
+                const newPeer = await this._peerManager.addPeer(peerInfo, false, peer.address);
+                if (newPeer instanceof Peer) {
+                    debugNode(`(address: "${this._debugAddress}") added peer "${newPeer.address}" to peerManager`);
+                }
+            }
+
+            // pruned peer lacks blocks we need
+            if (!await this._canPeerServeUs(peer)) {
+                debugNode(`(address: "${this._debugAddress}") peer "${peer.address}" is pruned. Not querying blocks`);
+                peer.loadDone = true;
+                return;
+            }
+
+            await this._requestBlocksFromPeer(peer);
+
+            // TODO: move loadDone after we got all we need from peer
+            peer.loadDone = true;
+        }
+
+        /**
+         * Next stage of handshake: request unknown blocks or just GENESIS, if we are at very beginning
+         *
+         * @param {Peer} peer
+         * @return {Promise<void>}
+         * @private
+         */
+        async _requestBlocksFromPeer(peer) {
             let msg;
-            if (Constants.GENESIS_BLOCK && !this._mainDag.getBlockInfo(Constants.GENESIS_BLOCK)) {
+            if (Constants.GENESIS_BLOCK && !this._mainDag.getBlockInfo(Constants.GENESIS_BLOCK) &&
+                !(await this._storage.getSnapshotTips()).length) {
                 msg = this._createGetDataMsg([Constants.GENESIS_BLOCK]);
                 peer.markAsPossiblyAhead();
             } else {
@@ -867,9 +1411,6 @@ module.exports = (factory, factoryOptions) => {
                 debugMsg(`(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
             }
             await peer.pushMessage(msg);
-
-            // TODO: move loadDone after we got all we need from peer
-            peer.loadDone = true;
         }
 
         async _createGetBlocksMsg() {
@@ -892,13 +1433,61 @@ module.exports = (factory, factoryOptions) => {
             return msg;
         }
 
-        _createMsgVersion() {
+        async _createMsgVersion() {
             return new MsgVersion({
                 nonce: this._nonce,
-                peerInfo: this._myPeerInfo.data
+                peerInfo: this._myPeerInfo.data,
+                prunedHeight: await this._storage.getPrunedHeight()
             });
         }
 
+        /**
+         * Recent blocks are always served (they are relayed), historical - within global upload cap
+         *
+         * @param {Block} block
+         * @return {Boolean}
+         * @private
+         */
+        _canUploadBlock(block) {
+            if (this.networkTime - block.header.timestamp * 1000 < Constants.HISTORICAL_BLOCK_AGE) return true;
+
+            return this._historicalUploadBucket.consume(block.encode().length);
+        }
+
+        /**
+         * Pruned node doesn't serve bodies of stable blocks below its prunedHeight
+         *
+         * @param {String} strHash
+         * @return {Promise<Boolean>}
+         * @private
+         */
+        async _isBlockRetained(strHash) {
+            const nPrunedHeight = await this._storage.getPrunedHeight();
+            if (!nPrunedHeight) return true;
+
+            // unknown to mainDag - could be pruned
+            const bi = this._mainDag.getBlockInfo(strHash);
+            return !!bi && (!bi.isFinal() || bi.getHeight() >= nPrunedHeight);
+        }
+
+        /**
+         * Could peer send us blocks above our stable ones (pruned peer could miss them)
+         *
+         * @param {Peer} peer
+         * @return {Promise<Boolean>}
+         * @private
+         */
+        async _canPeerServeUs(peer) {
+            if (!peer.prunedHeight) return true;
+
+            const arrLastStable = await this._storage.getLastAppliedBlockHashes();
+            const nStableHeight = arrLastStable
+                .map(hash => this._mainDag.getBlockInfo(hash))
+                .reduce((nMax, bi) => bi && bi.getHeight() > nMax ? bi.getHeight() : nMax, -1);
+
+            return nStableHeight + 1 >= peer.prunedHeight;
+        }
+
         /**
          *
          * @param {String} event - event name
@@ -957,11 +1546,24 @@ module.exports = (factory, factoryOptions) => {
                     }
                     case 'getTx':
                         return await this._getTxForRpc(content);
+                    case 'getTxProof':
+                        return await this._getTxProof(content);
                     case 'constantMethodCall':
                         return await this._constantMethodCallRpc(content);
                     case 'getUnspent':
                         const utxo = await this._storage.getUtxo(content);
                         return utxo.toObject();
+                    case 'getAddressHistory':
+                        return await this._getAddressHistoryForRpc(content);
+                    case 'estimateFee':
+                        return await this._estimateFeeForRpc(content);
+                    case 'simulateTx':
+                        return await this._simulateTxForRpc(content);
+                    case 'getLogs': {
+                        const {strAddress, strName, nFromHeight, nToHeight, strCursor, nLimit} = content;
+                        return await this._storage.getLogs(
+                            strAddress, strName, nFromHeight, nToHeight, strCursor, nLimit);
+                    }
                     case 'getWitnesses':
                         return await this._getAllWitnesses();
                     case 'getConnectedPeers':
@@ -970,6 +1572,8 @@ module.exports = (factory, factoryOptions) => {
                         return this._peerManager.getBannedPeers();
                     case 'getMempoolContent':
                         return this._mempool.getContent();
+                    case 'rollbackTo':
+                        return await this.rollbackTo(content);
                     default:
                         throw new Error(`Unsupported method ${event}`);
                 }
@@ -992,17 +1596,22 @@ module.exports = (factory, factoryOptions) => {
             assert(!this._mempool.hasTx(strNewTxHash), 'Tx already in mempool');
 
             await this._processReceivedTx(newTx, false);
-            const {patchThisTx: patchNewTx} = await this._processTx(undefined, false, newTx);
+            const {fee, patchThisTx: patchNewTx} = await this._processTx(undefined, false, newTx);
 
             // let's check for patch conflicts with other local txns
             try {
-                await this._ensureLocalTxnsPatch();
 
-                // update cache
-                this._patchLocalTxns = this._patchLocalTxns.merge(patchNewTx);
+                // replace-by-fee: replaceable conflicting txns excluded from patch, evicted only if merge passed
+                const arrEvicted = this._mempool.findReplacedTxns(newTx, fee);
+                const patchLocalTxns = arrEvicted.length
+                    ? await this._createLocalTxnsPatch(arrEvicted)
+                    : await this._ensureLocalTxnsPatch();
+                const patchMerged = patchLocalTxns.merge(patchNewTx);
 
-                // all merges passed - accept new tx
-                this._mempool.addLocalTx(newTx, patchNewTx);
+                // all merges passed - evict replaced, accept new tx & update cache
+                if (arrEvicted.length) this._mempool.removeTxns(arrEvicted);
+                this._patchLocalTxns = patchMerged;
+                this._mempool.addLocalTx(newTx, patchNewTx, false, fee);
 
                 // inform 2 pseudorandom neighbours about new Tx
                 await this._informNeighbors(newTx);
@@ -1030,14 +1639,22 @@ module.exports = (factory, factoryOptions) => {
             if (this._mempool.hasTx(tx.hash())) return;
 
             let patchThisTx;
+            let nFee;
             try {
                 await this._storage.checkTxCollision([strTxHash]);
-                await this._validateTxLight(tx);
-                if (bStoreInMempool) this._mempool.addTx(tx);
+                nFee = await this._validateTxLight(tx);
             } catch (e) {
                 this._mempool.storeBadTxHash(strTxHash);
                 throw e;
             }
+
+            // mempool policy (conflict, failed RBF) could reject valid tx. it's not bad, could be mined elsewhere
+            if (bStoreInMempool) {
+                const arrEvicted = this._mempool.addTx(tx, nFee);
+
+                // some of evicted could be local
+                if (arrEvicted.length) this._patchLocalTxns = undefined;
+            }
         }
 
         /**
@@ -1046,10 +1663,12 @@ module.exports = (factory, factoryOptions) => {
          * @param {Boolean} isGenesis
          * @param {Transaction} tx
          * @param {Number} amountHas - used only for internal TXNs
+         * @param {{nHeight: Number, nTimestamp: Number} | undefined} objBlockContext - of block being executed
+         *        or created. Timelocks checked only for block, mempool just holds back immature txns
          * @return {Promise<{fee, patchThisTx}>} fee and patch for this TX
          * @private
          */
-        async _processTx(patchForBlock, isGenesis, tx, amountHas) {
+        async _processTx(patchForBlock, isGenesis, tx, amountHas, objBlockContext) {
             let patchThisTx = new PatchDB(tx.conciliumId);
             let totalHas = amountHas === undefined ? 0 : amountHas;
             let fee = 0;
@@ -1064,6 +1683,8 @@ module.exports = (factory, factoryOptions) => {
 
                 // process moneys
                 if (!isGenesis) {
+                    await this._checkTxForks(tx, objBlockContext);
+
                     const arrTxUtxos = tx.utxos;
                     const patchUtxos = await this._storage.getUtxosPatch(arrTxUtxos);
 
@@ -1072,6 +1693,9 @@ module.exports = (factory, factoryOptions) => {
                         patchMerged = patchForBlock.merge(patchUtxos);
                     }
                     ({totalHas, patch: patchThisTx} = this._app.processTxInputs(tx, patchMerged));
+                    if (objBlockContext) {
+                        assert(this._isTxMature(tx, patchMerged, objBlockContext), `Tx ${tx.getHash()} is timelocked`);
+                    }
 
                     // calculate TX size fee. Calculated for every tx, not only for contracts
                     nFeeSize = await this._calculateSizeFee(tx, isGenesis);
@@ -1081,7 +1705,7 @@ module.exports = (factory, factoryOptions) => {
                 }
 
                 const nOutputInxStart = isContract ? 1 : 0;
-                const totalSent = this._app.processPayments(tx, patchThisTx, nOutputInxStart);
+                const totalSent = this._app.processPayments(tx, patchThisTx, nOutputInxStart, objBlockContext);
                 if (!isGenesis) nMaxFee = totalHas - totalSent;
 
                 let nRemainingCoins = nMaxFee - (isContract ? tx.getContractSentAmount() : 0);
@@ -1116,6 +1740,89 @@ module.exports = (factory, factoryOptions) => {
             return {fee, patchThisTx};
         }
 
+        /**
+         *
+         * @param {Block} block - being executed or created
+         * @return {{nHeight: Number, nTimestamp: Number}}
+         * @private
+         */
+        _createBlockContext(block) {
+            return {nHeight: block.getHeight(), nTimestamp: block.timestamp || 0};
+        }
+
+        /**
+         * Features of TX that allowed only after fork heights.
+         * Without block context (mempool) - checked against next block, so we don't accept & relay txns,
+         * that couldn't be included in block yet
+         *
+         * @param {Transaction} tx
+         * @param {{nHeight: Number, nTimestamp: Number} | undefined} objBlockContext
+         * @return {Promise<void>}
+         * @private
+         */
+        async _checkTxForks(tx, objBlockContext) {
+            const bMultisig = tx.hasMultisigClaims();
+            const bSighash = tx.hasHashTypeClaims();
+            const bTimelocks = tx.hasTimelocks();
+            if (!bMultisig && !bSighash && !bTimelocks) return;
+
+            const nHeight = objBlockContext ? objBlockContext.nHeight : await this._getNextBlockHeight();
+            const strTxHash = tx.getHash();
+            if (bMultisig) {
+                assert(this._isTimeToForkMultisig(nHeight), `Tx ${strTxHash} multisig claims not allowed yet`);
+            }
+            if (bSighash) assert(this._isTimeToForkSighash(nHeight), `Tx ${strTxHash} SIGHASH claims not allowed yet`);
+            if (bTimelocks) assert(this._isTimeToForkTimelock(nHeight), `Tx ${strTxHash} timelocks not allowed yet`);
+        }
+
+        /**
+         * Height of block being executed (or created), for mempool & RPC calls - of next block
+         *
+         * @return {Promise<Number>}
+         * @private
+         */
+        async _getContractExecHeight() {
+            return this._processedBlock ? this._processedBlock.getHeight() : await this._getNextBlockHeight();
+        }
+
+        /**
+         * Height of block that will be created on top of best parents
+         *
+         * @return {Promise<Number>}
+         * @private
+         */
+        async _getNextBlockHeight() {
+            await this._ensureBestBlockValid();
+            const {arrParents} = this._objCurrentBestParents;
+
+            return arrParents.reduce((nMaxHeight, strHash) => {
+                const blockInfo = strHash ? this._mainDag.getBlockInfo(strHash) : undefined;
+                return blockInfo && blockInfo.getHeight() > nMaxHeight ? blockInfo.getHeight() : nMaxHeight;
+            }, 0) + 1;
+        }
+
+        /**
+         * Check TX lock & timelocks of coins it spends.
+         * Missed UTXOs are skipped here (it's a job of processTxInputs)
+         *
+         * @param {Transaction} tx
+         * @param {PatchDB} patchUtxos - contains UTXOs spent by tx
+         * @param {Number} nHeight
+         * @param {Number} nTimestamp
+         * @return {Boolean}
+         * @private
+         */
+        _isTxMature(tx, patchUtxos, {nHeight, nTimestamp}) {
+            if (!tx.isFinal(nHeight, nTimestamp)) return false;
+
+            return tx.inputs.every(({txHash, nTxOutput}) => {
+                const utxo = patchUtxos.getUtxo(txHash.toString('hex'));
+                if (!utxo || !utxo.getIndexes().includes(nTxOutput)) return true;
+
+                return utxo.coinsAtIndex(nTxOutput).isMature(nHeight, nTimestamp);
+            });
+        }
+
         /**
          * Get fee ot use one input. Useful to estimate minimal useful UTXO
          *
@@ -1136,13 +1843,21 @@ module.exports = (factory, factoryOptions) => {
             return parseInt(nFeePerKb * nKbytes);
         }
 
-        async _calculateSizeFee(tx, isGenesis = false) {
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {Boolean} isGenesis
+         * @param {Number} nSize - could differ from tx.getSize() for unsigned TXns (@see _estimateFeeForRpc)
+         * @return {Promise<number>}
+         * @private
+         */
+        async _calculateSizeFee(tx, isGenesis = false, nSize = tx.getSize()) {
             if (isGenesis) return 0;
 
             const witnessConcilium = await this._storage.getConciliumById(tx.conciliumId);
             const nFeePerKb = witnessConcilium && witnessConcilium.getFeeTxSize()
                 ? witnessConcilium.getFeeTxSize() : Constants.fees.TX_FEE;
-            const nKbytes = tx.getSize() / 1024;
+            const nKbytes = nSize / 1024;
 
             return parseInt(nFeePerKb * nKbytes);
         }
@@ -1240,7 +1955,8 @@ module.exports = (factory, factoryOptions) => {
 
             this._app.setupVariables({
                 objFees: {nFeeContractCreation, nFeeContractInvocation, nFeeInternalTx},
-                coinsLimit
+                coinsLimit,
+                bLogsAllowed: this._isTimeToForkLogs(await this._getContractExecHeight())
             });
 
             try {
@@ -1305,6 +2021,9 @@ module.exports = (factory, factoryOptions) => {
                 status,
                 message
             });
+
+            // logs of failed TX are discarded (but charged)
+            if (receipt.isSuccessful()) receipt.addLogs(this._app.getLogs());
             patchThisTx.setReceipt(tx.hash(), receipt);
 
             let fee = 0;
@@ -1479,10 +2198,31 @@ module.exports = (factory, factoryOptions) => {
          */
         _informNeighbors(item, peerReceived, nCount) {
             const inv = new Inventory();
-            item instanceof Transaction ? inv.addTx(item) : inv.addBlock(item);
+            const bIsTx = item instanceof Transaction;
+            bIsTx ? inv.addTx(item) : inv.addBlock(item);
             const msgInv = new MsgInv(inv);
             debugNode(`(address: "${this._debugAddress}") Informing neighbors about new item ${item.hash()}`);
-            this._peerManager.broadcastToConnected('fullyConnected', msgInv, peerReceived, nCount);
+
+            // peers with bloom filter will get only matched TXns. Blocks they'll request as INV_FILTERED_BLOCK
+            const fnFilter = bIsTx ? peer => peer.isTxRelevant(item) : undefined;
+            this._peerManager.broadcastToConnected('fullyConnected', msgInv, peerReceived, nCount, fnFilter);
+        }
+
+        /**
+         * Header & signatures of block with TXns matched by filter (with merkle branches)
+         *
+         * @param {Block} block
+         * @param {BloomFilter} bloomFilter
+         * @return {MessageMerkleBlock}
+         * @private
+         */
+        _createMerkleBlockMsg(block, bloomFilter) {
+            const msg = new MsgMerkleBlock(block);
+            for (let objTx of block.txns) {
+                const tx = new Transaction(objTx);
+                if (bloomFilter.isRelevantAndUpdate(tx)) msg.addTx(tx, block.getTxProof(tx.getHash()));
+            }
+            return msg;
         }
 
         /**
@@ -1512,12 +2252,15 @@ module.exports = (factory, factoryOptions) => {
 
             let blockFees = 0;
             const blockTxns = block.txns;
+            const objBlockContext = this._createBlockContext(block);
 
             // should start from 1, because coinbase tx need different processing
             for (let i = 1; i < blockTxns.length; i++) {
                 const tx = new Transaction(blockTxns[i]);
                 assert(tx.conciliumId === block.conciliumId, `Tx ${tx.getHash()} conciliumId differ from block's one`);
-                const {fee, patchThisTx} = await this._processTx(patchState, isGenesis, tx);
+                const {fee, patchThisTx} = await this._processTx(patchState, isGenesis, tx, undefined,
+                    objBlockContext
+                );
                 blockFees += fee;
                 patchState = patchState.merge(patchThisTx, true);
             }
@@ -1582,6 +2325,7 @@ module.exports = (factory, factoryOptions) => {
 
             logger.log(`Blocks ${Array.from(setStableBlocks.keys())} are stable now`);
 
+            const arrPrevLastApplied = await this._storage.getLastAppliedBlockHashes();
             await this._updateLastAppliedBlocks(arrTopStable);
 
             let nHeightMax = 0;
@@ -1593,7 +2337,11 @@ module.exports = (factory, factoryOptions) => {
                 await this._storage.saveBlockInfo(bi);
             }
 
-            await this._storage.applyPatch(patchToApply, nHeightMax);
+            await this._storage.applyPatch(patchToApply, nHeightMax, {
+                arrStableHashes: Array.from(setStableBlocks.keys()),
+                arrPrevLastApplied
+            });
+            await this._storage.pruneBlocks(nHeightMax);
 
             // revalidate local TXns. it affects only local TXns, so it doesn't duplicate
             // validation in _unwindBlock
@@ -1607,7 +2355,29 @@ module.exports = (factory, factoryOptions) => {
 
             if (this._rpc) {
                 this._rpc.informWsSubscribersStableBlocks(Array.from(setStableBlocks.keys()));
+                this._rpc.informWsSubscribersLogs(this._getLogsFromPatch(patchToApply));
+            }
+        }
+
+        /**
+         *
+         * @param {PatchDB} patch
+         * @return {Array} of {strContractAddress, strName, payload, strTxHash}
+         * @private
+         */
+        _getLogsFromPatch(patch) {
+            const arrLogs = [];
+            for (let [strTxHash, receipt] of patch.getReceipts()) {
+                for (let {contractAddress, name, payload} of receipt.getLogs()) {
+                    arrLogs.push({
+                        strContractAddress: contractAddress.toString('hex'),
+                        strName: name,
+                        payload: JSON.parse(payload),
+                        strTxHash
+                    });
+                }
             }
+            return arrLogs;
         }
 
         async _updateLastAppliedBlocks(arrTopStable) {
@@ -1715,18 +2485,31 @@ module.exports = (factory, factoryOptions) => {
          * @private
          */
         async _verifyBlockSignatures(block) {
-            const buffBlockHash = Buffer.from(block.hash(), 'hex');
+            await this._verifySignaturesQuorum(block.hash(), block.conciliumId, block.signatures);
+        }
 
-            const witnessConciliumDefinition = await this._storage.getConciliumById(block.conciliumId);
-            assert(witnessConciliumDefinition, `Unknown conciliumId: ${block.conciliumId}`);
+        /**
+         * Throws if signatures not from witnesses of concilium or their weight is less than quorum
+         *
+         * @param {String} strBlockHash
+         * @param {Number} nConciliumId
+         * @param {Array} arrSignatures - of Buffers
+         * @returns {Promise<void>}
+         * @private
+         */
+        async _verifySignaturesQuorum(strBlockHash, nConciliumId, arrSignatures) {
+            const buffBlockHash = Buffer.from(strBlockHash, 'hex');
+
+            const witnessConciliumDefinition = await this._storage.getConciliumById(nConciliumId);
+            assert(witnessConciliumDefinition, `Unknown conciliumId: ${nConciliumId}`);
             const arrStrAddresses = witnessConciliumDefinition.getAddresses(false);
             let gatheredWeight = 0;
 
-            for (let sig of block.signatures) {
+            for (let sig of arrSignatures) {
                 const strAddress = Crypto.getAddress(Crypto.recoverPubKey(buffBlockHash, sig));
                 assert(
                     ~arrStrAddresses.findIndex(addr => strAddress === addr),
-                    `Bad signature for block ${block.hash()}!`
+                    `Bad signature for block ${strBlockHash}!`
                 );
                 gatheredWeight += witnessConciliumDefinition.getWitnessWeight(strAddress);
             }
@@ -1745,6 +2528,9 @@ module.exports = (factory, factoryOptions) => {
         async _buildMainDag(arrLastStableHashes, arrPedingBlocksHashes) {
             this._mainDag = new MainDag();
 
+            // bootstrapped from snapshot: there is no blocks below its tips
+            const setSnapshotTips = new Set(await this._storage.getSnapshotTips());
+
             // if we have only one concilium - all blocks becomes stable, and no pending!
             // so we need to start from stables
             let arrCurrentLevel = arrPedingBlocksHashes && arrPedingBlocksHashes.length
@@ -1763,6 +2549,7 @@ module.exports = (factory, factoryOptions) => {
                     if (bi.isBad()) throw new Error(`_buildMainDag: found bad block ${hash} in final DAG!`);
 
                     await this._mainDag.addBlock(bi);
+                    if (setSnapshotTips.has(hash)) continue;
 
                     for (let parentHash of bi.parentHashes) {
                         if (!this._mainDag.getBlockInfo(parentHash)) setNextLevel.add(parentHash);
@@ -2181,7 +2968,7 @@ module.exports = (factory, factoryOptions) => {
 
             const arrConnectedPeers = this._peerManager.getConnectedPeers();
             for (let peer of arrConnectedPeers) {
-                if (peer.isAhead() && !peer.isGetBlocksSent()) {
+                if (peer.isAhead() && !peer.isGetBlocksSent() && await this._canPeerServeUs(peer)) {
                     debugMsg(`(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
                     await peer.pushMessage(msg);
                 }
@@ -2192,6 +2979,10 @@ module.exports = (factory, factoryOptions) => {
             const arrConnectedPeers = this._peerManager.getConnectedPeers();
             if (!arrConnectedPeers || !arrConnectedPeers.length) return;
 
+            // if peer that announced blocks is gone - ask fastest one. not measured yet - are the last
+            const fnLatency = peer => peer.latency === undefined ? Number.MAX_SAFE_INTEGER : peer.latency;
+            arrConnectedPeers.sort((peerA, peerB) => fnLatency(peerA) - fnLatency(peerB));
+
             for (let [key, setBlocks] of mapPeerBlocks) {
                 if (!setBlocks.size) continue;
 
@@ -2306,6 +3097,240 @@ module.exports = (factory, factoryOptions) => {
             return formResult(objTx, status, block.getHash());
         }
 
+        /**
+         * Everything needed to check tx inclusion without trusting us (@see Block.verifyTxProof)
+         * Requires txIndex
+         *
+         * @param {String} strTxHash
+         * @returns {Promise<Object | undefined>} undefined - tx not found in blocks
+         * @private
+         */
+        async _getTxProof(strTxHash) {
+            const block = await this._storage.findBlockByTxHash(strTxHash);
+            if (!block) return undefined;
+
+            return {
+                strTxHash,
+                strBlockHash: block.getHash(),
+                nHeight: block.getHeight(),
+                nConciliumId: block.conciliumId,
+                status: this._pendingBlocks.hasBlock(block.getHash()) ? 'in block' : 'confirmed',
+                header: block.encodeHeader().toString('hex'),
+                signatures: block.signatures.map(buffSig => Buffer.from(buffSig).toString('hex')),
+                branch: block.getTxProof(strTxHash)
+            };
+        }
+
+        /**
+         * Resolve block (hash & height) for every record of address history
+         *
+         * @param {String} strAddress
+         * @param {Number | undefined} nCursor
+         * @param {Number} nLimit
+         * @return {Promise<{arrRecords: Array, nNextCursor: Number | undefined}>}
+         * @private
+         */
+        async _getAddressHistoryForRpc({strAddress, nCursor, nLimit}) {
+            const {arrRecords, nNextCursor} = await this._storage.getAddressHistory(strAddress, nCursor, nLimit);
+
+            const arrResult = [];
+            for (let {strTxHash, bIncoming, strSourceTxHash} of arrRecords) {
+
+                // internal TXns aren't in blocks, so use TX that produced it
+                const buffBlockHash = await this._storage.getTxBlock(strSourceTxHash || strTxHash);
+                const strBlockHash = buffBlockHash ? buffBlockHash.toString('hex') : undefined;
+
+                let nBlockHeight;
+                if (strBlockHash) {
+                    const blockInfo = this._mainDag.getBlockInfo(strBlockHash) ||
+                                      await this._storage.getBlockInfo(strBlockHash).catch(err => debugNode(err));
+                    if (blockInfo) nBlockHeight = blockInfo.getHeight();
+                }
+
+                arrResult.push({
+                    strTxHash,
+                    strDirection: bIncoming ? 'in' : 'out',
+                    bInternal: !!strSourceTxHash,
+                    strSourceTxHash,
+                    strBlockHash,
+                    nBlockHeight
+                });
+            }
+
+            return {arrRecords: arrResult, nNextCursor};
+        }
+
+        /**
+         * Fees from concilium of TX (or defaults) and suggestion based on mempool occupancy.
+         * TX could be unsigned: we'll add size of missing claims (wallet claims every input & signs contract TXns)
+         * Contract fees (storage, internal TXns) depends on execution, so contract TX is executed
+         * (@see _dryRunContract)
+         *
+         * @param {Transaction} tx - draft
+         * @return {Promise<Object>}
+         * @private
+         */
+        async _estimateFeeForRpc(tx) {
+            const nClaims = Array.isArray(tx.claimProofs) ? tx.claimProofs.length : 0;
+            const bSignedAll = !nClaims && !!tx.getTxSignature();
+            const bContract = tx.isContractCreation() ||
+                              (!!tx.outputs.length && !!(await this._getContractByAddr(tx.getContractAddr())));
+
+            let nMissingClaims = bSignedAll ? 0 : tx.inputs.length - nClaims;
+            if (bContract && !tx.getTxSignature()) nMissingClaims++;
+            const nSize = tx.getSize() + nMissingClaims * CLAIM_PROOF_SIZE;
+
+            const nFeeSize = await this._calculateSizeFee(tx, false, nSize);
+            const nFeeContractCreation = await this._getFeeContractCreation(tx);
+            const nFeeContractInvocation = await this._getFeeContractInvocatoin(tx);
+            const nFeeStoragePerByte = await this._getFeeStorage(tx);
+            const nFeeInternalTx = await this._getFeeInternalTx(tx);
+
+            let nMinimalFee = nFeeSize;
+            const objContractFees = {};
+            if (bContract) {
+                const {receipt, nDataDelta, nInternalTxns} = await this._dryRunContract(tx, nFeeSize);
+
+                objContractFees.nFeeStorage = nDataDelta * nFeeStoragePerByte;
+                objContractFees.nFeeInternalTxns = nInternalTxns * nFeeInternalTx;
+                objContractFees.bContractFailed = !receipt.isSuccessful();
+                objContractFees.strContractMessage = receipt.getMessage();
+
+                // size fee + creation/invocation fee + storage & internal TXns fees
+                nMinimalFee = receipt.getCoinsUsed();
+            }
+
+            const fOccupancy = this._mempool.getOccupancy();
+            let strPriority = 'low';
+            let fMultiplier = 1;
+            if (fOccupancy >= Constants.FEE_PRIORITY_OCCUPANCY_HIGH) {
+                strPriority = 'high';
+                fMultiplier = Constants.FEE_PRIORITY_MULTIPLIER_HIGH;
+            } else if (fOccupancy >= Constants.FEE_PRIORITY_OCCUPANCY_MEDIUM) {
+                strPriority = 'medium';
+                fMultiplier = Constants.FEE_PRIORITY_MULTIPLIER_MEDIUM;
+            }
+
+            return {
+                nSize,
+                nFeeSize,
+                bContract,
+                nFeeContractCreation,
+                nFeeContractInvocation,
+                nFeeStoragePerByte,
+                nFeeInternalTx,
+                ...objContractFees,
+                nMinimalFee,
+                fMempoolOccupancy: fOccupancy,
+                strPriority,
+                nSuggestedFee: Math.ceil(nMinimalFee * fMultiplier)
+            };
+        }
+
+        /**
+         * Execute contract creation/invocation against current pending state in throwaway patch.
+         * TX could be unsigned (contract will see no callerAddress), coins aren't limited
+         * this._app is shared with block execution, so it's done under blockExec lock
+         *
+         * @param {Transaction} tx
+         * @param {Number} nFeeSize
+         * @return {Promise<{receipt: TxReceipt, nDataDelta: Number, nInternalTxns: Number}>}
+         * @private
+         */
+        async _dryRunContract(tx, nFeeSize) {
+            const lock = await this._mutex.acquire(['blockExec']);
+            try {
+                await this._ensureBestBlockValid();
+                const {patchMerged} = this._objCurrentBestParents;
+
+                const contract = tx.isContractCreation()
+                    ? undefined
+                    : await this._getContractByAddr(tx.getContractAddr(), patchMerged);
+                const patchThisTx = new PatchDB(tx.conciliumId);
+
+                await this._processContract(false, contract, tx, patchThisTx, patchMerged, Number.MAX_SAFE_INTEGER,
+                    nFeeSize
+                );
+
+                return {
+                    receipt: patchThisTx.getReceipt(tx.getHash()),
+                    nDataDelta: this._app.getDataDelta(),
+                    nInternalTxns: this._app.getInternalTxnsCount()
+                };
+            } finally {
+                this._mutex.release(lock);
+            }
+        }
+
+        /**
+         * Dry run of TX against current pending state.
+         * Result stays in throwaway patch: no mempool, no storage modifications
+         * this._app is shared with block execution, so it's done under blockExec lock
+         *
+         * @param {Transaction} tx - signed TX
+         * @return {Promise<Object>}
+         * @private
+         */
+        async _simulateTxForRpc(tx) {
+            tx.verify();
+
+            const lock = await this._mutex.acquire(['blockExec']);
+            try {
+                await this._ensureBestBlockValid();
+                const {patchMerged} = this._objCurrentBestParents;
+
+                const {fee, patchThisTx} = await this._processTx(patchMerged, false, tx);
+                const strTxHash = tx.getHash();
+                const receipt = patchThisTx.getReceipt(strTxHash);
+
+                const objContractsDiff = {};
+                for (let [strContractAddr, contract] of patchThisTx.getContracts()) {
+                    const contractBefore = await this._getContractByAddr(strContractAddr, patchMerged);
+                    objContractsDiff[strContractAddr] = {
+                        nBalanceBefore: contractBefore ? contractBefore.getBalance() : 0,
+                        nBalanceAfter: contract.getBalance(),
+                        objDataChanges: this._diffContractData(contractBefore ? contractBefore.getData() : {},
+                            contract.getData()
+                        )
+                    };
+                }
+
+                return {
+                    strTxHash,
+                    nFee: fee,
+                    nCoinsUsed: receipt ? receipt.getCoinsUsed() : fee,
+                    receipt: receipt ? receipt.toObject() : undefined,
+                    arrInternalTxns: receipt
+                        ? receipt.getInternalTxns().map(buffHash => ({
+                            strTxHash: buffHash.toString('hex'),
+                            coins: receipt.getCoinsForTx(buffHash).getRawData()
+                        }))
+                        : [],
+                    objContractsDiff
+                };
+            } finally {
+                this._mutex.release(lock);
+            }
+        }
+
+        /**
+         * Shallow diff (top level keys) of contract data
+         *
+         * @param {Object} objBefore
+         * @param {Object} objAfter
+         * @return {Object} {key: {before, after}} only for changed keys
+         * @private
+         */
+        _diffContractData(objBefore, objAfter) {
+            const objChanges = {};
+            const setKeys = new Set([...Object.keys(objBefore), ...Object.keys(objAfter)]);
+            for (let key of setKeys) {
+                if (JSON.stringify(objBefore[key]) === JSON.stringify(objAfter[key])) continue;
+                objChanges[key] = {before: objBefore[key], after: objAfter[key]};
+            }
+            return objChanges;
+        }
+
         async _constantMethodCallRpc({method, arrArguments, contractAddress, completed}) {
             typeforce(
                 typeforce.tuple(typeforce.String, typeforce.Array, types.StrAddress),
@@ -2330,7 +3355,8 @@ module.exports = (factory, factoryOptions) => {
             this._app.setCallbacks(this._createCallbacksForApp(new PatchDB(), new PatchDB(), '1'.repeat(64)));
             this._app.setupVariables({
                 objFees: {nFeeContractInvocation: nCoinsDummy},
-                nCoinsDummy
+                nCoinsDummy,
+                bLogsAllowed: this._isTimeToForkLogs(await this._getContractExecHeight())
             });
 
             return await this._app.runContract(
@@ -2390,6 +3416,11 @@ module.exports = (factory, factoryOptions) => {
          * @returns {Promise<void>}
          */
         async rebuildDb(strHashToStop) {
+            assert(!await this._storage.getPrunedHeight(), 'Pruned node is unable to rebuild DB');
+            assert(!(await this._storage.getSnapshotTips()).length,
+                'Node bootstrapped from snapshot is unable to rebuild DB'
+            );
+
             this._mainDag = new MainDag();
 
             for await (let {value} of this._storage.readBlocks()) {
@@ -2418,6 +3449,50 @@ module.exports = (factory, factoryOptions) => {
             await this._blockProcessor();
         }
 
+        /**
+         * Our storage becomes reference: chainstate & TX index rebuilt from stored blocks.
+         * Then it's compared with storageToCheck (@see Storage.verifyAgainst)
+         *
+         * @param {Storage} storageToCheck
+         * @param {Boolean} bRepair - fix only damaged keys of storageToCheck
+         * @return {Promise<Array>} of inconsistencies
+         */
+        async verifyDb(storageToCheck, bRepair = false) {
+            assert(!await storageToCheck.getPrunedHeight(), 'Pruned node is unable to verify DB');
+            assert(!(await storageToCheck.getSnapshotTips()).length,
+                'Node bootstrapped from snapshot is unable to verify DB'
+            );
+
+            await this.rebuildDb();
+            await this._storage.rebuildTxIndex();
+
+            return await storageToCheck.verifyAgainst(this._storage, bRepair);
+        }
+
+        /**
+         * Rewind stable state (@see Storage.rollbackTo) and re-execute blocks above strBlockHash
+         *
+         * @param {String} strBlockHash - stable block to rewind to
+         * @return {Promise<Array>} hashes of blocks re-executed
+         */
+        async rollbackTo(strBlockHash) {
+            const lock = await this._mutex.acquire(['blockExec']);
+            try {
+                const arrToExec = await this._storage.rollbackTo(strBlockHash, this._pendingBlocks.getAllHashes());
+
+                // rebuild in-memory state (DAG & pending) from rewound storage
+                this._patchLocalTxns = undefined;
+                const arrLastStableHashes = await this._storage.getLastAppliedBlockHashes();
+                await this._buildMainDag(arrLastStableHashes, arrToExec);
+                await this._rebuildPending(arrLastStableHashes, arrToExec);
+
+                logger.log(`Rolled back to ${strBlockHash}. ${arrToExec.length} blocks re-executed`);
+                return arrToExec;
+            } finally {
+                this._mutex.release(lock);
+            }
+        }
+
         async _getAllWitnesses() {
             return this._peerManager.filterPeers({service: Constants.WITNESS}, true);
         }
@@ -2445,16 +3520,50 @@ module.exports = (factory, factoryOptions) => {
             return stableBi ? stableBi.getHash() : undefined;
         }
 
+        /**
+         * Tx could spend outputs of txns in mempool (child pays for parent)
+         *
+         * @param {Transaction} tx
+         * @return {Promise<Number>} fee paid by tx
+         * @private
+         */
         async _validateTxLight(tx) {
             tx.verify();
+            await this._checkTxForks(tx);
             const patchUtxos = await this._storage.getUtxosPatch(tx.utxos);
 
             await this._ensureBestBlockValid();
             let {patchMerged} = this._objCurrentBestParents;
 
-            const {totalHas} = this._app.processTxInputs(tx, patchMerged.merge(patchUtxos));
+            const {totalHas} = this._app.processTxInputs(tx,
+                patchMerged.merge(patchUtxos).merge(this._createMempoolParentsPatch(tx))
+            );
             const sizeFee = await this._calculateSizeFee(tx, false);
             assert(totalHas >= tx.amountOut() + sizeFee, `Require fee at least ${sizeFee}`);
+
+            return totalHas - tx.amountOut();
+        }
+
+        /**
+         * Outputs of unconfirmed parents (only regular payments, contract change unknown until exec)
+         *
+         * @param {Transaction} tx
+         * @return {PatchDB}
+         * @private
+         */
+        _createMempoolParentsPatch(tx) {
+            const patch = new PatchDB();
+            const setParents = new Set(tx.utxos.map(buffHash => buffHash.toString('hex')));
+
+            for (let strHash of setParents) {
+                if (this._mempool.isBadTx(strHash) || !this._mempool.hasTx(strHash)) continue;
+
+                const txParent = this._mempool.getTx(strHash);
+                const bContract = txParent.isContractCreation() || !!txParent.getContractCode();
+                this._app.processPayments(txParent, patch, bContract ? 1 : 0);
+            }
+
+            return patch;
         }
 
         async _ensureBestBlockValid() {
@@ -2469,11 +3578,22 @@ module.exports = (factory, factoryOptions) => {
          * @private
          */
         async _ensureLocalTxnsPatch() {
-            if (this._patchLocalTxns) return this._patchLocalTxns;
+            if (!this._patchLocalTxns) this._patchLocalTxns = await this._createLocalTxnsPatch();
+
+            return this._patchLocalTxns;
+        }
 
+        /**
+         *
+         * @param {Array} arrExcludedHashes - local txns to skip (candidates for replacement)
+         * @return {Promise<PatchDB>} merged patches of local txns
+         * @private
+         */
+        async _createLocalTxnsPatch(arrExcludedHashes = []) {
             let patchMerged = new PatchDB();
 
             for (let {strTxHash, patchTx} of this._mempool.getLocalTxnsPatches()) {
+                if (arrExcludedHashes.includes(strTxHash)) continue;
 
                 // NO patches - means mempool just loaded, we need to exec all stored local txns
                 if (!patchTx) {
@@ -2495,7 +3615,7 @@ module.exports = (factory, factoryOptions) => {
                 patchMerged = patchMerged.merge(patchTx);
             }
 
-            this._patchLocalTxns = patchMerged;
+            return patchMerged;
         }
 
         /**
@@ -2553,6 +3673,22 @@ module.exports = (factory, factoryOptions) => {
                    (this._processedBlock && this._processedBlock.getHeight() <
                     Constants.forks.HEIGHT_FORK_SERIALIZER_FIX3);
         }
+
+        _isTimeToForkMultisig(nHeight) {
+            return nHeight >= Constants.forks.HEIGHT_FORK_MULTISIG;
+        }
+
+        _isTimeToForkSighash(nHeight) {
+            return nHeight >= Constants.forks.HEIGHT_FORK_SIGHASH;
+        }
+
+        _isTimeToForkTimelock(nHeight) {
+            return nHeight >= Constants.forks.HEIGHT_FORK_TIMELOCK;
+        }
+
+        _isTimeToForkLogs(nHeight) {
+            return nHeight >= Constants.forks.HEIGHT_FORK_LOGS;
+        }
     };
 };
 
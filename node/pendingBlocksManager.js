@@ -50,15 +50,35 @@ module.exports = (factory, factoryOptions) => {
         addBlock(block, patchState) {
             typeforce(typeforce.tuple(types.Block, types.Patch), arguments);
 
+            return this._addVertex(
+                block.getHash(),
+                block.parentHashes,
+                {patch: patchState, blockHeader: block.header, bIsEmpty: block.isEmpty()}
+            );
+        }
+
+        /**
+         * Light node has only headers, so there is no state to patch. It's enough for finality
+         *
+         * @param {BlockInfo} blockInfo
+         */
+        addBlockInfo(blockInfo) {
+            typeforce(types.BlockInfo, blockInfo);
+
+            return this._addVertex(
+                blockInfo.getHash(),
+                blockInfo.parentHashes,
+                {patch: new PatchDB(), blockHeader: blockInfo.getHeader(), bIsEmpty: false}
+            );
+        }
+
+        _addVertex(strHash, arrParentHashes, objData) {
             return this._mutex.runExclusive('pbm', async () => {
-                this._dag.addVertex(block.getHash());
-                for (let strHash of block.parentHashes) {
-                    if (this._dag.hasVertex(strHash)) this._dag.add(block.getHash(), strHash);
+                this._dag.addVertex(strHash);
+                for (let strParentHash of arrParentHashes) {
+                    if (this._dag.hasVertex(strParentHash)) this._dag.add(strHash, strParentHash);
                 }
-                this._dag.saveObj(
-                    block.getHash(),
-                    {patch: patchState, blockHeader: block.header, bIsEmpty: block.isEmpty()}
-                );
+                this._dag.saveObj(strHash, objData);
             });
         }
 
@@ -38,6 +38,9 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             });
             if (rpcUser && rpcPass) this._server.enableAuth(rpcUser, rpcPass);
 
+            // websocket -> [{strAddress, strName}]. socket removed on close (@see subscribeLogs)
+            this._mapLogSubscriptions = new Map();
+
             this._server.expose('sendRawTx', asyncRPC(this.sendRawTx.bind(this)));
             this._server.expose('getTxReceipt', asyncRPC(this.getTxReceipt.bind(this)));
             this._server.expose('getBlock', asyncRPC(this.getBlock.bind(this)));
@@ -45,9 +48,15 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             this._server.expose('getNext', asyncRPC(this.getNext.bind(this)));
             this._server.expose('getPrev', asyncRPC(this.getPrev.bind(this)));
             this._server.expose('getTx', asyncRPC(this.getTx.bind(this)));
+            this._server.expose('getTxProof', asyncRPC(this.getTxProof.bind(this)));
             this._server.expose('constantMethodCall', asyncRPC(this.constantMethodCall.bind(this)));
             this._server.expose('getContractData', asyncRPC(this.getContractData.bind(this)));
             this._server.expose('getUnspent', asyncRPC(this.getUnspent.bind(this)));
+            this._server.expose('getAddressHistory', asyncRPC(this.getAddressHistory.bind(this)));
+            this._server.expose('getLogs', asyncRPC(this.getLogs.bind(this)));
+            this._server.expose('subscribeLogs', asyncRPC(this.subscribeLogs.bind(this)));
+            this._server.expose('estimateFee', asyncRPC(this.estimateFee.bind(this)));
+            this._server.expose('simulateTx', asyncRPC(this.simulateTx.bind(this)));
 
             this._server.expose('walletListUnspent', asyncRPC(this.walletListUnspent.bind(this)));
             this._server.expose('accountListUnspent', asyncRPC(this.getAccountUnspent.bind(this)));
@@ -63,12 +72,25 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             this._server.expose('unlockAccount', asyncRPC(this.unlockAccount.bind(this)));
             this._server.expose('importPrivateKey', asyncRPC(this.importPrivateKey.bind(this)));
             this._server.expose('getNewAddress', asyncRPC(this.getNewAddress.bind(this)));
+            this._server.expose('createHdAccount', asyncRPC(this.createHdAccount.bind(this)));
+            this._server.expose('getNewHdAddress', asyncRPC(this.getNewHdAddress.bind(this)));
+            this._server.expose('exportMnemonic', asyncRPC(this.exportMnemonic.bind(this)));
+            this._server.expose('importMnemonic', asyncRPC(this.importMnemonic.bind(this)));
+
+            this._server.expose('createMultisigAddress', asyncRPC(this.createMultisigAddress.bind(this)));
+            this._server.expose('createMultisigTx', asyncRPC(this.createMultisigTx.bind(this)));
+            this._server.expose('signMultisigTx', asyncRPC(this.signMultisigTx.bind(this)));
+            this._server.expose('combineMultisigTx', asyncRPC(this.combineMultisigTx.bind(this)));
+            this._server.expose('finalizeMultisigTx', asyncRPC(this.finalizeMultisigTx.bind(this)));
 
             this._server.expose('sendToAddress', asyncRPC(this.sendToAddress.bind(this)));
             this._server.expose('callContract', asyncRPC(this.callContract.bind(this)));
 
             this._server.expose('nodeStatus', asyncRPC(this.nodeStatus.bind(this)));
 
+            // admin
+            if (rpcUser && rpcPass) this._server.expose('rollbackTo', asyncRPC(this.rollbackTo.bind(this)));
+
             this._server.listen(rpcPort, rpcAddress);
         }
 
@@ -89,6 +111,44 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             });
         }
 
+        /**
+         * Draft TX (or contract creation/invocation) could be unsigned
+         *
+         * @param {Object} args
+         * @param {String} args.strTx - hex of encoded TX
+         * @returns {Promise<Object>} @see node._estimateFeeForRpc
+         */
+        async estimateFee(args) {
+            const {strTx} = args;
+            typeforce(typeforce.String, strTx);
+
+            const tx = new Transaction(Buffer.from(strTx, 'hex'));
+            return await this._nodeInstance.rpcHandler({
+                event: 'estimateFee',
+                content: tx
+            });
+        }
+
+        /**
+         * Run TX against current pending state without broadcasting it
+         *
+         * @param {Object} args
+         * @param {String} args.strTx - hex of encoded (signed) TX
+         * @returns {Promise<Object>} @see node._simulateTxForRpc
+         */
+        async simulateTx(args) {
+            const {strTx} = args;
+            typeforce(typeforce.String, strTx);
+
+            const tx = new Transaction(Buffer.from(strTx, 'hex'));
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'simulateTx',
+                content: tx
+            });
+
+            return prepareForStringifyObject(objResult);
+        }
+
         /**
          *
          * @param {Object} args
@@ -124,6 +184,29 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             );
         }
 
+        /**
+         * Logs of stable blocks. Every websocket receives only logs that match its subscriptions (@see subscribeLogs)
+         *
+         * @param {Array} arrLogs - @see node._getLogsFromPatch
+         */
+        informWsSubscribersLogs(arrLogs) {
+            if (!arrLogs.length) return;
+
+            for (let [socket, arrFilters] of this._mapLogSubscriptions) {
+                const arrMatched = arrLogs.filter(({strContractAddress, strName}) => arrFilters.some(
+                    filter => filter.strAddress === strContractAddress &&
+                              (filter.strName === undefined || filter.strName === strName)
+                ));
+                if (!arrMatched.length) continue;
+
+                socket.send(JSON.stringify({
+                    jsonrpc: '2.0',
+                    method: 'newLogs',
+                    params: {arrLogs: prepareForStringifyObject(arrMatched)}
+                }));
+            }
+        }
+
         /**
          *
          * @param {Object} args
@@ -230,6 +313,23 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return prepareForStringifyObject(objTx);
         }
 
+        /**
+         * Merkle branch, block header & witness signatures for tx (@see Block.verifyTxProof)
+         *
+         * @param {Object} args
+         * @param {String} args.strTxHash
+         * @returns {Promise<Object | undefined>}
+         */
+        async getTxProof(args) {
+            const {strTxHash} = args;
+            typeforce(types.Str64, strTxHash);
+
+            return await this._nodeInstance.rpcHandler({
+                event: 'getTxProof',
+                content: strTxHash
+            });
+        }
+
         async constantMethodCall(args) {
             const objResult = await this._nodeInstance.rpcHandler({
                 event: 'constantMethodCall',
@@ -256,6 +356,104 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return prepareForStringifyObject(objResult);
         }
 
+        /**
+         * History of all TXns (including internal) that touched address. Newest first.
+         * Requires node started with --addressIndex
+         *
+         * @param {Object} args
+         * @param {String} args.strAddress
+         * @param {Number} args.nCursor - nNextCursor from previous call (undefined for first page)
+         * @param {Number} args.nLimit - page size
+         * @return {Promise<{arrRecords: Array, nNextCursor: Number}>}
+         */
+        async getAddressHistory(args) {
+            let {strAddress, nCursor, nLimit = Constants.ADDRESS_HISTORY_MAX_LIMIT} = args;
+            strAddress = stripAddressPrefix(Constants, strAddress);
+
+            typeforce(typeforce.tuple(types.StrAddress, typeforce.maybe(typeforce.Number), typeforce.Number),
+                [strAddress, nCursor, nLimit]
+            );
+            assert(nLimit > 0 && nLimit <= Constants.ADDRESS_HISTORY_MAX_LIMIT,
+                `nLimit should be in range [1, ${Constants.ADDRESS_HISTORY_MAX_LIMIT}]`
+            );
+
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'getAddressHistory',
+                content: {strAddress, nCursor, nLimit}
+            });
+
+            return prepareForStringifyObject(objResult);
+        }
+
+        /**
+         * Logs emitted by contract. Requires node started with --txIndex
+         *
+         * @param {Object} args
+         * @param {String} args.strAddress - contract address
+         * @param {String} args.strName - event name (optional)
+         * @param {Number} args.nFromHeight - (optional)
+         * @param {Number} args.nToHeight - (optional)
+         * @param {String} args.strCursor - strNextCursor from previous call (optional)
+         * @param {Number} args.nLimit - (optional)
+         * @return {Promise<Object>} {arrLogs, strNextCursor}
+         */
+        async getLogs(args) {
+            let {
+                strAddress, strName, nFromHeight = 0, nToHeight = 0xFFFFFFFF, strCursor,
+                nLimit = Constants.LOGS_MAX_RESULTS
+            } = args;
+            strAddress = stripAddressPrefix(Constants, strAddress);
+
+            typeforce(
+                typeforce.tuple(types.StrAddress, typeforce.maybe(typeforce.String), typeforce.Number,
+                    typeforce.Number, typeforce.maybe(typeforce.String), typeforce.Number),
+                [strAddress, strName, nFromHeight, nToHeight, strCursor, nLimit]
+            );
+            assert(nFromHeight <= nToHeight, 'nFromHeight should be less or equal nToHeight');
+            assert(nLimit > 0 && nLimit <= Constants.LOGS_MAX_RESULTS,
+                `nLimit should be in range [1, ${Constants.LOGS_MAX_RESULTS}]`
+            );
+
+            const objResult = await this._nodeInstance.rpcHandler({
+                event: 'getLogs',
+                content: {strAddress, strName, nFromHeight, nToHeight, strCursor, nLimit}
+            });
+
+            return prepareForStringifyObject(objResult);
+        }
+
+        /**
+         * Websocket only. After it, connection will be notified with 'newLogs' about matching logs of stable blocks
+         *
+         * @param {Object} args
+         * @param {String} args.strAddress - contract address
+         * @param {String} args.strName - event name (optional). undefined - all events of contract
+         * @param {Object} opt - json-rpc2 connection. websocket one has underlying socket in conn
+         * @return {Promise<Boolean>}
+         */
+        async subscribeLogs(args, opt) {
+            let {strAddress, strName} = args;
+            strAddress = stripAddressPrefix(Constants, strAddress);
+
+            typeforce(typeforce.tuple(types.StrAddress, typeforce.maybe(typeforce.String)), [strAddress, strName]);
+
+            const socket = opt && opt.conn;
+            assert(socket, 'subscribeLogs available only via websocket');
+
+            let arrFilters = this._mapLogSubscriptions.get(socket);
+            if (!arrFilters) {
+                arrFilters = [];
+                this._mapLogSubscriptions.set(socket, arrFilters);
+                socket.once('close', () => this._mapLogSubscriptions.delete(socket));
+            }
+            assert(arrFilters.length < Constants.LOGS_MAX_SUBSCRIPTIONS,
+                `Max ${Constants.LOGS_MAX_SUBSCRIPTIONS} subscriptions per connection`
+            );
+            arrFilters.push({strAddress, strName});
+
+            return true;
+        }
+
         async walletListUnspent(args) {
             let {strAddress, bStableOnly} = args;
             strAddress = stripAddressPrefix(Constants, strAddress);
@@ -346,6 +544,73 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
             return {address: kp.address, privateKey: kp.privateKey};
         }
 
+        async createHdAccount(args) {
+            const {strAccountName, strMnemonic} = args;
+            return {strMnemonic: await this._storedWallets.createHdAccount(strAccountName, strMnemonic)};
+        }
+
+        async getNewHdAddress(args) {
+            const {strAccountName} = args;
+            return {address: await this._storedWallets.getNewHdAddress(strAccountName)};
+        }
+
+        async exportMnemonic(args) {
+            const {strAccountName} = args;
+            return {strMnemonic: await this._storedWallets.exportMnemonic(strAccountName)};
+        }
+
+        async importMnemonic(args) {
+            const {strAccountName, strMnemonic, bRescan} = args;
+            await this._storedWallets.importMnemonic(strAccountName, strMnemonic, bRescan);
+        }
+
+        async createMultisigAddress(args) {
+            const {nRequired, arrPublicKeys, bRescan} = args;
+            typeforce(typeforce.tuple(typeforce.Number, typeforce.Array), [nRequired, arrPublicKeys]);
+
+            return await this._storedWallets.createMultisigAddress(nRequired, arrPublicKeys, bRescan);
+        }
+
+        /**
+         * Partially signed TXns passed as hex (strTx) between parties
+         */
+        async createMultisigTx(args) {
+            const tx = await this._storedWallets.createMultisigTx(args);
+            return {strTx: tx.encode().toString('hex')};
+        }
+
+        async signMultisigTx(args) {
+            const {strAccountName, strTx} = args;
+            typeforce(typeforce.String, strTx);
+
+            const tx = new Transaction(Buffer.from(strTx, 'hex'));
+            const nSigned = await this._storedWallets.signMultisigTx(strAccountName, tx);
+
+            return {strTx: tx.encode().toString('hex'), nSigned, bComplete: tx.isMultisigComplete()};
+        }
+
+        async combineMultisigTx(args) {
+            const {arrTxns} = args;
+            typeforce(typeforce.arrayOf(typeforce.String), arrTxns);
+
+            const tx = this._storedWallets.combineMultisigTx(
+                arrTxns.map(strTx => new Transaction(Buffer.from(strTx, 'hex')))
+            );
+
+            return {strTx: tx.encode().toString('hex'), bComplete: tx.isMultisigComplete()};
+        }
+
+        /**
+         * Result could be sent with sendRawTx
+         */
+        async finalizeMultisigTx(args) {
+            const {strTx} = args;
+            typeforce(typeforce.String, strTx);
+
+            const tx = this._storedWallets.finalizeMultisigTx(new Transaction(Buffer.from(strTx, 'hex')));
+            return {strTx: tx.encode().toString('hex'), strTxHash: tx.getHash()};
+        }
+
         async sendToAddress(args) {
             const tx = await this._storedWallets.sendToAddress(args);
 
@@ -431,6 +696,23 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
                 ));
         }
 
+        /**
+         * Rewind stable state. Available only if RPC auth enabled
+         *
+         * @param {Object} args
+         * @param {String} args.strBlockHash - stable block to rewind to
+         * @returns {Promise<Array>} hashes of re-executed blocks
+         */
+        async rollbackTo(args) {
+            const {strBlockHash} = args;
+            typeforce(types.Str64, strBlockHash);
+
+            return await this._nodeInstance.rpcHandler({
+                event: 'rollbackTo',
+                content: strBlockHash
+            });
+        }
+
         async nodeStatus() {
             const arrResult = await this.getTips();
 
@@ -465,7 +747,8 @@ module.exports = ({Constants, Transaction, StoredWallet, UTXO}) =>
                 },
                 connectedPeers: arrPeers.map(peer => ({
                     address: peer.address,
-                    version: '0x' + peer.version.toString(16)
+                    version: '0x' + peer.version.toString(16),
+                    latency: peer.latency
                 })),
                 bannedPeers: arrBannedPeers,
                 mempool: arrHashesTxns
@@ -63,6 +63,151 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             }
         }
 
+        /**
+         * Create HD account from mnemonic (new one will be generated if omitted).
+         * Mnemonic encrypted with account password, so unlockAccount first
+         *
+         * @param {String} strAccountName
+         * @param {String} strMnemonic
+         * @return {Promise<String>} - mnemonic
+         */
+        async createHdAccount(strAccountName, strMnemonic) {
+            assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
+            assert(!await this._storage.readHdAccount(strAccountName), `Account ${strAccountName} already HD`);
+            await this._ensureAccount(strAccountName);
+
+            if (strMnemonic) {
+                assert(Crypto.mnemonicValidate(strMnemonic), 'Bad mnemonic');
+            } else {
+                strMnemonic = Crypto.mnemonicGenerate();
+            }
+
+            const objEncryptedMnemonic = await Crypto.encrypt(
+                this._mapAccountPasswords.get(strAccountName),
+                Buffer.from(strMnemonic)
+            );
+            await this._storage.writeHdAccount(strAccountName, objEncryptedMnemonic, 0);
+
+            return strMnemonic;
+        }
+
+        /**
+         * Derive next address of HD account. It's private key stored as usual keystore
+         *
+         * @param {String} strAccountName
+         * @return {Promise<String>} - address
+         */
+        async getNewHdAddress(strAccountName) {
+            const {strMnemonic, objHdAccount} = await this._decryptHdAccount(strAccountName);
+            const {nNextIndex, ...objEncryptedMnemonic} = objHdAccount;
+
+            const kp = Crypto.deriveKeyPair(Crypto.mnemonicToSeed(strMnemonic), this._hdPath(nNextIndex));
+            await this._storeDerivedKey(strAccountName, kp);
+            await this._storage.writeHdAccount(strAccountName, objEncryptedMnemonic, nNextIndex + 1);
+
+            return kp.address;
+        }
+
+        async exportMnemonic(strAccountName) {
+            const {strMnemonic} = await this._decryptHdAccount(strAccountName);
+            return strMnemonic;
+        }
+
+        async importMnemonic(strAccountName, strMnemonic, bRescan = false) {
+            await this.createHdAccount(strAccountName, strMnemonic);
+            if (bRescan) await this.hdRescan(strAccountName);
+        }
+
+        /**
+         * Derive addresses until Constants.HD_GAP_LIMIT consecutive unused ones.
+         * Keys up to last used one stored in account & watched
+         *
+         * @param {String} strAccountName
+         * @return {Promise<Number>} - index of next address to derive
+         */
+        async hdRescan(strAccountName) {
+            const {strMnemonic, objHdAccount} = await this._decryptHdAccount(strAccountName);
+            const {nNextIndex, ...objEncryptedMnemonic} = objHdAccount;
+
+            const isUsed = await this._createUsedAddressChecker();
+            const buffSeed = Crypto.mnemonicToSeed(strMnemonic);
+            const arrKeyPairs = [];
+            let nNewNextIndex = nNextIndex;
+
+            for (let i = 0, nUnused = 0; nUnused < Constants.HD_GAP_LIMIT; i++) {
+                const kp = Crypto.deriveKeyPair(buffSeed, this._hdPath(i));
+                arrKeyPairs.push(kp);
+                if (await isUsed(kp.address)) {
+                    nUnused = 0;
+                    nNewNextIndex = Math.max(nNewNextIndex, i + 1);
+                } else {
+                    nUnused++;
+                }
+            }
+
+            const arrAccountAddresses = await this.getAccountAddresses(strAccountName) || [];
+            for (let kp of arrKeyPairs.slice(0, nNewNextIndex)) {
+                if (!arrAccountAddresses.includes(kp.address)) await this._storeDerivedKey(strAccountName, kp);
+            }
+            await this._storage.writeHdAccount(strAccountName, objEncryptedMnemonic, nNewNextIndex);
+
+            try {
+                await this._storage.walletReIndex();
+            } catch (e) {
+                logger.error(e);
+            }
+
+            return nNewNextIndex;
+        }
+
+        _hdPath(nIndex) {
+            return `${Constants.HD_BASE_PATH}/${nIndex}`;
+        }
+
+        async _decryptHdAccount(strAccountName) {
+            assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
+
+            const objHdAccount = await this._storage.readHdAccount(strAccountName);
+            assert(objHdAccount, `Account ${strAccountName} is not HD`);
+
+            const buffMnemonic = Crypto.decrypt(this._mapAccountPasswords.get(strAccountName), objHdAccount);
+            assert(buffMnemonic, 'Wrong password');
+
+            return {strMnemonic: buffMnemonic.toString(), objHdAccount};
+        }
+
+        async _storeDerivedKey(strAccountName, kp) {
+            const objEncryptedPk = await Crypto.encrypt(
+                this._mapAccountPasswords.get(strAccountName),
+                Buffer.from(kp.privateKey, 'hex')
+            );
+            await this._storage.writeKeystore(kp.address, strAccountName, objEncryptedPk);
+
+            try {
+                await this._storage.walletWatchAddress(kp.address);
+            } catch (e) {
+                logger.error(e);
+            }
+        }
+
+        /**
+         * Address index (if enabled) knows spent outputs too, otherwise only UTXO set scanned
+         *
+         * @return {Promise<Function>} - async (strAddress) => Boolean
+         * @private
+         */
+        async _createUsedAddressChecker() {
+            if (this._storage.hasAddressIndex()) {
+                return async (strAddress) => {
+                    const {arrRecords} = await this._storage.getAddressHistory(strAddress, undefined, 1);
+                    return arrRecords.length > 0;
+                };
+            }
+
+            const setReceivers = await this._storage.getUtxoReceivers();
+            return async (strAddress) => setReceivers.has(strAddress);
+        }
+
         _clearPassword(strAccountName) {
             this._mapAccountPasswords.delete(strAccountName);
         }
@@ -225,6 +370,134 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             return tx;
         }
 
+        /**
+         *
+         * @param {Number} nRequired
+         * @param {Array} arrPublicKeys - hex
+         * @param {Boolean} bRescan
+         * @return {Promise<{address: String, strRedeemScript: String}>}
+         */
+        async createMultisigAddress(nRequired, arrPublicKeys, bRescan = false) {
+            const buffRedeemScript = Transaction.createMultisigScript(nRequired, arrPublicKeys);
+            const strAddress = Transaction.getMultisigAddress(buffRedeemScript);
+
+            await this.walletWatchAddress(strAddress, bRescan);
+
+            return {address: strAddress, strRedeemScript: buffRedeemScript.toString('hex')};
+        }
+
+        /**
+         * Create TX spending coins of multisig address. Inputs has empty multisig claims, pass it to signers
+         *
+         * @param objParameters.strRedeemScript
+         * @param objParameters.strAddressTo
+         * @param objParameters.nAmount
+         * @param objParameters.strChangeAddress - default: multisig address
+         * @param objParameters.nConciliumId
+         * @return {Promise<Transaction>}
+         */
+        async createMultisigTx(objParameters) {
+            checkRequiredParameters(objParameters, ['strRedeemScript', 'strAddressTo', 'nAmount']);
+
+            let {strRedeemScript, strAddressTo, nAmount, strChangeAddress, nConciliumId = 1} = objParameters;
+            const buffRedeemScript = Buffer.from(strRedeemScript, 'hex');
+            const {nRequired, arrPubKeys} = Transaction.decodeMultisigScript(buffRedeemScript);
+            const strMultisigAddress = Transaction.getMultisigAddress(buffRedeemScript);
+
+            strAddressTo = stripAddressPrefix(Constants, strAddressTo);
+            strChangeAddress = strChangeAddress ? stripAddressPrefix(Constants, strChangeAddress) : strMultisigAddress;
+
+            const tx = new Transaction();
+            tx.conciliumId = nConciliumId;
+
+            const nReqPlusOutputs = nAmount + this._nFeePerReceiver * 2;
+            const [nTotalGathered, arrAddressesOwners] = await this._formTxInputs(
+                tx,
+                [strMultisigAddress],
+                nReqPlusOutputs
+            );
+
+            const nFeePerInput = this._nFeePerInput + this._estimateMultisigClaimFee(nRequired, arrPubKeys.length);
+            const nRequiredTotal = nReqPlusOutputs + arrAddressesOwners.length * nFeePerInput;
+            if (nTotalGathered < nRequiredTotal) {
+                throw(`Not enough coins to send. Required (with fee): ${nRequiredTotal}. Have: ${nTotalGathered}`);
+            }
+
+            tx.addReceiver(nAmount, Buffer.from(strAddressTo, 'hex'));
+            if (nTotalGathered - nRequiredTotal) {
+                tx.addReceiver(nTotalGathered - nRequiredTotal, Buffer.from(strChangeAddress, 'hex'));
+            }
+
+            for (let i = 0; i < arrAddressesOwners.length; i++) {
+                tx.claimMultisig(i, buffRedeemScript);
+            }
+
+            return tx;
+        }
+
+        /**
+         * Add signatures with keys of account to every multisig claim
+         *
+         * @param {String} strAccountName
+         * @param {Transaction} tx - partially signed
+         * @return {Promise<Number>} - signatures added
+         */
+        async signMultisigTx(strAccountName, tx) {
+            assert(this._mapAccountPasswords.has(strAccountName), 'unlockAccount first');
+            await this._ensureAccount(strAccountName);
+
+            const arrAccountAddresses = await this.getAccountAddresses(strAccountName);
+            const mapAddrKeystore = await this._storage.getKeystoresForAccount(strAccountName);
+            const strPassword = this._mapAccountPasswords.get(strAccountName);
+
+            let nSigned = 0;
+            for (let i = 0; i < tx.inputs.length; i++) {
+                const objClaim = tx.getMultisigClaim(i);
+                if (!objClaim) continue;
+
+                const {arrPubKeys} = Transaction.decodeMultisigScript(objClaim.buffRedeemScript);
+                const arrOwnAddresses = arrPubKeys
+                    .map(strPubKey => Crypto.getAddress(strPubKey))
+                    .filter(strAddress => arrAccountAddresses.includes(strAddress));
+
+                const mapUnencryptedKeys = this._ensurePk(strPassword, arrOwnAddresses, mapAddrKeystore);
+                for (let strAddress of arrOwnAddresses) {
+                    const pk = mapUnencryptedKeys.get(strAddress);
+                    if (!pk) throw(`Private key for ${strAddress} not found`);
+                    tx.claimMultisig(i, objClaim.buffRedeemScript, pk);
+                    nSigned++;
+                }
+            }
+
+            return nSigned;
+        }
+
+        /**
+         *
+         * @param {Array} arrTxns - copies of same TX signed by different parties
+         * @return {Transaction}
+         */
+        combineMultisigTx(arrTxns) {
+            assert(arrTxns.length, 'Nothing to combine');
+
+            const [tx, ...arrRest] = arrTxns;
+            arrRest.forEach(txPartial => tx.combineMultisigClaims(txPartial));
+
+            return tx;
+        }
+
+        /**
+         *
+         * @param {Transaction} tx - with all multisig claims completed
+         * @return {Transaction}
+         */
+        finalizeMultisigTx(tx) {
+            tx.finalizeMultisig();
+            tx.verify();
+
+            return tx;
+        }
+
         /**
          * Add claims to Tx
          *
@@ -335,6 +608,19 @@ module.exports = ({Crypto, Constants, Transaction}) =>
             return {arrCoins, gathered, bDone};
         }
 
+        /**
+         * Multisig claim is larger than signature: redeem script & nRequired signatures
+         *
+         * @param {Number} nRequired
+         * @param {Number} nKeys
+         * @return {Number} - fee for extra bytes
+         * @private
+         */
+        _estimateMultisigClaimFee(nRequired, nKeys) {
+            const nExtraSize = 4 + nKeys * 35 + (nRequired - 1) * 67;
+            return parseInt(Constants.fees.TX_FEE * (nExtraSize / 1024)) + 1;
+        }
+
         _estimateSizeContractInvoke(objContaractInvoke) {
             const nSize = JSON.stringify(objContaractInvoke).length + 20 + 4;
             return this._nFeePerReceiver + parseInt(Constants.fees.TX_FEE * (nSize / 1024)) + 1;
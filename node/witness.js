@@ -8,7 +8,7 @@ const debugWitnessMsg = debugLib('witness:messages');
 
 module.exports = (factory, factoryOptions) => {
     const {Node, Messages, Constants, BFT, Block, Transaction, BaseConciliumDefinition, PatchDB, BlockInfo} = factory;
-    const {MsgWitnessCommon, MsgWitnessBlock, MsgWitnessWitnessExpose} = Messages;
+    const {MsgWitnessCommon, MsgWitnessBlock, MsgWitnessWitnessExpose, MsgGetBlockTxn, MsgBlockTxn} = Messages;
 
     return class Witness extends Node {
         constructor(options) {
@@ -42,6 +42,13 @@ module.exports = (factory, factoryOptions) => {
             }
             this._consensuses = new Map();
 
+            // Proposals waiting for missing TXns.
+            // conciliumId => {compactBlock, consensus, strPeerAddress, nRequestedAt}
+            this._mapPendingProposals = new Map();
+
+            // our last proposal. Other witnesses could request its TXns
+            this._proposedBlock = undefined;
+
             this._storage.on('conciliumsChanged', this.restart.bind(this));
         }
 
@@ -138,7 +145,7 @@ module.exports = (factory, factoryOptions) => {
             debugWitness(`--------- "${this._debugAddress}" started WITNESS handshake with "${peer.address}" ----`);
             if (peer.disconnected) {
                 await this._connectToPeer(peer);
-                await peer.pushMessage(this._createMsgVersion());
+                await peer.pushMessage(await this._createMsgVersion());
                 await peer.loaded();
             } else {
                 debugWitness(`(address: "${this._debugAddress}") reusing connection to "${peer.address}"`);
@@ -299,32 +306,50 @@ module.exports = (factory, factoryOptions) => {
 
                 // this will advance us to VOTE_BLOCK state whether block valid or not!
                 const msgBlock = new MsgWitnessBlock(messageWitness);
-                const block = msgBlock.block;
-                if (await this._storage.hasBlock(block.hash())) {
-                    logger.error(`Block ${block.hash()} already known!`);
+
+                // peers without Constants.COMPACT_BLOCKS send us full blocks (@see _broadcastBlock)
+                if (!peer.supportsCompactBlocks) {
+                    const block = msgBlock.block;
+                    if (!block) {
+                        consensus.invalidBlock();
+                        return;
+                    }
+                    if (await this._storage.hasBlock(block.getHash())) {
+                        logger.error(`Block ${block.getHash()} already known!`);
+                        return;
+                    }
+                    await this._processProposedBlock(block, consensus);
                     return;
                 }
 
-                const lock = await this._mutex.acquire(['blockExec']);
-                try {
-
-                    // check block without checking signatures
-                    await this._verifyBlock(block, false);
-                    if (await this._canExecuteBlock(block)) {
-                        this._processedBlock = block;
-                        const patch = await this._execBlock(block);
-                        consensus.processValidBlock(block, patch);
-                    } else {
-                        throw new Error(`Block ${block.hash()} couldn't be executed right now!`);
-                    }
+                const compactBlock = msgBlock.compactBlock;
+                const strBlockHash = compactBlock.getHash();
+                if (await this._storage.hasBlock(strBlockHash)) {
+                    logger.error(`Block ${strBlockHash} already known!`);
+                    return;
+                }
 
-                    // no _accept here, because this block should be voted before
-                } catch (e) {
-                    logger.error(e);
-                    consensus.invalidBlock();
-                } finally {
-                    this._mutex.release(lock);
+                const arrMissedIndexes = compactBlock.rebuild(
+                    this._mempool.getContent(),
+                    strTxHash => this._mempool.getTx(strTxHash)
+                );
+                if (arrMissedIndexes.length) {
+
+                    // we'll continue in _handleBlockTxnMessage
+                    this._mapPendingProposals.set(consensus.conciliumId,
+                        {compactBlock, consensus, strPeerAddress: peer.address, nRequestedAt: Date.now()}
+                    );
+                    const msg = new MsgGetBlockTxn({
+                        blockHash: Buffer.from(strBlockHash, 'hex'),
+                        indexes: arrMissedIndexes
+                    });
+                    debugWitnessMsg(
+                        `(address: "${this._debugAddress}") sending "${msg.message}" to "${peer.address}"`);
+                    await peer.pushMessage(msg);
+                    return;
                 }
+
+                await this._processProposedBlock(compactBlock, consensus);
             } else {
 
                 // we still wait for block from designated proposer or timer for BLOCK state will expire
@@ -333,6 +358,86 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         *
+         * @param {Block | CompactBlock} proposal - full block, or rebuilt compact one (@see CompactBlock.rebuild)
+         * @param {BFT} consensus
+         * @returns {Promise<void>}
+         * @private
+         */
+        async _processProposedBlock(proposal, consensus) {
+            const lock = await this._mutex.acquire(['blockExec']);
+            try {
+
+                // it throws on short ids collision. It's rare enough to just reject such block
+                const block = proposal instanceof Block ? proposal : proposal.toBlock();
+
+                // check block without checking signatures
+                await this._verifyBlock(block, false);
+                if (await this._canExecuteBlock(block)) {
+                    this._processedBlock = block;
+                    const patch = await this._execBlock(block);
+                    consensus.processValidBlock(block, patch);
+                } else {
+                    throw new Error(`Block ${block.hash()} couldn't be executed right now!`);
+                }
+
+                // no _accept here, because this block should be voted before
+            } catch (e) {
+                logger.error(e);
+                consensus.invalidBlock();
+            } finally {
+                this._mutex.release(lock);
+            }
+        }
+
+        /**
+         * Missing TXns of proposed block, or regular compact block (@see Node._handleBlockTxnMessage)
+         *
+         * @param {Peer} peer - peer that send message
+         * @param {MessageCommon} message
+         * @return {Promise<void>}
+         * @private
+         */
+        async _handleBlockTxnMessage(peer, message) {
+            const msg = new MsgBlockTxn(message);
+
+            // consensus will move to next round without this block, so no need to wait for TXns longer
+            const nNow = Date.now();
+            for (let [conciliumId, {nRequestedAt}] of this._mapPendingProposals) {
+                if (nNow - nRequestedAt > Constants.COMPACT_BLOCK_TXN_TIMEOUT) {
+                    this._mapPendingProposals.delete(conciliumId);
+                }
+            }
+
+            const proposal = [...this._mapPendingProposals.values()]
+                .find(({compactBlock}) => compactBlock.getHash() === msg.strBlockHash);
+            if (!proposal) return await super._handleBlockTxnMessage(peer, msg);
+
+            const {compactBlock, consensus, strPeerAddress} = proposal;
+            if (strPeerAddress !== peer.address) {
+                logger.log(`Peer ${peer.address} pushed unrequested TXns of proposal ${msg.strBlockHash} to us`);
+                peer.misbehave(5);
+                return;
+            }
+            this._mapPendingProposals.delete(consensus.conciliumId);
+
+            compactBlock.fillMissing(msg.arrTxns);
+            await this._processProposedBlock(compactBlock, consensus);
+        }
+
+        /**
+         * Our proposal isn't stored yet, but other witnesses could request its TXns
+         *
+         * @param {String} strBlockHash
+         * @return {Promise<Block | undefined>}
+         * @private
+         */
+        async _getBlockForTxnRequest(strBlockHash) {
+            if (this._proposedBlock && this._proposedBlock.getHash() === strBlockHash) return this._proposedBlock;
+            return await super._getBlockForTxnRequest(strBlockHash);
+        }
+
         /**
          *
          * @param {Peer} peer
@@ -476,12 +581,22 @@ module.exports = (factory, factoryOptions) => {
          * @private
          */
         async _broadcastBlock(conciliumId, block) {
-            const msg = new MsgWitnessBlock({conciliumId});
-
-            msg.block = block;
-            msg.sign(this._wallet.privateKey);
-
-            this._peerManager.broadcastToConnected(createPeerTag(conciliumId), msg);
+            const msgCompact = new MsgWitnessBlock({conciliumId});
+            const msgFull = new MsgWitnessBlock({conciliumId});
+
+            this._proposedBlock = block;
+            msgCompact.compactBlock = block;
+            msgCompact.sign(this._wallet.privateKey);
+            msgFull.block = block;
+            msgFull.sign(this._wallet.privateKey);
+
+            const strTag = createPeerTag(conciliumId);
+            this._peerManager.broadcastToConnected(strTag, msgCompact, undefined, undefined,
+                peer => peer.supportsCompactBlocks
+            );
+            this._peerManager.broadcastToConnected(strTag, msgFull, undefined, undefined,
+                peer => !peer.supportsCompactBlocks
+            );
             debugWitness(`Witness: "${this._debugAddress}". Block ${block.hash()} broadcasted`);
         }
 
@@ -527,13 +642,14 @@ module.exports = (factory, factoryOptions) => {
                 const arrUtxos = await this._storage.walletListUnspent(this._wallet.address);
 
                 // There is possible situation with 1 UTXO having numerous output. It will be count as 1
+                const arrFinalTxns = this._mempool.getFinalTxns(conciliumId, block.getHeight(), block.timestamp);
                 if (this._bCreateJoinTx && arrUtxos.length > Constants.WITNESS_UTXOS_JOIN) {
                     arrTxToProcess = [
                         this._createJoinTx(arrUtxos, conciliumId, Constants.MAX_UTXO_PER_TX / 2),
-                        ...this._mempool.getFinalTxns(conciliumId)
+                        ...arrFinalTxns
                     ];
                 } else {
-                    arrTxToProcess = this._mempool.getFinalTxns(conciliumId);
+                    arrTxToProcess = arrFinalTxns;
                 }
 
                 for (let tx of arrTxToProcess) {
@@ -543,7 +659,13 @@ module.exports = (factory, factoryOptions) => {
                         // TXns with 1000+ inputs will freeze network.
                         // So we'll skip this TXns
                         if (tx.inputs.length > Constants.MAX_UTXO_PER_TX) continue;
-                        const {fee, patchThisTx} = await this._processTx(patchMerged, false, tx);
+
+                        // immature coins: it's not a bad TX, keep it in mempool
+                        if (!await this._isTxMatureForBlock(tx, patchMerged, block)) continue;
+
+                        const {fee, patchThisTx} = await this._processTx(patchMerged, false, tx, undefined,
+                            this._createBlockContext(block)
+                        );
 
                         totalFee += fee;
                         patchMerged = patchMerged.merge(patchThisTx, true);
@@ -574,6 +696,24 @@ module.exports = (factory, factoryOptions) => {
             return {block, patch: patchMerged};
         }
 
+        /**
+         *
+         * @param {Transaction} tx
+         * @param {PatchDB} patchMerged - pending state + txns already added to block
+         * @param {Block} block - being created
+         * @return {Promise<Boolean>}
+         * @private
+         */
+        async _isTxMatureForBlock(tx, patchMerged, block) {
+            const patchUtxos = await this._storage.getUtxosPatch(tx.utxos);
+
+            return this._isTxMature(
+                tx,
+                patchMerged.hasUtxos(tx.utxos) ? patchMerged.merge(patchUtxos) : patchUtxos,
+                this._createBlockContext(block)
+            );
+        }
+
         _createPseudoRandomSeed(arrLastStableBlockHashes) {
             this._conciliumSeed = super._createPseudoRandomSeed(arrLastStableBlockHashes);
             this._consensuses.forEach(c => c.setRoundSeed(this._conciliumSeed));
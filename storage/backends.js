@@ -0,0 +1,65 @@
+'use strict';
+
+const util = require('util');
+const levelup = require('levelup');
+
+/**
+ * Storage backend is an object with:
+ *  - open(strPath) => levelup compatible instance (get/put/del/batch/iterator/createReadStream/close)
+ *  - destroy(strPath) => Promise (optional, only for backends that persist data)
+ *
+ * Any abstract-leveldown implementation could be wrapped with createBackend
+ */
+
+/**
+ *
+ * @param {Function} downAdapter - abstract-leveldown factory: (strPath) => instance
+ * @returns {{open: (function(String): *), destroy: (Function | undefined)}}
+ */
+const createBackend = (downAdapter) => ({
+    open: (strPath) => levelup(downAdapter(strPath)),
+    destroy: typeof downAdapter.destroy === 'function' ? util.promisify(downAdapter.destroy) : undefined
+});
+
+const mapBackends = {
+    leveldb: () => createBackend(require('leveldown')),
+
+    // data lives only while DB is open. Used for tests & tooling
+    memory: () => {
+        const memdown = require('memdown');
+        return {open: () => levelup(memdown())};
+    },
+
+    // same abstract-leveldown API. optional dependency: native build could fail, then backend is unavailable
+    rocksdb: () => {
+        let rocksdb;
+        try {
+            rocksdb = require('rocksdb');
+        } catch (e) {
+            throw new Error('Storage backend "rocksdb" is not installed (optional dependency failed to build?)');
+        }
+        return createBackend(rocksdb);
+    }
+};
+
+/**
+ *
+ * @param {String | Object} backend - name of backend, or custom backend object {open, destroy}
+ * @returns {{open: Function, destroy: (Function | undefined)}}
+ */
+const getBackend = (backend) => {
+    if (typeof backend === 'object') {
+        if (typeof backend.open !== 'function') throw new Error('Storage backend should implement "open"');
+        return backend;
+    }
+
+    const fnBackend = mapBackends[backend];
+    if (!fnBackend) throw new Error(`Unknown storage backend "${backend}"`);
+
+    return fnBackend();
+};
+
+module.exports = {
+    createBackend,
+    getBackend
+};
@@ -19,6 +19,9 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
             // it will keep tracks which tx spend particular output
             this._mapSpentUtxos = new Map();
 
+            // receivers of spent outputs (they are gone from UTXO, but we need them for address index)
+            this._mapSpentReceivers = new Map();
+
             this._mapConciliumLevel = new Map();
             this.setConciliumId(nConciliumId);
 
@@ -46,6 +49,12 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
             patch._mapTxReceipts.forEach(
                 (value, key) => patch._mapTxReceipts.set(key, TxReceipt.createFromData(value)));
 
+            // patches serialized before spent receivers were tracked don't have this map
+            if (!patch._mapSpentReceivers) patch._mapSpentReceivers = new Map();
+            patch._mapSpentReceivers.forEach(mapReceivers =>
+                mapReceivers.forEach((receiver, idx) => mapReceivers.set(idx, Buffer.from(receiver)))
+            );
+
             return patch;
         }
 
@@ -73,12 +82,17 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
 
             const strHash = utxo.getTxHash();
             const utxoCopy = this.getUtxo(strHash) || utxo.clone();
+            const coins = utxoCopy.getIndexes().includes(nTxOutput) ? utxoCopy.coinsAtIndex(nTxOutput) : undefined;
+
+            // will throw if already spent
             utxoCopy.spendCoins(nTxOutput);
+            const buffReceiver = coins.getReceiverAddr();
 
             // rewrite reference
             this._data.coins.set(strHash, utxoCopy);
 
             this._setSpentOutput(utxo.getTxHash(), nTxOutput, txHashSpent);
+            this._setSpentReceiver(utxo.getTxHash(), nTxOutput, buffReceiver);
         }
 
         /**
@@ -174,9 +188,12 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
                     const utxo = this._data.coins.get(coinHash) || patch._data.coins.get(coinHash);
                     const mapSpentOutputs = this._getSpentOutputs(coinHash).size ?
                         this._getSpentOutputs(coinHash) : patch._getSpentOutputs(coinHash);
+                    const mapSpentReceivers = this.getSpentReceivers(coinHash).size ?
+                        this.getSpentReceivers(coinHash) : patch.getSpentReceivers(coinHash);
 
                     resultPatch._data.coins.set(coinHash, utxo.clone());
                     for (let [idx, hash] of mapSpentOutputs) resultPatch._setSpentOutput(coinHash, idx, hash);
+                    for (let [idx, addr] of mapSpentReceivers) resultPatch._setSpentReceiver(coinHash, idx, addr);
 
                 } else {
 
@@ -216,6 +233,12 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
                     // no conflicts - store all spending into resulting patch
                     for (let [idx, hash] of mapMySpentOutputs) resultPatch._setSpentOutput(coinHash, idx, hash);
                     for (let [idx, hash] of mapHisSpentOutputs) resultPatch._setSpentOutput(coinHash, idx, hash);
+                    for (let [idx, addr] of this.getSpentReceivers(coinHash)) {
+                        resultPatch._setSpentReceiver(coinHash, idx, addr);
+                    }
+                    for (let [idx, addr] of patch.getSpentReceivers(coinHash)) {
+                        resultPatch._setSpentReceiver(coinHash, idx, addr);
+                    }
                 }
             }
 
@@ -343,6 +366,39 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
             return this._mapSpentUtxos.get(strUtxoHash) || new Map();
         }
 
+        /**
+         *
+         * @param {String} strUtxoHash
+         * @param {Number} nTxOutput
+         * @param {Buffer} buffReceiver - address that owned nTxOutput of strUtxoHash before it was spent
+         * @private
+         */
+        _setSpentReceiver(strUtxoHash, nTxOutput, buffReceiver) {
+            let mapReceivers = this._mapSpentReceivers.get(strUtxoHash);
+            if (!mapReceivers) mapReceivers = new Map();
+            mapReceivers.set(nTxOutput, buffReceiver);
+            this._mapSpentReceivers.set(strUtxoHash, mapReceivers);
+        }
+
+        /**
+         * Spent outputs are removed from UTXO, so this is the only way to find out whose coins were spent
+         *
+         * @param {String} strUtxoHash
+         * @returns {Map<Number, Buffer>} map <Index, buffReceiverAddr>
+         */
+        getSpentReceivers(strUtxoHash) {
+            return this._mapSpentReceivers.get(strUtxoHash) || new Map();
+        }
+
+        /**
+         *
+         * @param {String} strUtxoHash
+         * @returns {Map<Number, Buffer>} map <Index, buffTxHashSpentThisIndex>
+         */
+        getSpentOutputs(strUtxoHash) {
+            return this._getSpentOutputs(strUtxoHash);
+        }
+
         /**
          * this function used to compare maps of spended outputs @see _getSpentOutputs
          *
@@ -514,6 +570,7 @@ module.exports = ({UTXO, Contract, TxReceipt}) =>
         removeUtxo(strHash) {
             this._data.coins.delete(strHash);
             this._mapSpentUtxos.delete(strHash);
+            this._mapSpentReceivers.delete(strHash);
 
         }
     };
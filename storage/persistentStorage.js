@@ -3,21 +3,21 @@
 const EventEmitter = require('events');
 const path = require('path');
 const assert = require('assert');
-const levelup = require('levelup');
-const leveldown = require('leveldown');
 const typeforce = require('typeforce');
 const debugLib = require('debug');
-const util = require('util');
 const fs = require('fs');
 const fsPromise = fs.promises;
+const readline = require('readline');
 
 const types = require('../types');
 const {prepareForStringifyObject} = require('../utils');
+const {getBackend} = require('./backends');
 
 const debug = debugLib('storage:');
 
 const UTXO_PREFIX = 'c';
 const BLOCK_INFO_PREFIX = 'H';
+const BLOCK_HEIGHT_PREFIX = 'h';
 const CONTRACT_PREFIX = 'S';
 const RECEIPT_PREFIX = 'R';
 const LAST_APPLIED_BLOCKS = 'FINAL';
@@ -27,14 +27,31 @@ const WALLET_ADDRESSES = 'WALLETS';
 const WALLET_AUTOINCREMENT = 'WALLET_AUTO_INC';
 const TX_INDEX_PREFIX = 'T';
 const INTENRAL_TX_INDEX_PREFIX = 'I';
+const LOG_INDEX_PREFIX = 'L';
+const ADDRESS_HISTORY_PREFIX = 'A';
+const ADDRESS_HISTORY_AUTOINCREMENT = 'ADDR_AUTO_INC';
+const PRUNED_HEIGHT = 'PRUNED';
+const SNAPSHOT_TIPS = 'SNAPSHOT';
+const JOURNAL = 'JOURNAL';
+const UNDO_PREFIX = 'U';
+const ADDRESS_BOOK_KEY = 'ADDRBOOK';
+const PINNED_KEYS = 'PINNED';
+const NODE_IDENTITY_KEY = 'IDENTITY';
+
+// chainstate records that form snapshot (besides LAST_APPLIED_BLOCKS & their BlockInfo)
+const SNAPSHOT_PREFIXES = [UTXO_PREFIX, CONTRACT_PREFIX, RECEIPT_PREFIX];
+
+const ADDRESS_HISTORY_OUT = 0;
+const ADDRESS_HISTORY_IN = 1;
+
+// <nHeight><buffTxHash><nLogIdx> - tail of log index key, used as cursor for getLogs
+const LOG_POSITION_LENGTH = 4 + 32 + 2;
 
 const BANNED_BLOCKS_FILE = '.bannedBlocks.json';
 
-const levelDbDestroy = util.promisify(leveldown.destroy);
-
 /**
  *
- * @param db - levelup instance
+ * @param db - instance opened by storage backend
  * @returns {Promise<any>}
  */
 const eraseDbContent = async (db) => {
@@ -52,10 +69,129 @@ const eraseDbContent = async (db) => {
     await db.batch(arrBuffers);
 };
 
+const JOURNAL_OP_PUT = 0;
+const JOURNAL_OP_DEL = 1;
+
+/**
+ * Binary journal: for every batch <nDbNameLen:1><strDb><nOps:4>,
+ * for every op <nType:1><nKeyLen:4><key>[<nValueLen:4><value>] (value only for put)
+ *
+ * @param {Array} arrJournal - [[strDb, arrOps]]
+ * @return {Buffer}
+ */
+const encodeJournal = (arrJournal) => {
+    const arrBuffers = [];
+    const writeUInt = (nValue, nBytes) => {
+        const buff = Buffer.alloc(nBytes);
+        buff.writeUIntBE(nValue, 0, nBytes);
+        arrBuffers.push(buff);
+    };
+    const writeChunk = (buff) => {
+        writeUInt(buff.length, 4);
+        arrBuffers.push(buff);
+    };
+
+    for (let [strDb, arrOps] of arrJournal) {
+        const buffDb = Buffer.from(strDb);
+        writeUInt(buffDb.length, 1);
+        arrBuffers.push(buffDb);
+        writeUInt(arrOps.length, 4);
+
+        for (let {type, key, value} of arrOps) {
+            writeUInt(type === 'del' ? JOURNAL_OP_DEL : JOURNAL_OP_PUT, 1);
+            writeChunk(Buffer.from(key));
+            if (type !== 'del') writeChunk(Buffer.from(value));
+        }
+    }
+
+    return Buffer.concat(arrBuffers);
+};
+
+/**
+ * @see encodeJournal
+ *
+ * @param {Buffer} buffJournal
+ * @return {Array} - [[strDb, arrOps]]
+ */
+const decodeJournal = (buffJournal) => {
+    let nPos = 0;
+    const readUInt = (nBytes) => {
+        assert(nPos + nBytes <= buffJournal.length, 'Journal truncated');
+        const nValue = buffJournal.readUIntBE(nPos, nBytes);
+        nPos += nBytes;
+        return nValue;
+    };
+    const readChunk = (nLength = readUInt(4)) => {
+        assert(nPos + nLength <= buffJournal.length, 'Journal truncated');
+        const buff = buffJournal.slice(nPos, nPos + nLength);
+        nPos += nLength;
+        return buff;
+    };
+
+    const arrJournal = [];
+    while (nPos < buffJournal.length) {
+        const strDb = readChunk(readUInt(1)).toString();
+        const arrOps = [];
+        for (let nOps = readUInt(4); nOps; nOps--) {
+            const nType = readUInt(1);
+            assert(nType === JOURNAL_OP_PUT || nType === JOURNAL_OP_DEL, `Journal: unknown op ${nType}`);
+            arrOps.push(nType === JOURNAL_OP_DEL ?
+                {type: 'del', key: readChunk()} :
+                {type: 'put', key: readChunk(), value: readChunk()}
+            );
+        }
+        arrJournal.push([strDb, arrOps]);
+    }
+
+    return arrJournal;
+};
+
+/**
+ * Binary undo record: <nBlocks:2><hashes><nLastApplied:2><hashes><ops (@see encodeJournal)>
+ * ops are ready to apply: put of previous value, or del if key was absent
+ *
+ * @param {Array} arrStableHashes
+ * @param {Array} arrPrevLastApplied
+ * @param {Array} arrUndo - [[strDb, arrOps]]
+ * @return {Buffer}
+ */
+const encodeUndoRecord = (arrStableHashes, arrPrevLastApplied, arrUndo) => {
+    const encodeHashes = (arrHashes) => {
+        const buffCount = Buffer.alloc(2);
+        buffCount.writeUInt16BE(arrHashes.length, 0);
+        return Buffer.concat([buffCount, ...arrHashes.map(strHash => Buffer.from(strHash, 'hex'))]);
+    };
+
+    return Buffer.concat([encodeHashes(arrStableHashes), encodeHashes(arrPrevLastApplied), encodeJournal(arrUndo)]);
+};
+
+/**
+ * @see encodeUndoRecord
+ *
+ * @param {Buffer} buffRecord
+ * @return {{blocks: Array, lastApplied: Array, ops: Array}}
+ */
+const decodeUndoRecord = (buffRecord) => {
+    let nPos = 0;
+    const decodeHashes = () => {
+        const nCount = buffRecord.readUInt16BE(nPos);
+        nPos += 2;
+        const arrHashes = [];
+        for (let i = 0; i < nCount; i++, nPos += 32) {
+            arrHashes.push(buffRecord.slice(nPos, nPos + 32).toString('hex'));
+        }
+        return arrHashes;
+    };
+
+    const blocks = decodeHashes();
+    const lastApplied = decodeHashes();
+    return {blocks, lastApplied, ops: decodeJournal(buffRecord.slice(nPos))};
+};
+
 module.exports = (factory, factoryOptions) => {
     const {
         Constants, Block, BlockInfo, UTXO, ArrayOfHashes, ArrayOfAddresses, Contract,
-        TxReceipt, BaseConciliumDefinition, ConciliumRr, ConciliumPos, Peer, PatchDB
+        TxReceipt, BaseConciliumDefinition, ConciliumRr, ConciliumPos, Peer, PatchDB, Crypto
     } = factory;
 
     return class Storage extends EventEmitter {
@@ -67,40 +203,51 @@ module.exports = (factory, factoryOptions) => {
 
             super();
 
-            const {testStorage, buildTxIndex, walletSupport, dbPath, mutex} = options;
+            const {
+                testStorage, storageBackend, buildTxIndex, buildAddressIndex, walletSupport, dbPath, mutex, pruneDepth,
+                arrConciliumDefinitions
+            } = options;
             assert(mutex, 'Storage constructor requires Mutex instance!');
 
-            if (testStorage) {
-
-                // used for tests
-                this._downAdapter = require('memdown');
-            } else {
-                this._downAdapter = leveldown;
-            }
+            // testStorage is legacy alias for in-memory backend
+            this._backend = getBackend(storageBackend || (testStorage ? 'memory' : Constants.STORAGE_BACKEND));
 
             this._pathPrefix = path.resolve(dbPath || Constants.DB_PATH_PREFIX);
 
-            this._db = levelup(this._downAdapter(`${this._pathPrefix}/${Constants.DB_CHAINSTATE_DIR}`));
+            this._db = this._openDb(Constants.DB_CHAINSTATE_DIR);
 
             // it's a good idea to keep blocks separately from UTXO DB
             // it will allow erase UTXO DB, and rebuild it from block DB
             // it could be levelDB also, but in different dir
-            this._blockStorage = levelup(this._downAdapter(`${this._pathPrefix}/${Constants.DB_BLOCKSTATE_DIR}`));
+            this._blockStorage = this._openDb(Constants.DB_BLOCKSTATE_DIR);
 
-            this._peerStorage = levelup(this._downAdapter(`${this._pathPrefix}/${Constants.DB_PEERSTATE_DIR}`));
+            this._peerStorage = this._openDb(Constants.DB_PEERSTATE_DIR);
 
-            if (buildTxIndex) {
+            // light node has no chainstate (contract) to read concilium definitions from, so it trusts these
+            this._arrTrustedConciliumData = arrConciliumDefinitions;
+
+            // address history resolves blocks via TX index, so it's implied
+            if (buildTxIndex || buildAddressIndex) {
                 this._buildTxIndex = true;
-                this._txIndexStorage = levelup(this._downAdapter(`${this._pathPrefix}/${Constants.DB_TXINDEX_DIR}`));
+                this._txIndexStorage = this._openDb(Constants.DB_TXINDEX_DIR);
+            }
+
+            if (buildAddressIndex) {
+                this._buildAddressIndex = true;
+                this._addrIndexStorage = this._openDb(Constants.DB_ADDRINDEX_DIR);
             }
 
             // TODO: make it persistent after adding first address/key to wallet?
             if (walletSupport) {
                 this._walletSupport = true;
-                this._walletStorage = levelup(this._downAdapter(`${this._pathPrefix}/${Constants.DB_WALLET_DIR}`));
+                this._walletStorage = this._openDb(Constants.DB_WALLET_DIR);
                 this._strAccountPath = `${this._pathPrefix}/${Constants.DB_WALLET_DIR}/accounts`;
+                this._strHdAccountPath = `${this._pathPrefix}/${Constants.DB_WALLET_DIR}/hd`;
             }
 
+            // keep bodies only of last pruneDepth stable heights (0 - archival node, keep all)
+            this._nPruneDepth = pruneDepth || 0;
+
             this._setBlocksBad = new Set();
             this._loadBannedBlocks();
 
@@ -108,11 +255,134 @@ module.exports = (factory, factoryOptions) => {
         }
 
         /**
+         *
+         * @param {String} strDir - subdirectory of dbPath
+         * @returns {*} - instance with get/put/del/batch/iterator/close
+         * @private
+         */
+        _openDb(strDir) {
+            return this._backend.open(`${this._pathPrefix}/${strDir}`);
+        }
+
+        /**
+         * Completes patch interrupted by crash (@see _recoverJournal)
          *
          * @return {Promise<void>|*}
          */
         ready() {
-            return Promise.resolve();
+            if (!this._promiseReady) this._promiseReady = this._recoverJournal();
+            return this._promiseReady;
+        }
+
+        /**
+         * Sub-databases that could be written by applyPatch
+         *
+         * @param {String} strDb
+         * @return {*}
+         * @private
+         */
+        _getDbByName(strDb) {
+            return {
+                chainstate: this._db,
+                txindex: this._txIndexStorage,
+                addrindex: this._addrIndexStorage,
+                wallet: this._walletStorage
+            }[strDb];
+        }
+
+        /**
+         * Write batch now, or just add it to journal (it will be written on commit)
+         *
+         * @param {String} strDb - @see _getDbByName
+         * @param {Array} arrOps - levelup batch operations
+         * @param {Array | undefined} arrJournal - [[strDb, arrOps]]
+         * @return {Promise<void>}
+         * @private
+         */
+        async _writeBatch(strDb, arrOps, arrJournal) {
+            if (arrJournal) {
+                arrJournal.push([strDb, arrOps]);
+            } else {
+                await this._getDbByName(strDb).batch(arrOps);
+            }
+        }
+
+        /**
+         * Write-ahead journal: all batches are stored as single binary record (hash + ops, @see encodeJournal),
+         * before writing them to sub-databases.
+         * Chainstate written last, along with journal removal (atomically).
+         * So if we found journal on start - patch is incomplete, and we could roll it forward
+         *
+         * @param {Array} arrJournal - [[strDb, arrOps]]
+         * @return {Promise<void>}
+         * @private
+         */
+        async _commitJournal(arrJournal) {
+            const buffOps = encodeJournal(arrJournal);
+            await this._db.put(
+                this.constructor.createKey(JOURNAL),
+                Buffer.concat([Crypto.createHashBuffer(buffOps), buffOps])
+            );
+
+            await this._applyJournal(arrJournal);
+        }
+
+        /**
+         *
+         * @param {Array} arrJournal - [[strDb, arrOps]]
+         * @return {Promise<void>}
+         * @private
+         */
+        async _applyJournal(arrJournal) {
+            const arrChainstateOps = [];
+            for (let [strDb, arrOps] of arrJournal) {
+                if (strDb === 'chainstate') {
+                    arrChainstateOps.push(...arrOps);
+                    continue;
+                }
+
+                const db = this._getDbByName(strDb);
+                if (db) {
+                    await db.batch(arrOps);
+                } else {
+                    logger.error(`Journal contains records for disabled "${strDb}". Skipped`);
+                }
+            }
+
+            arrChainstateOps.push({type: 'del', key: this.constructor.createKey(JOURNAL)});
+            await this._db.batch(arrChainstateOps);
+        }
+
+        /**
+         * Roll forward patch from journal. Damaged journal means that we crashed before it was written,
+         * so nothing was applied (it's just removed)
+         *
+         * @return {Promise<void>}
+         * @private
+         */
+        async _recoverJournal() {
+            const buffJournal = await this._db.get(this.constructor.createKey(JOURNAL)).catch(err => debug(err));
+            if (!buffJournal) return;
+
+            let arrJournal;
+            try {
+                const buffOps = buffJournal.slice(32);
+                assert(buffJournal.length > 32 && Crypto.createHashBuffer(buffOps).equals(buffJournal.slice(0, 32)),
+                    'Journal hash mismatch'
+                );
+
+                arrJournal = decodeJournal(buffOps);
+            } catch (e) {
+                logger.error(`Damaged journal removed: ${e.message}`);
+                await this._db.del(this.constructor.createKey(JOURNAL));
+                return;
+            }
+
+            logger.log('Found incomplete patch in journal. Rolling forward');
+            await this._applyJournal(arrJournal);
+
+            // concilium definitions could be changed
+            this._arrConciliumDefinition = undefined;
         }
 
         /**
@@ -129,6 +399,18 @@ module.exports = (factory, factoryOptions) => {
                 Buffer.concat([Buffer.from(strPrefix), buffKey, Buffer.from(suffix)]) : Buffer.from(strPrefix);
         }
 
+        /**
+         *
+         * @param {Number} nHeight
+         * @param {Buffer} buffHash - omit to get start of height range
+         * @return {Buffer}
+         */
+        static createBlockHeightKey(nHeight, buffHash = Buffer.from([])) {
+            const buffHeight = Buffer.alloc(4);
+            buffHeight.writeUInt32BE(nHeight, 0);
+            return this.createKey(BLOCK_HEIGHT_PREFIX, buffHeight, buffHash);
+        }
+
         static createUtxoKey(hash) {
             return this.createKey(UTXO_PREFIX, Buffer.from(hash, 'hex'));
         }
@@ -141,6 +423,44 @@ module.exports = (factory, factoryOptions) => {
             return this.createKey(TX_INDEX_PREFIX, Buffer.from(hash, 'hex'));
         }
 
+        /**
+         *
+         * @param {String | Buffer} address - contract address
+         * @param {String} strName - event name
+         * @param {Number} nHeight - height of block with TX
+         * @param {String | Buffer} txHash
+         * @param {Number} nLogIdx - index in receipt logs
+         * @returns {Buffer} <LOG_INDEX_PREFIX><buffAddress><hash(strName)><nHeight><buffTxHash><nLogIdx>
+         */
+        static createLogKey(address, strName, nHeight, txHash, nLogIdx) {
+            const buffHeight = Buffer.allocUnsafe(4);
+            buffHeight.writeUInt32BE(nHeight, 0);
+            const buffIdx = Buffer.allocUnsafe(2);
+            buffIdx.writeUInt16BE(nLogIdx, 0);
+
+            return this.createKey(
+                LOG_INDEX_PREFIX,
+                Buffer.from(address, 'hex'),
+                Buffer.concat([Crypto.createHashBuffer(strName), buffHeight, Buffer.from(txHash, 'hex'), buffIdx])
+            );
+        }
+
+        /**
+         *
+         * @param {String | Buffer} address
+         * @param {Number} nSeq
+         * @returns {Buffer} <ADDRESS_HISTORY_PREFIX><buffAddress><nSeq as UInt32BE>
+         */
+        static createAddressHistoryKey(address, nSeq) {
+            const buffSeq = Buffer.allocUnsafe(4);
+            buffSeq.writeUInt32BE(nSeq, 0);
+            return this.createKey(ADDRESS_HISTORY_PREFIX, Buffer.from(address, 'hex'), buffSeq);
+        }
+
+        _hasConciliumDefinitions() {
+            return !!(Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS || this._arrTrustedConciliumData);
+        }
+
         async _ensureArrConciliumDefinition() {
 
             const lock = await this._mutex.acquire(['conciliums']);
@@ -150,12 +470,12 @@ module.exports = (factory, factoryOptions) => {
                 // cache is valid
                 if (this._arrConciliumDefinition && this._arrConciliumDefinition.length) return;
 
-                const cont = await this.getContract(
+                const cont = this._arrTrustedConciliumData ? undefined : await this.getContract(
                     Buffer.from(Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS, 'hex'));
 
-                if (cont) {
-                    const {_arrConciliums} = cont.getData();
-                    this._arrConciliumDefinition = _arrConciliums.map(objDefData => {
+                const arrConciliumData = cont ? cont.getData()._arrConciliums : this._arrTrustedConciliumData;
+                if (arrConciliumData) {
+                    this._arrConciliumDefinition = arrConciliumData.map(objDefData => {
                         const baseDef = new BaseConciliumDefinition(objDefData);
                         if (baseDef.isPoS()) {
                             return new ConciliumPos(objDefData, Constants.concilium.POS_CONCILIUM_ROUNDS);
@@ -178,7 +498,7 @@ module.exports = (factory, factoryOptions) => {
         async getConciliumsByAddress(address) {
             const buffAddress = Buffer.isBuffer(address) ? address : Buffer.from(address, 'hex');
 
-            if (!Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS) return [];
+            if (!this._hasConciliumDefinitions()) return [];
             await this._ensureArrConciliumDefinition();
 
             const arrResult = [];
@@ -198,7 +518,7 @@ module.exports = (factory, factoryOptions) => {
          */
         async getConciliumById(id) {
 
-            if (!Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS) return undefined;
+            if (!this._hasConciliumDefinitions()) return undefined;
             await this._ensureArrConciliumDefinition();
 
             assert(id < this._arrConciliumDefinition.length, `ConciliumId "${id}" exceed number registered conciliums`);
@@ -208,7 +528,7 @@ module.exports = (factory, factoryOptions) => {
 
         async getConciliumsCount() {
 
-            if (!Constants.CONCILIUM_DEFINITION_CONTRACT_ADDRESS) return 0;
+            if (!this._hasConciliumDefinitions()) return 0;
             await this._ensureArrConciliumDefinition();
 
             return this._arrConciliumDefinition.filter(def => def.isEnabled()).length;
@@ -233,6 +553,9 @@ module.exports = (factory, factoryOptions) => {
                 if (!blockInfo) blockInfo = new BlockInfo(block.header);
                 await this.saveBlockInfo(blockInfo);
 
+                // height index (used for pruning)
+                await this._db.put(this.constructor.createBlockHeightKey(blockInfo.getHeight(), buffHash), buffHash);
+
                 if (this._buildTxIndex) {
                     await this._storeTxnsIndex(Buffer.from(block.getHash(), 'hex'), block.getTxHashes());
                 }
@@ -345,6 +668,73 @@ module.exports = (factory, factoryOptions) => {
             await this._db.del(blockInfoKey);
         }
 
+        /**
+         * Bodies of final blocks below this height are deleted (BlockInfo is kept)
+         *
+         * @return {Promise<Number>} 0 - nothing pruned
+         */
+        async getPrunedHeight() {
+            if (this._nPrunedHeight === undefined) {
+                const buffHeight = await this._db.get(this.constructor.createKey(PRUNED_HEIGHT))
+                    .catch(err => debug(err));
+                this._nPrunedHeight = Buffer.isBuffer(buffHeight) ? buffHeight.readUInt32BE(0) : 0;
+            }
+            return this._nPrunedHeight;
+        }
+
+        /**
+         * Pruning mode: delete bodies of final blocks older than pruneDepth stable heights
+         * Should be called after patch of stable blocks applied
+         *
+         * @param {Number} nStableHeight - max height of stable blocks
+         * @return {Promise<void>}
+         */
+        async pruneBlocks(nStableHeight) {
+            if (!this._nPruneDepth) return;
+
+            const nPruneHeight = nStableHeight - this._nPruneDepth;
+            const nPrunedHeight = await this.getPrunedHeight();
+            if (nPruneHeight - nPrunedHeight < Constants.PRUNE_BATCH_HEIGHTS) return;
+
+            // only heights that weren't pruned yet
+            const arrIndexOps = [];
+            const arrHashes = [];
+            await new Promise((resolve, reject) => {
+                this._db
+                    .createReadStream({
+                        gte: this.constructor.createBlockHeightKey(nPrunedHeight),
+                        lt: this.constructor.createBlockHeightKey(nPruneHeight),
+                        keyAsBuffer: true,
+                        valueAsBuffer: true
+                    })
+                    .on('data', ({key, value}) => {
+                        arrIndexOps.push({type: 'del', key});
+                        arrHashes.push(value);
+                    })
+                    .on('close', () => resolve())
+                    .on('error', err => reject(err));
+            });
+
+            const arrOps = [];
+            for (let buffHash of arrHashes) {
+                const bi = await this.getBlockInfo(buffHash).catch(err => debug(err));
+                if (bi && bi.isFinal()) arrOps.push({type: 'del', key: this.constructor.createKey('', buffHash)});
+            }
+
+            await this._mutex.runExclusive('blockStore', async () => {
+                await this._blockStorage.batch(arrOps);
+            });
+
+            const buffHeight = Buffer.alloc(4);
+            buffHeight.writeUInt32BE(nPruneHeight, 0);
+            await this._db.batch(
+                arrIndexOps.concat({type: 'put', key: this.constructor.createKey(PRUNED_HEIGHT), value: buffHeight})
+            );
+            this._nPrunedHeight = nPruneHeight;
+
+            debug(`Pruned ${arrOps.length} blocks below height ${nPruneHeight}`);
+        }
+
         /**
          * Set BlockInfo.isBad for specified hash
          * Remove from block storage, to save space
@@ -427,11 +817,15 @@ module.exports = (factory, factoryOptions) => {
          *
          * @param {PatchDB} statePatch
          * @param {Number} nHeightMax - max height among stable blocks
+         * @param {Object | undefined} objUndoInfo - store undo record for this patch (@see rollbackTo)
+         * @param {Array} objUndoInfo.arrStableHashes - blocks became stable with this patch
+         * @param {Array} objUndoInfo.arrPrevLastApplied - last applied blocks before this patch
          * @returns {Promise<void>}
          */
-        async applyPatch(statePatch, nHeightMax) {
+        async applyPatch(statePatch, nHeightMax, objUndoInfo) {
 
             const arrOps = [];
+            const arrJournal = [];
             const lock = await this._mutex.acquire(['utxo', 'contract', 'receipt', 'conciliums']);
             try {
                 for (let [strTxHash, utxo] of statePatch.getCoins()) {
@@ -445,7 +839,12 @@ module.exports = (factory, factoryOptions) => {
 
                 // maintain wallet
                 if (this._walletSupport) {
-                    await this._walletCheckUtxos(statePatch.getCoins());
+                    await this._walletCheckUtxos(statePatch.getCoins(), arrJournal);
+                }
+
+                // it should be done before BATCH WRITE, because we need to know which UTXOs are new
+                if (this._buildAddressIndex) {
+                    await this._storeAddressHistory(statePatch, arrJournal);
                 }
 
                 // save contracts
@@ -468,12 +867,26 @@ module.exports = (factory, factoryOptions) => {
                     arrOps.push({type: 'put', key, value: receipt.encode()});
 
                     if (this._buildTxIndex) {
-                        await this._storeInternalTxnsIndex(Buffer.from(strTxHash, 'hex'), receipt.getInternalTxns());
+                        await this._storeInternalTxnsIndex(
+                            Buffer.from(strTxHash, 'hex'), receipt.getInternalTxns(), arrJournal
+                        );
+                        if (receipt.getLogs().length) {
+                            await this._storeLogsIndex(strTxHash, receipt.getLogs(), arrJournal);
+                        }
                     }
                 }
 
-                // BATCH WRITE
-                await this._db.batch(arrOps);
+                // BATCH WRITE (all sub-databases, journaled)
+                arrJournal.push(['chainstate', arrOps]);
+                if (objUndoInfo) {
+                    arrJournal.push(['chainstate', await this._createUndoOps(arrJournal, objUndoInfo, statePatch)]);
+                }
+                await this._commitJournal(arrJournal);
+            } catch (e) {
+
+                // address history records of this patch weren't written, so counter will be reread from DB
+                this._nAddrIndexAutoincrement = undefined;
+                throw e;
             } finally {
                 this._mutex.release(lock);
 
@@ -481,6 +894,158 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Undo record contains ops that restore previous values of all keys that patch will write.
+         * Keys that patch creates (UTXOs of new txns - nothing spent from them, receipts) were absent for sure,
+         * others are read from DB. Records older than UNDO_RECORDS_MAX are removed
+         *
+         * @param {Array} arrJournal - [[strDb, arrOps]]
+         * @param {Object} objUndoInfo - @see applyPatch
+         * @param {PatchDB} statePatch - being applied
+         * @return {Promise<Array>} chainstate ops
+         * @private
+         */
+        async _createUndoOps(arrJournal, {arrStableHashes, arrPrevLastApplied}, statePatch) {
+            const setCreatedKeys = new Set();
+            for (let strTxHash of statePatch.getCoins().keys()) {
+                if (!statePatch.getSpentOutputs(strTxHash).size) {
+                    setCreatedKeys.add(this.constructor.createUtxoKey(strTxHash).toString('hex'));
+                }
+            }
+            for (let [strTxHash] of statePatch.getReceipts()) {
+                setCreatedKeys.add(
+                    this.constructor.createKey(RECEIPT_PREFIX, Buffer.from(strTxHash, 'hex')).toString('hex')
+                );
+            }
+
+            const arrUndo = [];
+            for (let [strDb, arrOps] of arrJournal) {
+                const db = this._getDbByName(strDb);
+                const arrUndoOps = [];
+                for (let {key} of arrOps) {
+                    const buffPrev = strDb === 'chainstate' && setCreatedKeys.has(key.toString('hex')) ?
+                        undefined : await db.get(key).catch(err => debug(err));
+                    arrUndoOps.push(buffPrev ? {type: 'put', key, value: buffPrev} : {type: 'del', key});
+                }
+                arrUndo.push([strDb, arrUndoOps]);
+            }
+
+            const nSeq = await this._getNextUndoSeq();
+            const arrOps = [{
+                type: 'put',
+                key: this.constructor.createUndoKey(nSeq),
+                value: encodeUndoRecord(arrStableHashes, arrPrevLastApplied, arrUndo)
+            }];
+            if (nSeq > Constants.UNDO_RECORDS_MAX) {
+                arrOps.push({type: 'del', key: this.constructor.createUndoKey(nSeq - Constants.UNDO_RECORDS_MAX)});
+            }
+            return arrOps;
+        }
+
+        async _getNextUndoSeq() {
+            if (this._nUndoSeq === undefined) {
+                this._nUndoSeq = 0;
+                for await (let {key} of this._readByPrefix(UNDO_PREFIX, this._db, true)) {
+                    this._nUndoSeq = key.readUInt32BE(UNDO_PREFIX.length);
+                    break;
+                }
+            }
+
+            return ++this._nUndoSeq;
+        }
+
+        static createUndoKey(nSeq) {
+            const buffSeq = Buffer.allocUnsafe(4);
+            buffSeq.writeUInt32BE(nSeq, 0);
+            return this.createKey(UNDO_PREFIX, buffSeq);
+        }
+
+        /**
+         * Undo applied patches (newest first) until state is one right after strBlockHash became stable.
+         * Blocks that lose stability (and existing pending) will be re-executed on start (@see Node._rebuildPending),
+         * except banned ones and their descendants (they are marked as bad)
+         *
+         * @param {String} strBlockHash - stable block
+         * @param {Array} arrPendingHashes - current pending blocks
+         * @return {Promise<Array>} hashes of blocks to re-execute (stored as pending)
+         */
+        async rollbackTo(strBlockHash, arrPendingHashes = []) {
+            typeforce(types.Str64, strBlockHash);
+
+            const arrRecords = [];
+            let bFound = false;
+            for await (let {key, value} of this._readByPrefix(UNDO_PREFIX, this._db, true)) {
+                const objRecord = decodeUndoRecord(value);
+                if (objRecord.blocks.includes(strBlockHash)) {
+                    bFound = true;
+                    break;
+                }
+                arrRecords.push({key, objRecord});
+            }
+            assert(bFound, `No undo record for ${strBlockHash}. It's unstable or too deep to rollback`);
+
+            // ensure we have all blocks to re-execute, before state modification
+            const mapBlocks = new Map();
+            const arrHashes = [].concat(...arrRecords.map(({objRecord}) => objRecord.blocks), arrPendingHashes);
+            for (let strHash of arrHashes) mapBlocks.set(strHash, await this.getBlock(strHash));
+
+            for (let {key, objRecord} of arrRecords) {
+                const mapDbOps = new Map([['chainstate', []]]);
+                for (let [strDb, arrOps] of objRecord.ops) {
+                    if (!mapDbOps.has(strDb)) mapDbOps.set(strDb, []);
+                    mapDbOps.get(strDb).push(...arrOps);
+                }
+
+                const arrChainstateOps = mapDbOps.get('chainstate');
+                arrChainstateOps.push(
+                    {type: 'del', key},
+                    {
+                        type: 'put',
+                        key: this.constructor.createKey(LAST_APPLIED_BLOCKS),
+                        value: (new ArrayOfHashes(objRecord.lastApplied)).encode()
+                    }
+                );
+                for (let strHash of objRecord.blocks) {
+                    arrChainstateOps.push({
+                        type: 'put',
+                        key: this.constructor.createKey(BLOCK_INFO_PREFIX, Buffer.from(strHash, 'hex')),
+                        value: new BlockInfo(mapBlocks.get(strHash).header).encode()
+                    });
+                }
+
+                await this._commitJournal([...mapDbOps]);
+            }
+
+            // banned blocks & their descendants will not be re-executed
+            const setDropped = new Set();
+            let bChanged = true;
+            while (bChanged) {
+                bChanged = false;
+                for (let [strHash, block] of mapBlocks) {
+                    if (setDropped.has(strHash)) continue;
+                    if (this.isBlockBanned(strHash) || block.parentHashes.some(hash => setDropped.has(hash))) {
+                        setDropped.add(strHash);
+                        bChanged = true;
+                    }
+                }
+            }
+            for (let strHash of setDropped) {
+                const blockInfo = new BlockInfo(mapBlocks.get(strHash).header);
+                blockInfo.markAsBad();
+                await this.saveBlockInfo(blockInfo);
+            }
+
+            const arrToExec = [...mapBlocks.keys()].filter(strHash => !setDropped.has(strHash));
+            await this.updatePendingBlocks(arrToExec);
+
+            // caches
+            this._arrConciliumDefinition = undefined;
+            this._nAddrIndexAutoincrement = undefined;
+            this._nUndoSeq = undefined;
+
+            return arrToExec;
+        }
+
         /**
          *
          * @param {String} strTxHash
@@ -584,7 +1149,14 @@ module.exports = (factory, factoryOptions) => {
             });
         }
 
-        async savePeers(arrPeers) {
+        /**
+         *
+         * @param {Array} arrPeers
+         * @param {Buffer | undefined} buffAddressBookKey - secret of address book buckets
+         * @param {Map | undefined} mapPinnedKeys - peer key => identity key (@see PeerManager.pinIdentityKey)
+         * @returns {Promise<void>}
+         */
+        async savePeers(arrPeers, buffAddressBookKey, mapPinnedKeys) {
             const arrOps = [];
 
             let i = 0;
@@ -593,6 +1165,16 @@ module.exports = (factory, factoryOptions) => {
                 key.writeInt16BE(i++);
                 arrOps.push({type: 'put', key, value: peer.peerInfo.encode()});
             }
+            if (buffAddressBookKey) {
+                arrOps.push({type: 'put', key: Buffer.from(ADDRESS_BOOK_KEY), value: buffAddressBookKey});
+            }
+            if (mapPinnedKeys) {
+                arrOps.push({
+                    type: 'put',
+                    key: Buffer.from(PINNED_KEYS),
+                    value: Buffer.from(JSON.stringify([...mapPinnedKeys]))
+                });
+            }
             await this._peerStorage.batch(arrOps);
         }
 
@@ -603,13 +1185,52 @@ module.exports = (factory, factoryOptions) => {
         async loadPeers() {
             let arrPeers = [];
             return new Promise((resolve, reject) => {
-                this._peerStorage.createValueStream()
-                    .on('data', buffPeer => arrPeers.push(new Peer({peerInfo: buffPeer})))
+                this._peerStorage.createReadStream({keyAsBuffer: true, valueAsBuffer: true})
+
+                    // peers stored with 2 bytes keys
+                    .on('data', ({key, value}) => key.length === 2 && arrPeers.push(new Peer({peerInfo: value})))
                     .on('close', () => resolve(arrPeers))
                     .on('error', err => reject(err));
             });
         }
 
+        /**
+         *
+         * @returns {Promise<Buffer | undefined>}
+         */
+        async getAddressBookKey() {
+            return await this._peerStorage.get(Buffer.from(ADDRESS_BOOK_KEY)).catch(err => debug(err));
+        }
+
+        /**
+         *
+         * @returns {Promise<Map>} peer key => identity key (hex)
+         */
+        async getPinnedKeys() {
+            const buffPinned = await this._peerStorage.get(Buffer.from(PINNED_KEYS)).catch(err => debug(err));
+            return new Map(buffPinned ? JSON.parse(buffPinned.toString()) : []);
+        }
+
+        /**
+         * Generated identity of encrypted transport. Peers pinned it, so it should survive restart
+         *
+         * @returns {Promise<Buffer | undefined>} private key
+         */
+        async getNodeIdentityKey() {
+            return await this._peerStorage.get(Buffer.from(NODE_IDENTITY_KEY)).catch(err => debug(err));
+        }
+
+        /**
+         *
+         * @param {Buffer} buffPrivateKey
+         * @returns {Promise<void>}
+         */
+        async saveNodeIdentityKey(buffPrivateKey) {
+            typeforce('Buffer', buffPrivateKey);
+
+            await this._peerStorage.put(Buffer.from(NODE_IDENTITY_KEY), buffPrivateKey);
+        }
+
         async getTxBlock(buffTxHash) {
             typeforce(types.Hash256bit, buffTxHash);
 
@@ -722,7 +1343,7 @@ module.exports = (factory, factoryOptions) => {
          * @param {[strHash, strAddress]} arrAddrHash - @see patch.getCoins()
          * @private
          */
-        async _walletWriteNewUtxosBatch(arrAddrHash) {
+        async _walletWriteNewUtxosBatch(arrAddrHash, arrJournal) {
             await this._ensureWalletInitialized();
             const arrOps = [];
 
@@ -743,7 +1364,7 @@ module.exports = (factory, factoryOptions) => {
                 buffLastIdx.writeInt32BE(this._nWalletAutoincrement, 0);
                 arrOps.push({type: 'put', key: this.constructor.createKey(WALLET_AUTOINCREMENT), value: buffLastIdx});
 
-                await this._walletStorage.batch(arrOps);
+                await this._writeBatch('wallet', arrOps, arrJournal);
 
             } finally {
                 await this._mutex.release(lock);
@@ -768,10 +1389,11 @@ module.exports = (factory, factoryOptions) => {
         /**
          *
          * @param {[strHash, utxo]} arrCoins - @see patch.getCoins()
+         * @param {Array | undefined} arrJournal - @see _writeBatch
          * @return {Promise<void>}
          * @private
          */
-        async _walletCheckUtxos(arrCoins) {
+        async _walletCheckUtxos(arrCoins, arrJournal) {
             await this._ensureWalletInitialized();
             const arrAddrHash = [];
 
@@ -784,7 +1406,7 @@ module.exports = (factory, factoryOptions) => {
                 }
             }
 
-            await this._walletWriteNewUtxosBatch(arrAddrHash);
+            await this._walletWriteNewUtxosBatch(arrAddrHash, arrJournal);
         }
 
         /**
@@ -921,10 +1543,11 @@ module.exports = (factory, factoryOptions) => {
          *
          * @param {Buffer} buffSourceTxHash - hash of original TX, produced all of those internal txns
          * @param {Array} arrInternalTxnsHashes - of internal TXns hashes (BUFFERS!)
+         * @param {Array | undefined} arrJournal - @see _writeBatch
          * @return {Promise<void>}
          * @private
          */
-        async _storeInternalTxnsIndex(buffSourceTxHash, arrInternalTxnsHashes) {
+        async _storeInternalTxnsIndex(buffSourceTxHash, arrInternalTxnsHashes, arrJournal) {
             debug(`Storing internal TXns for ${buffSourceTxHash.toString('hex')}`);
 
             const arrOps = [];
@@ -934,21 +1557,279 @@ module.exports = (factory, factoryOptions) => {
             }
 
             // BATCH WRITE
-            await this._txIndexStorage.batch(arrOps);
+            await this._writeBatch('txindex', arrOps, arrJournal);
+        }
+
+        /**
+         * Block (and its height) resolved with TX index, so it should be stored before (@see saveBlock)
+         * Value is buffBlockHash
+         *
+         * @param {String} strTxHash
+         * @param {Array} arrLogs - @see TxReceipt.getLogs
+         * @param {Array | undefined} arrJournal - @see _writeBatch
+         * @return {Promise<void>}
+         * @private
+         */
+        async _storeLogsIndex(strTxHash, arrLogs, arrJournal) {
+            debug(`Storing logs index for ${strTxHash}`);
+
+            const buffBlockHash = await this.getTxBlock(strTxHash);
+            let nHeight = 0;
+            if (buffBlockHash) {
+                const blockInfo = await this.getBlockInfo(buffBlockHash).catch(err => debug(err));
+                if (blockInfo) nHeight = blockInfo.getHeight();
+            }
+
+            const arrOps = arrLogs.map(({contractAddress, name}, idx) => ({
+                type: 'put',
+                key: this.constructor.createLogKey(contractAddress, name, nHeight, strTxHash, idx),
+                value: buffBlockHash || Buffer.alloc(32)
+            }));
+
+            // BATCH WRITE
+            await this._writeBatch('txindex', arrOps, arrJournal);
+        }
+
+        /**
+         * Logs are sorted chronologically (by height, than by tx hash & log index - it's position in index)
+         *
+         * @param {String} strAddress - contract address
+         * @param {String | undefined} strName - event name. undefined - all events of contract
+         * @param {Number} nFromHeight - inclusive
+         * @param {Number} nToHeight - inclusive
+         * @param {String | undefined} strCursor - return only logs after this one (strNextCursor from prev. call)
+         * @param {Number} nLimit
+         * @return {Promise<{arrLogs: Array, strNextCursor: String | undefined}>}
+         *      arrLogs: [{strContractAddress, strName, payload, strTxHash, strBlockHash, nBlockHeight}]
+         */
+        async getLogs(
+            strAddress, strName, nFromHeight = 0, nToHeight = 0xFFFFFFFF, strCursor, nLimit = Constants.LOGS_MAX_RESULTS
+        ) {
+            typeforce(
+                typeforce.tuple(types.StrAddress, typeforce.maybe(typeforce.String), typeforce.Number,
+                    typeforce.Number, typeforce.maybe(typeforce.HexN(LOG_POSITION_LENGTH * 2)), typeforce.Number),
+                [strAddress, strName, nFromHeight, nToHeight, strCursor, nLimit]
+            );
+
+            if (!this._buildTxIndex) throw new Error('TxIndex disabled for this node');
+
+            // position: <nHeight><buffTxHash><nLogIdx>, it's a tail of log key
+            const buffCursor = strCursor ? Buffer.from(strCursor, 'hex') : undefined;
+            if (buffCursor) nFromHeight = Math.max(nFromHeight, buffCursor.readUInt32BE(0));
+
+            const buffAddress = Buffer.from(strAddress, 'hex');
+            const nHeightOffset = 1 + buffAddress.length + 32;
+
+            // for single event we could use range of heights, for all events - we'll filter heights
+            const keyStart = strName === undefined
+                ? this.constructor.createKey(LOG_INDEX_PREFIX, buffAddress)
+                : this.constructor.createLogKey(buffAddress, strName, nFromHeight, Buffer.alloc(32), 0);
+            const keyEnd = strName === undefined
+                ? this.constructor.createKey(LOG_INDEX_PREFIX, buffAddress, Buffer.from('FF'.repeat(71), 'hex'))
+                : this.constructor.createLogKey(buffAddress, strName, nToHeight, Buffer.from('FF'.repeat(32), 'hex'),
+                    0xFFFF
+                );
+
+            // for all events keys are sorted by name, so we can't stop reading after nLimit records
+            const arrRecords = [];
+            await new Promise((resolve, reject) => {
+                this._txIndexStorage
+                    .createReadStream({gte: keyStart, lte: keyEnd, keyAsBuffer: true, valueAsBuffer: true})
+                    .on('data', ({key, value}) => {
+                        const buffPosition = key.slice(nHeightOffset);
+                        const nHeight = buffPosition.readUInt32BE(0);
+                        if (nHeight < nFromHeight || nHeight > nToHeight) return;
+                        if (buffCursor && Buffer.compare(buffPosition, buffCursor) <= 0) return;
+
+                        arrRecords.push({buffPosition, strBlockHash: value.toString('hex')});
+                    })
+                    .on('close', () => resolve())
+                    .on('error', err => reject(err));
+            });
+
+            arrRecords.sort((a, b) => Buffer.compare(a.buffPosition, b.buffPosition));
+            const arrPage = arrRecords.slice(0, nLimit);
+
+            const mapReceipts = new Map();
+            const arrLogs = [];
+            for (let {buffPosition, strBlockHash} of arrPage) {
+                const strTxHash = buffPosition.slice(4, 36).toString('hex');
+                const nLogIdx = buffPosition.readUInt16BE(36);
+
+                if (!mapReceipts.has(strTxHash)) mapReceipts.set(strTxHash, await this.getTxReceipt(strTxHash));
+                const receipt = mapReceipts.get(strTxHash);
+                if (!receipt || !receipt.getLogs()[nLogIdx]) continue;
+
+                const {name, payload} = receipt.getLogs()[nLogIdx];
+                arrLogs.push({
+                    strContractAddress: strAddress,
+                    strName: name,
+                    payload: JSON.parse(payload),
+                    strTxHash,
+                    strBlockHash,
+                    nBlockHeight: buffPosition.readUInt32BE(0)
+                });
+            }
+
+            return {
+                arrLogs,
+                strNextCursor: arrRecords.length > nLimit
+                    ? arrPage[arrPage.length - 1].buffPosition.toString('hex')
+                    : undefined
+            };
+        }
+
+        async _ensureAddressIndexInitialized() {
+            if (this._nAddrIndexAutoincrement !== undefined) return;
+
+            try {
+                const buffResult = await this._addrIndexStorage.get(
+                    this.constructor.createKey(ADDRESS_HISTORY_AUTOINCREMENT));
+                this._nAddrIndexAutoincrement = buffResult.readUInt32BE(0);
+            } catch (e) {
+                this._nAddrIndexAutoincrement = 0;
+            }
+        }
+
+        /**
+         * Walk through UTXOs of patch and store history records for every address involved:
+         * - spent outputs are OUT records (txHash is hash of spending TX)
+         * - outputs of newly created UTXOs are IN records (txHash is hash of UTXO)
+         *
+         * Keys: <ADDRESS_HISTORY_PREFIX><buffAddress><nSeq>
+         * Values: <buffTxHash><direction>[<buffSourceTxHash> - only for internal TXns]
+         *
+         * Records are written with the same journal as rest of patch (@see applyPatch), so they are atomic with UTXOs
+         *
+         * @param {PatchDB} statePatch
+         * @param {Array} arrJournal - @see _commitJournal
+         * @return {Promise<void>}
+         * @private
+         */
+        async _storeAddressHistory(statePatch, arrJournal) {
+            typeforce(typeforce.Array, arrJournal);
+
+            const mapInternalTxns = new Map();
+            for (let [strTxHash, receipt] of statePatch.getReceipts()) {
+                for (let buffInternalTxHash of receipt.getInternalTxns()) {
+                    mapInternalTxns.set(Buffer.from(buffInternalTxHash).toString('hex'), Buffer.from(strTxHash, 'hex'));
+                }
+            }
+
+            // <strAddress><strTxHash><direction> -> value. to skip duplicates
+            const mapRecords = new Map();
+            const addRecord = (buffAddress, strTxHash, nDirection) => {
+                const strKey = buffAddress.toString('hex') + strTxHash + nDirection;
+                if (mapRecords.has(strKey)) return;
+
+                const buffSourceTx = nDirection === ADDRESS_HISTORY_IN ? mapInternalTxns.get(strTxHash) : undefined;
+                const value = Buffer.concat([
+                    Buffer.from(strTxHash, 'hex'),
+                    Buffer.from([nDirection]),
+                    buffSourceTx || Buffer.from([])
+                ]);
+                mapRecords.set(strKey, {buffAddress, value});
+            };
+
+            for (let [strTxHash, utxo] of statePatch.getCoins()) {
+                const mapSpentReceivers = statePatch.getSpentReceivers(strTxHash);
+                for (let [idx, buffTxHashSpent] of statePatch.getSpentOutputs(strTxHash)) {
+                    const buffReceiver = mapSpentReceivers.get(idx);
+                    const strSpendingTxHash = Buffer.from(buffTxHashSpent, 'hex').toString('hex');
+                    if (buffReceiver) addRecord(buffReceiver, strSpendingTxHash, ADDRESS_HISTORY_OUT);
+                }
+
+                const bNew = await this.getUtxo(strTxHash, true).then(() => false).catch(() => true);
+                if (!bNew) continue;
+
+                // outputs that created & spent in same patch
+                for (let buffReceiver of mapSpentReceivers.values()) {
+                    addRecord(buffReceiver, strTxHash, ADDRESS_HISTORY_IN);
+                }
+                for (let idx of utxo.getIndexes()) {
+                    addRecord(utxo.coinsAtIndex(idx).getReceiverAddr(), strTxHash, ADDRESS_HISTORY_IN);
+                }
+            }
+
+            if (!mapRecords.size) return;
+            await this._ensureAddressIndexInitialized();
+
+            const arrOps = [];
+            for (let {buffAddress, value} of mapRecords.values()) {
+                const key = this.constructor.createAddressHistoryKey(buffAddress, ++this._nAddrIndexAutoincrement);
+                arrOps.push({type: 'put', key, value});
+            }
+
+            const buffLastIdx = Buffer.allocUnsafe(4);
+            buffLastIdx.writeUInt32BE(this._nAddrIndexAutoincrement, 0);
+            arrOps.push({
+                type: 'put',
+                key: this.constructor.createKey(ADDRESS_HISTORY_AUTOINCREMENT),
+                value: buffLastIdx
+            });
+
+            arrJournal.push(['addrindex', arrOps]);
+        }
+
+        /**
+         * Records are sorted newest first
+         *
+         * @param {String} strAddress
+         * @param {Number | undefined} nCursor - return only records older than this (nNextCursor from prev. call)
+         * @param {Number} nLimit
+         * @return {Promise<{arrRecords: Array, nNextCursor: Number | undefined}>}
+         *      arrRecords: [{strTxHash, bIncoming, strSourceTxHash}]
+         */
+        async getAddressHistory(strAddress, nCursor, nLimit = Constants.ADDRESS_HISTORY_MAX_LIMIT) {
+            typeforce(typeforce.tuple(types.StrAddress, typeforce.maybe(typeforce.Number), typeforce.Number),
+                [strAddress, nCursor, nLimit]
+            );
+
+            if (!this._buildAddressIndex) throw new Error('AddressIndex disabled for this node');
+
+            const keyStart = this.constructor.createAddressHistoryKey(strAddress, 0);
+            const keyEnd = nCursor === undefined
+                ? this.constructor.createKey(ADDRESS_HISTORY_PREFIX, Buffer.from(strAddress, 'hex'),
+                    Buffer.from('FFFFFFFFFF', 'hex'))
+                : this.constructor.createAddressHistoryKey(strAddress, nCursor);
+
+            const arrRecords = [];
+            let nLastSeq;
+            await new Promise((resolve, reject) => {
+                this._addrIndexStorage
+                    .createReadStream({
+                        gte: keyStart, lt: keyEnd, reverse: true, limit: nLimit,
+                        keyAsBuffer: true, valueAsBuffer: true
+                    })
+                    .on('data', ({key, value}) => {
+                        nLastSeq = key.readUInt32BE(key.length - 4);
+                        arrRecords.push({
+                            strTxHash: value.slice(0, 32).toString('hex'),
+                            bIncoming: value[32] === ADDRESS_HISTORY_IN,
+                            strSourceTxHash: value.length > 33 ? value.slice(33).toString('hex') : undefined
+                        });
+                    })
+                    .on('close', () => resolve())
+                    .on('error', err => reject(err));
+            });
+
+            return {arrRecords, nNextCursor: arrRecords.length === nLimit ? nLastSeq : undefined};
         }
 
         async dropAllForReIndex(bEraseBlockStorage = false) {
-            if (typeof this._downAdapter.destroy === 'function') {
+            const {destroy} = this._backend;
+            if (typeof destroy === 'function') {
 
                 await this.close();
 
-                await levelDbDestroy(`${this._pathPrefix}/${Constants.DB_CHAINSTATE_DIR}`);
-                await levelDbDestroy(`${this._pathPrefix}/${Constants.DB_PEERSTATE_DIR}`);
-                await levelDbDestroy(`${this._pathPrefix}/${Constants.DB_TXINDEX_DIR}`);
+                await destroy(`${this._pathPrefix}/${Constants.DB_CHAINSTATE_DIR}`);
+                await destroy(`${this._pathPrefix}/${Constants.DB_PEERSTATE_DIR}`);
+                await destroy(`${this._pathPrefix}/${Constants.DB_TXINDEX_DIR}`);
+                await destroy(`${this._pathPrefix}/${Constants.DB_ADDRINDEX_DIR}`);
 
                 if (bEraseBlockStorage) {
                     console.log('INFO: erased blockstate!');
-                    await levelDbDestroy(`${this._pathPrefix}/${Constants.DB_BLOCKSTATE_DIR}`);
+                    await destroy(`${this._pathPrefix}/${Constants.DB_BLOCKSTATE_DIR}`);
                 }
             }
         }
@@ -958,6 +1839,7 @@ module.exports = (factory, factoryOptions) => {
             await this._db.close();
             await this._peerStorage.close();
             if (this._txIndexStorage) await this._txIndexStorage.close();
+            if (this._addrIndexStorage) await this._addrIndexStorage.close();
             if (this._walletStorage) await this._walletStorage.close();
         }
 
@@ -1007,13 +1889,279 @@ module.exports = (factory, factoryOptions) => {
             }
         }
 
+        /**
+         * Iterate records with prefix (range is selected by first char of prefix)
+         *
+         * @param {String} strPrefix
+         * @param db - chainstate by default
+         * @param {Boolean} bReverse - newest (biggest key) first
+         * @private
+         */
+        async* _readByPrefix(strPrefix, db = this._db, bReverse = false) {
+            const keyStart = Buffer.from(strPrefix);
+            const keyEnd = Buffer.from(String.fromCharCode(strPrefix.charCodeAt(0) + 1));
+
+            const it = db.iterator({
+                gte: keyStart,
+                lt: keyEnd,
+                reverse: bReverse,
+                keyAsBuffer: true,
+                valueAsBuffer: true
+            });
+            try {
+                while (true) {
+                    const next = await new Promise((resolve, reject) => {
+                        it.next((err, key, value) => {
+                            if (err) return reject(err);
+                            resolve(key === undefined ? undefined : {key, value});
+                        });
+                    });
+                    if (next === undefined) break;
+                    yield next;
+                }
+            } finally {
+                await new Promise((resolve, reject) => it.end(e => (e ? reject(e) : resolve())));
+            }
+        }
+
+        /**
+         * Export chainstate snapshot: UTXOs, contracts (with concilium definitions), receipts,
+         * last applied blocks hashes and their BlockInfo.
+         * One record per line: [strKey, strValue] (both hex). Content hash is hash chain of lines
+         *
+         * @param {String} strFileName
+         * @return {Promise<String>} content hash
+         */
+        async exportSnapshot(strFileName) {
+            const arrLastApplied = await this.getLastAppliedBlockHashes();
+            assert(arrLastApplied.length, 'Nothing to export: no stable blocks');
+
+            const stream = fs.createWriteStream(strFileName);
+            let strHash = '';
+            const writeRecord = async (buffKey, buffValue) => {
+                const strLine = JSON.stringify([buffKey.toString('hex'), buffValue.toString('hex')]);
+                strHash = Crypto.createHash(strHash + strLine);
+                if (!stream.write(strLine + '\n')) await new Promise(resolve => stream.once('drain', resolve));
+            };
+
+            const buffLastApplied = await this.getLastAppliedBlockHashes(true);
+            await writeRecord(this.constructor.createKey(LAST_APPLIED_BLOCKS), buffLastApplied);
+            for (let strBlockHash of arrLastApplied) {
+                await writeRecord(
+                    this.constructor.createKey(BLOCK_INFO_PREFIX, Buffer.from(strBlockHash, 'hex')),
+                    await this.getBlockInfo(strBlockHash, true)
+                );
+            }
+
+            for (let strPrefix of SNAPSHOT_PREFIXES) {
+                for await (let {key, value} of this._readByPrefix(strPrefix)) {
+                    await writeRecord(key, value);
+                }
+            }
+
+            await new Promise(resolve => stream.end(resolve));
+            return strHash;
+        }
+
+        /**
+         * Load snapshot (@see exportSnapshot) into empty chainstate.
+         * Node will sync from last applied blocks of snapshot.
+         * Lines are hashed in the same pass they are loaded. Chainstate isn't empty only after last applied blocks
+         * (with their BlockInfo & snapshot tips) written, so they are held back to final batch, written only if
+         * hash matches. Otherwise (and on next import, if this one was interrupted) loaded records are removed
+         *
+         * @param {String} strFileName
+         * @param {String} strTrustedHash - content hash of snapshot
+         * @return {Promise<void>}
+         */
+        async importSnapshot(strFileName, strTrustedHash) {
+            typeforce(types.Str64, strTrustedHash);
+            assert(!(await this.getLastAppliedBlockHashes()).length, 'Chainstate is not empty');
+
+            await this._removeSnapshotRecords();
+
+            const arrFinalOps = [];
+            let buffTips;
+            try {
+                const buffTipsKey = this.constructor.createKey(LAST_APPLIED_BLOCKS);
+
+                let strHash = '';
+                let arrOps = [];
+                for await (let strLine of readline.createInterface({input: fs.createReadStream(strFileName)})) {
+                    if (!strLine) continue;
+                    strHash = Crypto.createHash(strHash + strLine);
+
+                    const [strKey, strValue] = JSON.parse(strLine);
+                    const key = Buffer.from(strKey, 'hex');
+                    const value = Buffer.from(strValue, 'hex');
+                    if (key.equals(buffTipsKey)) buffTips = value;
+
+                    // last applied blocks & their BlockInfo
+                    const bBlockInfo = key.slice(0, BLOCK_INFO_PREFIX.length).toString() === BLOCK_INFO_PREFIX;
+                    if (key.equals(buffTipsKey) || bBlockInfo) {
+                        arrFinalOps.push({type: 'put', key, value});
+                        continue;
+                    }
+
+                    arrOps.push({type: 'put', key, value});
+                    if (arrOps.length >= Constants.SNAPSHOT_BATCH_SIZE) {
+                        await this._db.batch(arrOps);
+                        arrOps = [];
+                    }
+                }
+                await this._db.batch(arrOps);
+
+                if (strHash !== strTrustedHash) throw new Error(`Snapshot hash mismatch. Got ${strHash}`);
+                assert(buffTips, 'Snapshot has no last applied blocks');
+            } catch (e) {
+                await this._removeSnapshotRecords();
+                throw e;
+            }
+
+            arrFinalOps.push({type: 'put', key: this.constructor.createKey(SNAPSHOT_TIPS), value: buffTips});
+            await this._db.batch(arrFinalOps);
+
+            // concilium definitions could be changed
+            this._arrConciliumDefinition = undefined;
+        }
+
+        /**
+         * Records (@see SNAPSHOT_PREFIXES) of snapshot import that wasn't finished
+         * Call only for empty chainstate!
+         *
+         * @return {Promise<void>}
+         * @private
+         */
+        async _removeSnapshotRecords() {
+            let arrOps = [];
+            for (let strPrefix of SNAPSHOT_PREFIXES) {
+                for await (let {key} of this._readByPrefix(strPrefix)) {
+                    arrOps.push({type: 'del', key});
+                    if (arrOps.length >= Constants.SNAPSHOT_BATCH_SIZE) {
+                        await this._db.batch(arrOps);
+                        arrOps = [];
+                    }
+                }
+            }
+            await this._db.batch(arrOps);
+        }
+
+        /**
+         * DAG below this blocks is unknown (they are last applied blocks of snapshot, we bootstrapped from)
+         *
+         * @return {Promise<Array>} of hashes (empty if we weren't bootstrapped from snapshot)
+         */
+        async getSnapshotTips() {
+            const buffTips = await this._db.get(this.constructor.createKey(SNAPSHOT_TIPS)).catch(err => debug(err));
+            return Buffer.isBuffer(buffTips) ? (new ArrayOfHashes(buffTips)).getArray() : [];
+        }
+
+        /**
+         * Write TX index for all stored blocks. If TX included in several blocks - stable one wins
+         *
+         * @return {Promise<void>}
+         */
+        async rebuildTxIndex() {
+            if (!this._buildTxIndex) return;
+
+            const arrFinalBlocks = [];
+            for await (let {value} of this.readBlocks()) {
+                const block = new Block(value);
+                const blockInfo = await this.getBlockInfo(block.getHash()).catch(err => debug(err));
+                const arrRecord = [Buffer.from(block.getHash(), 'hex'), block.getTxHashes()];
+                if (blockInfo && blockInfo.isFinal()) {
+                    arrFinalBlocks.push(arrRecord);
+                } else {
+                    await this._storeTxnsIndex(...arrRecord);
+                }
+            }
+
+            for (let arrRecord of arrFinalBlocks) await this._storeTxnsIndex(...arrRecord);
+        }
+
+        /**
+         * Compare chainstate (UTXOs, contracts, receipts, last applied blocks) and TX indexes
+         * (txns, internal txns, logs) with reference storage (rebuilt from blocks)
+         *
+         * @param {Storage} storageReference
+         * @param {Boolean} bRepair - overwrite damaged keys with reference values
+         * @return {Promise<Array>} of {db, key, problem}, problem: 'missing' | 'extra' | 'mismatch'
+         */
+        async verifyAgainst(storageReference, bRepair = false) {
+            const arrChecks = [
+                ['chainstate', '_db', [LAST_APPLIED_BLOCKS, UTXO_PREFIX, CONTRACT_PREFIX, RECEIPT_PREFIX]]
+            ];
+            if (this._txIndexStorage && storageReference._txIndexStorage) {
+                arrChecks.push(
+                    ['txindex', '_txIndexStorage', [TX_INDEX_PREFIX, INTENRAL_TX_INDEX_PREFIX, LOG_INDEX_PREFIX]]
+                );
+            }
+
+            const arrInconsistencies = [];
+            for (let [strDb, strProp, arrPrefixes] of arrChecks) {
+                const db = this[strProp];
+                let arrOps = [];
+                const report = (buffKey, strProblem, op) => {
+                    arrInconsistencies.push({db: strDb, key: buffKey.toString('hex'), problem: strProblem});
+                    if (bRepair) arrOps.push(op);
+                };
+
+                for (let strPrefix of arrPrefixes) {
+                    const itOur = this._readByPrefix(strPrefix, db);
+                    const itRef = storageReference._readByPrefix(strPrefix, storageReference[strProp]);
+                    let [our, ref] = [await itOur.next(), await itRef.next()];
+
+                    while (!our.done || !ref.done) {
+                        const nCmp = our.done ? 1 : ref.done ? -1 : Buffer.compare(our.value.key, ref.value.key);
+                        if (nCmp < 0) {
+                            report(our.value.key, 'extra', {type: 'del', key: our.value.key});
+                            our = await itOur.next();
+                        } else if (nCmp > 0) {
+                            report(ref.value.key, 'missing', {type: 'put', ...ref.value});
+                            ref = await itRef.next();
+                        } else {
+                            if (!our.value.value.equals(ref.value.value)) {
+                                report(ref.value.key, 'mismatch', {type: 'put', ...ref.value});
+                            }
+                            [our, ref] = [await itOur.next(), await itRef.next()];
+                        }
+
+                        if (arrOps.length >= Constants.DB_REPAIR_BATCH_SIZE) {
+                            await db.batch(arrOps);
+                            arrOps = [];
+                        }
+                    }
+                }
+                if (arrOps.length) await db.batch(arrOps);
+            }
+
+            // concilium definitions could be changed
+            if (bRepair) this._arrConciliumDefinition = undefined;
+
+            return arrInconsistencies;
+        }
+
         async countWallets() {
+            const setAddresses = await this.getUtxoReceivers();
+            return setAddresses.size;
+        }
+
+        /**
+         * Full UTXO set scan!
+         *
+         * @return {Promise<Set<String>>} - addresses that have unspent outputs
+         */
+        async getUtxoReceivers() {
             const setAddresses = new Set();
             for await (let {key, value} of this.readUtxos()) {
                 const utxo = new UTXO({txHash: key.slice(UTXO_PREFIX.length).toString('hex'), data: value});
                 utxo.getReceivers().forEach(addr => setAddresses.add(addr));
             }
-            return setAddresses.size;
+            return setAddresses;
+        }
+
+        hasAddressIndex() {
+            return !!this._buildAddressIndex;
         }
 
         async _initAccounts() {
@@ -1105,6 +2253,39 @@ module.exports = (factory, factoryOptions) => {
             return mapResult;
         }
 
+        /**
+         * Encrypted seed of HD account stored outside of accounts dir (it contains only keystores)
+         *
+         * @param {String} strAccountName
+         * @param {Object} objEncryptedMnemonic - @see Crypto.encrypt
+         * @param {Number} nNextIndex - index of next address to derive
+         * @return {Promise<void>}
+         */
+        async writeHdAccount(strAccountName, objEncryptedMnemonic, nNextIndex) {
+            const strContent = JSON.stringify({
+                ...prepareForStringifyObject(objEncryptedMnemonic),
+                nNextIndex,
+                version: 1.1
+            });
+
+            await fsPromise.mkdir(this._strHdAccountPath, {recursive: true});
+            await fsPromise.writeFile(`${this._strHdAccountPath}/${strAccountName}`, strContent);
+        }
+
+        /**
+         *
+         * @param {String} strAccountName
+         * @return {Promise<Object | undefined>} - undefined for non HD account
+         */
+        async readHdAccount(strAccountName) {
+            try {
+                return JSON.parse(await fsPromise.readFile(`${this._strHdAccountPath}/${strAccountName}`, 'utf8'));
+            } catch (e) {
+                if (e.code === 'ENOENT') return undefined;
+                throw e;
+            }
+        }
+
         isBlockBanned(hash) {
             return this._setBlocksBad.has(hash.toString('hex'));
         }
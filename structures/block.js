@@ -120,6 +120,105 @@ module.exports = ({Constants, Crypto, Transaction}, {blockProto, blockHeaderProt
             return Buffer.from(tree.getRoot(), 'hex');
         }
 
+        /**
+         * Merkle branch from tx to merkleRoot (@see Block.verifyTxProof)
+         *
+         * @param {String} strTxHash
+         * @returns {Array | undefined} of {position: 'left' | 'right', hash: String}. undefined - no such tx
+         */
+        getTxProof(strTxHash) {
+            typeforce(types.Str64, strTxHash);
+
+            const arrLeaves = this.getTxHashes();
+            let nIdx = arrLeaves.indexOf(strTxHash);
+            if (!~nIdx) return undefined;
+
+            const tree = new MerkleTree(arrLeaves, Crypto.createHashBuffer.bind(Crypto), {isBitcoinTree: true});
+            const arrLayers = tree.getLayers();
+            const arrBranch = [];
+            for (let i = 0; i < arrLayers.length - 1; i++) {
+                const arrLayer = arrLayers[i];
+                const bRightNode = nIdx % 2 === 1;
+
+                // odd node at the end of layer is hashed with itself
+                const pair = arrLayer[bRightNode ? nIdx - 1 : Math.min(nIdx + 1, arrLayer.length - 1)];
+                arrBranch.push({
+                    position: bRightNode ? 'left' : 'right',
+                    hash: Buffer.isBuffer(pair) ? pair.toString('hex') : pair
+                });
+                nIdx = nIdx >> 1;
+            }
+
+            return arrBranch;
+        }
+
+        /**
+         * Standalone check (no storage needed, for light clients & bridges) of tx inclusion proof:
+         * merkle branch leads to merkleRoot of header, and block signed by quorum of trusted witnesses
+         *
+         * @param {Object} objProof - @see Node._getTxProof
+         * @param {String} objProof.strTxHash
+         * @param {String} objProof.header - encoded block header (hex)
+         * @param {Array} objProof.signatures - of hex strings
+         * @param {Array} objProof.branch - @see getTxProof
+         * @param {BaseConciliumDefinition} conciliumDefinition - trusted definition of block concilium
+         * @returns {String} hash of block with tx
+         */
+        static verifyTxProof(objProof, conciliumDefinition) {
+            const {strTxHash, header, signatures, branch} = objProof;
+            typeforce(
+                typeforce.tuple(types.Str64, 'String', typeforce.arrayOf('String'), 'Array'),
+                [strTxHash, header, signatures, branch]
+            );
+
+            const buffHeader = Buffer.from(header, 'hex');
+            const {merkleRoot} = blockHeaderProto.decode(buffHeader);
+            assert(this.verifyMerkleBranch(strTxHash, branch, Buffer.from(merkleRoot)), 'Bad merkle branch');
+
+            const strBlockHash = Crypto.createHash(buffHeader);
+            const buffBlockHash = Buffer.from(strBlockHash, 'hex');
+            const arrWitnessAddresses = conciliumDefinition.getAddresses(false);
+
+            // same as Node._verifySignaturesQuorum, but duplicate signatures are counted once
+            const setSigners = new Set();
+            let gatheredWeight = 0;
+            for (let strSignature of signatures) {
+                const pubKey = Crypto.recoverPubKey(buffBlockHash, Buffer.from(strSignature, 'hex'));
+                const strAddress = Crypto.getAddress(pubKey);
+                assert(arrWitnessAddresses.includes(strAddress), `Signature of unknown witness ${strAddress}`);
+                if (setSigners.has(strAddress)) continue;
+
+                setSigners.add(strAddress);
+                gatheredWeight += conciliumDefinition.getWitnessWeight(strAddress);
+            }
+            assert(gatheredWeight >= conciliumDefinition.getQuorum(), 'Not enough signatures for block!');
+
+            return strBlockHash;
+        }
+
+        /**
+         * Light node already has verified header, so branch is enough to prove tx inclusion
+         *
+         * @param {String} strTxHash
+         * @param {Array} arrBranch - @see getTxProof
+         * @param {Buffer} buffRoot - merkleRoot of block header
+         * @returns {Boolean}
+         */
+        static verifyMerkleBranch(strTxHash, arrBranch, buffRoot) {
+
+            // single tx (coinbase) is the root itself
+            if (!arrBranch.length) return Buffer.from(strTxHash, 'hex').equals(buffRoot);
+
+            // leaves of tx tree are hex strings (@see _buildTxTree), upper nodes - buffers
+            const arrProof = arrBranch.map(({position, hash}, i) => ({
+                position,
+                data: i ? Buffer.from(hash, 'hex') : hash
+            }));
+            const tree = new MerkleTree([strTxHash], Crypto.createHashBuffer.bind(Crypto), {isBitcoinTree: true});
+
+            return tree.verify(arrProof, strTxHash, buffRoot);
+        }
+
         encode() {
             if (!this._final) throw new Error('Call finish() before encoding');
             return blockProto.encode(this._data).finish();
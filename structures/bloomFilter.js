@@ -0,0 +1,207 @@
+const typeforce = require('typeforce');
+
+const LN2_SQUARED = Math.LN2 * Math.LN2;
+
+// BIP37: seed for each hash function is nHashNum * 0xFBA4C795 + nTweak
+const SEED_MULTIPLIER = 0xFBA4C795;
+
+/**
+ * MurmurHash3 (x86_32)
+ *
+ * @param {Number} nSeed - uint32
+ * @param {Buffer} buffData
+ * @return {Number} uint32
+ */
+const murmurHash3 = (nSeed, buffData) => {
+    const c1 = 0xcc9e2d51;
+    const c2 = 0x1b873593;
+
+    const mixK1 = k1 => {
+        k1 = Math.imul(k1, c1);
+        k1 = (k1 << 15) | (k1 >>> 17);
+        return Math.imul(k1, c2);
+    };
+
+    let h1 = nSeed >>> 0;
+    const nBlocks = buffData.length >>> 2;
+    for (let i = 0; i < nBlocks; i++) {
+        h1 ^= mixK1(buffData.readUInt32LE(i * 4));
+        h1 = (h1 << 13) | (h1 >>> 19);
+        h1 = (Math.imul(h1, 5) + 0xe6546b64) | 0;
+    }
+
+    const nTail = nBlocks * 4;
+    let k1 = 0;
+    switch (buffData.length & 3) {
+        case 3:
+            k1 ^= buffData[nTail + 2] << 16;
+        // falls through
+        case 2:
+            k1 ^= buffData[nTail + 1] << 8;
+        // falls through
+        case 1:
+            k1 ^= buffData[nTail];
+            h1 ^= mixK1(k1);
+    }
+
+    h1 ^= buffData.length;
+    h1 ^= h1 >>> 16;
+    h1 = Math.imul(h1, 0x85ebca6b);
+    h1 ^= h1 >>> 13;
+    h1 = Math.imul(h1, 0xc2b2ae35);
+    h1 ^= h1 >>> 16;
+
+    return h1 >>> 0;
+};
+
+module.exports = ({Constants}) =>
+
+    /**
+     * BIP37 bloom filter. Loaded by (wallet) peer to receive only relevant TXns
+     */
+    class BloomFilter {
+
+        /**
+         *
+         * @param {Object} data
+         * @param {Buffer} data.filter - bit field
+         * @param {Number} data.nHashFuncs
+         * @param {Number} data.nTweak
+         * @param {Number} data.nFlags - BLOOM_UPDATE_NONE | BLOOM_UPDATE_ALL
+         */
+        constructor(data) {
+            typeforce({
+                filter: 'Buffer',
+                nHashFuncs: 'Number',
+                nTweak: '?Number',
+                nFlags: '?Number'
+            }, data);
+
+            const {filter, nHashFuncs, nTweak = 0, nFlags = Constants.BLOOM_UPDATE_NONE} = data;
+
+            this._buffFilter = Buffer.from(filter);
+            this._nHashFuncs = nHashFuncs;
+            this._nTweak = nTweak >>> 0;
+            this._nFlags = nFlags;
+        }
+
+        /**
+         * Filter sized for nElements with desired false positive rate (capped by protocol limits)
+         *
+         * @param {Number} nElements
+         * @param {Number} nFpRate - (0, 1)
+         * @param {Number} nTweak
+         * @param {Number} nFlags
+         * @return {BloomFilter}
+         */
+        static create(nElements, nFpRate, nTweak = 0, nFlags = Constants.BLOOM_UPDATE_NONE) {
+            const nSize = Math.max(1, Math.min(
+                Math.floor(-1 / LN2_SQUARED * nElements * Math.log(nFpRate) / 8),
+                Constants.BLOOM_MAX_FILTER_SIZE
+            ));
+            const nHashFuncs = Math.max(1, Math.min(
+                Math.floor(nSize * 8 / nElements * Math.LN2),
+                Constants.BLOOM_MAX_HASH_FUNCS
+            ));
+
+            return new this({filter: Buffer.alloc(nSize), nHashFuncs, nTweak, nFlags});
+        }
+
+        /**
+         * Outpoint serialization used as filter element
+         *
+         * @param {String | Buffer} txHash
+         * @param {Number} nTxOutput
+         * @return {Buffer}
+         */
+        static outpoint(txHash, nTxOutput) {
+            const buffIdx = Buffer.alloc(4);
+            buffIdx.writeUInt32LE(nTxOutput, 0);
+            return Buffer.concat([Buffer.isBuffer(txHash) ? txHash : Buffer.from(txHash, 'hex'), buffIdx]);
+        }
+
+        get filter() {
+            return this._buffFilter;
+        }
+
+        get nHashFuncs() {
+            return this._nHashFuncs;
+        }
+
+        get nTweak() {
+            return this._nTweak;
+        }
+
+        get nFlags() {
+            return this._nFlags;
+        }
+
+        /**
+         * Peer could load huge filter to exhaust our CPU & memory
+         *
+         * @return {boolean}
+         */
+        isWithinSizeConstraints() {
+            return this._buffFilter.length <= Constants.BLOOM_MAX_FILTER_SIZE &&
+                   this._nHashFuncs <= Constants.BLOOM_MAX_HASH_FUNCS;
+        }
+
+        /**
+         *
+         * @param {String | Buffer} data - String is treated as hex
+         */
+        insert(data) {
+            if (!this._buffFilter.length) return;
+
+            for (let nIdx of this._getBitIndexes(data)) {
+                this._buffFilter[nIdx >>> 3] |= 1 << (nIdx & 7);
+            }
+        }
+
+        /**
+         *
+         * @param {String | Buffer} data - String is treated as hex
+         * @return {boolean}
+         */
+        contains(data) {
+            if (!this._buffFilter.length) return false;
+
+            return this._getBitIndexes(data).every(nIdx => this._buffFilter[nIdx >>> 3] & (1 << (nIdx & 7)));
+        }
+
+        /**
+         * TX is relevant if filter matches its hash, any receiver address or any spent outpoint.
+         * With BLOOM_UPDATE_ALL outpoints of matched outputs are added, so we'll catch TXns spending them
+         *
+         * @param {Transaction} tx
+         * @return {boolean}
+         */
+        isRelevantAndUpdate(tx) {
+            const strTxHash = tx.getHash();
+            let bFound = this.contains(strTxHash);
+
+            tx.outputs.forEach(({receiverAddr}, nTxOutput) => {
+                if (!this.contains(receiverAddr)) return;
+
+                bFound = true;
+                if (this._nFlags === Constants.BLOOM_UPDATE_ALL) {
+                    this.insert(BloomFilter.outpoint(strTxHash, nTxOutput));
+                }
+            });
+            if (bFound) return true;
+
+            return tx.inputs.some(({txHash, nTxOutput}) => this.contains(BloomFilter.outpoint(txHash, nTxOutput)));
+        }
+
+        _getBitIndexes(data) {
+            const buffData = Buffer.isBuffer(data) ? data : Buffer.from(data, 'hex');
+            const nBits = this._buffFilter.length * 8;
+
+            const arrIndexes = [];
+            for (let i = 0; i < this._nHashFuncs; i++) {
+                const nSeed = (Math.imul(i, SEED_MULTIPLIER) + this._nTweak) >>> 0;
+                arrIndexes.push(murmurHash3(nSeed, buffData) % nBits);
+            }
+            return arrIndexes;
+        }
+    };
@@ -6,19 +6,31 @@ const types = require('../types');
 module.exports = () =>
     class Coins {
 
-        constructor(amount, receiverAddr) {
-            typeforce(typeforce.tuple(types.Amount, types.Address), arguments);
+        /**
+         *
+         * @param {Number} amount
+         * @param {Buffer | String} receiverAddr
+         * @param {Object} objLock - {lockHeight, lockTime, relativeLock} @see output in structures.proto
+         */
+        constructor(amount, receiverAddr, objLock = {}) {
+            typeforce(typeforce.tuple(types.Amount, types.Address), [amount, receiverAddr]);
 
             this._data = {
                 amount,
                 receiverAddr: Buffer.isBuffer(receiverAddr) ? receiverAddr : Buffer.from(receiverAddr, 'hex')
             };
+
+            // keep raw data of unlocked coins as is
+            const {lockHeight, lockTime, relativeLock} = objLock;
+            if (lockHeight) this._data.lockHeight = lockHeight;
+            if (lockTime) this._data.lockTime = lockTime;
+            if (relativeLock && (lockHeight || lockTime)) this._data.relativeLock = true;
         }
 
-        static createFromData({amount, receiverAddr}) {
+        static createFromData({amount, receiverAddr, lockHeight, lockTime, relativeLock}) {
             if (Long.isLong(amount)) amount = amount.toNumber();
 
-            return new this(amount, receiverAddr);
+            return new this(amount, receiverAddr, {lockHeight, lockTime, relativeLock});
         }
 
         getAmount() {
@@ -41,12 +53,55 @@ module.exports = () =>
             return this._data;
         }
 
+        getLockHeight() {
+            return this._data.lockHeight || 0;
+        }
+
+        getLockTime() {
+            return this._data.lockTime || 0;
+        }
+
+        isRelativeLock() {
+            return !!this._data.relativeLock;
+        }
+
+        /**
+         * Relative lock is unresolved until TX is in block, so such coins aren't mature
+         *
+         * @param {Number} nHeight - of block, that spends this coins
+         * @param {Number} nTimestamp - of block, that spends this coins
+         * @return {Boolean}
+         */
+        isMature(nHeight, nTimestamp) {
+            if (this.isRelativeLock()) return false;
+
+            return (!this.getLockHeight() || nHeight >= this.getLockHeight()) &&
+                   (!this.getLockTime() || nTimestamp >= this.getLockTime());
+        }
+
+        /**
+         *
+         * @param {Number} nHeight - of block, that creates this coins
+         * @param {Number} nTimestamp - of block, that creates this coins
+         * @return {Coins} - with absolute lock
+         */
+        resolveLock(nHeight, nTimestamp) {
+            if (!this.isRelativeLock()) return this;
+
+            return new this.constructor(this.getAmount(), this.getReceiverAddr(), {
+                lockHeight: this.getLockHeight() && nHeight + this.getLockHeight(),
+                lockTime: this.getLockTime() && nTimestamp + this.getLockTime()
+            });
+        }
+
         /**
          *
          * @param {Coins} coin
          * @returns {boolean|*}
          */
         equals(coin) {
-            return this.getAmount() === coin.getAmount() && this.getReceiverAddr().equals(coin.getReceiverAddr());
+            return this.getAmount() === coin.getAmount() && this.getReceiverAddr().equals(coin.getReceiverAddr()) &&
+                   this.getLockHeight() === coin.getLockHeight() && this.getLockTime() === coin.getLockTime() &&
+                   this.isRelativeLock() === coin.isRelativeLock();
         }
     };
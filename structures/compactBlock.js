@@ -0,0 +1,165 @@
+const assert = require('assert');
+const typeforce = require('typeforce');
+const types = require('../types');
+
+// bytes of salted TX hash. Collisions are resolved by requesting full block
+const SHORT_ID_LENGTH = 6;
+
+module.exports = ({Crypto, Block, Transaction}, {compactBlockProto, blockProto, blockHeaderProto}) =>
+
+    /**
+     * BIP152 like compact block: header, signatures, prefilled coinbase & short ids of other TXns.
+     * Receiver rebuilds block from own mempool & requests only missing TXns
+     */
+    class CompactBlock {
+
+        /**
+         *
+         * @param {Block | Buffer} data
+         * @param {Number} nNonce - salt for short ids, used only for creation from Block
+         */
+        constructor(data, nNonce = Crypto.randomBytes(4).readUInt32LE(0)) {
+            typeforce(typeforce.oneOf(types.Block, 'Buffer'), data);
+
+            if (Buffer.isBuffer(data)) {
+                this._data = compactBlockProto.decode(data);
+            } else {
+
+                // it also sets merkleRoot of header
+                this._hashCache = data.getHash();
+
+                const [coinbase] = data.txns;
+                this._data = compactBlockProto.create({
+                    header: data.header,
+                    signatures: data.signatures,
+                    nonce: nNonce,
+                    prefilledTxns: [{index: 0, tx: coinbase}]
+                });
+                this._data.shortIds = data.getTxHashes().slice(1)
+                    .map(strHash => Buffer.from(this.getShortId(strHash), 'hex'));
+            }
+
+            // slots for TXns of rebuilt block
+            this._arrTxns = undefined;
+        }
+
+        get header() {
+            return this._data.header;
+        }
+
+        get signatures() {
+            return this._data.signatures;
+        }
+
+        get txCount() {
+            return this._data.shortIds.length + this._data.prefilledTxns.length;
+        }
+
+        /**
+         *
+         * @returns {String}
+         */
+        getHash() {
+            if (!this._hashCache) this._hashCache = Crypto.createHash(blockHeaderProto.encode(this.header).finish());
+            return this._hashCache;
+        }
+
+        encode() {
+            return compactBlockProto.encode(this._data).finish();
+        }
+
+        /**
+         * Fill TX slots with candidates (mempool)
+         *
+         * @param {Array} arrTxHashes - of Strings. Hashes of candidates
+         * @param {Function} fnGetTx - (strHash) => Transaction
+         * @return {Array} of Numbers - indexes of TXns missed in candidates
+         */
+        rebuild(arrTxHashes, fnGetTx) {
+            const setShortIds = new Set(this._data.shortIds.map(buffId => Buffer.from(buffId).toString('hex')));
+
+            // short id => strTxHash. undefined value - collision among candidates
+            const mapCandidates = new Map();
+            for (let strTxHash of arrTxHashes) {
+                const strShortId = this.getShortId(strTxHash);
+                if (!setShortIds.has(strShortId)) continue;
+                mapCandidates.set(strShortId, mapCandidates.has(strShortId) ? undefined : strTxHash);
+            }
+
+            this._arrTxns = new Array(this.txCount).fill(undefined);
+            for (let {index, tx} of this._data.prefilledTxns) {
+                assert(index < this.txCount && !this._arrTxns[index], `Bad index of prefilled TX ${index}`);
+                this._arrTxns[index] = new Transaction(tx);
+            }
+
+            const arrMissedIndexes = [];
+            let nShortIdx = 0;
+            for (let i = 0; i < this._arrTxns.length; i++) {
+                if (this._arrTxns[i]) continue;
+
+                const strShortId = Buffer.from(this._data.shortIds[nShortIdx++]).toString('hex');
+                const strTxHash = mapCandidates.get(strShortId);
+                if (strTxHash) {
+                    this._arrTxns[i] = fnGetTx(strTxHash);
+                } else {
+                    arrMissedIndexes.push(i);
+                }
+            }
+
+            return arrMissedIndexes;
+        }
+
+        /**
+         *
+         * @param {Array} arrTxns - of Transactions, in order of indexes returned by rebuild
+         */
+        fillMissing(arrTxns) {
+            assert(this._arrTxns, 'Call rebuild() first');
+
+            const arrMissedIndexes = this._getMissedIndexes();
+            assert(arrMissedIndexes.length === arrTxns.length,
+                `Expected ${arrMissedIndexes.length} TXns, got ${arrTxns.length}`
+            );
+            arrMissedIndexes.forEach((nIdx, i) => this._arrTxns[nIdx] = arrTxns[i]);
+        }
+
+        /**
+         * Throws if TXns mismatch header (short ids collision)
+         *
+         * @return {Block}
+         */
+        toBlock() {
+            assert(this._arrTxns && !this._getMissedIndexes().length, 'Compact block is not rebuilt yet');
+
+            const block = new Block(blockProto.encode({
+                header: this.header,
+                txns: this._arrTxns.map(tx => tx.rawData),
+                signatures: this.signatures
+            }).finish());
+            assert(block.getHash() === this.getHash(), `TXns mismatch merkle root of block ${this.getHash()}`);
+
+            return block;
+        }
+
+        _getMissedIndexes() {
+            return this._arrTxns.reduce((arrResult, tx, i) => tx ? arrResult : arrResult.concat(i), []);
+        }
+
+        /**
+         * Salted by block hash & nonce, so nobody could precompute colliding TXns
+         *
+         * @param {String} strTxHash
+         * @return {String} hex
+         */
+        getShortId(strTxHash) {
+            if (!this._buffSalt) {
+                const buffNonce = Buffer.alloc(4);
+                buffNonce.writeUInt32LE(this._data.nonce, 0);
+                this._buffSalt = Buffer.concat([Buffer.from(this.getHash(), 'hex'), buffNonce]);
+            }
+
+            return Crypto.createHashBuffer(Buffer.concat([this._buffSalt, Buffer.from(strTxHash, 'hex')]))
+                .slice(0, SHORT_ID_LENGTH)
+                .toString('hex');
+        }
+    };
@@ -8,7 +8,10 @@ const types = require('../types');
 
 const CURRENT_TX_VERSION = 1;
 
-module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayloadProto}) =>
+const SIGNATURE_LENGTH = 65;
+
+module.exports = ({Constants, Crypto, Coins},
+                  {transactionProto, transactionPayloadProto, multisigScriptProto}) =>
     class Transaction {
         constructor(data) {
             if (Buffer.isBuffer(data)) {
@@ -60,6 +63,54 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             return this._data;
         }
 
+        get lockHeight() {
+            return this._data.payload.lockHeight || 0;
+        }
+
+        set lockHeight(nHeight) {
+            this._checkNotSigned();
+            this._data.payload.lockHeight = nHeight;
+        }
+
+        get lockTime() {
+            return this._data.payload.lockTime || 0;
+        }
+
+        set lockTime(nTimestamp) {
+            this._checkNotSigned();
+            this._data.payload.lockTime = nTimestamp;
+        }
+
+        get replaceable() {
+            return !!this._data.payload.replaceable;
+        }
+
+        set replaceable(bReplaceable) {
+            this._checkNotSigned();
+            this._data.payload.replaceable = bReplaceable;
+        }
+
+        /**
+         * Could TX be included into block with this height & timestamp
+         *
+         * @param {Number} nHeight
+         * @param {Number} nTimestamp
+         * @return {Boolean}
+         */
+        isFinal(nHeight, nTimestamp) {
+            return (!this.lockHeight || nHeight >= this.lockHeight) && (!this.lockTime || nTimestamp >= this.lockTime);
+        }
+
+        /**
+         * Is TX or any of its outputs timelocked
+         *
+         * @return {Boolean}
+         */
+        hasTimelocks() {
+            return !!(this.lockHeight || this.lockTime) ||
+                   this._data.payload.outs.some(out => out.lockHeight || out.lockTime || out.relativeLock);
+        }
+
         /**
          *
          * @return {Array} [{txHash, nTxOutput}]
@@ -154,6 +205,82 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             return tx;
         }
 
+        /**
+         *
+         * @param {Number} nRequired - M signatures required to spend
+         * @param {Array} arrPubKeys - N public keys (compressed, hex or Buffer)
+         * @return {Buffer} - redeem script
+         */
+        static createMultisigScript(nRequired, arrPubKeys) {
+            typeforce(typeforce.tuple('Number', typeforce.arrayOf(types.PublicKey)), [nRequired, arrPubKeys]);
+
+            const arrBuffPubKeys = arrPubKeys.map(key => Buffer.isBuffer(key) ? key : Buffer.from(key, 'hex'));
+            const objScript = {nRequired, pubKeys: arrBuffPubKeys};
+            this._validateMultisigScript(objScript);
+
+            return Buffer.from(multisigScriptProto.encode(objScript).finish());
+        }
+
+        /**
+         *
+         * @param {Buffer} buffRedeemScript
+         * @return {{nRequired: Number, arrPubKeys: Array}} - arrPubKeys (hex)
+         */
+        static decodeMultisigScript(buffRedeemScript) {
+            const objScript = multisigScriptProto.decode(buffRedeemScript);
+            this._validateMultisigScript(objScript);
+
+            return {
+                nRequired: objScript.nRequired,
+                arrPubKeys: objScript.pubKeys.map(key => Buffer.from(key).toString('hex'))
+            };
+        }
+
+        static _validateMultisigScript({nRequired, pubKeys}) {
+            assert(pubKeys.length && pubKeys.length <= Constants.MULTISIG_MAX_KEYS, 'Bad multisig keys count');
+            assert(nRequired > 0 && nRequired <= pubKeys.length, 'Bad multisig threshold');
+            assert(pubKeys.every(key => types.PublicKey(Buffer.from(key))), 'Bad multisig public key');
+            assert(new Set(pubKeys.map(key => Buffer.from(key).toString('hex'))).size === pubKeys.length,
+                'Duplicate multisig public key'
+            );
+        }
+
+        /**
+         *
+         * @param {Buffer} buffRedeemScript
+         * @param {Boolean} needBuffer
+         * @return {String | Buffer}
+         */
+        static getMultisigAddress(buffRedeemScript, needBuffer = false) {
+            return Crypto.getAddress(buffRedeemScript, needBuffer);
+        }
+
+        /**
+         * Only signatures from redeem script keys counted (one per key)
+         *
+         * @param {Object} objClaim - @see getMultisigClaim
+         * @param {Buffer | String} hash - signed data
+         * @return {{buffAddress: Buffer, nRequired: Number, arrSignedKeys: Array}}
+         */
+        static verifyMultisigClaim({buffRedeemScript, arrSignatures}, hash) {
+            const {nRequired, arrPubKeys} = this.decodeMultisigScript(buffRedeemScript);
+
+            const setSignedKeys = new Set();
+            for (let buffSignature of arrSignatures) {
+                assert(types.Signature(buffSignature), 'Bad multisig signature');
+                const strPubKey = Crypto.recoverPubKey(hash, buffSignature);
+                assert(arrPubKeys.includes(strPubKey), 'Multisig signature of unknown key');
+                assert(!setSignedKeys.has(strPubKey), 'Duplicate multisig signature');
+                setSignedKeys.add(strPubKey);
+            }
+
+            return {
+                buffAddress: this.getMultisigAddress(buffRedeemScript, true),
+                nRequired,
+                arrSignedKeys: [...setSignedKeys]
+            };
+        }
+
         /**
          *
          * @return {Array} Coins
@@ -162,7 +289,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             const outputs = this.outputs;
             if (!outputs) throw new Error('Unexpected: empty outputs!');
 
-            return outputs.map(out => new Coins(out.amount, out.receiverAddr));
+            return outputs.map(out => new Coins(out.amount, out.receiverAddr, out));
         }
 
         /**
@@ -174,7 +301,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             typeforce(typeforce.tuple(types.Hash256bit, 'Number'), arguments);
             if (typeof strHash === 'string') strHash = Buffer.from(strHash, 'hex');
 
-            this._checkDone();
+            this._checkDone(true);
             this._data.payload.ins.push({txHash: strHash, nTxOutput: index});
         }
 
@@ -182,23 +309,108 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
          *
          * @param {Number} amount - how much to transfer
          * @param {Buffer} addr - receiver
+         * @param {Object} objLock - {lockHeight, lockTime, relativeLock} timelock of this output
          */
-        addReceiver(amount, addr) {
-            typeforce(typeforce.tuple('Number', types.Address), arguments);
+        addReceiver(amount, addr, objLock = {}) {
+            typeforce(typeforce.tuple('Number', types.Address), [amount, addr]);
+
+            const {lockHeight = 0, lockTime = 0, relativeLock = false} = objLock;
+            typeforce(typeforce.tuple('Number', 'Number', 'Boolean'), [lockHeight, lockTime, relativeLock]);
 
-            this._checkDone();
-            this._data.payload.outs.push({amount, receiverAddr: Buffer.from(addr, 'hex')});
+            this._checkDone(false);
+            this._data.payload.outs.push({
+                amount,
+                receiverAddr: Buffer.from(addr, 'hex'),
+                ...(lockHeight ? {lockHeight} : {}),
+                ...(lockTime ? {lockTime} : {}),
+                ...(relativeLock ? {relativeLock} : {})
+            });
         }
 
         /**
-         * Now we implement only SIGHASH_ALL
-         * The rest is TODO: SIGHASH_SINGLE & SIGHASH_NONE
+         * Hash signed by claimProof of input idx. SIGHASH_ALL is the same as getHash (TX id)
+         * For other methods payload is stripped (@see ClaimHashMethod) & method byte appended before hashing,
+         * so signature couldn't be reused with another method
          *
-         * @param {Number} idx - for SIGHASH_SINGLE (not used now)
+         * @param {Number} idx - index of input
+         * @param {Number} nHashType - one of Constants.SIGHASH_*
          * @return {String} !!
          */
-        hash(idx) {
-            return this.getHash();
+        hash(idx, nHashType = Constants.SIGHASH_ALL) {
+            if (nHashType === Constants.SIGHASH_ALL) return this.getHash();
+
+            const payload = this._data.payload;
+            const {nBaseType, bAnyoneCanPay} = this.constructor.splitHashType(nHashType);
+            if (!payload.ins[idx]) throw new Error('Bad index: greater than inputs length');
+
+            let arrOuts = payload.outs;
+            if (nBaseType === Constants.SIGHASH_NONE) {
+                arrOuts = [];
+            } else if (nBaseType === Constants.SIGHASH_SINGLE) {
+                if (!payload.outs[idx]) throw new Error(`No output #${idx} for SIGHASH_SINGLE`);
+                arrOuts = [payload.outs[idx]];
+            }
+
+            const buffPayload = transactionPayloadProto.encode({
+                ...payload,
+                ins: bAnyoneCanPay ? [payload.ins[idx]] : payload.ins,
+                outs: arrOuts
+            }).finish();
+
+            return Crypto.createHash(Buffer.concat([buffPayload, Buffer.from([nHashType])]));
+        }
+
+        /**
+         *
+         * @param {Number} nHashType - one of Constants.SIGHASH_*
+         * @return {{nBaseType: Number, bAnyoneCanPay: Boolean}} - nBaseType: SIGHASH_ALL | _NONE | _SINGLE
+         */
+        static splitHashType(nHashType) {
+            switch (nHashType) {
+                case Constants.SIGHASH_ALL:
+                case Constants.SIGHASH_NONE:
+                case Constants.SIGHASH_SINGLE:
+                    return {nBaseType: nHashType, bAnyoneCanPay: false};
+                case Constants.SIGHASH_ANYONECANPAY:
+                    return {nBaseType: Constants.SIGHASH_ALL, bAnyoneCanPay: true};
+                case Constants.SIGHASH_NONE_ANYONECANPAY:
+                    return {nBaseType: Constants.SIGHASH_NONE, bAnyoneCanPay: true};
+                case Constants.SIGHASH_SINGLE_ANYONECANPAY:
+                    return {nBaseType: Constants.SIGHASH_SINGLE, bAnyoneCanPay: true};
+                default:
+                    throw new Error(`Unknown claim hash method ${nHashType}`);
+            }
+        }
+
+        /**
+         * Signature (65 bytes) for SIGHASH_ALL, signature + method byte for the rest
+         *
+         * @param {Buffer} claimProof - not multisig!
+         * @return {{buffSignature: Buffer, nHashType: Number}}
+         */
+        static parseClaimProof(claimProof) {
+            typeforce(typeforce.Buffer, claimProof);
+
+            if (claimProof.length !== SIGNATURE_LENGTH + 1) {
+                return {buffSignature: claimProof, nHashType: Constants.SIGHASH_ALL};
+            }
+
+            const nHashType = claimProof[SIGNATURE_LENGTH];
+
+            // SIGHASH_ALL has only one encoding
+            if (nHashType === Constants.SIGHASH_ALL) throw new Error('Non canonical SIGHASH_ALL claim');
+            this.splitHashType(nHashType);
+
+            return {buffSignature: claimProof.slice(0, SIGNATURE_LENGTH), nHashType};
+        }
+
+        /**
+         * Is there claim with hash method other than SIGHASH_ALL
+         *
+         * @return {Boolean}
+         */
+        hasHashTypeClaims() {
+            return this._data.claimProofs.some(claimProof => claimProof && claimProof.length === SIGNATURE_LENGTH + 1);
         }
 
         /**
@@ -213,13 +425,38 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
         }
 
         /**
-         * Is this transaction could be modified
+         * Is this transaction could be modified: inputs could be added if every claim is ANYONECANPAY,
+         * outputs - if every claim is SIGHASH_NONE or SIGHASH_SINGLE (it signs output with existing index)
          *
+         * @param {Boolean} bAddInput - input or output we are going to add
          * @private
          */
-        _checkDone() {
+        _checkDone(bAddInput) {
+            // multisig claims are SIGHASH_ALL only
+            const bModifiable = !this.getTxSignature() && !this.hasMultisigClaims() && this._data.claimProofs.every(
+                claimProof => {
+
+                    // placeholder of unsigned input
+                    if (!claimProof || !claimProof.length) return true;
+
+                    const {nHashType} = this.constructor.parseClaimProof(claimProof);
+                    const {nBaseType, bAnyoneCanPay} = this.constructor.splitHashType(nHashType);
+                    return bAddInput ? bAnyoneCanPay : nBaseType !== Constants.SIGHASH_ALL;
+                }
+            );
+
+            if (!bModifiable) {
+                throw new Error(
+                    'Tx is already signed, you can\'t modify it');
+            }
+        }
 
-            // it's only for SIGHASH_ALL, if implement other - change it!
+        /**
+         * Any claim (with any hash method) signs whole payload except ins/outs
+         *
+         * @private
+         */
+        _checkNotSigned() {
             if (this.getTxSignature() || this._data.claimProofs.length) {
                 throw new Error(
                     'Tx is already signed, you can\'t modify it');
@@ -233,14 +470,167 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
          * @param {Number} idx - index of input to sign
          * @param {Buffer | String} key - private key
          * @param {String} enc -encoding of key
+         * @param {Number} nHashType - one of Constants.SIGHASH_*
          */
-        claim(idx, key, enc = 'hex') {
-            typeforce(typeforce.tuple('Number', types.PrivateKey), [idx, key]);
+        claim(idx, key, enc = 'hex', nHashType = Constants.SIGHASH_ALL) {
+            typeforce(typeforce.tuple('Number', types.PrivateKey, 'Number'), [idx, key, nHashType]);
 
             if (idx > this._data.payload.ins.length) throw new Error('Bad index: greater than inputs length');
 
-            const hash = this.hash(idx);
-            this._data.claimProofs[idx] = Crypto.sign(hash, key, enc);
+            const buffSignature = Crypto.sign(this.hash(idx, nHashType), key, enc);
+            this._setClaimProof(
+                idx,
+                nHashType === Constants.SIGHASH_ALL
+                    ? buffSignature
+                    : Buffer.concat([buffSignature, Buffer.from([nHashType])])
+            );
+        }
+
+        _setClaimProof(idx, claimProof) {
+
+            // claimProofs of other inputs could be unset yet (sparse array can't be encoded)
+            for (let i = 0; i < idx; i++) {
+                if (!this._data.claimProofs[i]) this._data.claimProofs[i] = Buffer.alloc(0);
+            }
+            this._data.claimProofs[idx] = claimProof;
+        }
+
+        /**
+         * Add signature to (partial) multisig claim of input with idx.
+         * Could be called several times (for different keys) until threshold reached
+         *
+         * @param {Number} idx - index of input to sign
+         * @param {Buffer} buffRedeemScript - @see createMultisigScript
+         * @param {Buffer | String} key - private key (one of redeem script keys). Omit to add empty claim
+         * @param {String} enc -encoding of key
+         */
+        claimMultisig(idx, buffRedeemScript, key, enc = 'hex') {
+            typeforce(typeforce.tuple('Number', 'Buffer', typeforce.maybe(types.PrivateKey)),
+                [idx, buffRedeemScript, key]
+            );
+
+            if (idx >= this._data.payload.ins.length) throw new Error('Bad index: greater than inputs length');
+
+            const {arrPubKeys} = this.constructor.decodeMultisigScript(buffRedeemScript);
+            const objClaim = this.getMultisigClaim(idx) || {buffRedeemScript, arrSignatures: []};
+            if (!objClaim.buffRedeemScript.equals(buffRedeemScript)) throw new Error('Redeem script mismatch');
+
+            if (key) {
+                const kp = Crypto.keyPairFromPrivate(key, enc);
+                if (!arrPubKeys.includes(kp.publicKey)) throw new Error('Key not in redeem script');
+
+                const hash = this.hash(idx);
+                const bAlreadySigned = objClaim.arrSignatures.some(
+                    sig => Crypto.recoverPubKey(hash, sig) === kp.publicKey);
+                if (!bAlreadySigned) objClaim.arrSignatures.push(Crypto.sign(hash, key, enc));
+            }
+
+            this._setMultisigClaim(idx, objClaim);
+        }
+
+        /**
+         *
+         * @param {Number} idx - input index
+         * @return {{buffRedeemScript: Buffer, arrSignatures: Array} | undefined}
+         */
+        getMultisigClaim(idx) {
+            const objClaim = this._getMultisigClaims()[idx];
+            if (!objClaim) return undefined;
+
+            return {
+                buffRedeemScript: Buffer.from(objClaim.redeemScript),
+                arrSignatures: objClaim.signatures.map(sig => Buffer.from(sig))
+            };
+        }
+
+        /**
+         *
+         * @return {Boolean}
+         */
+        hasMultisigClaims() {
+            return Object.keys(this._getMultisigClaims()).length > 0;
+        }
+
+        /**
+         *
+         * @return {Object} input index -> {redeemScript, signatures}
+         * @private
+         */
+        _getMultisigClaims() {
+            return this._data.multisigClaims || {};
+        }
+
+        _setMultisigClaim(idx, {buffRedeemScript, arrSignatures}) {
+
+            // claimProof is placeholder (claimProofs should match inputs)
+            this._setClaimProof(idx, Buffer.alloc(0));
+
+            // default value of protobuf map could be frozen, so we replace it
+            this._data.multisigClaims = {
+                ...this._getMultisigClaims(),
+                [idx]: {redeemScript: buffRedeemScript, signatures: arrSignatures}
+            };
+        }
+
+        /**
+         * Merge signatures of multisig claims from another copy of this TX (signed by other party)
+         *
+         * @param {Transaction} txPartial
+         */
+        combineMultisigClaims(txPartial) {
+            if (this.getHash() !== txPartial.getHash()) throw new Error('Combining different transactions');
+
+            for (let i = 0; i < this.inputs.length; i++) {
+                const objOtherClaim = txPartial.getMultisigClaim(i);
+                if (!objOtherClaim) continue;
+
+                const objClaim = this.getMultisigClaim(i);
+                if (!objClaim) {
+                    this._setMultisigClaim(i, objOtherClaim);
+                    continue;
+                }
+                if (!objClaim.buffRedeemScript.equals(objOtherClaim.buffRedeemScript)) {
+                    throw new Error('Redeem script mismatch');
+                }
+
+                const arrSignatures = [...objClaim.arrSignatures];
+                for (let buffSig of objOtherClaim.arrSignatures) {
+                    if (!arrSignatures.some(sig => sig.equals(buffSig))) arrSignatures.push(buffSig);
+                }
+                this._setMultisigClaim(i, {buffRedeemScript: objClaim.buffRedeemScript, arrSignatures});
+            }
+        }
+
+        /**
+         *
+         * @return {Boolean} - every multisig claim has enough signatures
+         */
+        isMultisigComplete() {
+            return this.inputs.every((input, idx) => {
+                const objClaim = this.getMultisigClaim(idx);
+                if (!objClaim) return true;
+
+                const {nRequired, arrSignedKeys} = this.constructor.verifyMultisigClaim(objClaim, this.hash(idx));
+                return arrSignedKeys.length >= nRequired;
+            });
+        }
+
+        /**
+         * Leave only required signatures in multisig claims (smaller TX - lower fee)
+         */
+        finalizeMultisig() {
+            this.inputs.forEach((input, idx) => {
+                const objClaim = this.getMultisigClaim(idx);
+                if (!objClaim) return;
+
+                const {nRequired, arrSignedKeys} = this.constructor.verifyMultisigClaim(objClaim, this.hash(idx));
+                if (arrSignedKeys.length < nRequired) throw new Error(`Not enough signatures for input ${idx}`);
+
+                this._setMultisigClaim(idx, {
+                    buffRedeemScript: objClaim.buffRedeemScript,
+                    arrSignatures: objClaim.arrSignatures.slice(0, nRequired)
+                });
+            });
         }
 
         /**
@@ -318,6 +708,23 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
             assert(outsValid, 'Errors in outputs');
 
             assert(this.claimProofs.length === inputs.length || this.getTxSignature(), 'Errors in clamProofs');
+
+            // multisig claims are structured, so we could check them here (address match checked by Application)
+            for (let strIdx of Object.keys(this._getMultisigClaims())) {
+                const idx = parseInt(strIdx);
+                assert(idx < inputs.length && !this.claimProofs[idx].length, 'Errors in multisig claims');
+
+                const {nRequired, arrSignedKeys} = this.constructor.verifyMultisigClaim(
+                    this.getMultisigClaim(idx),
+                    this.hash(idx)
+                );
+                assert(arrSignedKeys.length >= nRequired, 'Not enough multisig signatures');
+            }
+
+            // will throw for unknown hash method
+            this.claimProofs.forEach(claimProof => {
+                if (claimProof.length) this.constructor.parseClaimProof(claimProof);
+            });
         }
 
         /**
@@ -339,7 +746,7 @@ module.exports = ({Constants, Crypto, Coins}, {transactionProto, transactionPayl
 
         isContractCreation() {
             const outCoins = this.getOutCoins();
-            return outCoins[0].getReceiverAddr().equals(Crypto.getAddrContractCreation());
+            return !!outCoins.length && outCoins[0].getReceiverAddr().equals(Crypto.getAddrContractCreation());
         }
 
         /**
@@ -45,6 +45,7 @@ module.exports = ({Constants, Coins}, {txReceiptProto}) =>
 
             this._data.internalTxns = this._data.internalTxns.concat(receiptToMerge._data.internalTxns);
             this._data.coins = this._data.coins.concat(receiptToMerge._data.coins);
+            this._data.logs = this.getLogs().concat(receiptToMerge.getLogs());
 
 //            Scenario is following:
 //            - we already have receipt for some tx
@@ -154,11 +155,34 @@ module.exports = ({Constants, Coins}, {txReceiptProto}) =>
             return Coins.createFromData(this._data.coins[idx]);
         }
 
+        /**
+         *
+         * @param {Array} arrLogs - of {contractAddress: Buffer, name: String, payload: String} @see app.getLogs
+         */
+        addLogs(arrLogs) {
+            this._data.logs = this.getLogs().concat(arrLogs);
+        }
+
+        /**
+         *
+         * @return {Array} of {contractAddress: Buffer, name: String, payload: String (JSON)}
+         */
+        getLogs() {
+
+            // receipts from patches, serialized before logs were introduced, have no such field
+            return this._data.logs || [];
+        }
+
         toObject() {
             return {
                 ...this._data,
                 contractAddress: this._data.contractAddress ? this._data.contractAddress.toString('hex') : undefined,
-                internalTxns: this._data.internalTxns.map(buffHash => buffHash.toString('hex'))
+                internalTxns: this._data.internalTxns.map(buffHash => buffHash.toString('hex')),
+                logs: this.getLogs().map(({contractAddress, name, payload}) => ({
+                    contractAddress: contractAddress.toString('hex'),
+                    name,
+                    payload: JSON.parse(payload)
+                }))
             };
         }
     };
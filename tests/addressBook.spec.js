@@ -0,0 +1,140 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('./testFactory');
+const AddressBookWrapper = require('../network/addressBook');
+
+const createFakePeer = (score = 0, bTerrible = false) => ({
+    score,
+    disconnected: true,
+    isTerrible: () => bTerrible
+});
+
+describe('Address book', () => {
+    let AddressBook;
+    let mapPeers;
+    let addressBook;
+    let objSavedConstants;
+
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+
+        AddressBook = AddressBookWrapper(factory);
+    });
+
+    beforeEach(async () => {
+        const {ADDRBOOK_BUCKET_SIZE, ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP, ADDRBOOK_TRIED_BUCKETS_PER_GROUP} =
+            factory.Constants;
+        objSavedConstants = {
+            ADDRBOOK_BUCKET_SIZE,
+            ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP,
+            ADDRBOOK_TRIED_BUCKETS_PER_GROUP
+        };
+
+        mapPeers = new Map();
+        addressBook = new AddressBook(strKey => mapPeers.get(strKey));
+    });
+
+    afterEach(async () => {
+        Object.assign(factory.Constants, objSavedConstants);
+    });
+
+    it('should get network groups', async () => {
+        assert.equal(AddressBook.getGroup('8.8.4.4'), '8.8/16');
+        assert.equal(AddressBook.getGroup('::ffff:8.8.4.4'), '8.8/16');
+        assert.equal(AddressBook.getGroup('2001:4860:4860::8888'), '2001:4860/32');
+        assert.equal(
+            AddressBook.getGroup('duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad.onion'),
+            'onion:d'
+        );
+    });
+
+    it('should add to "new" table', async () => {
+        const {bAdded} = addressBook.add('key1', 'group1', 'source1');
+
+        assert.isOk(bAdded);
+        assert.isOk(addressBook.has('key1'));
+        assert.isNotOk(addressBook.isTried('key1'));
+        assert.equal(addressBook.getSourceGroup('key1'), 'source1');
+        assert.equal(addressBook.size, 1);
+    });
+
+    it('should limit buckets used by one source group', async () => {
+        for (let i = 0; i < 1000; i++) addressBook.add(`key${i}`, `group${i}`, 'source');
+
+        const setBuckets = new Set(Array.from(addressBook._mapEntries.values()).map(({nBucket}) => nBucket));
+        assert.isAtMost(setBuckets.size, factory.Constants.ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP);
+    });
+
+    it('should reject address if bucket is full', async () => {
+        factory.Constants.ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP = 1;
+        factory.Constants.ADDRBOOK_BUCKET_SIZE = 2;
+
+        for (let i = 0; i < 2; i++) {
+            mapPeers.set(`key${i}`, createFakePeer());
+            assert.isOk(addressBook.add(`key${i}`, `group${i}`, 'source').bAdded);
+        }
+
+        assert.isNotOk(addressBook.add('key3', 'group3', 'source').bAdded);
+        assert.isNotOk(addressBook.has('key3'));
+    });
+
+    it('should replace terrible address if bucket is full', async () => {
+        factory.Constants.ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP = 1;
+        factory.Constants.ADDRBOOK_BUCKET_SIZE = 2;
+
+        mapPeers.set('key0', createFakePeer());
+        mapPeers.set('key1', createFakePeer(-10, true));
+        addressBook.add('key0', 'group0', 'source');
+        addressBook.add('key1', 'group1', 'source');
+
+        const {bAdded, strEvictedKey} = addressBook.add('key3', 'group3', 'source');
+
+        assert.isOk(bAdded);
+        assert.equal(strEvictedKey, 'key1');
+        assert.isNotOk(addressBook.has('key1'));
+    });
+
+    it('should move to "tried" table', async () => {
+        addressBook.add('key1', 'group1', 'source1');
+
+        const arrDroppedKeys = addressBook.markTried('key1', 'group1');
+
+        assert.deepEqual(arrDroppedKeys, []);
+        assert.isOk(addressBook.isTried('key1'));
+        assert.equal(addressBook.getSourceGroup('key1'), 'source1');
+    });
+
+    it('should move worst "tried" entry back to "new" table', async () => {
+        factory.Constants.ADDRBOOK_TRIED_BUCKETS_PER_GROUP = 1;
+        factory.Constants.ADDRBOOK_BUCKET_SIZE = 2;
+
+        for (let i = 0; i < 3; i++) {
+            mapPeers.set(`key${i}`, createFakePeer(i === 1 ? -5 : i));
+            addressBook.add(`key${i}`, 'group', `source${i}`);
+        }
+        addressBook.markTried('key0', 'group');
+        addressBook.markTried('key1', 'group');
+
+        const arrDroppedKeys = addressBook.markTried('key2', 'group');
+
+        assert.deepEqual(arrDroppedKeys, []);
+        assert.isOk(addressBook.isTried('key0'));
+        assert.isOk(addressBook.isTried('key2'));
+        assert.isOk(addressBook.has('key1'));
+        assert.isNotOk(addressBook.isTried('key1'));
+    });
+
+    it('should remove entry', async () => {
+        addressBook.add('key1', 'group1', 'source1');
+        addressBook.markTried('key1', 'group1');
+
+        addressBook.remove('key1');
+
+        assert.isNotOk(addressBook.has('key1'));
+        assert.equal(addressBook.size, 0);
+    });
+});
@@ -170,6 +170,101 @@ describe('Application layer', () => {
         throw new Error('Unexpected success');
     });
 
+    it('should processTxInputs (SIGHASH_SINGLE_ANYONECANPAY & SIGHASH_NONE)', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+
+        // first party: "i pay for this output only"
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addReceiver(1000, generateAddress());
+        tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_SINGLE_ANYONECANPAY);
+
+        // second party adds input & "don't care" about outputs
+        tx.addInput(utxoHash, 0);
+        tx.claim(1, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+
+        const patch = await storage.getUtxosPatch(tx.utxos);
+        assert.doesNotThrow(() => app.processTxInputs(tx, patch));
+    });
+
+    it('should throw (claim hash method substituted)', async () => {
+        const app = new factory.Application();
+
+        const utxoHash = pseudoRandomBuffer().toString('hex');
+        const {storage, keyPair} = await createGenesis(factory, utxoHash);
+
+        const tx = new factory.Transaction();
+        tx.addInput(utxoHash, 12);
+        tx.addReceiver(1000, generateAddress());
+        tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+        tx.claimProofs[0][65] = factory.Constants.SIGHASH_ANYONECANPAY;
+
+        const patch = await storage.getUtxosPatch(tx.utxos);
+        assert.throws(() => app.processTxInputs(tx, patch), 'Claim failed!');
+    });
+
+    describe('Multisig', async () => {
+        let arrKeyPairs;
+        let buffRedeemScript;
+        let patchUtxos;
+        let utxoHash;
+
+        beforeEach(async () => {
+            arrKeyPairs = [1, 2, 3].map(() => factory.Crypto.createKeyPair());
+            buffRedeemScript = factory.Transaction.createMultisigScript(2, arrKeyPairs.map(kp => kp.publicKey));
+
+            utxoHash = pseudoRandomBuffer().toString('hex');
+            patchUtxos = new factory.PatchDB();
+            patchUtxos.createCoins(
+                utxoHash,
+                0,
+                new factory.Coins(1e5, factory.Transaction.getMultisigAddress(buffRedeemScript, true))
+            );
+        });
+
+        it('should processTxInputs (2 of 3)', async () => {
+            const app = new factory.Application();
+
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[0].privateKey);
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[2].privateKey);
+
+            const {totalHas} = app.processTxInputs(tx, patchUtxos);
+            assert.equal(totalHas, 1e5);
+        });
+
+        it('should throw (not enough signatures)', async () => {
+            const app = new factory.Application();
+
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[1].privateKey);
+
+            assert.throws(() => app.processTxInputs(tx, patchUtxos), 'Claim failed!');
+        });
+
+        it('should throw (another redeem script)', async () => {
+            const app = new factory.Application();
+            const buffAnotherScript = factory.Transaction.createMultisigScript(
+                1,
+                arrKeyPairs.map(kp => kp.publicKey)
+            );
+
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, buffAnotherScript, arrKeyPairs[1].privateKey);
+
+            assert.throws(() => app.processTxInputs(tx, patchUtxos), 'Claim failed!');
+        });
+    });
+
     it('should process TX from GENESIS block', async () => {
         const app = new factory.Application();
 
@@ -342,6 +437,120 @@ describe('Application layer', () => {
         assert.deepEqual(contract.getData(), {value: 200110});
     });
 
+    describe('Logs', async () => {
+        beforeEach(async () => {
+            app.setupVariables({
+                coinsLimit: coinsIn,
+                objFees: {nFeeContractInvocation, nFeeSize: nFeeSizeFakeTx, nFeeStorage},
+                bLogsAllowed: true
+            });
+        });
+
+        it('should NOT emit logs before fork', async () => {
+            app.setupVariables({
+                coinsLimit: coinsIn,
+                objFees: {nFeeContractInvocation, nFeeSize: nFeeSizeFakeTx, nFeeStorage}
+            });
+            const contract = new factory.Contract({
+                contractData: {value: 100},
+                contractCode: '{"add": "(a){this.value+=a; emit(\'Added\', a);}"}',
+                conciliumId: 10
+            });
+
+            await assert.isRejected(app.runContract(
+                {method: 'add', arrArguments: [10]},
+                contract,
+                {contractAddr: generateAddress().toString('hex')}, undefined
+            ), /emit is not defined/);
+            assert.deepEqual(app.getLogs(), []);
+        });
+
+        it('should emit logs', async () => {
+            const strContractAddr = generateAddress().toString('hex');
+            const contract = new factory.Contract({
+                contractData: {value: 100},
+                contractCode: '{"add": "(a){this.value+=a; emit(\'Added\', {a, value: this.value});}"}',
+                conciliumId: 10
+            });
+
+            await app.runContract(
+                {method: 'add', arrArguments: [10]},
+                contract,
+                {contractAddr: strContractAddr}, undefined
+            );
+
+            const arrLogs = app.getLogs();
+            assert.equal(arrLogs.length, 1);
+            assert.equal(arrLogs[0].contractAddress.toString('hex'), strContractAddr);
+            assert.equal(arrLogs[0].name, 'Added');
+            assert.deepEqual(JSON.parse(arrLogs[0].payload), {a: 10, value: 110});
+
+            // log charged as data
+            assert.isOk(app.getDataDelta() >= arrLogs[0].name.length + arrLogs[0].payload.length);
+        });
+
+        it('should throw (log too big)', async () => {
+            const contract = new factory.Contract({
+                contractData: {value: 100},
+                contractCode: `{"add": "(){emit('Big', '${'a'.repeat(factory.Constants.CONTRACT_LOG_MAX_SIZE)}');}"}`,
+                conciliumId: 10
+            });
+
+            return assert.isRejected(app.runContract(
+                {method: 'add', arrArguments: []},
+                contract,
+                {contractAddr: generateAddress().toString('hex')}, undefined
+            ), /emit: log exceed/);
+        });
+
+        it('should throw (log too big in bytes)', async () => {
+            const nChars = factory.Constants.CONTRACT_LOG_MAX_SIZE / 2;
+            const contract = new factory.Contract({
+                contractData: {value: 100},
+                contractCode: `{"add": "(){emit('Big', '${'я'.repeat(nChars)}');}"}`,
+                conciliumId: 10
+            });
+
+            return assert.isRejected(app.runContract(
+                {method: 'add', arrArguments: []},
+                contract,
+                {contractAddr: generateAddress().toString('hex')}, undefined
+            ), /emit: log exceed/);
+        });
+
+        it('should drop logs of failed nested call (caught by caller)', async () => {
+            const strContractAddr = generateAddress().toString('hex');
+            const strNestedAddr = generateAddress().toString('hex');
+            const strCall = `await call('${strNestedAddr}', {method: 'fail', arrArguments: []});`;
+            const contract = new factory.Contract({
+                contractData: {value: 100},
+                contractCode: `{"add": "<(){try{${strCall}}catch(e){} emit('Added', 1);}"}`,
+                conciliumId: 10
+            });
+            const nestedContract = new factory.Contract({
+                contractData: {},
+                contractCode: `{"fail": "(){emit('Nested', 1); throw new Error('nested failed');}"}`,
+                conciliumId: 10
+            });
+            app.setCallbacks({
+                invokeContract: async (strAddress, {method, arrArguments, environment}) => await app.runContract(
+                    {method, arrArguments}, nestedContract, {...environment, contractAddr: strAddress}
+                )
+            });
+
+            await app.runContract(
+                {method: 'add', arrArguments: []},
+                contract,
+                {contractAddr: strContractAddr}, undefined
+            );
+
+            const arrLogs = app.getLogs();
+            assert.equal(arrLogs.length, 1);
+            assert.equal(arrLogs[0].name, 'Added');
+            assert.equal(app.getDataDelta(), arrLogs[0].name.length + arrLogs[0].payload.length);
+        });
+    });
+
     it('should throw (unknown method)', async () => {
         const conciliumId = 10;
         const contract = new factory.Contract({
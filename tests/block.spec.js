@@ -190,4 +190,113 @@ describe('Block tests', () => {
             block.verify();
         });
     });
+
+    describe('Tx proof', async () => {
+        const createSignedBlock = (nTxCount, arrKeyPairs) => {
+            const block = new factory.Block(0);
+            block.parentHashes = [pseudoRandomBuffer().toString('hex')];
+            for (let i = 0; i < nTxCount; i++) block.addTx(new factory.Transaction(createDummyTx()));
+            block.finish(factory.Constants.fees.TX_FEE, generateAddress());
+            block.setHeight(20);
+            block.addWitnessSignatures(
+                arrKeyPairs.map(kp => factory.Crypto.sign(Buffer.from(block.getHash(), 'hex'), kp.privateKey))
+            );
+            return block;
+        };
+
+        const createConcilium = (arrKeyPairs, nQuorum) =>
+            factory.ConciliumRr.create(0, arrKeyPairs.map(kp => Buffer.from(kp.address, 'hex')), nQuorum);
+
+        const createProof = (block, strTxHash) => ({
+            strTxHash,
+            header: block.encodeHeader().toString('hex'),
+            signatures: block.signatures.map(buffSig => buffSig.toString('hex')),
+            branch: block.getTxProof(strTxHash)
+        });
+
+        it('should return undefined for unknown tx', async () => {
+            const block = createSignedBlock(2, []);
+
+            assert.isUndefined(block.getTxProof(pseudoRandomBuffer().toString('hex')));
+        });
+
+        it('should verify proof for every tx', async () => {
+            const kp = factory.Crypto.createKeyPair();
+            const block = createSignedBlock(6, [kp]);
+
+            for (let strTxHash of block.getTxHashes()) {
+                const strBlockHash = factory.Block.verifyTxProof(createProof(block, strTxHash), createConcilium([kp]));
+                assert.equal(strBlockHash, block.getHash());
+            }
+        });
+
+        it('should verify proof for coinbase only block', async () => {
+            const kp = factory.Crypto.createKeyPair();
+            const block = createSignedBlock(0, [kp]);
+            const [strTxHash] = block.getTxHashes();
+
+            assert.equal(
+                factory.Block.verifyTxProof(createProof(block, strTxHash), createConcilium([kp])),
+                block.getHash()
+            );
+        });
+
+        it('should FAIL to verify (bad branch)', async () => {
+            const kp = factory.Crypto.createKeyPair();
+            const block = createSignedBlock(3, [kp]);
+            const [, strTxHash, strAnotherTxHash] = block.getTxHashes();
+
+            const objProof = {...createProof(block, strTxHash), branch: block.getTxProof(strAnotherTxHash)};
+            assert.throws(() => factory.Block.verifyTxProof(objProof, createConcilium([kp])), 'Bad merkle branch');
+        });
+
+        it('should FAIL to verify (unknown witness)', async () => {
+            const kp = factory.Crypto.createKeyPair();
+            const block = createSignedBlock(3, [kp]);
+            const [strTxHash] = block.getTxHashes();
+
+            assert.throws(
+                () => factory.Block.verifyTxProof(
+                    createProof(block, strTxHash),
+                    factory.ConciliumRr.create(0, [generateAddress()])
+                ),
+                /Signature of unknown witness/
+            );
+        });
+
+        it('should FAIL to verify (not enough signatures)', async () => {
+            const [kp1, kp2] = [factory.Crypto.createKeyPair(), factory.Crypto.createKeyPair()];
+            const block = createSignedBlock(3, [kp1]);
+            const [strTxHash] = block.getTxHashes();
+
+            assert.throws(
+                () => factory.Block.verifyTxProof(createProof(block, strTxHash), createConcilium([kp1, kp2], 2)),
+                'Not enough signatures for block!'
+            );
+        });
+
+        it('should FAIL to verify (duplicate signatures don\'t add weight)', async () => {
+            const [kp1, kp2] = [factory.Crypto.createKeyPair(), factory.Crypto.createKeyPair()];
+            const block = createSignedBlock(3, [kp1]);
+            const [strTxHash] = block.getTxHashes();
+            const objProof = createProof(block, strTxHash);
+            objProof.signatures.push(objProof.signatures[0]);
+
+            assert.throws(
+                () => factory.Block.verifyTxProof(objProof, createConcilium([kp1, kp2], 2)),
+                'Not enough signatures for block!'
+            );
+        });
+
+        it('should verify proof with quorum less than witnesses count', async () => {
+            const arrKeyPairs = [1, 2, 3].map(() => factory.Crypto.createKeyPair());
+            const block = createSignedBlock(3, arrKeyPairs.slice(0, 2));
+            const [strTxHash] = block.getTxHashes();
+
+            assert.equal(
+                factory.Block.verifyTxProof(createProof(block, strTxHash), createConcilium(arrKeyPairs)),
+                block.getHash()
+            );
+        });
+    });
 });
@@ -0,0 +1,119 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('./testFactory');
+const {pseudoRandomBuffer, generateAddress} = require('./testUtil');
+
+describe('BloomFilter', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    const createTx = (strAddress) => {
+        const tx = new factory.Transaction();
+        tx.addInput(pseudoRandomBuffer(), 1);
+        tx.addReceiver(1000, Buffer.from(strAddress, 'hex'));
+        return tx;
+    };
+
+    it('should match BIP37 test vector', async () => {
+        const filter = factory.BloomFilter.create(3, 0.01, 0, factory.Constants.BLOOM_UPDATE_ALL);
+
+        filter.insert('99108ad8ed9bb6274d3980bab5a85c048f0950c8');
+        assert.isOk(filter.contains('99108ad8ed9bb6274d3980bab5a85c048f0950c8'));
+        assert.isNotOk(filter.contains('19108ad8ed9bb6274d3980bab5a85c048f0950c8'));
+
+        filter.insert('b5a2c786d9ef4658287ced5914b37a1b4aa32eee');
+        filter.insert('b9300670b4c5366e95b2699e8b18bc75e5f729c5');
+
+        assert.equal(filter.filter.toString('hex'), '614e9b');
+        assert.equal(filter.nHashFuncs, 5);
+    });
+
+    it('should match BIP37 test vector (with tweak)', async () => {
+        const filter = factory.BloomFilter.create(3, 0.01, 2147483649, factory.Constants.BLOOM_UPDATE_ALL);
+
+        filter.insert('99108ad8ed9bb6274d3980bab5a85c048f0950c8');
+        filter.insert('b5a2c786d9ef4658287ced5914b37a1b4aa32eee');
+        filter.insert('b9300670b4c5366e95b2699e8b18bc75e5f729c5');
+
+        assert.equal(filter.filter.toString('hex'), 'ce4299');
+    });
+
+    it('should cap size of filter', async () => {
+        const filter = factory.BloomFilter.create(1e6, 0.0001);
+
+        assert.equal(filter.filter.length, factory.Constants.BLOOM_MAX_FILTER_SIZE);
+        assert.isOk(filter.isWithinSizeConstraints());
+    });
+
+    it('should fail size constraints', async () => {
+        const filter = new factory.BloomFilter({
+            filter: Buffer.alloc(factory.Constants.BLOOM_MAX_FILTER_SIZE + 1),
+            nHashFuncs: 1
+        });
+
+        assert.isNotOk(filter.isWithinSizeConstraints());
+    });
+
+    it('should match nothing (empty filter)', async () => {
+        const filter = new factory.BloomFilter({filter: Buffer.alloc(0), nHashFuncs: 0});
+
+        assert.isNotOk(filter.isRelevantAndUpdate(createTx(generateAddress().toString('hex'))));
+    });
+
+    it('should match TX by hash', async () => {
+        const tx = createTx(generateAddress().toString('hex'));
+        const filter = factory.BloomFilter.create(10, 0.0001);
+        filter.insert(tx.getHash());
+
+        assert.isOk(filter.isRelevantAndUpdate(tx));
+        assert.isNotOk(filter.isRelevantAndUpdate(createTx(generateAddress().toString('hex'))));
+    });
+
+    it('should match TX by spent outpoint', async () => {
+        const strTxHash = pseudoRandomBuffer().toString('hex');
+        const tx = new factory.Transaction();
+        tx.addInput(strTxHash, 3);
+        const filter = factory.BloomFilter.create(10, 0.0001);
+        filter.insert(factory.BloomFilter.outpoint(strTxHash, 3));
+
+        assert.isOk(filter.isRelevantAndUpdate(tx));
+    });
+
+    describe('Match by receiver', async () => {
+        let strAddress;
+        let tx;
+        let txSpend;
+
+        beforeEach(async () => {
+            strAddress = generateAddress().toString('hex');
+            tx = createTx(strAddress);
+            txSpend = new factory.Transaction();
+            txSpend.addInput(tx.getHash(), 0);
+        });
+
+        it('should add matched outpoint (BLOOM_UPDATE_ALL)', async () => {
+            const filter = factory.BloomFilter.create(10, 0.0001, 0, factory.Constants.BLOOM_UPDATE_ALL);
+            filter.insert(strAddress);
+
+            assert.isOk(filter.isRelevantAndUpdate(tx));
+            assert.isOk(filter.isRelevantAndUpdate(txSpend));
+        });
+
+        it('should NOT add matched outpoint (BLOOM_UPDATE_NONE)', async () => {
+            const filter = factory.BloomFilter.create(10, 0.0001, 0, factory.Constants.BLOOM_UPDATE_NONE);
+            filter.insert(strAddress);
+
+            assert.isOk(filter.isRelevantAndUpdate(tx));
+            assert.isNotOk(filter.isRelevantAndUpdate(txSpend));
+        });
+    });
+});
@@ -29,6 +29,37 @@ describe('Coins', () => {
         assert.isOk(coin2.equals(coin1));
     });
 
+    it('should fail coins EQUALITY (different locks)', async () => {
+        const address = generateAddress();
+        const coin1 = new factory.Coins(10, address, {lockHeight: 10});
+        const coin2 = new factory.Coins(10, address, {lockHeight: 11});
+        assert.isNotOk(coin1.equals(coin2));
+    });
+
+    it('should keep raw data of unlocked coins', async () => {
+        const address = generateAddress();
+        const coins = new factory.Coins(10, address, {lockHeight: 0, lockTime: 0, relativeLock: true});
+        assert.deepEqual(coins.getRawData(), {amount: 10, receiverAddr: address});
+    });
+
+    it('should check maturity (absolute lock)', async () => {
+        const coins = new factory.Coins(10, generateAddress(), {lockHeight: 10, lockTime: 1000});
+
+        assert.isNotOk(coins.isMature(9, 1000));
+        assert.isNotOk(coins.isMature(10, 999));
+        assert.isOk(coins.isMature(10, 1000));
+    });
+
+    it('should resolve relative lock', async () => {
+        const coins = new factory.Coins(10, generateAddress(), {lockTime: 100, relativeLock: true});
+        assert.isNotOk(coins.isMature(Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER));
+
+        const coinsResolved = coins.resolveLock(5, 1000);
+        assert.isNotOk(coinsResolved.isRelativeLock());
+        assert.equal(coinsResolved.getLockHeight(), 0);
+        assert.equal(coinsResolved.getLockTime(), 1100);
+    });
+
     it('should fail coins EQUALITY', async () => {
         const coin1 = new factory.Coins(10, generateAddress());
         const coin2 = new factory.Coins(10, generateAddress());
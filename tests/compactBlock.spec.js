@@ -0,0 +1,90 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('./testFactory');
+const {createDummyBlock, createDummyTx} = require('./testUtil');
+
+describe('CompactBlock', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    const createMempool = (arrTxns) => new Map(arrTxns.map(tx => [tx.getHash(), tx]));
+
+    it('should create from block', async () => {
+        const block = createDummyBlock(factory, 0, 3);
+        const compactBlock = new factory.CompactBlock(block);
+
+        assert.equal(compactBlock.getHash(), block.getHash());
+        assert.equal(compactBlock.txCount, 4);
+    });
+
+    it('should encode/decode', async () => {
+        const block = createDummyBlock(factory, 0, 3);
+        const compactBlock = new factory.CompactBlock(block);
+
+        const restored = new factory.CompactBlock(compactBlock.encode());
+        assert.equal(restored.getHash(), block.getHash());
+        assert.equal(restored.txCount, 4);
+
+        const [, strTxHash] = block.getTxHashes();
+        assert.equal(restored.getShortId(strTxHash), compactBlock.getShortId(strTxHash));
+    });
+
+    it('should salt short ids with nonce', async () => {
+        const block = createDummyBlock(factory, 0, 1);
+        const [, strTxHash] = block.getTxHashes();
+
+        assert.notEqual(
+            new factory.CompactBlock(block, 1).getShortId(strTxHash),
+            new factory.CompactBlock(block, 2).getShortId(strTxHash)
+        );
+    });
+
+    it('should rebuild block from mempool', async () => {
+        const block = createDummyBlock(factory, 0, 3);
+        const arrTxns = block.txns.slice(1).map(objTx => new factory.Transaction(objTx));
+        const mapMempool = createMempool([...arrTxns, new factory.Transaction(createDummyTx())]);
+
+        const compactBlock = new factory.CompactBlock(new factory.CompactBlock(block).encode());
+        const arrMissed = compactBlock.rebuild([...mapMempool.keys()], strHash => mapMempool.get(strHash));
+
+        assert.deepEqual(arrMissed, []);
+        const restoredBlock = compactBlock.toBlock();
+        assert.equal(restoredBlock.getHash(), block.getHash());
+        assert.isOk(restoredBlock.encode().equals(block.encode()));
+    });
+
+    it('should report missing TXns & fill them', async () => {
+        const block = createDummyBlock(factory, 0, 3);
+        const [, tx1, tx2, tx3] = block.txns.map(objTx => new factory.Transaction(objTx));
+        const mapMempool = createMempool([tx2]);
+
+        const compactBlock = new factory.CompactBlock(new factory.CompactBlock(block).encode());
+        const arrMissed = compactBlock.rebuild([...mapMempool.keys()], strHash => mapMempool.get(strHash));
+
+        assert.deepEqual(arrMissed, [1, 3]);
+        assert.throws(() => compactBlock.toBlock());
+        assert.throws(() => compactBlock.fillMissing([tx1]));
+
+        compactBlock.fillMissing([tx1, tx3]);
+        assert.equal(compactBlock.toBlock().getHash(), block.getHash());
+    });
+
+    it('should throw for TXns that mismatch merkle root', async () => {
+        const block = createDummyBlock(factory, 0, 1);
+        const compactBlock = new factory.CompactBlock(new factory.CompactBlock(block).encode());
+
+        compactBlock.rebuild([], () => {});
+        compactBlock.fillMissing([new factory.Transaction(createDummyTx())]);
+
+        assert.throws(() => compactBlock.toBlock(), /mismatch merkle root/);
+    });
+});
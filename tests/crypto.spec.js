@@ -1,5 +1,7 @@
 const {describe, it} = require('mocha');
 const {assert} = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
 
 const Crypto = require('../crypto/crypto');
 const {prepareForStringifyObject} = require('../utils');
@@ -117,4 +119,91 @@ describe('Crypto library', () => {
 
         assert.equal(keyPair.address, Crypto.getAddress(keyPair.publicKey, false));
     });
+    it('should derive BIP32 keys (test vector 1)', async () => {
+        const buffSeed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+        assert.equal(
+            Crypto.deriveKeyPair(buffSeed, 'm').privateKey,
+            'e8f32e723decf4051aefac8e2c93c9c5b214313817cdb01a1494b917c8436b35'
+        );
+        assert.equal(
+            Crypto.deriveKeyPair(buffSeed, "m/0'").privateKey,
+            'edb2e14f9ee77d26dd93b4ecede8d16ed408ce149b6cd80b0715a2d911a0afea'
+        );
+        assert.equal(
+            Crypto.deriveKeyPair(buffSeed, "m/0'/1/2'/2/1000000000").privateKey,
+            '471b76e389e528d6de6d816857e012c5455051cad6660850e58372a6c3e6e7c8'
+        );
+    });
+
+    it('should FAIL to derive (bad path)', async () => {
+        const buffSeed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+
+        assert.throws(() => Crypto.deriveKeyPair(buffSeed, "0'/1"), 'Bad derivation path');
+        assert.throws(() => Crypto.deriveKeyPair(buffSeed, "m/a/1"), 'Bad derivation path');
+    });
+
+    it('should FAIL to derive (master key out of curve order)', async () => {
+        const buffSeed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex');
+        const buffCurveOrder = Buffer.from('fffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141', 'hex');
+
+        for (let buffIL of [Buffer.alloc(32), buffCurveOrder]) {
+            const stub = sinon.stub(crypto, 'createHmac').returns({
+                update: () => ({digest: () => Buffer.concat([buffIL, Buffer.alloc(32, 1)])})
+            });
+            try {
+                assert.throws(() => Crypto.deriveKeyPair(buffSeed, 'm'), 'Invalid master key');
+            } finally {
+                stub.restore();
+            }
+        }
+    });
+
+    it('should create seed from mnemonic', async () => {
+        const strMnemonic = Crypto.mnemonicGenerate();
+
+        assert.equal(strMnemonic.split(' ').length, 12);
+        assert.isOk(Crypto.mnemonicValidate(strMnemonic));
+        assert.equal(Crypto.mnemonicToSeed(strMnemonic).length, 64);
+
+        // BIP39 test vector
+        assert.equal(
+            Crypto.mnemonicToSeed(
+                'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about',
+                'TREZOR'
+            ).toString('hex').slice(0, 16),
+            'c55257c360c07c72'
+        );
+        assert.throws(() => Crypto.mnemonicToSeed('abandon abandon'), 'Bad mnemonic');
+    });
+
+    it('should derive same ECDH secret for both sides', async () => {
+        const keyPair1 = Crypto.createKeyPair();
+        const keyPair2 = Crypto.createKeyPair();
+
+        const buffSecret = Crypto.ecdh(keyPair1.privateKey, keyPair2.publicKey);
+        assert.equal(buffSecret.length, 32);
+        assert.isOk(buffSecret.equals(Crypto.ecdh(keyPair2.privateKey, keyPair1.publicKey)));
+    });
+
+    it('should derive key with HKDF', async () => {
+
+        // RFC 5869 test case 3
+        assert.equal(
+            Crypto.hkdf(Buffer.from('0b'.repeat(22), 'hex'), Buffer.alloc(0), '', 42).toString('hex'),
+            '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8'
+        );
+    });
+
+    it('should encrypt/decrypt with AEAD', async () => {
+        const buffKey = Crypto.randomBytes(32);
+        const buffNonce = Crypto.randomBytes(12);
+        const buffData = Buffer.from('Some data');
+
+        const buffEncrypted = Crypto.aeadEncrypt(buffKey, buffNonce, buffData);
+        assert.isOk(Crypto.aeadDecrypt(buffKey, buffNonce, buffEncrypted).equals(buffData));
+
+        buffEncrypted[0] ^= 1;
+        assert.throws(() => Crypto.aeadDecrypt(buffKey, buffNonce, buffEncrypted));
+    });
 });
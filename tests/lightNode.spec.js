@@ -0,0 +1,275 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const chai = require('chai');
+const {assert} = chai;
+const sinon = require('sinon');
+
+chai.use(require('chai-as-promised'));
+
+const factory = require('./testFactory');
+
+const {createDummyBlock, createDummyPeer, pseudoRandomBuffer, generateAddress} = require('./testUtil');
+
+const createGenesis = () => {
+    const genesis = createDummyBlock(factory);
+    genesis.setHeight(0);
+    factory.Constants.GENESIS_BLOCK = genesis.getHash();
+    return genesis;
+};
+
+const createSignedChild = (parent, arrKeyPairs, nConciliumId = 0) => {
+    const block = createDummyBlock(factory, nConciliumId, 1);
+    block.parentHashes = [parent.getHash()];
+    block.setHeight(parent.getHeight() + 1);
+    block.addWitnessSignatures(arrKeyPairs.map(keyPair => factory.Crypto.sign(block.hash(), keyPair.privateKey)));
+    return block;
+};
+
+const createLightNode = (arrKeyPairs) => {
+    const concilium = factory.ConciliumRr.create(0, arrKeyPairs.map(keyPair => keyPair.address));
+    return new factory.LightNode({arrConciliumDefinitions: [concilium.toObject()]});
+};
+
+const createHeadersMsg = (arrBlocks) => {
+    const msg = new factory.Messages.MsgHeaders();
+    arrBlocks.forEach(block => msg.addBlock(block));
+    return new factory.Messages.MsgCommon(msg.encode());
+};
+
+const createRequestedPeer = () => {
+    const peer = createDummyPeer(factory);
+    peer.isGetBlocksSent = sinon.fake.returns(true);
+    peer.doneGetBlocks = sinon.fake();
+    peer.markAsEven = sinon.fake();
+    peer.markAsPossiblyAhead = sinon.fake();
+    peer.misbehave = sinon.fake();
+    peer.pushMessage = sinon.fake();
+    return peer;
+};
+
+describe('Light node', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should create light node', async () => {
+        const node = new factory.LightNode();
+        await node.ensureLoaded();
+
+        assert.isOk(node);
+        assert.isNotOk(await node._isBlockRetained(pseudoRandomBuffer().toString('hex')));
+    });
+
+    it('should request headers instead of blocks', async () => {
+        const node = new factory.LightNode();
+        await node.ensureLoaded();
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+
+        await node._requestBlocksFromPeer(peer);
+
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isGetHeaders());
+        assert.deepEqual(msg.arrHashes, []);
+    });
+
+    it('should request headers for announced unknown block', async () => {
+        const node = new factory.LightNode();
+        await node.ensureLoaded();
+        const peer = createDummyPeer(factory);
+        peer.isGetBlocksSent = sinon.fake.returns(false);
+        peer.pushMessage = sinon.fake();
+
+        const inv = new factory.Inventory();
+        inv.addBlockHash(pseudoRandomBuffer());
+        inv.addTxHash(pseudoRandomBuffer());
+        const msgInv = new factory.Messages.MsgInv(inv);
+
+        await node._handleInvMessage(peer, new factory.Messages.MsgCommon(msgInv.encode()));
+
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isGetHeaders());
+    });
+
+    it('should accept signed headers and track finality', async () => {
+        const arrKeyPairs = [factory.Crypto.createKeyPair(), factory.Crypto.createKeyPair()];
+        const node = createLightNode(arrKeyPairs);
+        await node.ensureLoaded();
+        node._requestTxProofs = sinon.fake();
+
+        const genesis = createGenesis();
+        const block1 = createSignedChild(genesis, arrKeyPairs);
+        const block2 = createSignedChild(block1, arrKeyPairs);
+        const peer = createRequestedPeer();
+
+        await node._handleHeadersMessage(peer, createHeadersMsg([genesis, block1, block2]));
+
+        assert.isNotOk(peer.misbehave.called);
+        assert.isOk(peer.markAsEven.calledOnce);
+        assert.isOk(node._requestTxProofs.calledOnce);
+        assert.equal(node._mainDag.order, 3);
+
+        // single concilium: every header becomes final
+        assert.isOk(node._mainDag.getBlockInfo(block2.getHash()).isFinal());
+        const storedBi = await node._storage.getBlockInfo(block1.getHash());
+        assert.isOk(storedBi.isFinal());
+        assert.deepEqual(await node._storage.getLastAppliedBlockHashes(), [block2.getHash()]);
+    });
+
+    it('should reject header without quorum', async () => {
+        const arrKeyPairs = [factory.Crypto.createKeyPair(), factory.Crypto.createKeyPair()];
+        const node = createLightNode(arrKeyPairs);
+        await node.ensureLoaded();
+
+        const genesis = createGenesis();
+        const block1 = createSignedChild(genesis, [arrKeyPairs[0]]);
+        await node._acceptHeader(new factory.BlockInfo(genesis.header), []);
+
+        return assert.isRejected(
+            node._acceptHeader(new factory.BlockInfo(block1.header), block1.signatures),
+            'Not enough signatures for block!'
+        );
+    });
+
+    it('should reject header signed by unknown witness', async () => {
+        const arrKeyPairs = [factory.Crypto.createKeyPair()];
+        const node = createLightNode(arrKeyPairs);
+        await node.ensureLoaded();
+
+        const genesis = createGenesis();
+        const block1 = createSignedChild(genesis, [factory.Crypto.createKeyPair()]);
+        await node._acceptHeader(new factory.BlockInfo(genesis.header), []);
+
+        return assert.isRejected(
+            node._acceptHeader(new factory.BlockInfo(block1.header), block1.signatures),
+            /Bad signature for block/
+        );
+    });
+
+    it('should skip header with unknown parents', async () => {
+        const arrKeyPairs = [factory.Crypto.createKeyPair()];
+        const node = createLightNode(arrKeyPairs);
+        await node.ensureLoaded();
+
+        const genesis = createGenesis();
+        const block1 = createSignedChild(genesis, arrKeyPairs);
+
+        assert.isNotOk(await node._acceptHeader(new factory.BlockInfo(block1.header), block1.signatures));
+        assert.isNotOk(node._mainDag.getBlockInfo(block1.getHash()));
+    });
+
+    it('should penalize unrequested headers', async () => {
+        const node = new factory.LightNode();
+        await node.ensureLoaded();
+        const peer = createRequestedPeer();
+        peer.isGetBlocksSent = sinon.fake.returns(false);
+
+        await node._handleHeadersMessage(peer, createHeadersMsg([createGenesis()]));
+
+        assert.isOk(peer.misbehave.calledOnce);
+        assert.equal(node._mainDag.order, 0);
+    });
+
+    it('should request TX proofs for watched addresses', async () => {
+        const node = new factory.LightNode();
+        await node.ensureLoaded();
+        const strAddress = generateAddress().toString('hex');
+        node._storage.getWalletsAddresses = sinon.fake.resolves([strAddress]);
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+
+        await node._requestTxProofs(peer);
+
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isGetTxProofs());
+        assert.deepEqual(msg.arrAddresses, [strAddress]);
+        assert.equal(msg.fromHeight, 0);
+    });
+
+    it('should split TX proofs request (too many watched addresses)', async () => {
+        const node = new factory.LightNode();
+        await node.ensureLoaded();
+        const arrAddresses = new Array(factory.Constants.TX_PROOFS_MAX_ADDRESSES + 1)
+            .fill(0)
+            .map(() => generateAddress().toString('hex'));
+        node._storage.getWalletsAddresses = sinon.fake.resolves(arrAddresses);
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+
+        await node._requestTxProofs(peer);
+
+        assert.equal(peer.pushMessage.callCount, 2);
+        const [[msgFirst], [msgSecond]] = peer.pushMessage.args;
+        assert.equal(msgFirst.arrAddresses.length, factory.Constants.TX_PROOFS_MAX_ADDRESSES);
+        assert.deepEqual(msgSecond.arrAddresses, [arrAddresses[arrAddresses.length - 1]]);
+        assert.equal(msgSecond.fromHeight, msgFirst.fromHeight);
+    });
+
+    describe('TX proofs', async () => {
+        let node;
+        let block;
+        let strTxHash;
+
+        beforeEach(async () => {
+            const arrKeyPairs = [factory.Crypto.createKeyPair()];
+            node = createLightNode(arrKeyPairs);
+            await node.ensureLoaded();
+
+            const genesis = createGenesis();
+            block = createSignedChild(genesis, arrKeyPairs);
+            await node._acceptHeader(new factory.BlockInfo(genesis.header), []);
+            await node._acceptHeader(new factory.BlockInfo(block.header), block.signatures);
+
+            [, strTxHash] = block.getTxHashes();
+        });
+
+        const createProofsMsg = (block, strTxHash, arrBranch) => {
+            const msg = new factory.Messages.MsgTxProofs();
+            msg.addProof(new factory.Transaction(block.txns[1]), block.getHash(), arrBranch);
+            return new factory.Messages.MsgCommon(msg.encode());
+        };
+
+        it('should store TX with valid proof', async () => {
+            await node._handleTxProofsMessage(
+                createDummyPeer(factory),
+                createProofsMsg(block, strTxHash, block.getTxProof(strTxHash))
+            );
+
+            const [{tx, strBlockHash, bFinal}] = node.getWatchedTxns();
+            assert.equal(tx.getHash(), strTxHash);
+            assert.equal(strBlockHash, block.getHash());
+            assert.isOk(bFinal);
+        });
+
+        it('should throw on bad merkle branch', async () => {
+            const arrBranch = block.getTxProof(strTxHash);
+            arrBranch[0].hash = pseudoRandomBuffer().toString('hex');
+
+            await assert.isRejected(
+                node._handleTxProofsMessage(createDummyPeer(factory), createProofsMsg(block, strTxHash, arrBranch)),
+                /Bad merkle branch/
+            );
+            assert.equal(node.getWatchedTxns().length, 0);
+        });
+
+        it('should skip proof for unknown header', async () => {
+            const unknownBlock = createDummyBlock(factory, 0, 1);
+            const [, strUnknownTxHash] = unknownBlock.getTxHashes();
+
+            await node._handleTxProofsMessage(
+                createDummyPeer(factory),
+                createProofsMsg(unknownBlock, strUnknownTxHash, unknownBlock.getTxProof(strUnknownTxHash))
+            );
+
+            assert.equal(node.getWatchedTxns().length, 0);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 const fs = require('fs');
+const crypto = require('crypto');
 const {describe, it} = require('mocha');
 const {assert} = require('chai');
 const {sleep, createDummyTx, pseudoRandomBuffer} = require('./testUtil');
@@ -143,6 +144,23 @@ describe('Mempool tests', () => {
         assert.equal(arrTxns.length, 3);
     });
 
+    it('should hold back locked txns', async () => {
+        const mempool = new factory.Mempool({testStorage: true});
+        const tx1 = new factory.Transaction(createDummyTx());
+        const tx2 = new factory.Transaction(createDummyTx());
+        tx2.rawData.payload.lockHeight = 10;
+        const tx3 = new factory.Transaction(createDummyTx());
+        tx3.rawData.payload.lockTime = 1000;
+
+        mempool.addTx(tx1);
+        mempool.addTx(tx2);
+        mempool.addLocalTx(tx3);
+
+        assert.equal(mempool.getFinalTxns(0, 9, 999).length, 1);
+        assert.equal(mempool.getFinalTxns(0, 10, 999).length, 2);
+        assert.equal(mempool.getFinalTxns(0, 10, 1000).length, 3);
+    });
+
     it('should remove oldest txns with age > TX_LIFETIME(5s.)', async function() {
         const clock = sinon.useFakeTimers();
 
@@ -222,7 +240,7 @@ describe('Mempool tests', () => {
     });
 
     it('should dump local TXns to disk', async () => {
-        const mempool = new factory.Mempool({testStorage: false});
+        const mempool = new factory.Mempool({storageBackend: 'leveldb'});
 
         const tx = new factory.Transaction(createDummyTx());
         mempool.addLocalTx(tx);
@@ -234,7 +252,7 @@ describe('Mempool tests', () => {
     });
 
     it('should load local TXns from disk', async () => {
-        const mempool = new factory.Mempool({testStorage: false});
+        const mempool = new factory.Mempool({storageBackend: 'leveldb'});
 
         sinon.restore();
         sinon.stub(fs, 'readFileSync')
@@ -290,6 +308,16 @@ describe('Mempool tests', () => {
         assert.strictEqual(mempool._calcSize(), 3);
     });
 
+    it('should getOccupancy', async () => {
+        const mempool = new factory.Mempool({testStorage: true});
+        assert.strictEqual(mempool.getOccupancy(), 0);
+
+        mempool.addTx(new factory.Transaction(createDummyTx(undefined, 0)));
+        mempool.addTx(new factory.Transaction(createDummyTx(undefined, 1)));
+
+        assert.strictEqual(mempool.getOccupancy(), 2 / factory.Constants.MEMPOOL_TX_QTY);
+    });
+
     it('should _calcPrefferedSize', async () => {
         const mempool = new factory.Mempool({testStorage: true});
         mempool.setPreferredConciliums([1, 2, 4]);
@@ -304,51 +332,193 @@ describe('Mempool tests', () => {
         assert.strictEqual(mempool._calcPrefferedSize(), 1);
     });
 
+    describe('Replace-by-fee & packages', async () => {
+        // pseudoRandomBuffer randomizes only first byte, so txns spending same UTXO could be identical
+        const createTx = (buffHash, bReplaceable = false) => {
+            const objData = createDummyTx(buffHash || crypto.randomBytes(32));
+            objData.payload.ins[0].nTxOutput = 1;
+            objData.payload.outs[0].amount = 1000;
+            objData.payload.outs[0].receiverAddr = crypto.randomBytes(20);
+            objData.payload.replaceable = bReplaceable;
+            return new factory.Transaction(objData);
+        };
+
+        let buffUtxo;
+        beforeEach(async () => {
+            buffUtxo = crypto.randomBytes(32);
+        });
+
+        it('should FAIL to replace non replaceable tx', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            mempool.addTx(createTx(buffUtxo), 100);
+
+            assert.throws(() => mempool.addTx(createTx(buffUtxo), 1e6), /non replaceable/);
+        });
+
+        it('should FAIL to replace (fee too low)', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const tx = createTx(buffUtxo, true);
+            mempool.addTx(tx, 1e4);
+
+            assert.throws(() => mempool.addTx(createTx(buffUtxo), 1e4 + 1), /should pay at least/);
+            assert.isOk(mempool.hasTx(tx.getHash()));
+        });
+
+        it('should replace tx with descendants', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const tx = createTx(buffUtxo, true);
+            const txChild = createTx(tx.hash());
+            const txUnrelated = createTx();
+            mempool.addTx(tx, 1e3);
+            mempool.addTx(txChild, 1e3);
+            mempool.addTx(txUnrelated, 1e3);
+
+            const txReplacement = createTx(buffUtxo);
+            const arrEvicted = mempool.addTx(txReplacement, 1e4);
+
+            assert.isOk(arrayEquals(arrEvicted.sort(), [tx.getHash(), txChild.getHash()].sort()));
+            assert.isNotOk(mempool.hasTx(tx.getHash()));
+            assert.isNotOk(mempool.hasTx(txChild.getHash()));
+            assert.isOk(mempool.hasTx(txReplacement.getHash()));
+            assert.isOk(mempool.hasTx(txUnrelated.getHash()));
+        });
+
+        it('should replace local tx', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const tx = createTx(buffUtxo, true);
+            mempool.addLocalTx(tx, undefined, false, 1e3);
+
+            const arrEvicted = mempool.findReplacedTxns(createTx(buffUtxo), 1e4);
+
+            assert.deepEqual(arrEvicted, [tx.getHash()]);
+        });
+
+        it('should select parent with child by combined feerate', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const txOther = createTx();
+            const txParent = createTx(buffUtxo);
+            const txChild = createTx(txParent.hash());
+
+            // child added first, so it's not mempool order
+            mempool.addTx(txOther, 1e3);
+            mempool.addTx(txChild, 1e4);
+            mempool.addTx(txParent, 0);
+
+            const arrTxns = mempool.getFinalTxns(0);
+
+            assert.deepEqual(arrTxns.map(tx => tx.getHash()),
+                [txParent.getHash(), txChild.getHash(), txOther.getHash()]
+            );
+        });
+
+        it('should hold back child of locked parent', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const txParent = createTx(buffUtxo);
+            txParent.rawData.payload.lockHeight = 10;
+            const txChild = createTx(txParent.hash());
+            mempool.addTx(txParent, 1e3);
+            mempool.addTx(txChild, 1e3);
+
+            assert.equal(mempool.getFinalTxns(0, 9).length, 0);
+            assert.equal(mempool.getFinalTxns(0, 10).length, 2);
+        });
+    });
+
     describe('_purgeMaps', async () => {
-        it('should pass for one map ', async () => {
+        const addTx = (mempool, nFee, nConciliumId = 0, buffHash) => {
+            const tx = new factory.Transaction(createDummyTx(buffHash, nConciliumId));
+            mempool.addTx(tx, nFee);
+            return tx.getHash();
+        };
+
+        it('should evict lowest feerate txns', async () => {
             const mempool = new factory.Mempool({testStorage: true});
+            const arrHashes = [4e3, 1e3, 3e3, 2e3].map(nFee => addTx(mempool, nFee));
 
+            mempool._purgeMaps([0], 2);
+
+            assert.deepEqual(mempool.getContent(), [arrHashes[0], arrHashes[2]]);
+        });
+
+        it('should pass proportionally for two conciliums', async () => {
             {
-                const sampleMap = new Map([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
-                mempool._purgeMaps([sampleMap], 3);
-                assert.equal(sampleMap.size, 3);
-            }
-            {
-                const sampleMap = new Map([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
-                mempool._purgeMaps([sampleMap], 0);
-                assert.equal(sampleMap.size, 0);
+                const mempool = new factory.Mempool({testStorage: true});
+                [1e3, 2e3, 3e3, 4e3].forEach(nFee => addTx(mempool, nFee));
+                addTx(mempool, 1e3, 1);
+
+                mempool._purgeMaps([0, 1], 3);
+                assert.equal(mempool._mapConcilimTxns.get(0).size, 2);
+                assert.equal(mempool._mapConcilimTxns.get(1).size, 1);
             }
             {
-                const sampleMap = new Map([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
-                mempool._purgeMaps([sampleMap], 4);
-                assert.equal(sampleMap.size, 4);
+                const mempool = new factory.Mempool({testStorage: true});
+                [1e3, 2e3, 3e3, 4e3].forEach(nFee => addTx(mempool, nFee));
+                addTx(mempool, 1e3, 1);
+
+                mempool._purgeMaps([0, 1], 2);
+                assert.equal(mempool._mapConcilimTxns.get(0).size, 2);
+                assert.equal(mempool._mapConcilimTxns.get(1).size, 0);
             }
         });
 
-        it('should pass proportionally for two map ', async () => {
+        it('should keep parent paid by child', async () => {
             const mempool = new factory.Mempool({testStorage: true});
+            const strParentHash = addTx(mempool, 0);
+            const strChildHash = addTx(mempool, 1e4, 0, Buffer.from(strParentHash, 'hex'));
+            addTx(mempool, 1e3);
 
-            {
-                const sampleMap1 = new Map([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
-                const sampleMap2 = new Map([[1, 'a']]);
-                mempool._purgeMaps([sampleMap1, sampleMap2], 4);
-                assert.equal(sampleMap1.size, 3);
-                assert.equal(sampleMap2.size, 1);
-            }
-            {
-                const sampleMap1 = new Map([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
-                const sampleMap2 = new Map([[1, 'a']]);
-                mempool._purgeMaps([sampleMap1, sampleMap2], 3);
-                assert.equal(sampleMap1.size, 2);
-                assert.equal(sampleMap2.size, 1);
-            }
-            {
-                const sampleMap1 = new Map([[1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']]);
-                const sampleMap2 = new Map([[1, 'a']]);
-                mempool._purgeMaps([sampleMap1, sampleMap2], 2);
-                assert.equal(sampleMap1.size, 2);
-                assert.equal(sampleMap2.size, 0);
-            }
+            mempool._purgeMaps([0], 2);
+
+            assert.deepEqual(mempool.getContent(), [strParentHash, strChildHash]);
+        });
+
+        it('should evict child before parent', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const strParentHash = addTx(mempool, 1e3);
+            addTx(mempool, 1e3, 0, Buffer.from(strParentHash, 'hex'));
+            const strHash = addTx(mempool, 4e3);
+
+            mempool._purgeMaps([0], 2);
+
+            assert.deepEqual(mempool.getContent(), [strParentHash, strHash]);
+        });
+
+        it('should evict descendants', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const strParentHash = addTx(mempool, 0);
+            const txLocal = new factory.Transaction(createDummyTx(Buffer.from(strParentHash, 'hex')));
+            mempool.addLocalTx(txLocal);
+            const strHash = addTx(mempool, 1e3);
+
+            mempool._purgeMaps([0], 1);
+
+            assert.deepEqual(mempool.getContent(), [strHash]);
+        });
+
+        it('should evict oldest of equal feerate txns', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const arrHashes = [1, 2, 3].map(() => {
+                const objData = createDummyTx();
+                objData.payload.ins[0].nTxOutput = 1;
+                objData.payload.outs[0].amount = 1000;
+                const tx = new factory.Transaction(objData);
+                mempool.addTx(tx, 1e3);
+                return tx.getHash();
+            });
+
+            mempool._purgeMaps([0], 2);
+
+            assert.deepEqual(mempool.getContent(), [arrHashes[1], arrHashes[2]]);
+        });
+
+        it('should getFinalTxns ordered by feerate', async () => {
+            const mempool = new factory.Mempool({testStorage: true});
+            const arrHashes = [1e3, 3e3, 2e3].map(nFee => addTx(mempool, nFee));
+
+            assert.deepEqual(
+                mempool.getFinalTxns(0).map(tx => tx.getHash()),
+                [arrHashes[1], arrHashes[2], arrHashes[0]]
+            );
         });
     });
 
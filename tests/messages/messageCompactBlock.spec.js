@@ -0,0 +1,61 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+const {createDummyBlock} = require('../testUtil');
+
+describe('Compact block messages', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should encode/decode MsgCompactBlock', async () => {
+        const block = createDummyBlock(factory, 0, 2);
+        const msg = new factory.Messages.MsgCompactBlock(block);
+        assert.isOk(msg.isCompactBlock());
+
+        const restored = new factory.Messages.MsgCompactBlock(new factory.Messages.MsgCommon(msg.encode()));
+        const compactBlock = restored.compactBlock;
+        assert.equal(compactBlock.getHash(), block.getHash());
+        assert.equal(compactBlock.txCount, 3);
+    });
+
+    it('should encode/decode MsgGetBlockTxn', async () => {
+        const block = createDummyBlock(factory);
+        const msg = new factory.Messages.MsgGetBlockTxn({
+            blockHash: Buffer.from(block.getHash(), 'hex'),
+            indexes: [1, 3]
+        });
+        assert.isOk(msg.isGetBlockTxn());
+
+        const restored = new factory.Messages.MsgGetBlockTxn(msg.encode());
+        assert.equal(restored.strBlockHash, block.getHash());
+        assert.deepEqual(restored.arrIndexes, [1, 3]);
+    });
+
+    it('should encode/decode MsgBlockTxn', async () => {
+        const block = createDummyBlock(factory, 0, 2);
+        const [, strTxHash] = block.getTxHashes();
+        const msg = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+        assert.isOk(msg.isBlockTxn());
+        msg.addTx(new factory.Transaction(block.txns[1]));
+
+        const restored = new factory.Messages.MsgBlockTxn(msg.encode());
+        assert.equal(restored.strBlockHash, block.getHash());
+        assert.equal(restored.arrTxns.length, 1);
+        assert.equal(restored.arrTxns[0].getHash(), strTxHash);
+    });
+
+    it('should throw (wrong message type)', async () => {
+        const msg = new factory.Messages.MsgBlock(createDummyBlock(factory));
+
+        assert.throws(() => new factory.Messages.MsgCompactBlock(msg.encode()));
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+const {createDummyBlock, generateAddress, pseudoRandomBuffer} = require('../testUtil');
+
+describe('Bloom filter messages', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should encode/decode MsgFilterLoad', async () => {
+        const strAddress = generateAddress().toString('hex');
+        const filter = factory.BloomFilter.create(10, 0.0001, 12, factory.Constants.BLOOM_UPDATE_ALL);
+        filter.insert(strAddress);
+
+        const msg = new factory.Messages.MsgFilterLoad(filter);
+        assert.isOk(msg.isFilterLoad());
+
+        const restored = new factory.Messages.MsgFilterLoad(new factory.Messages.MsgCommon(msg.encode())).bloomFilter;
+        assert.isOk(restored.filter.equals(filter.filter));
+        assert.equal(restored.nHashFuncs, filter.nHashFuncs);
+        assert.equal(restored.nTweak, 12);
+        assert.equal(restored.nFlags, factory.Constants.BLOOM_UPDATE_ALL);
+        assert.isOk(restored.contains(strAddress));
+    });
+
+    it('should encode/decode MsgFilterAdd', async () => {
+        const buffData = pseudoRandomBuffer();
+        const msg = new factory.Messages.MsgFilterAdd({data: buffData});
+        assert.isOk(msg.isFilterAdd());
+
+        const restored = new factory.Messages.MsgFilterAdd(msg.encode());
+        assert.isOk(restored.data.equals(buffData));
+    });
+
+    it('should encode/decode filterclear', async () => {
+        const msg = new factory.Messages.MsgCommon();
+        msg.filterClearMessage = true;
+
+        assert.isOk(new factory.Messages.MsgCommon(msg.encode()).isFilterClear());
+    });
+
+    it('should encode/decode MsgMerkleBlock', async () => {
+        const block = createDummyBlock(factory, 0, 4);
+        block.addWitnessSignatures([pseudoRandomBuffer(65)]);
+        const [, , strTxHash] = block.getTxHashes();
+
+        const msg = new factory.Messages.MsgMerkleBlock(block);
+        assert.isOk(msg.isMerkleBlock());
+        msg.addTx(new factory.Transaction(block.txns[2]), block.getTxProof(strTxHash));
+
+        const restored = new factory.Messages.MsgMerkleBlock(new factory.Messages.MsgCommon(msg.encode()));
+        assert.equal(restored.blockInfo.getHash(), block.getHash());
+        assert.isOk(restored.arrSignatures[0].equals(block.signatures[0]));
+
+        const [{tx, arrBranch}] = restored.arrMatchedTxns;
+        assert.equal(tx.getHash(), strTxHash);
+        assert.isOk(factory.Block.verifyMerkleBranch(strTxHash, arrBranch, Buffer.from(block.merkleRoot)));
+    });
+
+    it('should throw (wrong message type)', async () => {
+        const msg = new factory.Messages.MsgFilterAdd({data: pseudoRandomBuffer()});
+
+        assert.throws(() => new factory.Messages.MsgMerkleBlock(msg.encode()));
+    });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+const {pseudoRandomBuffer, createDummyBlock} = require('../testUtil');
+const {arrayEquals} = require('../../utils');
+
+describe('MessageHeaders', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should create empty MsgGetHeaders', async () => {
+        const msg = new factory.Messages.MsgGetHeaders();
+        assert.isOk(msg.isGetHeaders());
+        assert.isNotOk(msg.isGetBlocks());
+    });
+
+    it('should encode/decode MsgGetHeaders', async () => {
+        const arrHashes = [pseudoRandomBuffer().toString('hex'), pseudoRandomBuffer().toString('hex')];
+        const msg = new factory.Messages.MsgGetHeaders();
+        msg.arrHashes = arrHashes;
+
+        const restored = new factory.Messages.MsgGetHeaders(msg.encode());
+        assert.isOk(restored.isGetHeaders());
+        assert.isOk(arrayEquals(restored.arrHashes, arrHashes));
+    });
+
+    it('should create empty MsgHeaders', async () => {
+        const msg = new factory.Messages.MsgHeaders();
+        assert.isOk(msg.isHeaders());
+        assert.deepEqual(msg.arrSignedHeaders, []);
+    });
+
+    it('should encode/decode MsgHeaders', async () => {
+        const block = createDummyBlock(factory);
+        const keyPair = factory.Crypto.createKeyPair();
+        const buffSignature = factory.Crypto.sign(block.hash(), keyPair.privateKey);
+        block.addWitnessSignatures([buffSignature]);
+
+        const msg = new factory.Messages.MsgHeaders();
+        msg.addBlock(block);
+
+        const restored = new factory.Messages.MsgHeaders(msg.encode());
+        const [{blockInfo, arrSignatures}] = restored.arrSignedHeaders;
+
+        assert.equal(blockInfo.getHash(), block.getHash());
+        assert.equal(blockInfo.getHeight(), block.getHeight());
+        assert.isOk(arrayEquals(blockInfo.parentHashes, block.parentHashes));
+        assert.equal(arrSignatures.length, 1);
+        assert.isOk(arrSignatures[0].equals(buffSignature));
+    });
+
+    it('should throw on wrong message type', async () => {
+        const msg = new factory.Messages.MsgGetHeaders();
+
+        assert.throws(() => new factory.Messages.MsgHeaders(msg.encode()));
+    });
+});
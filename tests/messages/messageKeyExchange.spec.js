@@ -0,0 +1,44 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+
+describe('MessageKeyExchange', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should FAIL to create empty', async () => {
+        assert.throws(() => new factory.Messages.MsgKeyExchange());
+    });
+
+    it('should encode/decode', async () => {
+        const strIdentityKey = factory.Crypto.createKeyPair().publicKey;
+        const strEphemeralKey = factory.Crypto.createKeyPair().publicKey;
+        const msg = new factory.Messages.MsgKeyExchange({
+            identityKey: Buffer.from(strIdentityKey, 'hex'),
+            ephemeralKey: Buffer.from(strEphemeralKey, 'hex')
+        });
+        assert.isOk(msg.isKeyExchange());
+
+        const msgDecoded = new factory.Messages.MsgKeyExchange(msg.encode());
+
+        assert.isOk(msgDecoded.isKeyExchange());
+        assert.equal(msgDecoded.identityKey, strIdentityKey);
+        assert.equal(msgDecoded.ephemeralKey, strEphemeralKey);
+    });
+
+    it('should FAIL to decode wrong message type', async () => {
+        const msg = new factory.Messages.MsgCommon();
+        msg.message = 'test';
+
+        assert.throws(() => new factory.Messages.MsgKeyExchange(msg.encode()), 'Wrong message type');
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+const {createDummyBlock} = require('../testUtil');
+
+const factory = require('../testFactory');
+
+describe('MessageNotFound', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    it('should create empty message', async () => {
+        const msg = new factory.Messages.MsgNotFound();
+        assert.equal(msg.network, factory.Constants.network);
+        assert.isOk(msg.isNotFound());
+    });
+
+    it('should encode/decode message', async () => {
+        const inv = new factory.Inventory();
+        const block = createDummyBlock(factory);
+        inv.addBlock(block);
+        const msg = new factory.Messages.MsgNotFound(inv);
+
+        const msgCommon = new factory.Messages.MsgCommon(msg.encode());
+        const restoredMsg = new factory.Messages.MsgNotFound(msgCommon);
+
+        assert.isOk(restoredMsg.isNotFound());
+        assert.equal(restoredMsg.inventory.vector.length, 1);
+        assert.equal(restoredMsg.inventory.vector[0].hash.toString('hex'), block.getHash());
+    });
+
+    it('should FAIL to decode other message', async () => {
+        const msgCommon = new factory.Messages.MsgCommon(new factory.Messages.MsgTx().encode());
+
+        assert.throws(() => new factory.Messages.MsgNotFound(msgCommon), /Wrong message type/);
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+
+describe('MessagePing & MessagePong', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should encode/decode MsgPing', async () => {
+        const msg = new factory.Messages.MsgPing({nonce: 12345});
+        assert.isOk(msg.isPing());
+
+        const msgDecoded = new factory.Messages.MsgPing(msg.encode());
+
+        assert.isOk(msgDecoded.isPing());
+        assert.equal(msgDecoded.nonce, 12345);
+    });
+
+    it('should encode/decode MsgPong', async () => {
+        const msg = new factory.Messages.MsgPong({nonce: 12345});
+        assert.isOk(msg.isPong());
+
+        const msgDecoded = new factory.Messages.MsgPong(msg.encode());
+
+        assert.isOk(msgDecoded.isPong());
+        assert.equal(msgDecoded.nonce, 12345);
+    });
+
+    it('should decode ping of old node (w/o payload)', async () => {
+        const msg = new factory.Messages.MsgCommon();
+        msg.pingMessage = true;
+
+        const msgDecoded = new factory.Messages.MsgPing(msg.encode());
+
+        assert.equal(msgDecoded.nonce, 0);
+    });
+
+    it('should FAIL to decode wrong message type', async () => {
+        const msg = new factory.Messages.MsgCommon();
+        msg.message = 'test';
+
+        assert.throws(() => new factory.Messages.MsgPing(msg.encode()), 'Wrong message type');
+        assert.throws(() => new factory.Messages.MsgPong(msg.encode()), 'Wrong message type');
+    });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('../testFactory');
+const {createDummyBlock, generateAddress} = require('../testUtil');
+const {arrayEquals} = require('../../utils');
+
+describe('MessageTxProofs', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should create empty MsgGetTxProofs', async () => {
+        const msg = new factory.Messages.MsgGetTxProofs();
+        assert.isOk(msg.isGetTxProofs());
+        assert.equal(msg.fromHeight, 0);
+    });
+
+    it('should encode/decode MsgGetTxProofs', async () => {
+        const arrAddresses = [generateAddress().toString('hex'), generateAddress().toString('hex')];
+        const msg = new factory.Messages.MsgGetTxProofs();
+        msg.arrAddresses = arrAddresses;
+        msg.fromHeight = 10;
+
+        const restored = new factory.Messages.MsgGetTxProofs(msg.encode());
+        assert.isOk(arrayEquals(restored.arrAddresses, arrAddresses));
+        assert.equal(restored.fromHeight, 10);
+    });
+
+    it('should encode/decode MsgTxProofs', async () => {
+        const block = createDummyBlock(factory, 0, 4);
+        const [, strTxHash] = block.getTxHashes();
+        const tx = new factory.Transaction(block.txns[1]);
+
+        const msg = new factory.Messages.MsgTxProofs();
+        assert.isOk(msg.isTxProofs());
+        msg.addProof(tx, block.getHash(), block.getTxProof(strTxHash));
+
+        const restored = new factory.Messages.MsgTxProofs(msg.encode());
+        const [{tx: restoredTx, strBlockHash, arrBranch}] = restored.arrProofs;
+
+        assert.equal(restoredTx.getHash(), strTxHash);
+        assert.equal(strBlockHash, block.getHash());
+        assert.deepEqual(arrBranch, block.getTxProof(strTxHash));
+        assert.isOk(factory.Block.verifyMerkleBranch(strTxHash, arrBranch, Buffer.from(block.merkleRoot)));
+    });
+});
@@ -65,6 +65,15 @@ describe('Version Message', () => {
 
     });
 
+    it('should signal pruned height', async () => {
+        const msgVersion = new factory.Messages.MsgVersion({...msgTemplate, prunedHeight: 1000});
+        const decodedMessage = new factory.Messages.MsgVersion(msgVersion.encode());
+
+        assert.isOk(decodedMessage.isPruned());
+        assert.equal(decodedMessage.prunedHeight, 1000);
+        assert.isNotOk(new factory.Messages.MsgVersion(msgTemplate).isPruned());
+    });
+
     it('should pass encoding/decoding MsgVersion', async () => {
         const msgVersion = new factory.Messages.MsgVersion(msgTemplate);
         assert.isOk(msgVersion);
@@ -40,13 +40,40 @@ describe('MessageWitnessBlock', () => {
 
         const restoredMsg = new factory.Messages.MsgWitnessBlock(buffMsg);
         assert.isOk(restoredMsg.signature);
-        assert.isOk(restoredMsg.address);
         assert.equal(restoredMsg.address, keyPair.address);
 
         const restoredBlock = restoredMsg.block;
         assert.equal(block.hash(), restoredBlock.hash());
         assert.isOk(Array.isArray(restoredBlock.txns));
         assert.equal(restoredBlock.txns.length, 1);
+    });
+
+    it('should encode/decode compact block', async () => {
+        const msg = new factory.Messages.MsgWitnessBlock({conciliumId: 0});
+
+        const block = createDummyBlock(factory);
+        const keyPair = factory.Crypto.createKeyPair();
+
+        msg.compactBlock = block;
+        msg.sign(keyPair.privateKey);
+
+        const buffMsg = msg.encode();
+        assert.isOk(Buffer.isBuffer(buffMsg));
+
+        const restoredMsg = new factory.Messages.MsgWitnessBlock(buffMsg);
+        assert.isOk(restoredMsg.signature);
+        assert.isOk(restoredMsg.address);
+        assert.equal(restoredMsg.address, keyPair.address);
+
+        const compactBlock = restoredMsg.compactBlock;
+        assert.equal(compactBlock.getHash(), block.hash());
+
+        // coinbase is prefilled, so there is nothing to take from mempool
+        assert.deepEqual(compactBlock.rebuild([], () => {}), []);
+        const restoredBlock = compactBlock.toBlock();
+        assert.equal(block.hash(), restoredBlock.hash());
+        assert.isOk(Array.isArray(restoredBlock.txns));
+        assert.equal(restoredBlock.txns.length, 1);
 
         const restoredTx = new factory.Transaction(restoredBlock.txns[0]);
         assert.isOk(restoredTx.isCoinbase());
@@ -91,6 +91,15 @@ describe('PeerInfo Message', () => {
         assert.deepEqual(addr, objRevertedAddr);
     });
 
+    it('should encode/decode onion address', async () => {
+        const buffOnion = Buffer.alloc(32, 0xab);
+        const peerInfo = new factory.Messages.PeerInfo({...templatePeer, address: buffOnion});
+
+        const peerInfoDecoded = new factory.Messages.PeerInfo(peerInfo.encode());
+
+        assert.isOk(peerInfoDecoded.address.equals(buffOnion));
+    });
+
     it('should add capability', async () => {
         const peerInfo = new factory.Messages.PeerInfo(templatePeer);
         peerInfo.addCapability({service: factory.Constants.WITNESS, data: Buffer.from('123')});
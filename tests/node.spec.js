@@ -4,7 +4,7 @@ const {describe, it} = require('mocha');
 const chai = require('chai');
 const {assert} = chai;
 const sinon = require('sinon').createSandbox();
-const {arrayEquals, prepareForStringifyObject} = require('../utils');
+const {arrayEquals, prepareForStringifyObject, sleep} = require('../utils');
 
 chai.use(require('chai-as-promised'));
 
@@ -249,6 +249,126 @@ describe('Node tests', async () => {
         assert.isOk(node._peerManager.associatePeer.calledOnce);
     });
 
+    describe('Encrypted transport negotiation', async () => {
+        let node;
+        let newPeer;
+        let connection;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+            node._transport.identityKey = factory.Crypto.createKeyPair().publicKey;
+            node._peerManager.associatePeer = sinon.fake((peer, peerInfo) => {
+                peer.updatePeerFromPeerInfo(peerInfo);
+                return peer;
+            });
+
+            connection = {
+                listenerCount: sinon.fake(),
+                remoteAddress: factory.Transport.generateAddress(),
+                on: sinon.fake(),
+                sendMessage: sinon.fake.resolves(null),
+                startEncryption: sinon.fake.resolves()
+            };
+            newPeer = new factory.Peer({connection});
+        });
+
+        const createVersionMsg = (arrCapabilities) => new factory.Messages.MsgCommon(
+            new factory.Messages.MsgVersion({
+                nonce: 12,
+                peerInfo: {
+                    capabilities: arrCapabilities,
+                    address: {addr0: 0x2001, addr1: 0xdb8, addr2: 0x1234, addr3: 0x3},
+                    port: factory.Constants.port
+                }
+            }).encode()
+        );
+
+        it('should start encryption if peer supports it', async () => {
+            const strIdentityKey = factory.Crypto.createKeyPair().publicKey;
+
+            await node._handleVersionMessage(newPeer, createVersionMsg([
+                {service: factory.Constants.NODE, data: null},
+                {service: factory.Constants.ENCRYPTED, data: Buffer.from(strIdentityKey, 'hex')}
+            ]));
+
+            assert.isOk(connection.startEncryption.calledOnce);
+            const [strExpectedKey] = connection.startEncryption.args[0];
+            assert.equal(strExpectedKey, strIdentityKey);
+
+            // own version & verack
+            assert.equal(connection.sendMessage.callCount, 2);
+        });
+
+        it('should talk plain to legacy peer', async () => {
+            await node._handleVersionMessage(newPeer, createVersionMsg([
+                {service: factory.Constants.NODE, data: null}
+            ]));
+
+            assert.isNotOk(connection.startEncryption.called);
+            assert.equal(connection.sendMessage.callCount, 2);
+        });
+
+        it('should talk plain if encryption disabled', async () => {
+            node._transport.identityKey = undefined;
+
+            await node._handleVersionMessage(newPeer, createVersionMsg([
+                {service: factory.Constants.NODE, data: null},
+                {service: factory.Constants.ENCRYPTED, data: pseudoRandomBuffer(33)}
+            ]));
+
+            assert.isNotOk(connection.startEncryption.called);
+            assert.equal(connection.sendMessage.callCount, 2);
+        });
+
+        it('should disconnect peer that advertised key other than pinned', async () => {
+            node._peerManager.getPinnedIdentityKey = sinon.fake.returns(factory.Crypto.createKeyPair().publicKey);
+            newPeer.disconnect = sinon.fake();
+
+            await node._handleVersionMessage(newPeer, createVersionMsg([
+                {service: factory.Constants.NODE, data: null},
+                {service: factory.Constants.ENCRYPTED, data: pseudoRandomBuffer(33)}
+            ]));
+
+            assert.isOk(newPeer.disconnect.calledOnce);
+            assert.isNotOk(connection.startEncryption.called);
+        });
+
+        it('should disconnect pinned peer that stopped advertising encryption', async () => {
+            node._peerManager.getPinnedIdentityKey = sinon.fake.returns(factory.Crypto.createKeyPair().publicKey);
+            newPeer.disconnect = sinon.fake();
+
+            await node._handleVersionMessage(newPeer, createVersionMsg([
+                {service: factory.Constants.NODE, data: null}
+            ]));
+
+            assert.isOk(newPeer.disconnect.calledOnce);
+        });
+
+        it('should pin identity key after handshake', async () => {
+            node._peerManager.pinIdentityKey = sinon.fake();
+            newPeer.version = factory.Constants.protocolVersion;
+
+            await node._handleVerackMessage(newPeer);
+
+            assert.isOk(node._peerManager.pinIdentityKey.calledOnce);
+        });
+
+        it('should generate & store identity key', async () => {
+            node._transport.setIdentityKey = sinon.fake();
+
+            await node._loadIdentityKey();
+
+            const [strPrivateKey] = node._transport.setIdentityKey.args[0];
+            const buffStored = await node._storage.getNodeIdentityKey();
+            assert.equal(buffStored.toString('hex'), strPrivateKey);
+
+            // same key after restart
+            await node._loadIdentityKey();
+            assert.equal(node._transport.setIdentityKey.args[1][0], strPrivateKey);
+        });
+    });
+
     it('should prepare MsgAddr', async () => {
         const sendMessage = sinon.fake.returns(Promise.resolve(null));
         const newPeer = new factory.Peer({
@@ -383,6 +503,57 @@ describe('Node tests', async () => {
         assert.isOk(msgBlock.isBlock());
     });
 
+    it('should NOT send pruned block', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const block = createDummyBlock(factory);
+        const bi = new factory.BlockInfo(block.header);
+        bi.markAsFinal();
+
+        node._storage.getPrunedHeight = sinon.fake.resolves(100);
+        node._storage.getBlock = sinon.fake.returns(block);
+        node._mainDag = {getBlockInfo: sinon.fake.returns(bi)};
+
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.pushMessage = sinon.fake();
+
+        const inv = new factory.Inventory();
+        inv.addBlock(block);
+
+        await node._handleGetDataMessage(peer, new factory.Messages.MsgGetData(inv));
+
+        assert.isNotOk(node._storage.getBlock.called);
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msgNotFound] = peer.pushMessage.args[0];
+        assert.isOk(msgNotFound.isNotFound());
+        assert.equal(msgNotFound.inventory.vector[0].hash.toString('hex'), block.getHash());
+    });
+
+    it('should NOT treat block unknown to mainDag as retained (pruned node)', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        node._storage.getPrunedHeight = sinon.fake.resolves(100);
+        node._mainDag = {getBlockInfo: sinon.fake.returns(undefined)};
+
+        assert.isNotOk(await node._isBlockRetained(pseudoRandomBuffer().toString('hex')));
+    });
+
+    it('should check whether pruned peer could serve blocks', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        node._storage.getLastAppliedBlockHashes = sinon.fake.resolves([pseudoRandomBuffer().toString('hex')]);
+        node._mainDag = {getBlockInfo: sinon.fake.returns({getHeight: () => 10})};
+
+        const peer = new factory.Peer(createDummyPeer(factory));
+        assert.isOk(await node._canPeerServeUs(peer));
+
+        peer.prunedHeight = 11;
+        assert.isOk(await node._canPeerServeUs(peer));
+
+        peer.prunedHeight = 100;
+        assert.isNotOk(await node._canPeerServeUs(peer));
+    });
+
     it('should send NOTHING (bad msg)', async () => {
         const node = new factory.Node();
         node._mempool.getTx = sinon.fake.returns(new factory.Transaction(createDummyTx()));
@@ -431,7 +602,7 @@ describe('Node tests', async () => {
         const node = new factory.Node();
 
         node._validateTxLight = sinon.fake.resolves();
-        node._mempool.addTx = sinon.fake();
+        node._mempool.addTx = sinon.fake.returns([]);
         node._informNeighbors = sinon.fake();
 
         const peer = new factory.Peer(createDummyPeer(factory));
@@ -447,6 +618,7 @@ describe('Node tests', async () => {
         assert.isNotOk(peer.misbehave.called);
         assert.isOk(node._mempool.addTx.calledOnce);
         assert.isOk(node._informNeighbors.calledOnce);
+        assert.equal(peer.usefulItems, 1);
 
         const [txToSend] = node._informNeighbors.args[0];
         assert.isOk(txToSend);
@@ -484,7 +656,7 @@ describe('Node tests', async () => {
     it('should process NEW block from MsgBlock', async () => {
         const node = new factory.Node();
         await node.ensureLoaded();
-        const fakePeer = {fake: 1};
+        const fakePeer = {fake: 1, usefulItemDelivered: sinon.fake()};
 
         const block = createDummyBlock(factory);
         const msg = new factory.Messages.MsgBlock(block);
@@ -498,6 +670,7 @@ describe('Node tests', async () => {
 
         assert.equal(node._mapBlocksToExec.size, 1);
         assert.deepEqual(node._mapBlocksToExec.get(block.getHash()), fakePeer);
+        assert.isOk(fakePeer.usefulItemDelivered.calledOnce);
     });
 
     it('should omit KNOWN block from MsgBlock', async () => {
@@ -533,6 +706,213 @@ describe('Node tests', async () => {
         assert.isOk(false, 'Unexpected success');
     });
 
+    describe('Compact blocks', async () => {
+        let node;
+        let peer;
+        let block;
+        let arrTxns;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            block = createDummyBlock(factory, 0, 2);
+            arrTxns = block.txns.map(objTx => new factory.Transaction(objTx));
+
+            const objPeer = createDummyPeer(factory);
+            objPeer.peerInfo.capabilities.push({service: factory.Constants.COMPACT_BLOCKS});
+            peer = new factory.Peer(objPeer);
+            peer.pushMessage = sinon.fake();
+            peer.misbehave = sinon.fake();
+
+            node._processReceivedBlock = sinon.fake.resolves();
+        });
+
+        const fakeMempool = (arrMempoolTxns) => {
+            const mapTxns = new Map(arrMempoolTxns.map(tx => [tx.getHash(), tx]));
+            node._mempool.getContent = sinon.fake.returns([...mapTxns.keys()]);
+            node._mempool.getTx = strHash => mapTxns.get(strHash);
+        };
+
+        const createCompactBlockMsg = () =>
+            new factory.Messages.MsgCommon(new factory.Messages.MsgCompactBlock(block).encode());
+
+        it('should request compact block for announced block', async () => {
+            node._storage.hasBlock = sinon.fake.returns(false);
+            const inv = new factory.Inventory();
+            inv.addBlock(block);
+
+            await node._handleInvMessage(peer, new factory.Messages.MsgInv(inv));
+
+            const [msg] = peer.pushMessage.args[0];
+            assert.isOk(msg.isGetData());
+            const [{type, hash}] = msg.inventory.vector;
+            assert.equal(type, factory.Constants.INV_COMPACT_BLOCK);
+            assert.equal(hash.toString('hex'), block.getHash());
+        });
+
+        it('should request full block from peer without compact blocks support', async () => {
+            node._storage.hasBlock = sinon.fake.returns(false);
+            const oldPeer = new factory.Peer(createDummyPeer(factory));
+            oldPeer.pushMessage = sinon.fake();
+            const inv = new factory.Inventory();
+            inv.addBlock(block);
+
+            await node._handleInvMessage(oldPeer, new factory.Messages.MsgInv(inv));
+
+            const [msg] = oldPeer.pushMessage.args[0];
+            assert.isOk(msg.isGetData());
+            const [{type}] = msg.inventory.vector;
+            assert.equal(type, factory.Constants.INV_BLOCK);
+        });
+
+        it('should advertise compact blocks support', async () => {
+            assert.isOk(node._myPeerInfo.capabilities.find(
+                ({service}) => service === factory.Constants.COMPACT_BLOCKS)
+            );
+        });
+
+        it('should send MSG_COMPACT_BLOCK for INV_COMPACT_BLOCK', async () => {
+            node._isBlockRetained = sinon.fake.resolves(true);
+            node._storage.getBlock = sinon.fake.resolves(block);
+            const inv = new factory.Inventory();
+            inv.addVector({type: factory.Constants.INV_COMPACT_BLOCK, hash: Buffer.from(block.getHash(), 'hex')});
+
+            await node._handleGetDataMessage(peer, new factory.Messages.MsgGetData(inv));
+
+            const [msg] = peer.pushMessage.args[0];
+            assert.isOk(msg.isCompactBlock());
+            assert.equal(msg.compactBlock.getHash(), block.getHash());
+        });
+
+        it('should rebuild compact block from mempool', async () => {
+            fakeMempool(arrTxns.slice(1));
+            node._requestCache.request(block.getHash());
+
+            await node._handleBlockMessage(peer, createCompactBlockMsg());
+
+            assert.isNotOk(peer.pushMessage.called);
+            assert.isOk(node._processReceivedBlock.calledOnce);
+            const [, rebuiltBlock] = node._processReceivedBlock.args[0];
+            assert.equal(rebuiltBlock.getHash(), block.getHash());
+        });
+
+        it('should penalize unrequested compact block', async () => {
+            fakeMempool(arrTxns.slice(1));
+
+            await node._handleBlockMessage(peer, createCompactBlockMsg());
+
+            assert.isOk(peer.misbehave.calledOnce);
+            assert.isNotOk(node._processReceivedBlock.called);
+        });
+
+        it('should request missing TXns & process block after MSG_BLOCK_TXN', async () => {
+            const [, tx1, tx2] = arrTxns;
+            fakeMempool([tx1]);
+            node._requestCache.request(block.getHash());
+
+            await node._handleBlockMessage(peer, createCompactBlockMsg());
+
+            assert.isNotOk(node._processReceivedBlock.called);
+            const [msgGetBlockTxn] = peer.pushMessage.args[0];
+            assert.isOk(msgGetBlockTxn.isGetBlockTxn());
+            assert.equal(msgGetBlockTxn.strBlockHash, block.getHash());
+            assert.deepEqual(msgGetBlockTxn.arrIndexes, [2]);
+
+            const msgBlockTxn = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+            msgBlockTxn.addTx(tx2);
+            await node._handleBlockTxnMessage(peer, new factory.Messages.MsgCommon(msgBlockTxn.encode()));
+
+            assert.isOk(node._processReceivedBlock.calledOnce);
+            const [, rebuiltBlock] = node._processReceivedBlock.args[0];
+            assert.equal(rebuiltBlock.getHash(), block.getHash());
+        });
+
+        it('should request full block if TXns mismatch', async () => {
+            fakeMempool([]);
+            node._requestCache.request(block.getHash());
+            await node._handleBlockMessage(peer, createCompactBlockMsg());
+
+            const msgBlockTxn = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+            msgBlockTxn.addTx(new factory.Transaction(createDummyTx()));
+            msgBlockTxn.addTx(new factory.Transaction(createDummyTx()));
+            await node._handleBlockTxnMessage(peer, new factory.Messages.MsgCommon(msgBlockTxn.encode()));
+
+            assert.isNotOk(node._processReceivedBlock.called);
+            const [msgGetData] = peer.pushMessage.args[1];
+            assert.isOk(msgGetData.isGetData());
+            const [{type}] = msgGetData.inventory.vector;
+            assert.equal(type, factory.Constants.INV_BLOCK);
+        });
+
+        it('should penalize unrequested MSG_BLOCK_TXN', async () => {
+            const msgBlockTxn = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+
+            await node._handleBlockTxnMessage(peer, new factory.Messages.MsgCommon(msgBlockTxn.encode()));
+
+            assert.isOk(peer.misbehave.calledOnce);
+        });
+
+        it('should reject MSG_BLOCK_TXN from another peer', async () => {
+            const [, tx1, tx2] = arrTxns;
+            fakeMempool([tx1]);
+            node._requestCache.request(block.getHash());
+            await node._handleBlockMessage(peer, createCompactBlockMsg());
+
+            const anotherPeer = new factory.Peer({
+                peerInfo: {
+                    capabilities: [{service: factory.Constants.NODE}],
+                    address: factory.Transport.strToAddress(factory.Transport.generateAddress())
+                }
+            });
+            anotherPeer.misbehave = sinon.fake();
+            const msgBlockTxn = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+            msgBlockTxn.addTx(tx2);
+            await node._handleBlockTxnMessage(anotherPeer, new factory.Messages.MsgCommon(msgBlockTxn.encode()));
+
+            assert.isOk(anotherPeer.misbehave.calledOnce);
+            assert.isNotOk(node._processReceivedBlock.called);
+
+            // requested peer still could answer
+            await node._handleBlockTxnMessage(peer, new factory.Messages.MsgCommon(msgBlockTxn.encode()));
+            assert.isOk(node._processReceivedBlock.calledOnce);
+        });
+
+        it('should forget compact block after COMPACT_BLOCK_TXN_TIMEOUT', async () => {
+            const [, tx1, tx2] = arrTxns;
+            fakeMempool([tx1]);
+            node._requestCache.request(block.getHash());
+            await node._handleBlockMessage(peer, createCompactBlockMsg());
+
+            node._mapCompactBlocks.get(block.getHash()).nRequestedAt -=
+                factory.Constants.COMPACT_BLOCK_TXN_TIMEOUT + 1;
+
+            const msgBlockTxn = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+            msgBlockTxn.addTx(tx2);
+            await node._handleBlockTxnMessage(peer, new factory.Messages.MsgCommon(msgBlockTxn.encode()));
+
+            assert.equal(node._mapCompactBlocks.size, 0);
+            assert.isOk(peer.misbehave.calledOnce);
+            assert.isNotOk(node._processReceivedBlock.called);
+        });
+
+        it('should serve MSG_GET_BLOCK_TXN', async () => {
+            node._isBlockRetained = sinon.fake.resolves(true);
+            node._storage.getBlock = sinon.fake.resolves(block);
+            const msgGetBlockTxn = new factory.Messages.MsgGetBlockTxn({
+                blockHash: Buffer.from(block.getHash(), 'hex'),
+                indexes: [2]
+            });
+
+            await node._handleGetBlockTxnMessage(peer, new factory.Messages.MsgCommon(msgGetBlockTxn.encode()));
+
+            const [msg] = peer.pushMessage.args[0];
+            assert.isOk(msg.isBlockTxn());
+            assert.equal(msg.arrTxns.length, 1);
+            assert.equal(msg.arrTxns[0].getHash(), arrTxns[2].getHash());
+        });
+    });
+
     it('should process GENESIS block', async () => {
         const node = new factory.Node();
         await node.ensureLoaded();
@@ -639,6 +1019,23 @@ describe('Node tests', async () => {
         assert.equal(node._mainDag.size, 9);
     });
 
+    it('should build MainDag down to snapshot tips', async () => {
+        const node = new factory.Node();
+
+        // blocks below snapshot are unknown
+        let i = 0;
+        const arrHashes = await createSimpleChain(async block => i++ >= 5 && await node._storage.saveBlock(block));
+        node._storage.getSnapshotTips = sinon.fake.resolves([arrHashes[5]]);
+        await node._storage.updatePendingBlocks([arrHashes[9]]);
+
+        const arrPendingHashes = await node._storage.getPendingBlockHashes();
+        await node._buildMainDag([], arrPendingHashes);
+
+        assert.isOk(node._mainDag.getBlockInfo(arrHashes[5]));
+        assert.isOk(node._mainDag.getBlockInfo(arrHashes[9]));
+        assert.isNotOk(node._mainDag.getBlockInfo(arrHashes[4]));
+    });
+
     it('should build MainDag from simple fork', async () => {
         const node = new factory.Node();
         const arrBlocks = [];
@@ -700,54 +1097,381 @@ describe('Node tests', async () => {
         assert.equal(node._pendingBlocks.getDag().size, 9);
     });
 
-    it('should build PendingBlocks upon startup (from simple fork)', async () => {
+    it('should build PendingBlocks upon startup (from simple fork)', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+
+        const arrBlocks = [];
+
+        await createSimpleFork(async block => {
+            await node._storage.saveBlock(block);
+            arrBlocks.push(block);
+        });
+
+        //
+        await node._storage.updatePendingBlocks(
+            [arrBlocks[0].getHash(), arrBlocks[1].getHash(), arrBlocks[2].getHash(), arrBlocks[3].getHash()]
+        );
+        node._processBlockCoinbaseTX = sinon.fake();
+        node._checkHeight = sinon.fake.returns(true);
+
+        const arrPendingHashes = await node._storage.getPendingBlockHashes();
+        const arrStableHashes = await node._storage.getLastAppliedBlockHashes();
+        await node._rebuildPending(arrStableHashes, arrPendingHashes);
+
+        assert.equal(node._pendingBlocks.getDag().order, 4);
+        assert.equal(node._pendingBlocks.getDag().size, 4);
+    });
+
+    it('should process MSG_GET_BLOCKS', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        node._mainDag = {order: 1};
+        node._getBlocksFromLastKnown = sinon.fake.returns([pseudoRandomBuffer(), pseudoRandomBuffer()]);
+        node._mempool.getLocalTxnHashes = sinon.fake.returns([pseudoRandomBuffer()]);
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        const msgGetBlock = new factory.Messages.MsgGetBlocks();
+        msgGetBlock.arrHashes = [pseudoRandomBuffer().toString('hex')];
+        const msgCommon = new factory.Messages.MsgCommon(msgGetBlock.encode());
+
+        await node._handleGetBlocksMessage(peer, msgCommon);
+
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isInv());
+        const vector = msg.inventory.vector;
+
+        // we send only blocks
+        assert.equal(vector.length, 2);
+    });
+
+    it('should process MSG_GET_HEADERS', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const block = createDummyBlock(factory);
+        createConciliumDefAndSignBlock(block, 1);
+        const [sig] = block.signatures;
+        node._mainDag = {order: 1};
+        node._getBlocksFromLastKnown = sinon.fake.returns([block.getHash()]);
+        node._storage.getBlock = sinon.fake.resolves(block);
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        const msgGetHeaders = new factory.Messages.MsgGetHeaders();
+        msgGetHeaders.arrHashes = [pseudoRandomBuffer().toString('hex')];
+        const msgCommon = new factory.Messages.MsgCommon(msgGetHeaders.encode());
+
+        await node._handleGetHeadersMessage(peer, msgCommon);
+
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isHeaders());
+        const [{blockInfo, arrSignatures}] = msg.arrSignedHeaders;
+        assert.equal(blockInfo.getHash(), block.getHash());
+        assert.isOk(arrSignatures[0].equals(sig));
+    });
+
+    it('should process MSG_GET_TX_PROOFS', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const block = createDummyBlock(factory, 0, 2);
+        const [, strTxHash] = block.getTxHashes();
+        node._storage.getAddressHistory = sinon.fake.resolves({arrRecords: [{strTxHash}]});
+        node._storage.findBlockByTxHash = sinon.fake.resolves(block);
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        const msgGetTxProofs = new factory.Messages.MsgGetTxProofs();
+        msgGetTxProofs.arrAddresses = [generateAddress().toString('hex')];
+        const msgCommon = new factory.Messages.MsgCommon(msgGetTxProofs.encode());
+
+        await node._handleGetTxProofsMessage(peer, msgCommon);
+
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isTxProofs());
+        const [objProof] = msg.arrProofs;
+        assert.equal(objProof.tx.getHash(), strTxHash);
+        assert.equal(objProof.strBlockHash, block.getHash());
+        assert.deepEqual(objProof.arrBranch, block.getTxProof(strTxHash));
+    });
+
+    it('should page through address history for MSG_GET_TX_PROOFS', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const block = createDummyBlock(factory, 0, 2);
+        const [, strTxHash1, strTxHash2] = block.getTxHashes();
+        node._storage.getAddressHistory = sinon.stub();
+        node._storage.getAddressHistory.onCall(0).resolves({arrRecords: [{strTxHash: strTxHash1}], nNextCursor: 5});
+        node._storage.getAddressHistory.onCall(1).resolves({arrRecords: [{strTxHash: strTxHash2}]});
+        node._storage.findBlockByTxHash = sinon.fake.resolves(block);
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        const msgGetTxProofs = new factory.Messages.MsgGetTxProofs();
+        msgGetTxProofs.arrAddresses = [generateAddress().toString('hex')];
+
+        await node._handleGetTxProofsMessage(peer, new factory.Messages.MsgCommon(msgGetTxProofs.encode()));
+
+        assert.equal(node._storage.getAddressHistory.callCount, 2);
+        assert.equal(node._storage.getAddressHistory.args[1][1], 5);
+        const [msg] = peer.pushMessage.args[0];
+        assert.deepEqual(msg.arrProofs.map(({tx}) => tx.getHash()), [strTxHash1, strTxHash2]);
+    });
+
+    it('should skip address that failed, and serve the rest (MSG_GET_TX_PROOFS)', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const block = createDummyBlock(factory, 0, 2);
+        const [, strTxHash] = block.getTxHashes();
+        node._storage.getAddressHistory = sinon.stub();
+        node._storage.getAddressHistory.onCall(0).rejects(new Error('Bad address'));
+        node._storage.getAddressHistory.onCall(1).resolves({arrRecords: [{strTxHash}]});
+        node._storage.findBlockByTxHash = sinon.fake.resolves(block);
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        const msgGetTxProofs = new factory.Messages.MsgGetTxProofs();
+        msgGetTxProofs.arrAddresses = [generateAddress().toString('hex'), generateAddress().toString('hex')];
+
+        await node._handleGetTxProofsMessage(peer, new factory.Messages.MsgCommon(msgGetTxProofs.encode()));
+
+        const [msg] = peer.pushMessage.args[0];
+        assert.equal(msg.arrProofs.length, 1);
+    });
+
+    it('should penalize MSG_GET_TX_PROOFS with too many addresses', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        node._storage.getAddressHistory = sinon.fake.resolves({arrRecords: []});
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        peer.misbehave = sinon.fake();
+        const msgGetTxProofs = new factory.Messages.MsgGetTxProofs();
+        msgGetTxProofs.arrAddresses = new Array(factory.Constants.TX_PROOFS_MAX_ADDRESSES + 1)
+            .fill(0)
+            .map(() => generateAddress().toString('hex'));
+
+        await node._handleGetTxProofsMessage(peer, new factory.Messages.MsgCommon(msgGetTxProofs.encode()));
+
+        assert.isOk(peer.misbehave.calledOnce);
+        assert.isNotOk(peer.pushMessage.called);
+        assert.isNotOk(node._storage.getAddressHistory.called);
+    });
+
+    it('should send empty MSG_TX_PROOFS without address index', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+
+        const peer = createDummyPeer(factory);
+        peer.pushMessage = sinon.fake();
+        const msgGetTxProofs = new factory.Messages.MsgGetTxProofs();
+        msgGetTxProofs.arrAddresses = [generateAddress().toString('hex')];
+
+        await node._handleGetTxProofsMessage(peer, new factory.Messages.MsgCommon(msgGetTxProofs.encode()));
+
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isTxProofs());
+        assert.equal(msg.arrProofs.length, 0);
+    });
+
+    it('should load bloom filter', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const peer = new factory.Peer(createDummyPeer(factory));
+        const strAddress = generateAddress().toString('hex');
+
+        const filter = factory.BloomFilter.create(10, 0.0001);
+        filter.insert(strAddress);
+        const msg = new factory.Messages.MsgFilterLoad(filter);
+
+        await node._handleFilterLoadMessage(peer, new factory.Messages.MsgCommon(msg.encode()));
+
+        assert.isOk(peer.bloomFilter);
+        assert.isOk(peer.bloomFilter.contains(strAddress));
+    });
+
+    it('should penalize too big bloom filter', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.misbehave = sinon.fake();
+
+        const filter = new factory.BloomFilter({filter: Buffer.alloc(100), nHashFuncs: 100});
+        const msg = new factory.Messages.MsgFilterLoad(filter);
+
+        await node._handleFilterLoadMessage(peer, new factory.Messages.MsgCommon(msg.encode()));
+
+        assert.isOk(peer.misbehave.calledOnce);
+        assert.isNotOk(peer.bloomFilter);
+    });
+
+    it('should add element to loaded bloom filter', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.misbehave = sinon.fake();
+        const msg = new factory.Messages.MsgFilterAdd({data: pseudoRandomBuffer()});
+
+        // no filter loaded
+        await node._handleFilterAddMessage(peer, new factory.Messages.MsgCommon(msg.encode()));
+        assert.isOk(peer.misbehave.calledOnce);
+
+        peer.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+        await node._handleFilterAddMessage(peer, new factory.Messages.MsgCommon(msg.encode()));
+        assert.isOk(peer.bloomFilter.contains(msg.data));
+    });
+
+    it('should clear bloom filter', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+
+        await node._handleFilterClearMessage(peer);
+
+        assert.isNotOk(peer.bloomFilter);
+    });
+
+    it('should relay TX only to peers with matching bloom filter', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+
+        const tx = new factory.Transaction(createDummyTx());
+        const [{receiverAddr}] = tx.outputs;
+
+        const peerAll = new factory.Peer(createDummyPeer(factory));
+        const peerMatched = new factory.Peer(createDummyPeer(factory));
+        peerMatched.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+        peerMatched.bloomFilter.insert(receiverAddr);
+        const peerFiltered = new factory.Peer(createDummyPeer(factory));
+        peerFiltered.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+        peerFiltered.bloomFilter.insert(generateAddress());
+
+        const arrPeers = [peerAll, peerMatched, peerFiltered];
+        arrPeers.forEach(peer => peer.pushMessage = sinon.fake.resolves());
+        node._peerManager.getConnectedPeers = sinon.fake.returns(arrPeers);
+
+        node._informNeighbors(tx);
+
+        assert.isOk(peerAll.pushMessage.calledOnce);
+        assert.isOk(peerMatched.pushMessage.calledOnce);
+        assert.isNotOk(peerFiltered.pushMessage.called);
+    });
+
+    it('should send MSG_MERKLE_BLOCK for INV_FILTERED_BLOCK', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+
+        const block = createDummyBlock(factory, 0, 4);
+        const [, strTxHash] = block.getTxHashes();
+        node._isBlockRetained = sinon.fake.resolves(true);
+        node._storage.getBlock = sinon.fake.resolves(block);
+
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.pushMessage = sinon.fake();
+        peer.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+        peer.bloomFilter.insert(strTxHash);
+
+        const inv = new factory.Inventory();
+        inv.addVector({type: factory.Constants.INV_FILTERED_BLOCK, hash: Buffer.from(block.getHash(), 'hex')});
+        await node._handleGetDataMessage(peer, new factory.Messages.MsgGetData(inv));
+
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msg] = peer.pushMessage.args[0];
+        assert.isOk(msg.isMerkleBlock());
+        assert.equal(msg.blockInfo.getHash(), block.getHash());
+
+        const [{tx, arrBranch}] = msg.arrMatchedTxns;
+        assert.equal(msg.arrMatchedTxns.length, 1);
+        assert.equal(tx.getHash(), strTxHash);
+        assert.isOk(factory.Block.verifyMerkleBranch(strTxHash, arrBranch, Buffer.from(block.merkleRoot)));
+    });
+
+    it('should NOT send filtered block (no bloom filter loaded)', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+
+        const block = createDummyBlock(factory, 0, 1);
+        node._isBlockRetained = sinon.fake.resolves(true);
+        node._storage.getBlock = sinon.fake.resolves(block);
+
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.pushMessage = sinon.fake();
+
+        const inv = new factory.Inventory();
+        inv.addVector({type: factory.Constants.INV_FILTERED_BLOCK, hash: Buffer.from(block.getHash(), 'hex')});
+        await node._handleGetDataMessage(peer, new factory.Messages.MsgGetData(inv));
+
+        assert.isNotOk(node._storage.getBlock.called);
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msgNotFound] = peer.pushMessage.args[0];
+        assert.isOk(msgNotFound.isNotFound());
+        assert.equal(msgNotFound.inventory.vector[0].hash.toString('hex'), block.getHash());
+    });
+
+    it('should NOT send historical block if upload cap reached', async () => {
+        const node = new factory.Node();
+        await node.ensureLoaded();
+
+        const block = createDummyBlock(factory);
+        node._isBlockRetained = sinon.fake.resolves(true);
+        node._storage.getBlock = sinon.fake.resolves(block);
+        node._historicalUploadBucket.consume = sinon.fake.returns(false);
+        node._msecOffset = factory.Constants.HISTORICAL_BLOCK_AGE + 1000;
+
+        const peer = new factory.Peer(createDummyPeer(factory));
+        peer.pushMessage = sinon.fake();
+
+        const inv = new factory.Inventory();
+        inv.addBlock(block);
+        await node._handleGetDataMessage(peer, new factory.Messages.MsgGetData(inv));
+
+        assert.isOk(node._historicalUploadBucket.consume.calledOnce);
+        assert.isOk(peer.pushMessage.calledOnce);
+        const [msgNotFound] = peer.pushMessage.args[0];
+        assert.isOk(msgNotFound.isNotFound());
+        assert.equal(msgNotFound.inventory.vector[0].hash.toString('hex'), block.getHash());
+    });
+
+    it('should forget requests refused by peer (MSG_NOT_FOUND)', async () => {
         const node = new factory.Node();
         await node.ensureLoaded();
+        const block = createDummyBlock(factory);
+        node._requestCache.request(block.getHash());
 
-        const arrBlocks = [];
-
-        await createSimpleFork(async block => {
-            await node._storage.saveBlock(block);
-            arrBlocks.push(block);
-        });
-
-        //
-        await node._storage.updatePendingBlocks(
-            [arrBlocks[0].getHash(), arrBlocks[1].getHash(), arrBlocks[2].getHash(), arrBlocks[3].getHash()]
+        const inv = new factory.Inventory();
+        inv.addBlock(block);
+        const msgNotFound = new factory.Messages.MsgNotFound(inv);
+        await node._handleNotFoundMessage(
+            createDummyPeer(factory),
+            new factory.Messages.MsgCommon(msgNotFound.encode())
         );
-        node._processBlockCoinbaseTX = sinon.fake();
-        node._checkHeight = sinon.fake.returns(true);
 
-        const arrPendingHashes = await node._storage.getPendingBlockHashes();
-        const arrStableHashes = await node._storage.getLastAppliedBlockHashes();
-        await node._rebuildPending(arrStableHashes, arrPendingHashes);
-
-        assert.equal(node._pendingBlocks.getDag().order, 4);
-        assert.equal(node._pendingBlocks.getDag().size, 4);
+        assert.isNotOk(node._requestCache.isRequested(block.getHash()));
     });
 
-    it('should process MSG_GET_BLOCKS', async () => {
+    it('should send recent block regardless of upload cap', async () => {
         const node = new factory.Node();
         await node.ensureLoaded();
-        node._mainDag = {order: 1};
-        node._getBlocksFromLastKnown = sinon.fake.returns([pseudoRandomBuffer(), pseudoRandomBuffer()]);
-        node._mempool.getLocalTxnHashes = sinon.fake.returns([pseudoRandomBuffer()]);
 
-        const peer = createDummyPeer(factory);
+        const block = createDummyBlock(factory);
+        node._isBlockRetained = sinon.fake.resolves(true);
+        node._storage.getBlock = sinon.fake.resolves(block);
+        node._historicalUploadBucket.consume = sinon.fake.returns(false);
+
+        const peer = new factory.Peer(createDummyPeer(factory));
         peer.pushMessage = sinon.fake();
-        const msgGetBlock = new factory.Messages.MsgGetBlocks();
-        msgGetBlock.arrHashes = [pseudoRandomBuffer().toString('hex')];
-        const msgCommon = new factory.Messages.MsgCommon(msgGetBlock.encode());
 
-        await node._handleGetBlocksMessage(peer, msgCommon);
+        const inv = new factory.Inventory();
+        inv.addBlock(block);
+        await node._handleGetDataMessage(peer, new factory.Messages.MsgGetData(inv));
 
+        assert.isNotOk(node._historicalUploadBucket.consume.called);
         assert.isOk(peer.pushMessage.calledOnce);
-        const [msg] = peer.pushMessage.args[0];
-        assert.isOk(msg.isInv());
-        const vector = msg.inventory.vector;
-
-        // we send only blocks
-        assert.equal(vector.length, 2);
     });
 
     it('should process MSG_GET_MEMPOOL', async () => {
@@ -1106,6 +1830,242 @@ describe('Node tests', async () => {
 
             return assert.isRejected(node._acceptLocalTx(new factory.Transaction(createDummyTx())));
         });
+
+        describe('Replace-by-fee', async () => {
+            const strReplacedHash = pseudoRandomBuffer().toString('hex');
+
+            beforeEach(async () => {
+                node._processReceivedTx = sinon.fake.resolves();
+                node._processTx = sinon.fake.resolves({fee: 1e4, patchThisTx: new factory.PatchDB()});
+                node._mempool.findReplacedTxns = sinon.fake.returns([strReplacedHash]);
+                node._mempool.removeTxns = sinon.fake();
+                node._mempool.addLocalTx = sinon.fake();
+                node._informNeighbors = sinon.fake();
+            });
+
+            it('should evict replaced txns', async () => {
+                node._createLocalTxnsPatch = sinon.fake.resolves(new factory.PatchDB());
+
+                await node._acceptLocalTx(new factory.Transaction(createDummyTx()));
+
+                assert.deepEqual(node._createLocalTxnsPatch.args[0][0], [strReplacedHash]);
+                assert.isOk(node._mempool.removeTxns.calledOnceWith([strReplacedHash]));
+                assert.isOk(node._mempool.addLocalTx.calledOnce);
+            });
+
+            it('should keep replaced txns if new one conflicts with other local txns', async () => {
+                node._createLocalTxnsPatch = sinon.fake.resolves({merge: () => {throw new Error('conflict');}});
+
+                await assert.isRejected(node._acceptLocalTx(new factory.Transaction(createDummyTx())), /conflict/);
+
+                assert.isNotOk(node._mempool.removeTxns.called);
+                assert.isNotOk(node._mempool.addLocalTx.called);
+            });
+        });
+    });
+
+    describe('Multisig claims', async () => {
+        let node;
+        let tx;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            const arrKeyPairs = [1, 2].map(() => factory.Crypto.createKeyPair());
+            const buffRedeemScript = factory.Transaction.createMultisigScript(1, arrKeyPairs.map(kp => kp.publicKey));
+
+            const patch = new factory.PatchDB(0);
+            const utxoHash = pseudoRandomBuffer().toString('hex');
+            patch.createCoins(utxoHash, 0,
+                new factory.Coins(100000, factory.Transaction.getMultisigAddress(buffRedeemScript, true))
+            );
+            await node._storage.applyPatch(patch);
+
+            tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[0].privateKey);
+        });
+
+        it('should reject multisig claims before fork', async () => {
+            const objBlockContext = {nHeight: factory.Constants.forks.HEIGHT_FORK_MULTISIG - 1, nTimestamp: 1e9};
+
+            await assert.isRejected(
+                node._processTx(undefined, false, tx, undefined, objBlockContext),
+                'multisig claims not allowed yet'
+            );
+        });
+
+        it('should process multisig claims after fork', async () => {
+            const objBlockContext = {nHeight: factory.Constants.forks.HEIGHT_FORK_MULTISIG, nTimestamp: 1e9};
+
+            const {fee} = await node._processTx(undefined, false, tx, undefined, objBlockContext);
+            assert.equal(fee, 100000 - 1000);
+        });
+
+        it('should reject multisig claims in mempool before fork', async () => {
+            node._objCurrentBestParents = {arrParents: [], patchMerged: new factory.PatchDB()};
+
+            await assert.isRejected(node._processTx(undefined, false, tx), 'multisig claims not allowed yet');
+            await assert.isRejected(node._validateTxLight(tx), 'multisig claims not allowed yet');
+        });
+
+        it('should accept multisig claims in mempool after fork', async () => {
+            node._getNextBlockHeight = sinon.fake.resolves(factory.Constants.forks.HEIGHT_FORK_MULTISIG);
+
+            const {fee} = await node._processTx(undefined, false, tx);
+            assert.equal(fee, 100000 - 1000);
+        });
+    });
+
+    describe('SIGHASH claims', async () => {
+        let node;
+        let tx;
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+
+            const keyPair = factory.Crypto.createKeyPair();
+            const patch = new factory.PatchDB(0);
+            const utxoHash = pseudoRandomBuffer().toString('hex');
+            patch.createCoins(utxoHash, 0,
+                new factory.Coins(100000, factory.Crypto.getAddress(keyPair.publicKey, true))
+            );
+            await node._storage.applyPatch(patch);
+
+            tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claim(0, keyPair.privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+        });
+
+        it('should reject SIGHASH claims before fork', async () => {
+            const objBlockContext = {nHeight: factory.Constants.forks.HEIGHT_FORK_SIGHASH - 1, nTimestamp: 1e9};
+
+            await assert.isRejected(
+                node._processTx(undefined, false, tx, undefined, objBlockContext),
+                'SIGHASH claims not allowed yet'
+            );
+        });
+
+        it('should process SIGHASH claims after fork', async () => {
+            const objBlockContext = {nHeight: factory.Constants.forks.HEIGHT_FORK_SIGHASH, nTimestamp: 1e9};
+
+            const {fee} = await node._processTx(undefined, false, tx, undefined, objBlockContext);
+            assert.equal(fee, 100000 - 1000);
+        });
+
+        it('should reject SIGHASH claims in mempool before fork', async () => {
+            node._objCurrentBestParents = {arrParents: [], patchMerged: new factory.PatchDB()};
+
+            await assert.isRejected(node._processTx(undefined, false, tx), 'SIGHASH claims not allowed yet');
+            await assert.isRejected(node._validateTxLight(tx), 'SIGHASH claims not allowed yet');
+        });
+    });
+
+    describe('Timelocks', async () => {
+        let node;
+        let keyPair;
+        let utxoHash;
+
+        const createTx = async (objLockCoins = {}) => {
+            const patch = new factory.PatchDB(0);
+            utxoHash = pseudoRandomBuffer().toString('hex');
+            patch.createCoins(utxoHash, 0,
+                new factory.Coins(100000, factory.Crypto.getAddress(keyPair.publicKey, true), objLockCoins)
+            );
+            await node._storage.applyPatch(patch);
+
+            const tx = new factory.Transaction();
+            tx.addInput(utxoHash, 0);
+            return tx;
+        };
+
+        const nForkHeight = factory.Constants.forks.HEIGHT_FORK_TIMELOCK;
+        const processInBlock = (tx, nHeight, nTimestamp = 1e9) =>
+            node._processTx(undefined, false, tx, undefined, {nHeight, nTimestamp});
+
+        beforeEach(async () => {
+            node = new factory.Node();
+            await node.ensureLoaded();
+            keyPair = factory.Crypto.createKeyPair();
+        });
+
+        it('should reject locked TX in block', async () => {
+            const tx = await createTx();
+            tx.addReceiver(1000, generateAddress());
+            tx.lockHeight = nForkHeight + 10;
+            tx.claim(0, keyPair.privateKey);
+
+            await assert.isRejected(processInBlock(tx, nForkHeight + 9), 'is timelocked');
+            await processInBlock(tx, nForkHeight + 10);
+        });
+
+        it('should reject timelocks before fork', async () => {
+            const tx = await createTx();
+            tx.addReceiver(1000, generateAddress());
+            tx.lockHeight = 1;
+            tx.claim(0, keyPair.privateKey);
+
+            await assert.isRejected(processInBlock(tx, nForkHeight - 1), 'timelocks not allowed yet');
+        });
+
+        it('should treat missing block timestamp as 0', async () => {
+            const tx = await createTx();
+            tx.addReceiver(1000, generateAddress());
+            tx.lockTime = 1;
+            tx.claim(0, keyPair.privateKey);
+
+            const objBlockContext = node._createBlockContext({getHeight: () => nForkHeight, timestamp: undefined});
+            assert.strictEqual(objBlockContext.nTimestamp, 0);
+            await assert.isRejected(node._processTx(undefined, false, tx, undefined, objBlockContext), 'is timelocked');
+        });
+
+        it('should reject spending of immature coins in block', async () => {
+            const tx = await createTx({lockTime: 2e9});
+            tx.addReceiver(1000, generateAddress());
+            tx.claim(0, keyPair.privateKey);
+
+            await assert.isRejected(processInBlock(tx, nForkHeight, 2e9 - 1), 'is timelocked');
+            await processInBlock(tx, nForkHeight, 2e9);
+        });
+
+        it('should not check timelocks outside of block (mempool)', async () => {
+            const tx = await createTx({lockHeight: nForkHeight + 100});
+            tx.addReceiver(1000, generateAddress());
+            tx.lockHeight = nForkHeight + 100;
+            tx.claim(0, keyPair.privateKey);
+            node._getNextBlockHeight = sinon.fake.resolves(nForkHeight);
+
+            await node._processTx(undefined, false, tx);
+        });
+
+        it('should reject timelocks in mempool before fork', async () => {
+            const tx = await createTx();
+            tx.addReceiver(1000, generateAddress());
+            tx.lockHeight = 1;
+            tx.claim(0, keyPair.privateKey);
+            node._objCurrentBestParents = {arrParents: [], patchMerged: new factory.PatchDB()};
+
+            await assert.isRejected(node._processTx(undefined, false, tx), 'timelocks not allowed yet');
+            await assert.isRejected(node._validateTxLight(tx), 'timelocks not allowed yet');
+        });
+
+        it('should resolve relative lock of output', async () => {
+            const tx = await createTx();
+            tx.addReceiver(1000, generateAddress(), {lockHeight: 5, relativeLock: true});
+            tx.claim(0, keyPair.privateKey);
+
+            const {patchThisTx} = await processInBlock(tx, nForkHeight);
+
+            const coins = patchThisTx.getUtxo(tx.getHash()).coinsAtIndex(0);
+            assert.isNotOk(coins.isRelativeLock());
+            assert.equal(coins.getLockHeight(), nForkHeight + 5);
+            assert.isNotOk(coins.isMature(nForkHeight + 4, 1e9));
+            assert.isOk(coins.isMature(nForkHeight + 5, 1e9));
+        });
     });
 
     describe('_getTxReceipt', async () => {
@@ -1370,6 +2330,153 @@ describe('Node tests', async () => {
                                                             typeof objResult[key].receiverAddr === 'string'));
         });
 
+        describe('estimateFee', async () => {
+            it('should estimate fee for signed TX', async () => {
+                const tx = new factory.Transaction(createDummyTx());
+
+                const objResult = await node.rpcHandler({event: 'estimateFee', content: tx});
+
+                assert.equal(objResult.nSize, tx.getSize());
+                assert.equal(objResult.nFeeSize, await node._calculateSizeFee(tx));
+                assert.equal(objResult.nMinimalFee, objResult.nFeeSize);
+                assert.isNotOk(objResult.bContract);
+                assert.equal(objResult.strPriority, 'low');
+                assert.equal(objResult.nSuggestedFee, objResult.nMinimalFee);
+            });
+
+            it('should estimate fee for unsigned TX', async () => {
+                const tx = new factory.Transaction();
+                tx.addInput(pseudoRandomBuffer(), 1);
+                tx.addInput(pseudoRandomBuffer(), 2);
+                tx.addReceiver(1000, generateAddress());
+
+                const objResult = await node.rpcHandler({event: 'estimateFee', content: tx});
+
+                // 2 claims are missing
+                assert.isAbove(objResult.nSize, tx.getSize());
+            });
+
+            it('should estimate fee for contract invocation', async () => {
+                const {tx, strContractAddr} = createContractInvocationTx({method: 'test', arrArguments: []});
+                node._getContractByAddr = sinon.fake.resolves(new factory.Contract({
+                    contractCode: '{"test": "(){this.value=\'some data\';}"}',
+                    conciliumId
+                }, strContractAddr));
+                node._ensureBestBlockValid =
+                    async () => {node._objCurrentBestParents = {arrParents: [], patchMerged: new factory.PatchDB()};};
+
+                const objResult = await node.rpcHandler({event: 'estimateFee', content: tx});
+
+                assert.isOk(objResult.bContract);
+                assert.isNotOk(objResult.bContractFailed);
+                assert.equal(objResult.nFeeContractInvocation, factory.Constants.fees.CONTRACT_INVOCATION_FEE);
+                assert.isAbove(objResult.nFeeStorage, 0);
+                assert.equal(objResult.nFeeInternalTxns, 0);
+                assert.equal(
+                    objResult.nMinimalFee,
+                    objResult.nFeeSize + objResult.nFeeContractInvocation + objResult.nFeeStorage
+                );
+            });
+
+            it('should estimate fee for TX without outputs', async () => {
+                const tx = new factory.Transaction();
+                tx.addInput(pseudoRandomBuffer(), 1);
+
+                const objResult = await node.rpcHandler({event: 'estimateFee', content: tx});
+
+                assert.isNotOk(objResult.bContract);
+                assert.equal(objResult.nMinimalFee, objResult.nFeeSize);
+            });
+
+            it('should suggest high priority', async () => {
+                const tx = new factory.Transaction(createDummyTx());
+                node._mempool.getOccupancy = sinon.fake.returns(0.9);
+
+                const objResult = await node.rpcHandler({event: 'estimateFee', content: tx});
+
+                assert.equal(objResult.strPriority, 'high');
+                assert.equal(
+                    objResult.nSuggestedFee,
+                    Math.ceil(objResult.nMinimalFee * factory.Constants.FEE_PRIORITY_MULTIPLIER_HIGH)
+                );
+            });
+        });
+
+        describe('simulateTx', async () => {
+            it('should simulate payment', async () => {
+                node._ensureBestBlockValid =
+                    async () => {node._objCurrentBestParents = {patchMerged: new factory.PatchDB()};};
+                const {tx} = createTxAddCoinsToNode(node);
+
+                const objResult = await node.rpcHandler({event: 'simulateTx', content: tx});
+
+                assert.equal(objResult.strTxHash, tx.getHash());
+                assert.equal(objResult.nFee, 100000 - 1000);
+                assert.equal(objResult.nCoinsUsed, objResult.nFee);
+                assert.isNotOk(objResult.receipt);
+                assert.deepEqual(objResult.arrInternalTxns, []);
+                assert.deepEqual(objResult.objContractsDiff, {});
+
+                // nothing changed
+                assert.isNotOk(node._mempool.hasTx(tx.getHash()));
+                assert.isOk(await node._storage.getUtxo(tx.utxos[0]));
+            });
+
+            it('should simulate contract invocation', async () => {
+                const strContractAddr = generateAddress().toString('hex');
+                const contract = new factory.Contract({
+                    contractData: {value: 1, untouched: 'yes'},
+                    contractCode: '{"add": "(a){this.value+=a;}"}',
+                    conciliumId: 0
+                }, strContractAddr);
+                const patchPending = new factory.PatchDB(0);
+                patchPending.setContract(contract);
+                node._ensureBestBlockValid =
+                    async () => {node._objCurrentBestParents = {arrParents: [], patchMerged: patchPending};};
+
+                const {tx: txPayment, keyPair} = createTxAddCoinsToNode(node);
+                const tx = factory.Transaction.invokeContract(
+                    strContractAddr,
+                    {method: 'add', arrArguments: [5]},
+                    0,
+                    generateAddress()
+                );
+                tx.addInput(txPayment.utxos[0], 12);
+                tx.claim(0, keyPair.privateKey);
+                tx.signForContract(keyPair.privateKey);
+
+                const objResult = await node.rpcHandler({event: 'simulateTx', content: tx});
+
+                assert.isOk(objResult.receipt);
+                assert.equal(objResult.receipt.status, factory.Constants.TX_STATUS_OK);
+                assert.equal(objResult.nCoinsUsed, objResult.receipt.coinsUsed);
+                assert.deepEqual(objResult.objContractsDiff[strContractAddr].objDataChanges, {
+                    value: {before: 1, after: 6}
+                });
+
+                // pending contract is untouched
+                assert.deepEqual(patchPending.getContract(strContractAddr).getData(), {value: 1, untouched: 'yes'});
+                assert.isNotOk(node._mempool.hasTx(tx.getHash()));
+            });
+
+            it('should wait for block execution', async () => {
+                node._ensureBestBlockValid =
+                    async () => {node._objCurrentBestParents = {patchMerged: new factory.PatchDB()};};
+                node._processTx = sinon.fake.resolves({fee: 0, patchThisTx: new factory.PatchDB()});
+                const {tx} = createTxAddCoinsToNode(node);
+
+                const lock = await node._mutex.acquire(['blockExec']);
+                const promiseResult = node.rpcHandler({event: 'simulateTx', content: tx});
+                await sleep(10);
+
+                assert.isNotOk(node._processTx.called);
+                node._mutex.release(lock);
+
+                await promiseResult;
+                assert.isOk(node._processTx.calledOnce);
+            });
+        });
+
         describe('getTX', async () => {
             let strHash;
 
@@ -1700,6 +2807,21 @@ describe('Node tests', async () => {
                     assert.equal(msg.inventory.vector.length, 1);
                 }
             });
+
+            it('should request from lowest latency peer if announcer is gone', async () => {
+                const peerSlow = {address: 'addr4', port: 1234, latency: 500};
+                const peerFast = {address: 'addr5', port: 1234, latency: 50};
+                const peerUnmeasured = {address: 'addr6', port: 1234};
+                [peerSlow, peerFast, peerUnmeasured].forEach(
+                    p => {p.pushMessage = sinon.fake(), p.singleBlockRequested = sinon.fake();});
+                node._peerManager.getConnectedPeers = sinon.fake.returns([peerUnmeasured, peerSlow, peerFast]);
+
+                await node._sendMsgGetDataToPeers(mapPeerBlocks);
+
+                assert.equal(peerFast.pushMessage.callCount, 3);
+                assert.isNotOk(peerSlow.pushMessage.called);
+                assert.isNotOk(peerUnmeasured.pushMessage.called);
+            });
         });
 
         describe('_blockProcessorExecBlock', () => {
@@ -1967,6 +3089,9 @@ describe('Node tests', async () => {
     });
 
     describe('Contracts', async () => {
+        beforeEach(async () => {
+            sinon.stub(factory.Node.prototype, '_getNextBlockHeight').resolves(1);
+        });
 
         it('should get contact from Patch', async () => {
             const node = new factory.Node();
@@ -2175,7 +3300,7 @@ describe('Node tests', async () => {
                 node._app.processTxInputs = sinon.fake.returns({totalHas: nTotalHas, patch: new factory.PatchDB()});
                 node._app.coinsSpent = sinon.fake.returns(nFakeCoinsUsed);
                 node._app.getDataDelta = sinon.fake.returns(0);
-                factory.Constants.forks = {HEIGHT_FORK_SERIALIZER: 1};
+                factory.Constants.forks = {...factory.Constants.forks, HEIGHT_FORK_SERIALIZER: 1};
                 node._processedBlock = {
                     getHash: () => pseudoRandomBuffer().toString('hex'),
                     getHeight: () => factory.Constants.forks.HEIGHT_FORK_SERIALIZER + 1
@@ -2217,6 +3342,56 @@ describe('Node tests', async () => {
             assert.equal(environment.contractTx, tx.getHash());
         });
 
+        describe('Logs fork', async () => {
+            let node;
+            let tx;
+
+            beforeEach(async () => {
+                node = new factory.Node();
+                const kp = factory.Crypto.createKeyPair();
+                ({tx} = createContractInvocationTx({}));
+                tx.signForContract(kp.privateKey);
+
+                node._storage.getContract = sinon.fake.returns(new factory.Contract({conciliumId}, generateAddress()));
+                node._app.processTxInputs = sinon.fake.returns({totalHas: 1e5, patch: new factory.PatchDB()});
+                node._app.runContract = sinon.fake.returns();
+                sinon.spy(node._app, 'setupVariables');
+            });
+
+            it('should NOT allow logs in block before fork', async () => {
+                node._processedBlock = {
+                    getHash: () => pseudoRandomBuffer().toString('hex'),
+                    getHeight: () => factory.Constants.forks.HEIGHT_FORK_LOGS - 1
+                };
+
+                await node._processTx(new factory.PatchDB(), false, tx);
+
+                const [objVariables] = node._app.setupVariables.args[0];
+                assert.isNotOk(objVariables.bLogsAllowed);
+            });
+
+            it('should allow logs in block after fork', async () => {
+                node._processedBlock = {
+                    getHash: () => pseudoRandomBuffer().toString('hex'),
+                    getHeight: () => factory.Constants.forks.HEIGHT_FORK_LOGS
+                };
+
+                await node._processTx(new factory.PatchDB(), false, tx);
+
+                const [objVariables] = node._app.setupVariables.args[0];
+                assert.isOk(objVariables.bLogsAllowed);
+            });
+
+            it('should check logs fork against next block height (mempool)', async () => {
+                node._getNextBlockHeight.resolves(factory.Constants.forks.HEIGHT_FORK_LOGS - 1);
+
+                await node._processTx(new factory.PatchDB(), false, tx);
+
+                const [objVariables] = node._app.setupVariables.args[0];
+                assert.isNotOk(objVariables.bLogsAllowed);
+            });
+        });
+
         it('should use all INPUT coins as fee (no changeReceiver - no change output)', async () => {
             const node = new factory.Node();
             await node.ensureLoaded();
@@ -2484,7 +3659,11 @@ describe('Node tests', async () => {
                 node._storage.getUtxosPatch = sinon.fake.resolves(new factory.PatchDB());
 
                 fakeTx = {
-                    verify: () => {}
+                    verify: () => {},
+                    hasMultisigClaims: () => false,
+                    hasHashTypeClaims: () => false,
+                    hasTimelocks: () => false,
+                    utxos: []
                 };
             });
 
@@ -2521,7 +3700,7 @@ describe('Node tests', async () => {
 
         it('should process received TX', async function() {
             node._validateTxLight = sinon.fake.resolves();
-            node._mempool.addTx = sinon.fake();
+            node._mempool.addTx = sinon.fake.returns([]);
             node._informNeighbors = sinon.fake();
 
             const {tx} = createTxAddCoinsToNode(node);
@@ -2560,6 +3739,16 @@ describe('Node tests', async () => {
 
             throw new Error('Unexpected success');
         });
+
+        it('should NOT storeBadTxHash (rejected by mempool policy)', async () => {
+            node._validateTxLight = sinon.fake.resolves(1e4);
+            node._mempool.addTx = sinon.fake.throws(new Error('Tx conflicts with mempool'));
+            node._mempool.storeBadTxHash = sinon.fake();
+
+            await assert.isRejected(node._processReceivedTx(new factory.Transaction(createDummyTx())), /conflicts/);
+
+            assert.isNotOk(node._mempool.storeBadTxHash.called);
+        });
     });
 
     describe('rebuildDb', async () => {
@@ -2576,6 +3765,76 @@ describe('Node tests', async () => {
         });
     });
 
+    describe('_getTxProof', async () => {
+        it('should return proof for tx in block', async () => {
+            const node = new factory.Node();
+            await node.ensureLoaded();
+            const block = createDummyBlock(factory, 0, 2);
+            const [, strTxHash] = block.getTxHashes();
+            node._storage.findBlockByTxHash = sinon.fake.resolves(block);
+
+            const objProof = await node._getTxProof(strTxHash);
+
+            assert.equal(objProof.strBlockHash, block.getHash());
+            assert.equal(objProof.status, 'confirmed');
+            assert.equal(objProof.header, block.encodeHeader().toString('hex'));
+            assert.deepEqual(objProof.branch, block.getTxProof(strTxHash));
+        });
+
+        it('should return undefined for unknown tx', async () => {
+            const node = new factory.Node();
+            await node.ensureLoaded();
+            node._storage.findBlockByTxHash = sinon.fake.resolves(undefined);
+
+            assert.isUndefined(await node._getTxProof(pseudoRandomBuffer().toString('hex')));
+        });
+    });
+
+    describe('rollbackTo', async () => {
+        it('should rollback storage & rebuild pending', async () => {
+            const node = new factory.Node();
+            await node.ensureLoaded();
+            const strHash = pseudoRandomBuffer().toString('hex');
+            const arrToExec = [pseudoRandomBuffer().toString('hex')];
+            node._storage.rollbackTo = sinon.fake.resolves(arrToExec);
+            node._storage.getLastAppliedBlockHashes = sinon.fake.resolves([strHash]);
+            node._buildMainDag = sinon.fake();
+            node._rebuildPending = sinon.fake();
+
+            assert.deepEqual(await node.rollbackTo(strHash), arrToExec);
+
+            assert.isOk(node._storage.rollbackTo.calledOnceWith(strHash));
+            assert.isOk(node._buildMainDag.calledOnceWith([strHash], arrToExec));
+            assert.isOk(node._rebuildPending.calledOnceWith([strHash], arrToExec));
+            assert.isNotOk(node._isBusyWithExec());
+        });
+    });
+
+    describe('verifyDb', async () => {
+        it('should rebuild & compare with storage', async () => {
+            const node = new factory.Node();
+            await node.ensureLoaded();
+            node.rebuildDb = sinon.fake.resolves();
+            const storageToCheck = new factory.Storage();
+            storageToCheck.verifyAgainst = sinon.fake.resolves([]);
+
+            const arrInconsistencies = await node.verifyDb(storageToCheck, true);
+
+            assert.deepEqual(arrInconsistencies, []);
+            assert.isOk(node.rebuildDb.calledOnce);
+            assert.isOk(storageToCheck.verifyAgainst.calledOnceWith(node._storage, true));
+        });
+
+        it('should FAIL for pruned storage', async () => {
+            const node = new factory.Node();
+            await node.ensureLoaded();
+            const storageToCheck = new factory.Storage();
+            storageToCheck.getPrunedHeight = sinon.fake.resolves(100);
+
+            await assert.isRejected(node.verifyDb(storageToCheck), /Pruned node is unable to verify DB/);
+        });
+    });
+
     describe('_handleInvMessage', async () => {
         it('should just request items (one block, no MSG_GET_BLOCKS)', async () => {
             const node = new factory.Node();
@@ -2585,7 +3844,8 @@ describe('Node tests', async () => {
                 pushMessage: sinon.fake(),
                 markAsEven: sinon.fake(),
                 singleBlockRequested: sinon.fake(),
-                isGetBlocksSent: sinon.fake.returns(false)
+                isGetBlocksSent: sinon.fake.returns(false),
+                isAhead: sinon.fake.returns(false)
             };
             node._peerManager.getConnectedPeers = sinon.fake.returns([fakePeer]);
 
@@ -328,6 +328,43 @@ describe('PatchDB', () => {
         }
     });
 
+    it('should keep receivers of spent outputs', async () => {
+        const patch = new factory.PatchDB(0);
+        const utxo = createUtxo([12, 0]);
+        const buffReceiver = utxo.coinsAtIndex(12).getReceiverAddr();
+
+        patch.spendCoins(utxo, 12, pseudoRandomBuffer());
+
+        const mapReceivers = patch.getSpentReceivers(utxo.getTxHash());
+        assert.equal(mapReceivers.size, 1);
+        assert.isOk(buffReceiver.equals(mapReceivers.get(12)));
+        assert.equal(patch.getSpentReceivers(pseudoRandomBuffer().toString('hex')).size, 0);
+    });
+
+    it('should MERGE patches and maintain receivers of spent outputs', async () => {
+        const patch = new factory.PatchDB(12);
+        const patch2 = new factory.PatchDB(0);
+
+        const utxo = createUtxo([12, 0, 431]);
+        const utxo2 = createUtxo([0]);
+
+        patch.spendCoins(utxo.clone(), 12, pseudoRandomBuffer());
+        patch2.spendCoins(utxo.clone(), 0, pseudoRandomBuffer());
+        patch2.spendCoins(utxo2.clone(), 0, pseudoRandomBuffer());
+
+        test(patch.merge(patch2));
+        test(patch2.merge(patch));
+
+        function test(patchMerged) {
+            const mapReceivers = patchMerged.getSpentReceivers(utxo.getTxHash());
+            assert.equal(mapReceivers.size, 2);
+            assert.isOk(mapReceivers.get(12).equals(utxo.coinsAtIndex(12).getReceiverAddr()));
+            assert.isOk(mapReceivers.get(0).equals(utxo.coinsAtIndex(0).getReceiverAddr()));
+            assert.isOk(patchMerged.getSpentReceivers(utxo2.getTxHash()).get(0)
+                .equals(utxo2.coinsAtIndex(0).getReceiverAddr()));
+        }
+    });
+
     it('should fail MERGE patches (same outputs different spending TX)', async () => {
         const patch = new factory.PatchDB(12);
         const patch2 = new factory.PatchDB(12);
@@ -4,7 +4,7 @@ const sinon = require('sinon');
 const debug = require('debug')('peer:');
 
 const {sleep} = require('../utils');
-const {createDummyPeer} = require('./testUtil');
+const {createDummyPeer, createDummyTx} = require('./testUtil');
 
 const factory = require('./testFactory');
 
@@ -99,7 +99,7 @@ describe('Peer tests', () => {
             }
         });
         for (let i = 0; i < 5; i++) {
-            newPeer.pushMessage({message: `testMessage${i}`, isGetBlocks: () => false});
+            newPeer.pushMessage({message: `testMessage${i}`, isGetBlocks: () => false, isGetHeaders: () => false});
         }
         await sleep(delay * 6);
         assert.equal(nSendMessages, 5);
@@ -150,6 +150,22 @@ describe('Peer tests', () => {
         assert.equal(newPeer.witnessAddress, '1111');
     });
 
+    it('should get peer identityKey', async () => {
+        const strIdentityKey = factory.Crypto.createKeyPair().publicKey;
+        const newPeer = new factory.Peer({
+            peerInfo: {
+                capabilities: [
+                    {service: factory.Constants.NODE, data: null},
+                    {service: factory.Constants.ENCRYPTED, data: Buffer.from(strIdentityKey, 'hex')}
+                ],
+                address: {addr0: 0x2001, addr1: 0xdb8, addr2: 0x1234, addr3: 0x5}
+            }
+        });
+
+        assert.equal(newPeer.identityKey, strIdentityKey);
+        assert.isNotOk(new factory.Peer(createDummyPeer(factory)).identityKey);
+    });
+
     it('should emit empty "witnessMessage" (wrong signature)', async () => {
         const keyPair = factory.Crypto.createKeyPair();
 
@@ -311,18 +327,40 @@ describe('Peer tests', () => {
         assert.isOk(newPeer.disconnected);
     });
 
+    it('should relay TX only if it matches bloom filter', async () => {
+        const newPeer = new factory.Peer({peerInfo});
+        const tx = new factory.Transaction(createDummyTx());
+        assert.isOk(newPeer.isTxRelevant(tx));
+
+        newPeer.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+        assert.isNotOk(newPeer.isTxRelevant(tx));
+
+        newPeer.bloomFilter.insert(tx.getHash());
+        assert.isOk(newPeer.isTxRelevant(tx));
+    });
+
+    it('should drop bloom filter on disconnect', async () => {
+        const newPeer = new factory.Peer({peerInfo});
+        await newPeer.connect();
+        newPeer.bloomFilter = factory.BloomFilter.create(10, 0.0001);
+
+        newPeer.disconnect();
+
+        assert.isNotOk(newPeer.bloomFilter);
+    });
+
     it('should send pong message if ping message is received', async () => {
         const newPeer = new factory.Peer({peerInfo});
         const pushMessage = sinon.fake();
         newPeer.pushMessage = pushMessage;
-        const msg = new factory.Messages.MsgCommon();
-        msg.pingMessage = true;
+        const msg = new factory.Messages.MsgCommon(new factory.Messages.MsgPing({nonce: 42}).encode());
 
         await newPeer.connect();
         newPeer._connection.emit('message', msg);
         assert.equal(pushMessage.callCount, 1);
         const [pongMsg] = pushMessage.args[0];
         assert.isTrue(pongMsg.isPong());
+        assert.equal(pongMsg.nonce, 42);
     });
 
     it('should disconnect if peer dead', async function() {
@@ -358,6 +396,155 @@ describe('Peer tests', () => {
         assert.equal(pushMessage.callCount, 1);
         const [pingMsg] = pushMessage.args[0];
         assert.isTrue(pingMsg.isPing());
+        assert.isOk(pingMsg.nonce);
+    });
+
+    it('should measure latency by pong for heartbeat ping', async () => {
+        const newPeer = new factory.Peer({peerInfo});
+        newPeer.pushMessage = sinon.fake();
+        await newPeer.connect();
+
+        newPeer._tick();
+        newPeer._msecPingSent -= 300;
+        const [pingMsg] = newPeer.pushMessage.args[0];
+
+        const msgPong = new factory.Messages.MsgPong({nonce: pingMsg.nonce});
+        newPeer._connection.emit('message', new factory.Messages.MsgCommon(msgPong.encode()));
+
+        assert.isAtLeast(newPeer.latency, 300);
+        assert.equal(newPeer.toObject().latency, newPeer.latency);
+    });
+
+    it('should ignore pong with wrong nonce', async () => {
+        const newPeer = new factory.Peer({peerInfo});
+        newPeer.pushMessage = sinon.fake();
+        await newPeer.connect();
+
+        newPeer._tick();
+        const [pingMsg] = newPeer.pushMessage.args[0];
+
+        const msgPong = new factory.Messages.MsgPong({nonce: pingMsg.nonce + 1});
+        newPeer._connection.emit('message', new factory.Messages.MsgCommon(msgPong.encode()));
+
+        assert.isUndefined(newPeer.latency);
+        assert.isOk(newPeer._msecPingSent);
+    });
+
+    it('should not send another ping while waiting for pong', async () => {
+        const newPeer = new factory.Peer({peerInfo});
+        newPeer.pushMessage = sinon.fake();
+        await newPeer.connect();
+
+        newPeer._tick();
+        newPeer._tick();
+
+        assert.equal(newPeer.pushMessage.callCount, 1);
+        assert.isNotOk(newPeer.disconnected);
+    });
+
+    it('should disconnect peer not answering pings', async () => {
+        const newPeer = new factory.Peer({peerInfo});
+        newPeer.pushMessage = sinon.fake();
+        await newPeer.connect();
+
+        newPeer._tick();
+        newPeer._msecPingSent -= factory.Constants.PEER_PING_TIMEOUT + 1;
+        newPeer._tick();
+
+        assert.isOk(newPeer.disconnected);
+    });
+
+    describe('Rate limits', function() {
+        let newPeer;
+        let handler;
+        let msgInv;
+        beforeEach(async () => {
+            newPeer = new factory.Peer({peerInfo: new factory.Messages.PeerInfo(peerInfo.encode())});
+            await newPeer.connect();
+            handler = sinon.fake();
+            newPeer.on('message', handler);
+
+            msgInv = new factory.Messages.MsgCommon();
+            msgInv.message = factory.Constants.messageTypes.MSG_INV;
+        });
+
+        it('should drop flood of "inv" & raise misbehave score', async () => {
+            const {nBurst} = factory.Constants.PEER_RATE_MESSAGES[msgInv.message];
+
+            for (let i = 0; i < nBurst + 1; i++) newPeer._connection.emit('message', msgInv);
+
+            assert.equal(handler.callCount, nBurst);
+            assert.equal(newPeer.misbehaveScore, factory.Constants.PEER_FLOOD_MISBEHAVE_SCORE);
+        });
+
+        it('should NOT limit PERSISTENT peer', async () => {
+            const {nBurst} = factory.Constants.PEER_RATE_MESSAGES[msgInv.message];
+            newPeer.markAsPersistent();
+
+            for (let i = 0; i < nBurst + 1; i++) newPeer._connection.emit('message', msgInv);
+
+            assert.equal(handler.callCount, nBurst + 1);
+            assert.equal(newPeer.misbehaveScore, 0);
+        });
+
+        it('should drop message above bandwidth limit', async () => {
+            const msg = new factory.Messages.MsgCommon();
+            msg.payload = Buffer.alloc(1024 * 1024);
+            newPeer._bytesBucket.consume(newPeer._bytesBucket.tokens);
+
+            assert.isNotOk(newPeer._isWithinRateLimits(msg));
+            assert.equal(newPeer.misbehaveScore, 0);
+        });
+    });
+
+    describe('Score', function() {
+        let newPeer;
+        beforeEach(async () => {
+            newPeer = new factory.Peer({peerInfo: new factory.Messages.PeerInfo(peerInfo.encode())});
+        });
+
+        it('should raise score with useful deliveries', async () => {
+            newPeer.usefulItemDelivered();
+            newPeer.usefulItemDelivered();
+
+            assert.equal(newPeer.usefulItems, 2);
+            assert.equal(newPeer.score, 2);
+        });
+
+        it('should lower score with misbehaviour', async () => {
+            newPeer.usefulItemDelivered();
+            newPeer.misbehave(3);
+
+            assert.equal(newPeer.score, -2);
+        });
+
+        it('should lower score with high latency', async () => {
+            newPeer._msecLatency = 2.5 * factory.Constants.PEER_LATENCY_SCORE_STEP;
+
+            assert.equal(newPeer.score, -2);
+        });
+
+        it('should be terrible if misbehaved more than helped', async () => {
+            assert.isNotOk(newPeer.isTerrible());
+
+            newPeer.misbehave(1);
+            assert.isOk(newPeer.isTerrible());
+
+            newPeer.usefulItemDelivered();
+            assert.isNotOk(newPeer.isTerrible());
+        });
+
+        it('should zero address book state for MSG_ADDR', async () => {
+            newPeer.usefulItemDelivered();
+            newPeer.peerInfo.tried = true;
+            newPeer.peerInfo.sourceGroup = 'group';
+
+            const objPeerInfo = newPeer.toObject();
+
+            assert.equal(objPeerInfo.lifetimeUsefulItems, 0);
+            assert.isNotOk(objPeerInfo.tried);
+            assert.isNotOk(objPeerInfo.sourceGroup);
+        });
     });
 
     describe('updatePeerFromPeerInfo', function() {
@@ -342,22 +342,207 @@ describe('Peer manager', () => {
                     on: () => {}
                 }
             });
-            peer._transmittedBytes = 10 - i;
-            peer._receivedBytes = 10 - i;
-
-            peer._misbehaveScore = i;
+            peer.peerInfo.lifetimeUsefulItems = 10 - i;
+            peer.misbehave(i);
             await pm.addPeer(peer);
         }
         const bestPeers = pm.findBestPeers();
         assert.equal(bestPeers.length, factory.Constants.MAX_PEERS);
         for (let i = 0; i < 9; i++) {
-            const current = bestPeers[i].quality;
-            const next = bestPeers[i + 1].quality;
+            const current = bestPeers[i].score;
+            const next = bestPeers[i + 1].score;
 
             assert.isTrue(current > next);
         }
     });
 
+    describe('Address book', async () => {
+        let objSavedConstants;
+
+        const createPeerInfo = (strAddress = factory.Transport.generateAddress(), port = 123) =>
+            new factory.Messages.PeerInfo({
+                capabilities: [{service: factory.Constants.NODE, data: null}],
+                address: factory.Transport.strToAddress(strAddress),
+                port
+            });
+
+        const createConnection = () => ({
+            remoteAddress: factory.Transport.generateAddress(),
+            remotePort: 123,
+            listenerCount: () => 0,
+            on: () => {},
+            close: sinon.fake()
+        });
+
+        beforeEach(async () => {
+            const {MAX_INBOUND_PEERS, EVICTION_PROTECT_LATENCY, EVICTION_PROTECT_USEFUL} = factory.Constants;
+            const {ADDRBOOK_BUCKET_SIZE, ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP} = factory.Constants;
+            objSavedConstants = {
+                MAX_INBOUND_PEERS,
+                EVICTION_PROTECT_LATENCY,
+                EVICTION_PROTECT_USEFUL,
+                ADDRBOOK_BUCKET_SIZE,
+                ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP
+            };
+        });
+
+        afterEach(async () => {
+            Object.assign(factory.Constants, objSavedConstants);
+        });
+
+        it('should NOT add address if there is no room in address book', async () => {
+            factory.Constants.ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP = 1;
+            factory.Constants.ADDRBOOK_BUCKET_SIZE = 1;
+            const pm = new factory.PeerManager();
+            const strSource = factory.Transport.generateAddress();
+
+            assert.instanceOf(pm.addPeer(createPeerInfo(), false, strSource), factory.Peer);
+            assert.isNotOk(pm.addPeer(createPeerInfo(), false, strSource));
+            assert.equal(pm._mapAllPeers.size, 1);
+        });
+
+        it('should keep connected peer even if there is no room in address book', async () => {
+            factory.Constants.ADDRBOOK_NEW_BUCKETS_PER_SOURCE_GROUP = 1;
+            factory.Constants.ADDRBOOK_BUCKET_SIZE = 1;
+            const pm = new factory.PeerManager();
+            const peer = new factory.Peer({connection: createConnection()});
+
+            // same source group as next one
+            pm.addPeer(createPeerInfo(), false, peer.address);
+
+            assert.instanceOf(pm.addPeer(peer, false, peer.address), factory.Peer);
+            assert.isOk(pm.hasPeer(peer));
+        });
+
+        it('should mark peer as tried', async () => {
+            const pm = new factory.PeerManager();
+            const peer = pm.addPeer(createPeerInfo());
+            const key = pm._createKey(peer.address, peer.port);
+
+            pm.markTried(peer);
+
+            assert.isOk(pm._addressBook.isTried(key));
+        });
+
+        it('should prefer tried peers', async () => {
+            const pm = new factory.PeerManager();
+            const peerGood = pm.addPeer(createPeerInfo());
+            const peerTried = pm.addPeer(createPeerInfo());
+            peerGood.usefulItemDelivered();
+            pm.markTried(peerTried);
+
+            const [peerFirst, peerSecond] = pm.findBestPeers();
+
+            assert.equal(peerFirst, peerTried);
+            assert.equal(peerSecond, peerGood);
+        });
+
+        it('should prefer peers from different network groups', async () => {
+            const pm = new factory.PeerManager();
+            const strAddress = factory.Transport.generateAddress();
+            const peer1 = pm.addPeer(createPeerInfo(strAddress, 1));
+            const peer2 = pm.addPeer(createPeerInfo(strAddress, 2));
+            const peer3 = pm.addPeer(createPeerInfo());
+            peer1.usefulItemDelivered();
+            peer1.usefulItemDelivered();
+            peer2.usefulItemDelivered();
+
+            assert.deepEqual(pm.findBestPeers(), [peer1, peer3, peer2]);
+        });
+
+        it('should persist address book', async () => {
+            const storage = new factory.Storage({});
+            const pm = new factory.PeerManager({storage});
+            const strSource = factory.Transport.generateAddress();
+            const peerTried = pm.addPeer(createPeerInfo());
+            const peerNew = pm.addPeer(createPeerInfo(), false, strSource);
+            pm.markTried(peerTried);
+
+            await pm.saveAllPeers();
+            const pmRestored = new factory.PeerManager({storage});
+            await pmRestored.loadPeers();
+
+            assert.isOk(pmRestored._addressBook.key.equals(pm._addressBook.key));
+            assert.isOk(pmRestored._addressBook.isTried(pm._createKey(peerTried.address, peerTried.port)));
+
+            const keyNew = pm._createKey(peerNew.address, peerNew.port);
+            assert.isOk(pmRestored._addressBook.has(keyNew));
+            assert.isNotOk(pmRestored._addressBook.isTried(keyNew));
+            assert.equal(pmRestored._addressBook.getSourceGroup(keyNew), pm._addressBook.getSourceGroup(keyNew));
+        });
+
+        it('should persist pinned identity keys', async () => {
+            const storage = new factory.Storage({});
+            const pm = new factory.PeerManager({storage});
+            const strIdentityKey = factory.Crypto.createKeyPair().publicKey;
+            const peer = pm.addPeer(createPeerInfo());
+            peer._connection = {encrypted: true, remoteIdentityKey: strIdentityKey};
+            pm.pinIdentityKey(peer);
+
+            await pm.saveAllPeers();
+            const pmRestored = new factory.PeerManager({storage});
+            await pmRestored.loadPeers();
+
+            assert.equal(pmRestored.getPinnedIdentityKey(peer), strIdentityKey);
+        });
+
+        it('should NOT pin identity key of plain connection', async () => {
+            const pm = new factory.PeerManager();
+            const peer = pm.addPeer(createPeerInfo());
+            peer._connection = {encrypted: false, remoteIdentityKey: factory.Crypto.createKeyPair().publicKey};
+
+            pm.pinIdentityKey(peer);
+
+            assert.isNotOk(pm.getPinnedIdentityKey(peer));
+        });
+
+        it('should evict worst inbound peer when slots are full', async () => {
+            factory.Constants.MAX_INBOUND_PEERS = 2;
+            factory.Constants.EVICTION_PROTECT_LATENCY = 0;
+            factory.Constants.EVICTION_PROTECT_USEFUL = 0;
+            const pm = new factory.PeerManager();
+
+            pm.addCandidateConnection(createConnection());
+            pm.addCandidateConnection(createConnection());
+            const [peerGood, peerBad] = Array.from(pm._mapCandidatePeers.values());
+            peerGood.usefulItemDelivered();
+            peerBad.misbehave(1);
+
+            pm.addCandidateConnection(createConnection());
+
+            assert.isOk(peerBad.disconnected);
+            assert.isNotOk(peerGood.disconnected);
+            assert.equal(pm._getInboundPeers().length, 2);
+        });
+
+        it('should protect inbound peers with lowest latency', async () => {
+            factory.Constants.MAX_INBOUND_PEERS = 2;
+            factory.Constants.EVICTION_PROTECT_LATENCY = 1;
+            factory.Constants.EVICTION_PROTECT_USEFUL = 0;
+            const pm = new factory.PeerManager();
+
+            pm.addCandidateConnection(createConnection());
+            pm.addCandidateConnection(createConnection());
+            const [peerFast, peerSlow] = Array.from(pm._mapCandidatePeers.values());
+            peerFast._msecLatency = 10;
+            peerFast.misbehave(1);
+            peerSlow._msecLatency = 100;
+
+            assert.equal(pm.evictInboundPeer(), peerSlow);
+        });
+
+        it('should drop inbound connection if nobody could be evicted', async () => {
+            factory.Constants.MAX_INBOUND_PEERS = 1;
+            const pm = new factory.PeerManager();
+            pm.addCandidateConnection(createConnection());
+            const [peerWhitelisted] = Array.from(pm._mapCandidatePeers.values());
+            peerWhitelisted.markAsWhitelisted();
+
+            assert.throws(() => pm.addCandidateConnection(createConnection()), /No free inbound slots/);
+            assert.isNotOk(peerWhitelisted.disconnected);
+        });
+    });
+
     it('should remove peer', async () => {
         const pm = new factory.PeerManager();
         const peer = new factory.Peer(createDummyPeer(factory));
@@ -509,6 +694,12 @@ describe('Peer manager', () => {
             assert.isOk(pm.isWhitelisted('172.16.0.3'));
         });
 
+        it('should NOT whitelist onion address', async () => {
+            pm = new factory.PeerManager({storage, whitelistedAddr: ['172.16.0.0/16']});
+
+            assert.isNotOk(pm.isWhitelisted('duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad.onion'));
+        });
+
         it('should add peer and mark it as whitelisted', async () => {
             pm = new factory.PeerManager({storage, whitelistedAddr: ['172.16.0.0/16']});
             const fakeConnection = {
@@ -590,5 +781,14 @@ describe('Peer manager', () => {
             assert.equal(fakePeers.filter(p => p.pushMessage.calledOnce).length, fakePeers.length);
         });
 
+        it('should send only to peers passed filter', async () => {
+            const fakeMessage = {payload: Buffer.from('fakemessagecontent')};
+            pm.broadcastToConnected(undefined, fakeMessage, undefined, undefined, p => p !== fakePeers[1]);
+
+            const arrInformedPeers = fakePeers.filter(p => p.pushMessage.calledOnce);
+            assert.equal(arrInformedPeers.length, fakePeers.length - 1);
+            assert.isNotOk(fakePeers[1].pushMessage.called);
+        });
+
     });
 });
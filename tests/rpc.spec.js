@@ -1,5 +1,6 @@
 'use strict';
 
+const EventEmitter = require('events');
 const {describe, it} = require('mocha');
 const chai = require('chai');
 const sinon = require('sinon').createSandbox();
@@ -295,6 +296,155 @@ describe('RPC', () => {
         assert.deepEqual(resp, objExpected);
     });
 
+    it('should pass estimateFee', async () => {
+        const objExpected = {nFeeSize: 1000, nMinimalFee: 1000, strPriority: 'low', nSuggestedFee: 1000};
+        const node = {
+            rpcHandler: sinon.fake.resolves(objExpected),
+            storage: {}
+        };
+        const tx = new factory.Transaction(createDummyTx());
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.estimateFee({strTx: tx.encode().toString('hex')});
+
+        assert.deepEqual(resp, objExpected);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'estimateFee');
+        assert.isOk(content.equals(tx));
+    });
+
+    it('should pass simulateTx', async () => {
+        const objExpected = {nFee: 1000, nCoinsUsed: 1000, arrInternalTxns: [], objContractsDiff: {}};
+        const node = {
+            rpcHandler: sinon.fake.resolves(objExpected),
+            storage: {}
+        };
+        const tx = new factory.Transaction(createDummyTx());
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.simulateTx({strTx: tx.encode().toString('hex')});
+
+        assert.deepEqual(resp, objExpected);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'simulateTx');
+        assert.isOk(content.equals(tx));
+    });
+
+    it('should pass getAddressHistory', async () => {
+        const objExpected = {
+            arrRecords: [{
+                strTxHash: pseudoRandomBuffer().toString('hex'),
+                strDirection: 'in',
+                bInternal: false,
+                strBlockHash: pseudoRandomBuffer().toString('hex'),
+                nBlockHeight: 10
+            }],
+            nNextCursor: 12
+        };
+        const node = {
+            rpcHandler: sinon.fake.resolves(objExpected),
+            storage: {}
+        };
+        const strAddress = generateAddress().toString('hex');
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getAddressHistory({
+            strAddress: factory.Constants.ADDRESS_PREFIX + strAddress,
+            nLimit: 1
+        });
+
+        assert.deepEqual(resp, objExpected);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getAddressHistory');
+        assert.deepEqual(content, {strAddress, nCursor: undefined, nLimit: 1});
+    });
+
+    it('should FAIL getAddressHistory (bad limit)', async () => {
+        const node = {
+            rpcHandler: sinon.fake.resolves({}),
+            storage: {}
+        };
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+        return assert.isRejected(rpc.getAddressHistory({
+            strAddress: generateAddress().toString('hex'),
+            nLimit: factory.Constants.ADDRESS_HISTORY_MAX_LIMIT + 1
+        }));
+    });
+
+    it('should pass getLogs', async () => {
+        const arrExpected = [{
+            strContractAddress: generateAddress().toString('hex'),
+            strName: 'Transfer',
+            payload: {amount: 10},
+            strTxHash: pseudoRandomBuffer().toString('hex'),
+            strBlockHash: pseudoRandomBuffer().toString('hex'),
+            nBlockHeight: 10
+        }];
+        const node = {
+            rpcHandler: sinon.fake.resolves(arrExpected),
+            storage: {}
+        };
+        const strAddress = generateAddress().toString('hex');
+
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const resp = await rpc.getLogs({strAddress, strName: 'Transfer', nFromHeight: 5});
+
+        assert.deepEqual(resp, arrExpected);
+        const [{event, content}] = node.rpcHandler.args[0];
+        assert.equal(event, 'getLogs');
+        assert.deepEqual(content, {
+            strAddress, strName: 'Transfer', nFromHeight: 5, nToHeight: 0xFFFFFFFF,
+            strCursor: undefined, nLimit: factory.Constants.LOGS_MAX_RESULTS
+        });
+    });
+
+    it('should FAIL subscribeLogs (not a websocket)', async () => {
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+
+        return assert.isRejected(rpc.subscribeLogs({strAddress: generateAddress().toString('hex')}, {}));
+    });
+
+    it('should PASS informWsSubscribers about logs (only matching)', async () => {
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const strAddress = generateAddress().toString('hex');
+        const socket = {send: sinon.fake(), once: sinon.fake()};
+        const socketNotSubscribed = {send: sinon.fake()};
+        await rpc.subscribeLogs({strAddress, strName: 'Transfer'}, {conn: socket});
+
+        rpc.informWsSubscribersLogs([]);
+        rpc.informWsSubscribersLogs([{strContractAddress: strAddress, strName: 'Approve'}]);
+        rpc.informWsSubscribersLogs([{strContractAddress: generateAddress().toString('hex'), strName: 'Transfer'}]);
+        assert.isNotOk(socket.send.called);
+
+        rpc.informWsSubscribersLogs([
+            {strContractAddress: strAddress, strName: 'Transfer'},
+            {strContractAddress: strAddress, strName: 'Approve'}
+        ]);
+        assert.isOk(socket.send.calledOnce);
+        const {method, params} = JSON.parse(socket.send.args[0][0]);
+        assert.equal(method, 'newLogs');
+        assert.deepEqual(params.arrLogs, [{strContractAddress: strAddress, strName: 'Transfer'}]);
+        assert.isNotOk(socketNotSubscribed.send.called);
+    });
+
+    it('should forget subscriptions of closed websocket', async () => {
+        const rpc = new factory.RPC(node, {rpcAddress: factory.Transport.generateAddress()});
+        const strAddress = generateAddress().toString('hex');
+        const socket = new EventEmitter();
+        socket.send = sinon.fake();
+        await rpc.subscribeLogs({strAddress}, {conn: socket});
+        await rpc.subscribeLogs({strAddress, strName: 'Transfer'}, {conn: socket});
+        assert.equal(socket.listenerCount('close'), 1);
+
+        socket.emit('close');
+        rpc.informWsSubscribersLogs([{strContractAddress: strAddress, strName: 'Transfer'}]);
+
+        assert.isNotOk(socket.send.called);
+        assert.isNotOk(rpc._mapLogSubscriptions.has(socket));
+    });
+
     it('should pass walletListUnspent', async () => {
         const hash1 = pseudoRandomBuffer().toString('hex');
         const hash2 = pseudoRandomBuffer().toString('hex');
@@ -0,0 +1,120 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const factory = require('./testFactory');
+
+const createEstablishedPair = (keyPair1, keyPair2) => {
+    const channel1 = new factory.SecureChannel(keyPair1);
+    const channel2 = new factory.SecureChannel(keyPair2);
+
+    const msgHandshake1 = channel1.createHandshakeMessage();
+    const msgHandshake2 = channel2.createHandshakeMessage();
+
+    channel1.establish(new factory.Messages.MsgCommon(msgHandshake2.encode()));
+    channel2.establish(new factory.Messages.MsgCommon(msgHandshake1.encode()));
+
+    return [channel1, channel2];
+};
+
+describe('Secure channel', () => {
+    before(async function() {
+        this.timeout(15000);
+        await factory.asyncLoad();
+    });
+
+    after(async function() {
+        this.timeout(15000);
+    });
+
+    it('should create handshake', async () => {
+        const keyPair = factory.Crypto.createKeyPair();
+        const channel = new factory.SecureChannel(keyPair);
+
+        const msg = channel.createHandshakeMessage();
+
+        assert.isOk(msg.isKeyExchange());
+        assert.equal(msg.identityKey, keyPair.publicKey);
+        assert.isNotOk(channel.isEstablished());
+        assert.throws(() => channel.encryptFrame(Buffer.from('test')), 'Secure channel is not established');
+    });
+
+    it('should establish channel & exchange messages both directions', async () => {
+        const keyPair1 = factory.Crypto.createKeyPair();
+        const keyPair2 = factory.Crypto.createKeyPair();
+        const [channel1, channel2] = createEstablishedPair(keyPair1, keyPair2);
+
+        assert.equal(channel1.remoteIdentityKey, keyPair2.publicKey);
+        assert.equal(channel2.remoteIdentityKey, keyPair1.publicKey);
+
+        for (let i = 0; i < 3; i++) {
+            const buffData = Buffer.from(`message ${i}`);
+            const buffFrame = channel1.encryptFrame(buffData);
+            assert.isNotOk(buffFrame.includes(buffData));
+            assert.isOk(channel2.decryptFrame(buffFrame).equals(buffData));
+
+            assert.isOk(channel1.decryptFrame(channel2.encryptFrame(buffData)).equals(buffData));
+        }
+    });
+
+    it('should extract encrypted frame with MessageAssembler', async () => {
+        const [channel1, channel2] = createEstablishedPair(
+            factory.Crypto.createKeyPair(),
+            factory.Crypto.createKeyPair()
+        );
+        const msg = new factory.Messages.MsgCommon();
+        msg.message = 'test';
+
+        const buffFrame = channel1.encryptFrame(factory.Serializer.serialize(msg));
+        const [buffExtracted] = new factory.MessageAssembler().extractMessages(buffFrame);
+
+        assert.equal(factory.Serializer.deSerialize(channel2.decryptFrame(buffExtracted)).message, 'test');
+    });
+
+    it('should FAIL to decrypt tampered frame', async () => {
+        const [channel1, channel2] = createEstablishedPair(
+            factory.Crypto.createKeyPair(),
+            factory.Crypto.createKeyPair()
+        );
+
+        const buffFrame = channel1.encryptFrame(Buffer.from('test'));
+        buffFrame[buffFrame.length - 1] ^= 1;
+
+        assert.throws(() => channel2.decryptFrame(buffFrame));
+    });
+
+    it('should FAIL to decrypt replayed frame', async () => {
+        const [channel1, channel2] = createEstablishedPair(
+            factory.Crypto.createKeyPair(),
+            factory.Crypto.createKeyPair()
+        );
+
+        const buffFrame = channel1.encryptFrame(Buffer.from('test'));
+        channel2.decryptFrame(buffFrame);
+
+        assert.throws(() => channel2.decryptFrame(buffFrame));
+    });
+
+    it('should NOT talk to impostor (has no private key of identity)', async () => {
+        const keyPair = factory.Crypto.createKeyPair();
+        const impostorKeyPair = {
+            publicKey: keyPair.publicKey,
+            privateKey: factory.Crypto.createKeyPair().privateKey
+        };
+        const [impostorChannel, channel] = createEstablishedPair(impostorKeyPair, factory.Crypto.createKeyPair());
+
+        assert.equal(channel.remoteIdentityKey, keyPair.publicKey);
+        assert.throws(() => channel.decryptFrame(impostorChannel.encryptFrame(Buffer.from('test'))));
+    });
+
+    it('should FAIL to establish twice', async () => {
+        const channel = new factory.SecureChannel(factory.Crypto.createKeyPair());
+        const channelRemote = new factory.SecureChannel(factory.Crypto.createKeyPair());
+        const msgHandshake = channelRemote.createHandshakeMessage();
+
+        channel.establish(msgHandshake);
+
+        assert.throws(() => channel.establish(msgHandshake), 'Secure channel already established');
+    });
+});
@@ -1,5 +1,8 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {describe, it} = require('mocha');
 const chai = require('chai');
 chai.use(require('chai-as-promised'));
@@ -27,7 +30,7 @@ const createBlockInfo = () => {
     });
 };
 
-const createInternalUtxo = (buffHash) => new factory.UTXO({txHash: buffHash || pseudoRandomBuffer()})
+const createInternalUtxo = (strHash = pseudoRandomBuffer().toString('hex')) => new factory.UTXO({txHash: strHash})
     .addCoins(0, factory.Coins.createFromData({amount: 100, receiverAddr: generateAddress()}));
 
 describe('Storage tests', () => {
@@ -276,6 +279,382 @@ describe('Storage tests', () => {
         assert.isOk(await await storage.hasBlock(block3.getHash()));
     });
 
+    describe('Snapshot', async () => {
+        const strFileName = path.join(os.tmpdir(), `snapshot-${pseudoRandomBuffer().toString('hex')}`);
+
+        afterEach(async () => {
+            if (fs.existsSync(strFileName)) fs.unlinkSync(strFileName);
+        });
+
+        const createStorageWithState = async () => {
+            const storage = new factory.Storage();
+
+            const utxo = createInternalUtxo();
+            const patch = new factory.PatchDB(0);
+            patch.setUtxo(utxo);
+            const buffContractAddr = generateAddress();
+            const contract = new factory.Contract({
+                contractData: {value: 10},
+                contractCode: '{"add": "(a){this.value+=a;}"}',
+                conciliumId: 0
+            });
+            contract.storeAddress(buffContractAddr);
+            patch.setContract(contract);
+            await storage.applyPatch(patch);
+
+            const blockInfo = createBlockInfo();
+            await storage.saveBlockInfo(blockInfo);
+            await storage.updateLastAppliedBlocks([blockInfo.getHash()]);
+
+            return {storage, utxo, strContractAddr: buffContractAddr.toString('hex'), blockInfo};
+        };
+
+        it('should export & bootstrap from snapshot', async () => {
+            const {storage, utxo, strContractAddr, blockInfo} = await createStorageWithState();
+            const strHash = await storage.exportSnapshot(strFileName);
+
+            const storageNew = new factory.Storage();
+            await storageNew.importSnapshot(strFileName, strHash);
+
+            assert.isOk((await storageNew.getUtxo(utxo.getTxHash())).equals(utxo));
+            assert.isOk(await storageNew.getContract(strContractAddr));
+            assert.isOk(await storageNew.getBlockInfo(blockInfo.getHash()));
+            assert.deepEqual(await storageNew.getLastAppliedBlockHashes(), [blockInfo.getHash()]);
+            assert.deepEqual(await storageNew.getSnapshotTips(), [blockInfo.getHash()]);
+        });
+
+        it('should FAIL to bootstrap (hash mismatch)', async () => {
+            const {storage, utxo} = await createStorageWithState();
+            await storage.exportSnapshot(strFileName);
+
+            const storageNew = new factory.Storage();
+            await assert.isRejected(
+                storageNew.importSnapshot(strFileName, pseudoRandomBuffer().toString('hex')),
+                /Snapshot hash mismatch/
+            );
+            assert.deepEqual(await storageNew.getLastAppliedBlockHashes(), []);
+            assert.deepEqual(await storageNew.getSnapshotTips(), []);
+            await assert.isRejected(storageNew.getUtxo(utxo.getTxHash()));
+        });
+
+        it('should remove records of interrupted import', async () => {
+            const {storage, utxo} = await createStorageWithState();
+            const strHash = await storage.exportSnapshot(strFileName);
+
+            const storageNew = new factory.Storage();
+            const utxoStale = createInternalUtxo();
+            const patch = new factory.PatchDB(0);
+            patch.setUtxo(utxoStale);
+            await storageNew.applyPatch(patch);
+
+            await storageNew.importSnapshot(strFileName, strHash);
+
+            assert.isOk(await storageNew.getUtxo(utxo.getTxHash()));
+            await assert.isRejected(storageNew.getUtxo(utxoStale.getTxHash()));
+        });
+
+        it('should FAIL to bootstrap (chainstate not empty)', async () => {
+            const {storage} = await createStorageWithState();
+            const strHash = await storage.exportSnapshot(strFileName);
+
+            await assert.isRejected(storage.importSnapshot(strFileName, strHash), /Chainstate is not empty/);
+        });
+    });
+
+    describe('Pruning', async () => {
+        const saveFinalBlock = async (storage, nHeight, bFinal = true) => {
+            const block = new factory.Block(0);
+            block.parentHashes = [pseudoRandomBuffer().toString('hex')];
+            block.setHeight(nHeight);
+            block.finish(0, generateAddress());
+
+            const bi = new factory.BlockInfo(block.header);
+            if (bFinal) bi.markAsFinal();
+            await storage.saveBlock(block, bi);
+
+            return block.getHash();
+        };
+
+        it('should keep all blocks (archival node)', async () => {
+            const storage = new factory.Storage();
+            const strHash = await saveFinalBlock(storage, 1);
+
+            await storage.pruneBlocks(1e6);
+
+            assert.equal(await storage.getPrunedHeight(), 0);
+            await storage.getBlock(strHash);
+        });
+
+        it('should prune bodies of old final blocks', async () => {
+            const storage = new factory.Storage({pruneDepth: 10});
+            const strOldHash = await saveFinalBlock(storage, 5);
+            const strOldPendingHash = await saveFinalBlock(storage, 6, false);
+            const strRecentHash = await saveFinalBlock(storage, 195);
+
+            await storage.pruneBlocks(200);
+
+            assert.equal(await storage.getPrunedHeight(), 190);
+            await assert.isRejected(storage.getBlock(strOldHash));
+            assert.isOk(await storage.hasBlock(strOldHash));
+            await storage.getBlock(strOldPendingHash);
+            await storage.getBlock(strRecentHash);
+        });
+
+        it('should prune only heights above stored pruned height', async () => {
+            const storage = new factory.Storage({pruneDepth: 10});
+            await saveFinalBlock(storage, 5);
+            await storage.pruneBlocks(200);
+
+            const strHash = await saveFinalBlock(storage, 195);
+            const spyGetBlockInfo = sinon.spy(storage, 'getBlockInfo');
+
+            await storage.pruneBlocks(400);
+
+            assert.equal(await storage.getPrunedHeight(), 390);
+            assert.isOk(spyGetBlockInfo.calledOnce);
+            await assert.isRejected(storage.getBlock(strHash));
+        });
+
+        it('should wait for PRUNE_BATCH_HEIGHTS', async () => {
+            const storage = new factory.Storage({pruneDepth: 10});
+            const strHash = await saveFinalBlock(storage, 5);
+
+            await storage.pruneBlocks(factory.Constants.PRUNE_BATCH_HEIGHTS);
+
+            assert.equal(await storage.getPrunedHeight(), 0);
+            await storage.getBlock(strHash);
+        });
+    });
+
+    describe('Backends', async () => {
+        it('should throw for unknown backend', async () => {
+            assert.throws(() => new factory.Storage({storageBackend: 'unknown'}), 'Unknown storage backend "unknown"');
+        });
+
+        it('should use custom backend', async () => {
+            const {getBackend} = require('../storage/backends');
+            const memory = getBackend('memory');
+            const backend = {open: sinon.fake(strPath => memory.open(strPath))};
+
+            const storage = new factory.Storage({storageBackend: backend, dbPath: '/tmp/cil', buildTxIndex: true});
+            const block = createDummyBlock(factory);
+            await storage.saveBlock(block);
+
+            assert.equal((await storage.getBlock(block.getHash())).getHash(), block.getHash());
+            assert.isOk(backend.open.calledWith(`/tmp/cil/${factory.Constants.DB_BLOCKSTATE_DIR}`));
+            assert.isOk(backend.open.calledWith(`/tmp/cil/${factory.Constants.DB_TXINDEX_DIR}`));
+        });
+
+        it('should not fail dropAllForReIndex for memory backend', async () => {
+            const storage = new factory.Storage({storageBackend: 'memory'});
+            const block = createDummyBlock(factory);
+            await storage.saveBlock(block);
+
+            await storage.dropAllForReIndex();
+
+            assert.isOk(await storage.hasBlock(block.getHash()));
+        });
+    });
+
+    describe('Journal', async () => {
+        it('should roll forward patch interrupted by crash', async () => {
+            const storage = new factory.Storage();
+            const utxo = createInternalUtxo();
+            const patch = new factory.PatchDB(0);
+            patch.setUtxo(utxo);
+
+            const stubBatch = sinon.stub(storage._db, 'batch').rejects(new Error('Power loss'));
+            await assert.isRejected(storage.applyPatch(patch), /Power loss/);
+            stubBatch.restore();
+            await assert.isRejected(storage.getUtxo(utxo.getTxHash()));
+
+            await storage.ready();
+
+            assert.isOk((await storage.getUtxo(utxo.getTxHash())).equals(utxo));
+            await assert.isRejected(storage._db.get(factory.Storage.createKey('JOURNAL')));
+        });
+
+        it('should remove damaged journal', async () => {
+            const storage = new factory.Storage();
+            await storage._db.put(factory.Storage.createKey('JOURNAL'), Buffer.from('{"hash": "00", "ops": "[]"}'));
+
+            await storage.ready();
+
+            await assert.isRejected(storage._db.get(factory.Storage.createKey('JOURNAL')));
+        });
+
+        it('should roll forward deletions from journal', async () => {
+            const storage = new factory.Storage();
+            const buffKeyDel = Buffer.from('keyToDelete');
+            const buffKeyPut = Buffer.from('keyToPut');
+            await storage._db.put(buffKeyDel, Buffer.from('old'));
+
+            const stubBatch = sinon.stub(storage._db, 'batch').rejects(new Error('Power loss'));
+            await assert.isRejected(storage._commitJournal([
+                ['chainstate', [{type: 'del', key: buffKeyDel}, {type: 'put', key: buffKeyPut, value: Buffer.alloc(0)}]]
+            ]), /Power loss/);
+            stubBatch.restore();
+
+            await storage.ready();
+
+            await assert.isRejected(storage._db.get(buffKeyDel));
+            assert.isOk((await storage._db.get(buffKeyPut)).equals(Buffer.alloc(0)));
+        });
+
+        it('should remove truncated journal', async () => {
+            const storage = new factory.Storage();
+            const stubBatch = sinon.stub(storage._db, 'batch').rejects(new Error('Power loss'));
+            await assert.isRejected(storage._commitJournal([
+                ['chainstate', [{type: 'put', key: Buffer.from('key'), value: Buffer.from('value')}]]
+            ]), /Power loss/);
+            stubBatch.restore();
+            const buffJournal = await storage._db.get(factory.Storage.createKey('JOURNAL'));
+            await storage._db.put(factory.Storage.createKey('JOURNAL'), buffJournal.slice(0, buffJournal.length - 2));
+
+            await storage.ready();
+
+            await assert.isRejected(storage._db.get(factory.Storage.createKey('JOURNAL')));
+            await assert.isRejected(storage._db.get(Buffer.from('key')));
+        });
+    });
+
+    describe('Rollback', async () => {
+        const createStorageWithTwoPatches = async () => {
+            const storage = new factory.Storage();
+            const [blockA, blockB] = [createDummyBlock(factory), createDummyBlock(factory)];
+            await storage.saveBlock(blockA);
+            await storage.saveBlock(blockB);
+
+            const strHash = pseudoRandomBuffer().toString('hex');
+            const utxoOriginal = createInternalUtxo(strHash);
+            const patchA = new factory.PatchDB(0);
+            patchA.setUtxo(utxoOriginal);
+            await storage.updateLastAppliedBlocks([blockA.getHash()]);
+            await storage.applyPatch(patchA, 1, {arrStableHashes: [blockA.getHash()], arrPrevLastApplied: []});
+
+            const utxoNew = createInternalUtxo();
+            const patchB = new factory.PatchDB(0);
+            patchB.spendCoins(utxoOriginal, 0, pseudoRandomBuffer());
+            patchB.setUtxo(utxoNew);
+            await storage.updateLastAppliedBlocks([blockB.getHash()]);
+            await storage.applyPatch(patchB, 2, {
+                arrStableHashes: [blockB.getHash()],
+                arrPrevLastApplied: [blockA.getHash()]
+            });
+
+            return {storage, blockA, blockB, utxoOriginal, utxoNew};
+        };
+
+        it('should rollback to block', async () => {
+            const {storage, blockA, blockB, utxoOriginal, utxoNew} = await createStorageWithTwoPatches();
+
+            const arrToExec = await storage.rollbackTo(blockA.getHash());
+
+            assert.deepEqual(arrToExec, [blockB.getHash()]);
+            assert.deepEqual(await storage.getPendingBlockHashes(), [blockB.getHash()]);
+            assert.deepEqual(await storage.getLastAppliedBlockHashes(), [blockA.getHash()]);
+            assert.isOk((await storage.getUtxo(utxoOriginal.getTxHash())).equals(utxoOriginal));
+            await assert.isRejected(storage.getUtxo(utxoNew.getTxHash()));
+            assert.isNotOk((await storage.getBlockInfo(blockB.getHash())).isFinal());
+        });
+
+        it('should mark banned block as bad', async () => {
+            const {storage, blockA, blockB} = await createStorageWithTwoPatches();
+            storage._setBlocksBad.add(blockB.getHash());
+
+            const arrToExec = await storage.rollbackTo(blockA.getHash());
+
+            assert.deepEqual(arrToExec, []);
+            assert.isOk((await storage.getBlockInfo(blockB.getHash())).isBad());
+        });
+
+        it('should NOT read created UTXOs & receipts for undo record', async () => {
+            const storage = new factory.Storage();
+            const block = createDummyBlock(factory);
+            await storage.saveBlock(block);
+            const utxo = createInternalUtxo();
+            const strTxHash = pseudoRandomBuffer().toString('hex');
+            const patch = new factory.PatchDB(0);
+            patch.setUtxo(utxo);
+            patch.setReceipt(strTxHash, new factory.TxReceipt({status: factory.Constants.TX_STATUS_OK}));
+            const spyGet = sinon.spy(storage._db, 'get');
+
+            await storage.applyPatch(patch, 1, {arrStableHashes: [block.getHash()], arrPrevLastApplied: []});
+
+            const arrReadKeys = spyGet.args.map(([key]) => key.toString('hex'));
+            assert.notInclude(arrReadKeys, factory.Storage.createUtxoKey(utxo.getTxHash()).toString('hex'));
+            assert.notInclude(
+                arrReadKeys,
+                factory.Storage.createKey('R', Buffer.from(strTxHash, 'hex')).toString('hex')
+            );
+        });
+
+        it('should FAIL to rollback (no undo record)', async () => {
+            const {storage} = await createStorageWithTwoPatches();
+
+            await assert.isRejected(storage.rollbackTo(pseudoRandomBuffer().toString('hex')), /No undo record/);
+        });
+    });
+
+    describe('Verify DB', async () => {
+        const applyUtxos = async (storage, arrUtxos) => {
+            const patch = new factory.PatchDB(0);
+            arrUtxos.forEach(utxo => patch.setUtxo(utxo));
+            await storage.applyPatch(patch);
+        };
+
+        it('should find no inconsistencies', async () => {
+            const utxo = createInternalUtxo();
+            const storageRef = new factory.Storage();
+            const storage = new factory.Storage();
+            await applyUtxos(storageRef, [utxo]);
+            await applyUtxos(storage, [utxo]);
+
+            assert.deepEqual(await storage.verifyAgainst(storageRef), []);
+        });
+
+        it('should report & repair damaged UTXOs', async () => {
+            const strHash = pseudoRandomBuffer().toString('hex');
+            const utxoMissing = createInternalUtxo();
+            const utxoExtra = createInternalUtxo();
+            const storageRef = new factory.Storage();
+            const storage = new factory.Storage();
+            await applyUtxos(storageRef, [utxoMissing, createInternalUtxo(strHash)]);
+            await applyUtxos(storage, [utxoExtra, createInternalUtxo(strHash)]);
+
+            const arrInconsistencies = await storage.verifyAgainst(storageRef, true);
+
+            const strKey = hash => factory.Storage.createUtxoKey(hash).toString('hex');
+            assert.deepEqual(
+                arrInconsistencies.sort((a, b) => a.key.localeCompare(b.key)),
+                [
+                    {db: 'chainstate', key: strKey(utxoMissing.getTxHash()), problem: 'missing'},
+                    {db: 'chainstate', key: strKey(utxoExtra.getTxHash()), problem: 'extra'},
+                    {db: 'chainstate', key: strKey(strHash), problem: 'mismatch'}
+                ].sort((a, b) => a.key.localeCompare(b.key))
+            );
+            assert.deepEqual(await storage.verifyAgainst(storageRef), []);
+            await assert.isRejected(storage.getUtxo(utxoExtra.getTxHash()));
+        });
+
+        it('should rebuild TX index & report missing entries', async () => {
+            const block = createDummyBlock(factory);
+            const storageRef = new factory.Storage({buildTxIndex: true});
+            await storageRef.saveBlock(block);
+            await storageRef._txIndexStorage.del(factory.Storage.createTxKey(block.getTxHashes()[0]));
+            await storageRef.rebuildTxIndex();
+
+            const storage = new factory.Storage({buildTxIndex: true});
+            const arrInconsistencies = await storage.verifyAgainst(storageRef);
+
+            assert.deepEqual(arrInconsistencies, [{
+                db: 'txindex',
+                key: factory.Storage.createTxKey(block.getTxHashes()[0]).toString('hex'),
+                problem: 'missing'
+            }]);
+        });
+    });
+
     it('should set/get PendingBlockHashes', async () => {
         const storage = new factory.Storage();
 
@@ -554,6 +933,186 @@ describe('Storage tests', () => {
         });
     });
 
+    describe('Contract logs', () => {
+        const createReceiptWithLogs = (buffContractAddr, arrNames) => {
+            const rcpt = new factory.TxReceipt({coinsUsed: 1000, status: factory.Constants.TX_STATUS_OK});
+            rcpt.addLogs(arrNames.map((name, i) => ({contractAddress: buffContractAddr, name, payload: `${i}`})));
+            return rcpt;
+        };
+
+        let storage;
+        let buffContractAddr;
+        let arrTxHashes;
+
+        beforeEach(async () => {
+            storage = new factory.Storage({buildTxIndex: true});
+            buffContractAddr = generateAddress();
+            arrTxHashes = [];
+
+            // 3 TXns in blocks with heights 1, 2, 3
+            for (let nHeight = 1; nHeight <= 3; nHeight++) {
+                const strTxHash = pseudoRandomBuffer().toString('hex');
+                arrTxHashes.push(strTxHash);
+
+                storage.getTxBlock = sinon.fake.resolves(pseudoRandomBuffer());
+                storage.getBlockInfo = sinon.fake.resolves({getHeight: () => nHeight});
+
+                const patch = new factory.PatchDB(0);
+                patch.setReceipt(strTxHash, createReceiptWithLogs(buffContractAddr, ['Transfer', 'Approve']));
+                await storage.applyPatch(patch);
+            }
+        });
+
+        it('should throw. No txIndex enabled', async () => {
+            const storage = new factory.Storage();
+
+            return assert.isRejected(storage.getLogs(generateAddress().toString('hex')));
+        });
+
+        it('should get all logs of contract', async () => {
+            const {arrLogs, strNextCursor} = await storage.getLogs(buffContractAddr.toString('hex'));
+
+            assert.isNotOk(strNextCursor);
+            assert.equal(arrLogs.length, 6);
+            assert.deepEqual(arrLogs.map(log => log.nBlockHeight), [1, 1, 2, 2, 3, 3]);
+        });
+
+        it('should get logs by name', async () => {
+            const {arrLogs} = await storage.getLogs(buffContractAddr.toString('hex'), 'Approve');
+
+            assert.equal(arrLogs.length, 3);
+            assert.isOk(arrLogs.every(log => log.strName === 'Approve' && log.payload === 1));
+            assert.deepEqual(arrLogs.map(log => log.strTxHash), arrTxHashes);
+        });
+
+        it('should get logs by range', async () => {
+            const {arrLogs} = await storage.getLogs(buffContractAddr.toString('hex'), 'Transfer', 2, 3);
+            assert.deepEqual(arrLogs.map(log => log.strTxHash), arrTxHashes.slice(1));
+
+            const {arrLogs: arrAllLogs} = await storage.getLogs(buffContractAddr.toString('hex'), undefined, 2, 2);
+            assert.equal(arrAllLogs.length, 2);
+            assert.isOk(arrAllLogs.every(log => log.strTxHash === arrTxHashes[1]));
+        });
+
+        it('should get nothing for other contract', async () => {
+            const {arrLogs} = await storage.getLogs(generateAddress().toString('hex'));
+
+            assert.equal(arrLogs.length, 0);
+        });
+
+        it('should paginate logs (chronologically, for all events)', async () => {
+            const strAddress = buffContractAddr.toString('hex');
+
+            const {arrLogs: arrFirst, strNextCursor} = await storage.getLogs(strAddress, undefined, 0, 0xFFFFFFFF,
+                undefined, 4
+            );
+            assert.deepEqual(arrFirst.map(log => log.nBlockHeight), [1, 1, 2, 2]);
+            assert.isOk(strNextCursor);
+
+            const {arrLogs: arrSecond, strNextCursor: strLastCursor} = await storage.getLogs(
+                strAddress, undefined, 0, 0xFFFFFFFF, strNextCursor, 4
+            );
+            assert.deepEqual(arrSecond.map(log => log.nBlockHeight), [3, 3]);
+            assert.isNotOk(strLastCursor);
+        });
+    });
+
+    describe('Address history', () => {
+        const createUtxo = (buffReceiver, amount = 1000) =>
+            new factory.UTXO({txHash: pseudoRandomBuffer().toString('hex')})
+                .addCoins(0, new factory.Coins(amount, buffReceiver || generateAddress()));
+
+        it('should throw. No addressIndex enabled', async () => {
+            const storage = new factory.Storage({buildTxIndex: true});
+
+            return assert.isRejected(storage.getAddressHistory(generateAddress().toString('hex')));
+        });
+
+        it('should imply txIndex', async () => {
+            const storage = new factory.Storage({buildAddressIndex: true});
+
+            assert.isOk(storage._buildTxIndex);
+            assert.isOk(storage._txIndexStorage);
+        });
+
+        it('should store incoming & outgoing records', async () => {
+            const storage = new factory.Storage({buildAddressIndex: true});
+            const buffSender = generateAddress();
+            const buffReceiver = generateAddress();
+
+            // UTXO of sender already stored
+            const utxoSpent = createUtxo(buffSender);
+            const patchPrev = new factory.PatchDB(0);
+            patchPrev.setUtxo(utxoSpent);
+            await storage.applyPatch(patchPrev);
+
+            const buffSpendingTx = pseudoRandomBuffer();
+            const patch = new factory.PatchDB(0);
+            patch.spendCoins(utxoSpent, 0, buffSpendingTx);
+            patch.createCoins(buffSpendingTx, 0, new factory.Coins(900, buffReceiver));
+            await storage.applyPatch(patch);
+
+            const {arrRecords: arrSender} = await storage.getAddressHistory(buffSender.toString('hex'));
+            assert.equal(arrSender.length, 2);
+            assert.deepEqual(arrSender[0], {
+                strTxHash: buffSpendingTx.toString('hex'),
+                bIncoming: false,
+                strSourceTxHash: undefined
+            });
+            assert.equal(arrSender[1].strTxHash, utxoSpent.getTxHash());
+            assert.isOk(arrSender[1].bIncoming);
+
+            const {arrRecords: arrReceiver} = await storage.getAddressHistory(buffReceiver.toString('hex'));
+            assert.equal(arrReceiver.length, 1);
+            assert.equal(arrReceiver[0].strTxHash, buffSpendingTx.toString('hex'));
+            assert.isOk(arrReceiver[0].bIncoming);
+        });
+
+        it('should store source TX for internal TXns', async () => {
+            const storage = new factory.Storage({buildAddressIndex: true});
+            const buffReceiver = generateAddress();
+            const buffSourceTx = pseudoRandomBuffer();
+            const utxoInternal = createUtxo(buffReceiver);
+
+            const patch = new factory.PatchDB(0);
+            patch.setUtxo(utxoInternal);
+            const rcpt = new factory.TxReceipt({coinsUsed: 1000});
+            rcpt.addInternalUtxo(utxoInternal);
+            patch.setReceipt(buffSourceTx.toString('hex'), rcpt);
+            await storage.applyPatch(patch);
+
+            const {arrRecords} = await storage.getAddressHistory(buffReceiver.toString('hex'));
+            assert.equal(arrRecords.length, 1);
+            assert.equal(arrRecords[0].strTxHash, utxoInternal.getTxHash());
+            assert.equal(arrRecords[0].strSourceTxHash, buffSourceTx.toString('hex'));
+        });
+
+        it('should paginate (newest first)', async () => {
+            const storage = new factory.Storage({buildAddressIndex: true});
+            const buffReceiver = generateAddress();
+
+            const arrUtxos = [];
+            for (let i = 0; i < 5; i++) {
+                const patch = new factory.PatchDB(0);
+                const utxo = createUtxo(buffReceiver);
+                patch.setUtxo(utxo);
+                await storage.applyPatch(patch);
+                arrUtxos.push(utxo.getTxHash());
+            }
+            arrUtxos.reverse();
+
+            const strAddress = buffReceiver.toString('hex');
+            const {arrRecords, nNextCursor} = await storage.getAddressHistory(strAddress, undefined, 3);
+            assert.deepEqual(arrRecords.map(rec => rec.strTxHash), arrUtxos.slice(0, 3));
+            assert.isOk(nNextCursor);
+
+            const {arrRecords: arrRecords2, nNextCursor: nNextCursor2} =
+                await storage.getAddressHistory(strAddress, nNextCursor, 3);
+            assert.deepEqual(arrRecords2.map(rec => rec.strTxHash), arrUtxos.slice(3));
+            assert.isNotOk(nNextCursor2);
+        });
+    });
+
     describe('Wallet support', async () => {
         let storage;
 
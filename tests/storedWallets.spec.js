@@ -351,4 +351,184 @@ describe('Stored wallets', async () => {
         });
 
     });
+    describe('HD account', async () => {
+        const strMnemonic =
+            'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+        let sw;
+        let objStoredHd;
+
+        beforeEach(async () => {
+            objStoredHd = undefined;
+
+            sinon.stub(factory.Crypto, 'encrypt').callsFake(async (pass, buffer) => ({encrypted: buffer}));
+            sinon.stub(factory.Crypto, 'decrypt').callsFake((pass, {encrypted}) => Buffer.from(encrypted));
+
+            sw = new factory.StoredWallet({storage: new factory.Storage()});
+            sw._ensureAccount = sinon.fake();
+            sw.getAccountAddresses = sinon.fake.resolves([]);
+            sw._storage.writeKeystore = sinon.fake.resolves();
+            sw._storage.walletWatchAddress = sinon.fake.resolves();
+            sw._storage.walletReIndex = sinon.fake.resolves();
+            sw._storage.writeHdAccount = sinon.fake(async (strAccountName, objEncrypted, nNextIndex) => {
+                objStoredHd = {...objEncrypted, nNextIndex};
+            });
+            sw._storage.readHdAccount = sinon.fake(async () => objStoredHd);
+
+            sw._mapAccountPasswords.set('fakeAcc', 'fakePass');
+        });
+
+        afterEach(async () => {
+            sinon.restore();
+        });
+
+        it('should FAIL to create (locked)', async () => {
+            return assert.isRejected(sw.createHdAccount('lockedAcc'), 'unlockAccount first');
+        });
+
+        it('should FAIL to create (bad mnemonic)', async () => {
+            return assert.isRejected(sw.createHdAccount('fakeAcc', 'abandon abandon'), 'Bad mnemonic');
+        });
+
+        it('should create with new mnemonic', async () => {
+            const strNewMnemonic = await sw.createHdAccount('fakeAcc');
+
+            assert.isOk(factory.Crypto.mnemonicValidate(strNewMnemonic));
+            assert.equal(objStoredHd.nNextIndex, 0);
+            assert.equal(await sw.exportMnemonic('fakeAcc'), strNewMnemonic);
+        });
+
+        it('should FAIL to create twice', async () => {
+            await sw.createHdAccount('fakeAcc', strMnemonic);
+            return assert.isRejected(sw.createHdAccount('fakeAcc', strMnemonic), 'already HD');
+        });
+
+        it('should FAIL to export (not HD)', async () => {
+            return assert.isRejected(sw.exportMnemonic('fakeAcc'), 'is not HD');
+        });
+
+        it('should derive addresses', async () => {
+            await sw.createHdAccount('fakeAcc', strMnemonic);
+            const buffSeed = factory.Crypto.mnemonicToSeed(strMnemonic);
+
+            const strAddr0 = await sw.getNewHdAddress('fakeAcc');
+            const strAddr1 = await sw.getNewHdAddress('fakeAcc');
+
+            const {HD_BASE_PATH} = factory.Constants;
+            assert.equal(strAddr0, factory.Crypto.deriveKeyPair(buffSeed, `${HD_BASE_PATH}/0`).address);
+            assert.equal(strAddr1, factory.Crypto.deriveKeyPair(buffSeed, `${HD_BASE_PATH}/1`).address);
+            assert.equal(objStoredHd.nNextIndex, 2);
+            assert.isOk(sw._storage.writeKeystore.calledTwice);
+            assert.equal(sw._storage.writeKeystore.args[1][0], strAddr1);
+        });
+
+        it('should rescan with gap limit', async () => {
+            const buffSeed = factory.Crypto.mnemonicToSeed(strMnemonic);
+            const strUsedAddr = factory.Crypto.deriveKeyPair(buffSeed, `${factory.Constants.HD_BASE_PATH}/3`).address;
+            sw._storage.getUtxoReceivers = sinon.fake.resolves(new Set([strUsedAddr]));
+
+            await sw.importMnemonic('fakeAcc', strMnemonic, true);
+
+            assert.equal(objStoredHd.nNextIndex, 4);
+            assert.equal(sw._storage.writeKeystore.callCount, 4);
+            assert.isOk(sw._storage.walletReIndex.calledOnce);
+        });
+
+        it('should use address index to rescan', async () => {
+            const buffSeed = factory.Crypto.mnemonicToSeed(strMnemonic);
+            const strUsedAddr = factory.Crypto.deriveKeyPair(buffSeed, `${factory.Constants.HD_BASE_PATH}/1`).address;
+            sw._storage.hasAddressIndex = () => true;
+            sw._storage.getAddressHistory = sinon.fake(async (strAddress) => ({
+                arrRecords: strAddress === strUsedAddr ? [{}] : []
+            }));
+
+            await sw.importMnemonic('fakeAcc', strMnemonic, true);
+
+            assert.equal(objStoredHd.nNextIndex, 2);
+            assert.equal(sw._storage.getAddressHistory.callCount, 2 + factory.Constants.HD_GAP_LIMIT);
+        });
+    });
+    describe('Multisig', async () => {
+        let sw;
+        let arrKeyPairs;
+        let buffRedeemScript;
+
+        beforeEach(async () => {
+            arrKeyPairs = [1, 2, 3].map(() => factory.Crypto.createKeyPair());
+            buffRedeemScript = factory.Transaction.createMultisigScript(2, arrKeyPairs.map(kp => kp.publicKey));
+
+            // keystore is private key itself
+            sinon.stub(factory.Crypto, 'decrypt').callsFake((pass, keystore) => keystore);
+
+            sw = new factory.StoredWallet({storage: new factory.Storage()});
+            sw._ensureAccount = sinon.fake();
+            sw._mapAccountPasswords.set('fakeAcc', 'fakePass');
+        });
+
+        afterEach(async () => {
+            sinon.restore();
+        });
+
+        it('should create address', async () => {
+            sw._storage.walletWatchAddress = sinon.fake.resolves();
+
+            const {address, strRedeemScript} = await sw.createMultisigAddress(
+                2,
+                arrKeyPairs.map(kp => kp.publicKey)
+            );
+
+            assert.equal(strRedeemScript, buffRedeemScript.toString('hex'));
+            assert.equal(address, factory.Transaction.getMultisigAddress(buffRedeemScript));
+            assert.isOk(sw._storage.walletWatchAddress.calledOnceWith(address));
+        });
+
+        it('should create TX with empty claims', async () => {
+            sw._formTxInputs = async (tx) => {
+                tx.addInput(pseudoRandomBuffer(), 0);
+                tx.addInput(pseudoRandomBuffer(), 1);
+                return [1e6, ['multisig', 'multisig']];
+            };
+
+            const tx = await sw.createMultisigTx({
+                strRedeemScript: buffRedeemScript.toString('hex'),
+                strAddressTo: generateAddress().toString('hex'),
+                nAmount: 1e5
+            });
+
+            assert.equal(tx.outputs.length, 2);
+            assert.deepEqual(
+                tx.outputs[1].receiverAddr,
+                factory.Transaction.getMultisigAddress(buffRedeemScript, true)
+            );
+            assert.equal(tx.getMultisigClaim(1).arrSignatures.length, 0);
+            assert.isNotOk(tx.isMultisigComplete());
+        });
+
+        it('should sign with account keys & finalize', async () => {
+            const [kp1, kp2] = arrKeyPairs;
+            sw.getAccountAddresses = sinon.fake.resolves([kp1.address, kp2.address, generateAddress().toString('hex')]);
+            sw._storage.getKeystoresForAccount = sinon.fake.resolves(
+                new Map([[kp1.address, kp1.privateKey], [kp2.address, kp2.privateKey]])
+            );
+
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, buffRedeemScript);
+
+            const nSigned = await sw.signMultisigTx('fakeAcc', tx);
+
+            assert.equal(nSigned, 2);
+            assert.isOk(tx.isMultisigComplete());
+            assert.doesNotThrow(() => sw.finalizeMultisigTx(tx));
+        });
+
+        it('should FAIL to finalize (not enough signatures)', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[0].privateKey);
+
+            assert.throws(() => sw.finalizeMultisigTx(tx), 'Not enough signatures for input 0');
+        });
+    });
 });
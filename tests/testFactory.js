@@ -24,7 +24,7 @@ class TestFactory extends BaseFactory {
 
 module.exports = new TestFactory(
     {
-        testStorage: true,
+        storageBackend: 'memory',
         mutex: new Mutex(),
         workerSuspended: true
     },
@@ -40,7 +40,7 @@ class TestIpV6Factory extends BaseFactory {
 
 module.exports = new TestIpV6Factory(
     {
-        testStorage: true,
+        storageBackend: 'memory',
         mutex: new Mutex(),
         workerSuspended: true
     },
@@ -0,0 +1,41 @@
+'use strict';
+
+const {describe, it} = require('mocha');
+const {assert} = require('chai');
+
+const TokenBucket = require('../network/tokenBucket');
+
+describe('Token bucket', () => {
+    it('should consume within capacity', async () => {
+        const bucket = new TokenBucket(10, 1);
+
+        assert.isOk(bucket.consume(4));
+        assert.isOk(bucket.consume(6));
+        assert.isNotOk(bucket.consume());
+    });
+
+    it('should NOT consume partially', async () => {
+        const bucket = new TokenBucket(10, 1);
+
+        assert.isNotOk(bucket.consume(11));
+        assert.isOk(bucket.consume(10));
+    });
+
+    it('should refill with time', async () => {
+        const bucket = new TokenBucket(10, 2);
+        bucket.consume(10);
+
+        bucket._msecLastRefill -= 2000;
+
+        assert.isOk(bucket.consume(4));
+        assert.isNotOk(bucket.consume(1));
+    });
+
+    it('should NOT refill above capacity', async () => {
+        const bucket = new TokenBucket(10, 100);
+
+        bucket._msecLastRefill -= 60000;
+
+        assert.equal(bucket.tokens, 10);
+    });
+});
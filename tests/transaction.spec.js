@@ -405,6 +405,259 @@ describe('Transaction tests', () => {
         assert.isOk(size >= 177);
     });
 
+    it('should mark TX replaceable (survive encoding)', async () => {
+        const tx = new factory.Transaction();
+        tx.addInput(pseudoRandomBuffer(), 0);
+        tx.addReceiver(1000, generateAddress());
+        assert.isNotOk(tx.replaceable);
+
+        tx.replaceable = true;
+        tx.claim(0, privateKey);
+
+        assert.isOk(new factory.Transaction(tx.encode()).replaceable);
+        assert.throws(() => tx.replaceable = false, 'Tx is already signed');
+    });
+
+    describe('Timelocks', async () => {
+        it('should set TX lock & check finality', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            assert.isOk(tx.isFinal(0, 0));
+
+            const strHash = tx.getHash();
+            tx.lockHeight = 100;
+            tx.lockTime = 1e9;
+
+            assert.notEqual(tx.getHash(), strHash);
+            assert.isNotOk(tx.isFinal(99, 1e9));
+            assert.isNotOk(tx.isFinal(100, 1e9 - 1));
+            assert.isOk(tx.isFinal(100, 1e9));
+        });
+
+        it('should FAIL to set lock for signed TX', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claim(0, privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+
+            assert.throws(() => tx.lockHeight = 10, 'Tx is already signed');
+        });
+
+        it('should add locked output (survive encoding)', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress(), {lockHeight: 10, relativeLock: true});
+            tx.lockTime = 1e9;
+
+            const txRestored = new factory.Transaction(tx.encode());
+            const [coins] = txRestored.getOutCoins();
+
+            assert.equal(txRestored.lockTime, 1e9);
+            assert.equal(coins.getLockHeight(), 10);
+            assert.isOk(coins.isRelativeLock());
+        });
+    });
+
+    describe('Claim hash methods', async () => {
+        const createTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(1000, generateAddress());
+            tx.addReceiver(2000, generateAddress());
+            return tx;
+        };
+
+        it('should be SIGHASH_ALL by default', async () => {
+            const tx = createTx();
+            tx.claim(0, privateKey);
+
+            assert.equal(tx.claimProofs[0].length, 65);
+            assert.equal(tx.hash(0, factory.Constants.SIGHASH_ALL), tx.getHash());
+        });
+
+        it('should encode method into claimProof', async () => {
+            const tx = createTx();
+            tx.claim(1, privateKey, 'hex', factory.Constants.SIGHASH_SINGLE);
+
+            const txRestored = new factory.Transaction(tx.encode());
+            const {buffSignature, nHashType} = factory.Transaction.parseClaimProof(txRestored.claimProofs[1]);
+
+            assert.equal(nHashType, factory.Constants.SIGHASH_SINGLE);
+            assert.equal(
+                factory.Crypto.recoverPubKey(txRestored.hash(1, nHashType), buffSignature),
+                publicKey
+            );
+        });
+
+        it('should differ hashes for different methods', async () => {
+            const tx = createTx();
+            const {SIGHASH_ALL, SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY} = factory.Constants;
+            const arrHashes = [SIGHASH_ALL, SIGHASH_NONE, SIGHASH_SINGLE, SIGHASH_ANYONECANPAY]
+                .map(nHashType => tx.hash(0, nHashType));
+
+            assert.equal(new Set(arrHashes).size, arrHashes.length);
+        });
+
+        it('should FAIL to parse (unknown method)', async () => {
+            const claimProof = Buffer.concat([pseudoRandomBuffer(65), Buffer.from([7])]);
+            assert.throws(() => factory.Transaction.parseClaimProof(claimProof), 'Unknown claim hash method 7');
+        });
+
+        it('should FAIL to parse (non canonical SIGHASH_ALL)', async () => {
+            const claimProof = Buffer.concat([pseudoRandomBuffer(65), Buffer.from([factory.Constants.SIGHASH_ALL])]);
+            assert.throws(() => factory.Transaction.parseClaimProof(claimProof), 'Non canonical');
+        });
+
+        it('should FAIL to claim SIGHASH_SINGLE (no output with same index)', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(1000, generateAddress());
+
+            assert.throws(() => tx.claim(1, privateKey, 'hex', factory.Constants.SIGHASH_SINGLE), 'No output #1');
+        });
+
+        it('should add input after SIGHASH_ANYONECANPAY claim (crowdfunding)', async () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addReceiver(1000, generateAddress());
+            tx.claim(0, privateKey, 'hex', factory.Constants.SIGHASH_ANYONECANPAY);
+            const strHash = tx.hash(0, factory.Constants.SIGHASH_ANYONECANPAY);
+
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.claim(1, factory.Crypto.createKeyPair().privateKey, 'hex', factory.Constants.SIGHASH_ANYONECANPAY);
+
+            assert.equal(tx.hash(0, factory.Constants.SIGHASH_ANYONECANPAY), strHash);
+            assert.throws(() => tx.addReceiver(1000, generateAddress()), 'Tx is already signed');
+        });
+
+        it('should add output after SIGHASH_NONE claim', async () => {
+            const tx = createTx();
+            tx.claim(0, privateKey, 'hex', factory.Constants.SIGHASH_NONE);
+            const strHash = tx.hash(0, factory.Constants.SIGHASH_NONE);
+
+            tx.addReceiver(1000, generateAddress());
+
+            assert.equal(tx.hash(0, factory.Constants.SIGHASH_NONE), strHash);
+            assert.throws(() => tx.addInput(pseudoRandomBuffer(), 0), 'Tx is already signed');
+        });
+
+        it('should FAIL to modify after SIGHASH_ALL claim', async () => {
+            const tx = createTx();
+            tx.claim(0, privateKey);
+
+            assert.throws(() => tx.addReceiver(1000, generateAddress()), 'Tx is already signed');
+            assert.throws(() => tx.addInput(pseudoRandomBuffer(), 0), 'Tx is already signed');
+        });
+    });
+
+    describe('Multisig', async () => {
+        let arrKeyPairs;
+        let buffRedeemScript;
+
+        const createTx = () => {
+            const tx = new factory.Transaction();
+            tx.addInput(pseudoRandomBuffer(), 0);
+            tx.addInput(pseudoRandomBuffer(), 1);
+            tx.addReceiver(1000, generateAddress());
+            return tx;
+        };
+
+        before(async () => {
+            arrKeyPairs = [1, 2, 3].map(() => factory.Crypto.createKeyPair());
+            buffRedeemScript = factory.Transaction.createMultisigScript(2, arrKeyPairs.map(kp => kp.publicKey));
+        });
+
+        it('should create redeem script & address', async () => {
+            const {nRequired, arrPubKeys} = factory.Transaction.decodeMultisigScript(buffRedeemScript);
+
+            assert.equal(nRequired, 2);
+            assert.deepEqual(arrPubKeys, arrKeyPairs.map(kp => kp.publicKey));
+            assert.equal(factory.Transaction.getMultisigAddress(buffRedeemScript).length, 40);
+        });
+
+        it('should FAIL to create redeem script (bad threshold)', async () => {
+            const arrPubKeys = arrKeyPairs.map(kp => kp.publicKey);
+
+            assert.throws(() => factory.Transaction.createMultisigScript(4, arrPubKeys), 'Bad multisig threshold');
+            assert.throws(() => factory.Transaction.createMultisigScript(0, arrPubKeys), 'Bad multisig threshold');
+        });
+
+        it('should FAIL to create redeem script (duplicate key)', async () => {
+            const arrPubKeys = [arrKeyPairs[0].publicKey, arrKeyPairs[0].publicKey];
+
+            assert.throws(() => factory.Transaction.createMultisigScript(1, arrPubKeys), 'Duplicate');
+        });
+
+        it('should FAIL to claim (key not in script)', async () => {
+            const tx = createTx();
+
+            assert.throws(
+                () => tx.claimMultisig(0, buffRedeemScript, factory.Crypto.createKeyPair().privateKey),
+                'Key not in redeem script'
+            );
+        });
+
+        it('should FAIL to verify (partially signed)', async () => {
+            const tx = createTx();
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[0].privateKey);
+            tx.claimMultisig(1, buffRedeemScript, arrKeyPairs[0].privateKey);
+
+            assert.isNotOk(tx.isMultisigComplete());
+            assert.throws(() => tx.verify(), 'Not enough multisig signatures');
+        });
+
+        it('should sign same key only once', async () => {
+            const tx = createTx();
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[0].privateKey);
+            tx.claimMultisig(0, buffRedeemScript, arrKeyPairs[0].privateKey);
+
+            assert.equal(tx.getMultisigClaim(0).arrSignatures.length, 1);
+        });
+
+        it('should verify (survive encoding)', async () => {
+            const tx = createTx();
+            for (let i of [0, 1]) {
+                tx.claimMultisig(i, buffRedeemScript, arrKeyPairs[0].privateKey);
+                tx.claimMultisig(i, buffRedeemScript, arrKeyPairs[1].privateKey);
+            }
+
+            const txRestored = new factory.Transaction(tx.encode());
+            assert.isOk(txRestored.isMultisigComplete());
+            assert.doesNotThrow(() => txRestored.verify());
+        });
+
+        it('should combine & finalize', async () => {
+            const tx = createTx();
+            tx.claimMultisig(0, buffRedeemScript);
+            tx.claimMultisig(1, buffRedeemScript);
+
+            const txA = new factory.Transaction(tx.encode());
+            const txB = new factory.Transaction(tx.encode());
+            for (let i of [0, 1]) {
+                txA.claimMultisig(i, buffRedeemScript, arrKeyPairs[0].privateKey);
+                txB.claimMultisig(i, buffRedeemScript, arrKeyPairs[1].privateKey);
+                txB.claimMultisig(i, buffRedeemScript, arrKeyPairs[2].privateKey);
+            }
+
+            txA.combineMultisigClaims(txB);
+            assert.equal(txA.getMultisigClaim(0).arrSignatures.length, 3);
+
+            txA.finalizeMultisig();
+            assert.equal(txA.getMultisigClaim(1).arrSignatures.length, 2);
+            assert.doesNotThrow(() => txA.verify());
+        });
+
+        it('should FAIL to combine different TXns', async () => {
+            const txA = createTx();
+            const txB = createTx();
+
+            assert.throws(() => txA.combineMultisigClaims(txB), 'Combining different transactions');
+        });
+    });
+
     describe('COINBASE TX', async () => {
         it('should fail to verifyCoinbase (not a coinbase)', async () => {
             const tx = new factory.Transaction(createDummyTx());
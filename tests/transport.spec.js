@@ -1,6 +1,7 @@
 const {describe, it} = require('mocha');
 const {assert} = require('chai');
 const debug = require('debug')('transport:');
+const net = require('net');
 
 const factory = require('./testFactoryIpV6');
 const sinon = require('sinon').createSandbox();
@@ -12,6 +13,34 @@ process.on('warning', e => console.warn(e.stack));
 
 const port = 8223;
 
+const strOnion = 'duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad.onion';
+
+/**
+ * Minimal SOCKS5 proxy (no auth, CONNECT only) that tunnels every request to nTargetPort on localhost
+ *
+ * @param {Number} nPort
+ * @param {Number} nTargetPort
+ * @param {Array} arrRequests - will be filled with requested hosts
+ * @return {Promise<net.Server>}
+ */
+const createFakeProxy = (nPort, nTargetPort, arrRequests) => {
+    const server = net.createServer(socket => {
+        socket.once('data', () => {
+            socket.write(Buffer.from([5, 0]));
+            socket.once('data', buffRequest => {
+
+                // only domain address type (3) expected here
+                arrRequests.push(buffRequest.slice(5, 5 + buffRequest[4]).toString());
+                const target = net.createConnection({port: nTargetPort, host: '127.0.0.1'}, () => {
+                    socket.write(Buffer.from([5, 0, 0, 1, 127, 0, 0, 1, 0, 0]));
+                    socket.pipe(target).pipe(socket);
+                });
+            });
+        });
+    });
+    return new Promise(resolve => server.listen(nPort, '127.0.0.1', () => resolve(server)));
+};
+
 describe('IPv6 Transport', () => {
     before(async function() {
         this.timeout(15000);
@@ -71,6 +100,46 @@ describe('IPv6 Transport', () => {
         assert.isOk(Array.isArray(arrAddresses));
     });
 
+    it('should convert onion address to buffer and back', async () => {
+        const buff = factory.Transport.strToAddress(strOnion);
+        assert.equal(buff.length, 32);
+        assert.equal(factory.Transport.addressToString(buff), strOnion);
+    });
+
+    it('should throw for onion address with bad checksum', async () => {
+        const strBadOnion = 'a' + strOnion.slice(1);
+        assert.throws(() => factory.Transport.strToAddress(strBadOnion));
+    });
+
+    it('should treat onion address as ROUTABLE', async () => {
+        assert.isOk(factory.Transport.isRoutableAddress(strOnion));
+        assert.equal(factory.Transport.toIpV6Address(strOnion), strOnion);
+    });
+
+    it('should reach onion addresses only through proxy', async () => {
+        const direct = new factory.Transport();
+        assert.isNotOk(direct.isReachable(strOnion));
+        assert.isOk(direct.isReachable('8.8.8.8'));
+
+        const proxied = new factory.Transport({socksProxy: '127.0.0.1:9050'});
+        assert.isOk(proxied.isReachable(strOnion));
+
+        try {
+            await direct.connect(strOnion, port);
+            assert.isOk(false, 'Unexpected success');
+        } catch (e) {
+            assert.match(e.message, /No proxy/);
+        }
+    });
+
+    it('should parse proxy address', async () => {
+        assert.deepEqual(factory.Transport.parseProxyAddress('127.0.0.1:9050'),
+            {proxyHost: '127.0.0.1', proxyPort: 9050}
+        );
+        assert.deepEqual(factory.Transport.parseProxyAddress('[::1]:9050'), {proxyHost: '::1', proxyPort: 9050});
+        assert.throws(() => factory.Transport.parseProxyAddress('127.0.0.1'));
+    });
+
     it('should convert to ipv6 address', async function() {
         assert.isOk(factory.Transport.toIpV6Address('192.168.1.2'));
         assert.isOk(factory.Transport.toIpV6Address('87.250.250.242'));
@@ -97,6 +166,104 @@ describe('IPv6 Transport', () => {
         assert.isOk(result.message);
     });
 
+    it('should communicate encrypted', async function() {
+        this.timeout(100000);
+        const endpoint1 = new factory.Transport({listenPort: 1237, useNatTraversal: false, encryptTransport: true});
+        const endpoint2 = new factory.Transport({encryptTransport: true});
+
+        const [connection1, connection2] = await Promise.all([
+            endpoint1.listenSync(),
+            endpoint2.connect(endpoint1.myAddress, endpoint1.port)
+        ]);
+
+        // connection2 will respond to handshake automatically
+        const promiseEncrypted = connection1.startEncryption(endpoint2.identityKey);
+
+        const msgPromise = connection2.receiveSync();
+        await connection1.sendMessage(msgCommon);
+        await promiseEncrypted;
+
+        const result = await msgPromise;
+        assert.equal(result.message, 'test');
+        assert.isOk(connection1.encrypted);
+        assert.isOk(connection2.encrypted);
+        assert.equal(connection2.remoteIdentityKey, endpoint1.identityKey);
+
+        connection1.close();
+    });
+
+    it('should close connection if identity mismatch advertised one', async function() {
+        this.timeout(100000);
+        const endpoint1 = new factory.Transport({listenPort: 1238, useNatTraversal: false, encryptTransport: true});
+        const endpoint2 = new factory.Transport({encryptTransport: true});
+
+        const [connection1, connection2] = await Promise.all([
+            endpoint1.listenSync(),
+            endpoint2.connect(endpoint1.myAddress, endpoint1.port)
+        ]);
+        const closePromise = new Promise(resolve => connection1.once('close', resolve));
+
+        connection1.startEncryption(factory.Crypto.createKeyPair().publicKey);
+
+        await closePromise;
+        assert.isNotOk(connection1.encrypted);
+        connection2.close();
+    });
+
+    it('should close connection on plaintext while waiting for handshake', async function() {
+        this.timeout(100000);
+        const endpoint1 = new factory.Transport({listenPort: 1241, useNatTraversal: false, encryptTransport: true});
+        const endpoint2 = new factory.Transport({encryptTransport: true});
+
+        const [connection1, connection2] = await Promise.all([
+            endpoint1.listenSync(),
+            endpoint2.connect(endpoint1.myAddress, endpoint1.port)
+        ]);
+        const closePromise = new Promise(resolve => connection1.once('close', resolve));
+
+        connection1.startEncryption(endpoint2.identityKey);
+
+        // connection2 didn't receive handshake yet, so it's plain
+        await connection2.sendMessage(msgCommon);
+
+        await closePromise;
+        assert.isNotOk(connection1.encrypted);
+        connection2.close();
+    });
+
+    it('should replace identity key', async () => {
+        const keyPair = factory.Crypto.createKeyPair();
+        const endpoint = new factory.Transport({encryptTransport: true});
+
+        endpoint.setIdentityKey(keyPair.privateKey);
+
+        assert.equal(endpoint.identityKey, keyPair.publicKey);
+    });
+
+    it('should communicate through SOCKS5 proxy', async function() {
+        this.timeout(100000);
+        const arrRequests = [];
+        const proxy = await createFakeProxy(1240, 1239, arrRequests);
+
+        const endpoint1 = new factory.Transport({listenPort: 1239, listenAddr: '127.0.0.1', useNatTraversal: false});
+        const endpoint2 = new factory.Transport({socksProxy: '127.0.0.1:1240'});
+
+        const [connection1, connection2] = await Promise.all([
+            endpoint1.listenSync(),
+            endpoint2.connect(strOnion, 1239)
+        ]);
+        assert.deepEqual(arrRequests, [strOnion]);
+
+        const msgPromise = connection2.receiveSync();
+        await connection1.sendMessage(msgCommon);
+
+        const result = await msgPromise;
+        assert.equal(result.message, 'test');
+
+        connection2.close();
+        proxy.close();
+    });
+
     it('should MAP address', async function() {
         this.timeout(5000);
         const mappedAddr = '1.2.3.4';
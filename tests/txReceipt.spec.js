@@ -170,6 +170,22 @@ describe('TX Receipt tests', () => {
         assert.isOk(receipt.getCoinsForTx(arrInternalTxnsHashes[1]));
     });
 
+    it('should add logs', async () => {
+        const receipt = new factory.TxReceipt({});
+        const arrLogs = [
+            {contractAddress: generateAddress(), name: 'Transfer', payload: '{"amount":10}'},
+            {contractAddress: generateAddress(), name: 'Approve', payload: 'null'}
+        ];
+
+        receipt.addLogs(arrLogs);
+
+        assert.equal(receipt.getLogs().length, 2);
+        const receiptRestored = new factory.TxReceipt(receipt.encode());
+        assert.equal(receiptRestored.getLogs()[0].name, 'Transfer');
+        assert.equal(receiptRestored.getLogs()[1].payload, 'null');
+        assert.isOk(receiptRestored.getLogs()[0].contractAddress.equals(arrLogs[0].contractAddress));
+    });
+
     it('should convert to object', async () => {
         const objReceipt = {
             contractAddress: generateAddress(),
@@ -182,13 +198,21 @@ describe('TX Receipt tests', () => {
             coins: [
                 {amount: 100, receiverAddr: generateAddress()},
                 {amount: 100, receiverAddr: generateAddress()}
+            ],
+            logs: [
+                {contractAddress: generateAddress(), name: 'Transfer', payload: '{"amount":10}'}
             ]
         };
         const receipt2 = new factory.TxReceipt(objReceipt);
         assert.deepEqual({
                 ...objReceipt,
                 contractAddress: objReceipt.contractAddress.toString('hex'),
-                internalTxns: objReceipt.internalTxns.map(buffHash => buffHash.toString('hex'))
+                internalTxns: objReceipt.internalTxns.map(buffHash => buffHash.toString('hex')),
+                logs: [{
+                    contractAddress: objReceipt.logs[0].contractAddress.toString('hex'),
+                    name: 'Transfer',
+                    payload: {amount: 10}
+                }]
             },
             receipt2.toObject()
         );
@@ -212,6 +212,7 @@ describe('Witness tests', () => {
             };
             witness._mempool.getFinalTxns =
                 () => new Array(1000).fill(1).map(() => new factory.Transaction(createDummyTx()));
+            witness._isTxMatureForBlock = async () => true;
             witness._calcHeight = () => 1;
             witness._pendingBlocks.getBestParents = () => ({
                 arrParents: [pseudoRandomBuffer().toString('hex')],
@@ -225,6 +226,25 @@ describe('Witness tests', () => {
                 1 + 1 + parseInt(factory.Constants.BLOCK_CREATION_TIME_LIMIT / nFakeTimePerTx)
             );
         });
+
+        it('should skip TX with immature coins (keep it in mempool)', async () => {
+            const [txImmature, txMature] = [1, 2].map(() => new factory.Transaction(createDummyTx()));
+            witness._processTx = async () => ({fee: 101, patchThisTx: new factory.PatchDB()});
+            witness._mempool.getFinalTxns = sinon.fake.returns([txImmature, txMature]);
+            witness._mempool.removeTxns = sinon.fake();
+            witness._isTxMatureForBlock = async (tx) => tx !== txImmature;
+            witness._calcHeight = () => 1;
+            witness._pendingBlocks.getBestParents = () => ({
+                arrParents: [pseudoRandomBuffer().toString('hex')],
+                patchMerged: new factory.PatchDB()
+            });
+
+            const {block} = await witness._createBlock(0);
+
+            // coinbase + mature one
+            assert.equal(block.txns.length, 2);
+            assert.isNotOk(witness._mempool.removeTxns.called);
+        });
     });
     describe('_isBigTimeDiff', async () => {
         let witness;
@@ -271,6 +291,7 @@ describe('Witness tests', () => {
             };
             witness._mempool.getFinalTxns =
                 () => new Array(10).fill(1).map(() => new factory.Transaction(createDummyTx()));
+            witness._isTxMatureForBlock = async () => true;
             witness._calcHeight = () => 1;
             witness._createJoinTx = sinon.fake.returns(new factory.Transaction(createDummyTx()));
             witness._storage.walletListUnspent = async () => new Array(factory.Constants.WITNESS_UTXOS_JOIN + 1);
@@ -285,4 +306,131 @@ describe('Witness tests', () => {
             assert.equal(block.txns.length, 1 + 1 + 10);
         });
     });
+
+    describe('Compact blocks negotiation', async () => {
+        let witness;
+        let block;
+
+        beforeEach(async () => {
+            ({witness} = createDummyWitness());
+            await witness.ensureLoaded();
+
+            block = createDummyBlock(factory);
+        });
+
+        const createPeer = (bCompact) => {
+            const peer = createDummyPeer();
+            if (bCompact) peer.peerInfo.addCapability({service: factory.Constants.COMPACT_BLOCKS});
+            return peer;
+        };
+
+        it('should send compact proposal only to peers that support it', async () => {
+            const compactPeer = createPeer(true);
+            const oldPeer = createPeer(false);
+            witness._peerManager = new factory.PeerManager();
+            witness._peerManager.getConnectedPeers = () => [compactPeer, oldPeer];
+            compactPeer.pushMessage = sinon.fake.resolves();
+            oldPeer.pushMessage = sinon.fake.resolves();
+
+            await witness._broadcastBlock(0, block);
+
+            assert.isOk(compactPeer.pushMessage.calledOnce);
+            const [msgCompact] = compactPeer.pushMessage.args[0];
+            assert.equal(msgCompact.compactBlock.getHash(), block.getHash());
+
+            assert.isOk(oldPeer.pushMessage.calledOnce);
+            const [msgFull] = oldPeer.pushMessage.args[0];
+            assert.equal(msgFull.block.getHash(), block.getHash());
+        });
+
+        it('should process full proposal from peer without compact blocks support', async () => {
+            const msg = new factory.Messages.MsgWitnessBlock({conciliumId: 0});
+            msg.block = block;
+            msg.sign(factory.Crypto.createKeyPair().privateKey);
+            const consensus = {shouldPublish: () => true};
+            witness._storage.hasBlock = sinon.fake.resolves(false);
+            witness._processProposedBlock = sinon.fake.resolves();
+
+            await witness._processBlockMessage(createPeer(false), msg, consensus);
+
+            assert.isOk(witness._processProposedBlock.calledOnce);
+            const [proposal] = witness._processProposedBlock.args[0];
+            assert.instanceOf(proposal, factory.Block);
+            assert.equal(proposal.getHash(), block.getHash());
+        });
+
+        it('should process compact proposal from peer with compact blocks support', async () => {
+            const msg = new factory.Messages.MsgWitnessBlock({conciliumId: 0});
+            msg.compactBlock = block;
+            msg.sign(factory.Crypto.createKeyPair().privateKey);
+            const consensus = {shouldPublish: () => true};
+            witness._storage.hasBlock = sinon.fake.resolves(false);
+            witness._processProposedBlock = sinon.fake.resolves();
+
+            await witness._processBlockMessage(createPeer(true), msg, consensus);
+
+            assert.isOk(witness._processProposedBlock.calledOnce);
+            const [proposal] = witness._processProposedBlock.args[0];
+            assert.equal(proposal.toBlock().getHash(), block.getHash());
+        });
+
+        describe('Missing TXns of proposal', async () => {
+            let peer;
+            let msgBlockTxn;
+
+            beforeEach(async () => {
+                block = createDummyBlock(factory, 0, 2);
+                const [, tx1, tx2] = block.txns.map(objTx => new factory.Transaction(objTx));
+                witness._mempool.getContent = () => [tx1.getHash()];
+                witness._mempool.getTx = () => tx1;
+                witness._storage.hasBlock = sinon.fake.resolves(false);
+                witness._processProposedBlock = sinon.fake.resolves();
+
+                peer = createPeer(true);
+                peer.pushMessage = sinon.fake.resolves();
+                peer.misbehave = sinon.fake();
+
+                const msgWitnessBlock = new factory.Messages.MsgWitnessBlock({conciliumId: 0});
+                msgWitnessBlock.compactBlock = block;
+                msgWitnessBlock.sign(factory.Crypto.createKeyPair().privateKey);
+                await witness._processBlockMessage(peer, msgWitnessBlock, {conciliumId: 0, shouldPublish: () => true});
+
+                const msg = new factory.Messages.MsgBlockTxn({blockHash: Buffer.from(block.getHash(), 'hex')});
+                msg.addTx(tx2);
+                msgBlockTxn = new factory.Messages.MsgCommon(msg.encode());
+            });
+
+            it('should process proposal after TXns from requested peer', async () => {
+                assert.isOk(peer.pushMessage.calledOnce);
+
+                await witness._handleBlockTxnMessage(peer, msgBlockTxn);
+
+                assert.isOk(witness._processProposedBlock.calledOnce);
+                assert.equal(witness._mapPendingProposals.size, 0);
+            });
+
+            it('should reject TXns of proposal from another peer', async () => {
+                const anotherPeer = createPeer(true);
+                anotherPeer.misbehave = sinon.fake();
+
+                await witness._handleBlockTxnMessage(anotherPeer, msgBlockTxn);
+
+                assert.isOk(anotherPeer.misbehave.calledOnce);
+                assert.isNotOk(witness._processProposedBlock.called);
+                assert.equal(witness._mapPendingProposals.size, 1);
+            });
+
+            it('should forget proposal after COMPACT_BLOCK_TXN_TIMEOUT', async () => {
+                witness._mapPendingProposals.get(0).nRequestedAt -= factory.Constants.COMPACT_BLOCK_TXN_TIMEOUT + 1;
+
+                await witness._handleBlockTxnMessage(peer, msgBlockTxn);
+
+                assert.isNotOk(witness._processProposedBlock.called);
+                assert.equal(witness._mapPendingProposals.size, 0);
+
+                // regular node handler treats it as unrequested
+                assert.isOk(peer.misbehave.calledOnce);
+            });
+        });
+    });
 });
@@ -264,7 +264,8 @@ function mapEnvToOptions() {
         TRUST_ANNOUNCE, ANNOUNCE_ADDRESS, LISTEN_ADDR,
         SEED_ADDRESS, RPC_ADDRESS, RPC_USER, RPC_PASS,
         GENESIS_HASH, CONCILIUM_CONTRACT,
-        WITNESS_NODE, SEED_NODE, BUILD_TX_INDEX, WALLET_SUPPORT, SUPPRESS_JOIN_TX
+        WITNESS_NODE, SEED_NODE, BUILD_TX_INDEX, BUILD_ADDRESS_INDEX, WALLET_SUPPORT, SUPPRESS_JOIN_TX,
+        ENCRYPT_TRANSPORT, IDENTITY_KEY, SOCKS_PROXY
     } = process.env;
 
     return {
@@ -279,6 +280,7 @@ function mapEnvToOptions() {
 
         // if you plan to query your node
         txIndex: (BUILD_TX_INDEX),
+        addressIndex: getBoolEnvParameter(BUILD_ADDRESS_INDEX),
         walletSupport: getBoolEnvParameter(WALLET_SUPPORT),
 
         // WITNESS_NODE is a Boolean variable, indicating witness node.
@@ -288,6 +290,13 @@ function mapEnvToOptions() {
 
         suppressJoinTx: getBoolEnvParameter(SUPPRESS_JOIN_TX),
 
+        // encrypt connections with peers that support it
+        encryptTransport: getBoolEnvParameter(ENCRYPT_TRANSPORT),
+        identityKey: IDENTITY_KEY,
+
+        // outbound connections through SOCKS5 proxy (Tor) "host:port". Required to connect onion peers
+        socksProxy: SOCKS_PROXY,
+
         // Variables below used for development, regular user don't need it
         seedAddr: SEED_ADDRESS,
         genesisHash: GENESIS_HASH,
@@ -316,6 +325,7 @@ function mapOptionsToNodeParameters(objUserParams) {
 
         // non matching names
         buildTxIndex: objUserParams.txIndex,
+        buildAddressIndex: objUserParams.addressIndex,
         listenPort: objUserParams.port,
         arrSeedAddresses: objUserParams.seedAddr ? [objUserParams.seedAddr] : [],
         isSeed: objUserParams.seed
@@ -371,16 +381,30 @@ module.exports = {
             {name: "conciliumDefContract", type: String, multiple: false},
             {name: "privateKey", type: String, multiple: false},
             {name: "dbPath", type: String, multiple: false},
+            {name: "storageBackend", type: String, multiple: false},
             {name: "seed", type: Boolean, multiple: false},
             {name: "strictAddresses", type: Boolean, multiple: false},
             {name: "txIndex", type: Boolean, multiple: false},
+            {name: "addressIndex", type: Boolean, multiple: false},
+            {name: "pruneDepth", type: Number, multiple: false},
+            {name: "lightMode", type: Boolean, multiple: false},
+            {name: "conciliumDefinitions", type: String, multiple: false},
             {name: "watchAddress", type: String, multiple: true},
             {name: "reIndexWallet", type: Boolean, multiple: false},
             {name: "walletSupport", type: Boolean, multiple: false},
             {name: "listWallets", type: Boolean, multiple: false},
             {name: "localDevNode", type: Boolean, multiple: false},
             {name: "rebuildDb", type: Boolean, multiple: false},
+            {name: "verifyDb", type: Boolean, multiple: false},
+            {name: "repairDb", type: Boolean, multiple: false},
+            {name: "rollbackTo", type: String, multiple: false},
+            {name: "exportSnapshot", type: String, multiple: false},
+            {name: "bootstrapSnapshot", type: String, multiple: false},
+            {name: "snapshotHash", type: String, multiple: false},
             {name: "whitelistedAddr", type: String, multiple: true},
+            {name: "encryptTransport", type: Boolean, multiple: false},
+            {name: "identityKey", type: String, multiple: false},
+            {name: "socksProxy", type: String, multiple: false},
             {name: "suppressJoinTx", type: Boolean, multiple: false, defaultOption: false}
         ];
         return commandLineArgs(optionDefinitions, {camelCase: true});